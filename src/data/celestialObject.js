@@ -1,5 +1,32 @@
 // Import Three.js using CommonJS syntax
 const THREE = require('three');
+const CONSTANTS = require('../utils/constants');
+
+// Factors converting supported input units to SI
+const POSITION_UNITS = {
+  AU: CONSTANTS.AU_IN_METERS,
+  km: 1000,
+  m: 1
+};
+
+const VELOCITY_UNITS = {
+  'km/s': 1000,
+  'm/s': 1
+};
+
+/**
+ * Look up the SI conversion factor for a unit
+ * @param {Object} table - Unit table (POSITION_UNITS or VELOCITY_UNITS)
+ * @param {String} unit - Unit name
+ * @returns {Number} Factor that converts the unit to SI
+ */
+function unitFactor(table, unit) {
+  const factor = table[unit];
+  if (factor === undefined) {
+    throw new Error(`Unsupported unit "${unit}". Expected one of: ${Object.keys(table).join(', ')}`);
+  }
+  return factor;
+}
 
 /**
  * CelestialObject class representing a celestial body such as a star or planet
@@ -11,34 +38,70 @@ class CelestialObject {
    * @param {Object} params - Configuration parameters
    * @param {String} params.id - Unique identifier
    * @param {String} params.name - Display name
+   * @param {String} params.type - Kind of body ('star', 'planet', 'moon',
+   *   'asteroid', 'comet' or 'spacecraft'), which sets its orbit color
    * @param {Number} params.mass - Mass in kg
    * @param {Number} params.radius - Radius in km
-   * @param {Array} params.position - [x, y, z] position in AU
-   * @param {Array} params.velocity - [vx, vy, vz] velocity in km/s
+   * @param {Array} params.position - [x, y, z] position in positionUnit
+   * @param {Array} params.velocity - [vx, vy, vz] velocity in velocityUnit
+   * @param {String} params.positionUnit - Unit of params.position ('AU', 'km' or 'm')
+   * @param {String} params.velocityUnit - Unit of params.velocity ('km/s' or 'm/s')
    * @param {String} params.color - Hex color code for fallback color
    * @param {String} params.texture - Path to texture file
    * @param {Boolean} params.isStar - Whether this object is a star
+   * @param {Number} params.softening - Gravitational softening length in m
+   *   (omit to use the simulator's global softening)
+   * @param {Object} params.forces - Non-gravitational forces, a map from force
+   *   model name to parameters (see physics/forceModels.js)
+   * @param {Object} params.zonalHarmonics - Oblateness { J2, J3, J4, referenceRadius }
+   *   about the spin axis set by visualOptions.axialTilt and poleLongitude
+   *   (see physics/zonalHarmonics.js)
+   * @param {Object} params.spacecraft - Engine and tanks { dryMass, propellantMass,
+   *   isp, thrust } of a spacecraft (see physics/spacecraft.js)
+   * @param {Array} params.maneuvers - A spacecraft's maneuver nodes
    * @param {Object} params.visualOptions - Additional visual options
    */
   constructor({
     id,
     name,
+    type,
     mass,
     radius,
     position,
     velocity,
+    positionUnit = 'AU',
+    velocityUnit = 'km/s',
     color,
     texture,
     isStar = false,
+    softening,
+    forces,
+    zonalHarmonics,
+    spacecraft,
+    maneuvers,
     visualOptions = {}
   }) {
     // Basic properties
     this.id = id || Math.random().toString(36).substring(2, 9);
     this.name = name;
+    if (type) {
+      this.type = type;
+    }
     this.mass = mass; // kg
     this.radius = radius; // km
-    this.position = new THREE.Vector3(...position); // [x, y, z] in AU
-    this.velocity = new THREE.Vector3(...velocity); // [vx, vy, vz] in km/s
+    this.position = new THREE.Vector3(...position)
+      .multiplyScalar(unitFactor(POSITION_UNITS, positionUnit)); // m
+    this.velocity = new THREE.Vector3(...velocity)
+      .multiplyScalar(unitFactor(VELOCITY_UNITS, velocityUnit)); // m/s
+    
+    // Units of the physical fields; position and velocity are always SI
+    this.units = {
+      mass: 'kg',
+      radius: 'km',
+      position: 'm',
+      velocity: 'm/s',
+      acceleration: 'm/s²'
+    };
     this.color = color || (isStar ? 0xffdd44 : 0x999999);
     this.texturePath = texture || (isStar ? 'sun.jpg' : null);
     this.isStar = isStar;
@@ -57,7 +120,25 @@ class CelestialObject {
     
     // Physics properties
     this.acceleration = new THREE.Vector3(0, 0, 0);
+    if (softening >= 0) {
+      this.softening = softening; // m
+    }
+    if (forces && Object.keys(forces).length > 0) {
+      this.forces = forces;
+    }
+    if (zonalHarmonics) {
+      this.zonalHarmonics = { ...zonalHarmonics };
+    }
+    if (spacecraft) {
+      this.spacecraft = { ...spacecraft };
+      if (maneuvers && maneuvers.length > 0) {
+        this.maneuvers = maneuvers.map(maneuver => ({ ...maneuver }));
+      }
+    }
     this.orbitPoints = [];
+    this.orbitPointTimes = []; // Simulated seconds of each orbit point
+    this.trailTime = 0; // Simulated seconds this object has been moved through
+    this.orbitTrailVersion = 0; // Bumped whenever the trail changes
     this.orbitLine = null;
     
     // Track object rotation
@@ -140,7 +221,7 @@ class CelestialObject {
       
       // Create mesh
       this.mesh = new THREE.Mesh(geometry, material);
-      this.mesh.position.copy(this.position);
+      this.mesh.position.copy(this.getScenePosition());
       this.mesh.userData.objectId = this.id;
       
       // Apply axial tilt
@@ -223,7 +304,7 @@ class CelestialObject {
       const geometry = new THREE.SphereGeometry(this.getDisplayRadius(), 16, 16);
       const material = new THREE.MeshBasicMaterial({ color: this.color || 0xff0000 });
       this.mesh = new THREE.Mesh(geometry, material);
-      this.mesh.position.copy(this.position);
+      this.mesh.position.copy(this.getScenePosition());
       this.mesh.userData.objectId = this.id;
     }
   }
@@ -241,7 +322,7 @@ class CelestialObject {
       const normalizedIntensity = Math.max(0.5, Math.min(1, lightIntensity));
       
       this.light = new THREE.PointLight(0xffffff, normalizedIntensity, 0, 1);
-      this.light.position.copy(this.position);
+      this.light.position.copy(this.getScenePosition());
       
       // Add subtle color to light based on star type
       if (this.visualOptions.spectralType) {
@@ -552,17 +633,49 @@ class CelestialObject {
    * @returns {Number} Display radius in scene units
    */
   getDisplayRadius() {
+    // Spacecraft are far too small to scale, so get a fixed marker size
+    if (this.type === 'spacecraft') return CONSTANTS.SPACECRAFT_DISPLAY_RADIUS;
+
     // Scale radius for display (planets would be too small otherwise)
     return this.isStar
       ? Math.log10(this.radius) * 2
       : Math.log10(this.radius) * 4;
   }
 
+  /**
+   * Get the position in a given unit
+   * @param {String} unit - 'AU', 'km' or 'm'
+   * @returns {THREE.Vector3} New vector with the converted position
+   */
+  getPosition(unit = 'm') {
+    return this.position.clone().divideScalar(unitFactor(POSITION_UNITS, unit));
+  }
+
+  /**
+   * Get the velocity in a given unit
+   * @param {String} unit - 'km/s' or 'm/s'
+   * @returns {THREE.Vector3} New vector with the converted velocity
+   */
+  getVelocity(unit = 'm/s') {
+    return this.velocity.clone().divideScalar(unitFactor(VELOCITY_UNITS, unit));
+  }
+
+  /**
+   * Get the position in THREE.js scene units
+   * @param {THREE.Vector3} target - Optional vector to write into
+   * @returns {THREE.Vector3} Scene position
+   */
+  getScenePosition(target = new THREE.Vector3()) {
+    return target.copy(this.position).multiplyScalar(1 / CONSTANTS.METERS_PER_SCENE_UNIT);
+  }
+
   /**
    * Update position based on velocity and acceleration
-   * @param {Number} dt - Time delta in days
+   * @param {Number} dt - Time delta in seconds
    */
   updatePosition(dt) {
+    this.trailTime += dt;
+    
     // Update position based on velocity
     this.position.x += this.velocity.x * dt;
     this.position.y += this.velocity.y * dt;
@@ -575,19 +688,22 @@ class CelestialObject {
     
     // Update mesh position
     if (this.mesh) {
-      this.mesh.position.copy(this.position);
+      this.getScenePosition(this.mesh.position);
+      
+      // Rotation speeds are tuned per simulated day
+      const dtDays = CONSTANTS.secondsToDays(dt);
       
       // Update rotation
       if (this.visualOptions.rotationSpeed) {
         // Convert days to realistic rotation (scaled for visualization)
-        const rotationAmount = this.visualOptions.rotationSpeed * dt * 10;
+        const rotationAmount = this.visualOptions.rotationSpeed * dtDays * 10;
         this.rotation += rotationAmount;
         this.mesh.rotation.y = this.rotation;
       }
       
       // Update cloud rotation if present
       if (this.cloudsMesh && this.cloudsRotationSpeed) {
-        const cloudsRotationAmount = this.cloudsRotationSpeed * dt * 10;
+        const cloudsRotationAmount = this.cloudsRotationSpeed * dtDays * 10;
         this.cloudsMesh.rotation.y += cloudsRotationAmount;
       }
       
@@ -609,30 +725,59 @@ class CelestialObject {
     
     // Update light position if this is a star
     if (this.light) {
-      this.light.position.copy(this.position);
+      this.getScenePosition(this.light.position);
     }
     
     // Clear acceleration for next calculation
     this.acceleration.set(0, 0, 0);
     
     // Update orbit trail
-    this.updateOrbitTrail();
+    this.updateOrbitTrail(this.trailTime);
   }
 
   /**
-   * Update the orbit trail with current position
+   * Update the orbit trail with current position. Points are kept in time
+   * order, so running time backward retraces the trail instead of drawing
+   * over it; a point is only added past either end, and the far end is
+   * trimmed.
+   * @param {Number} time - Simulated time of the current position in seconds
    */
-  updateOrbitTrail() {
-    // Add current position to orbit points (keeping only the most recent points)
+  updateOrbitTrail(time) {
     const maxPoints = 500;
-    this.orbitPoints.push(new THREE.Vector3().copy(this.position));
-    if (this.orbitPoints.length > maxPoints) {
-      this.orbitPoints.shift();
+    const points = this.orbitPoints;
+    const times = this.orbitPointTimes;
+    
+    if (points.length === 0 || time > times[times.length - 1]) {
+      points.push(this.getScenePosition());
+      times.push(time);
+      if (points.length > maxPoints) {
+        points.shift();
+        times.shift();
+      }
+      this.orbitTrailVersion++;
+    } else if (time < times[0]) {
+      points.unshift(this.getScenePosition());
+      times.unshift(time);
+      if (points.length > maxPoints) {
+        points.pop();
+        times.pop();
+      }
+      this.orbitTrailVersion++;
     }
   }
 
   /**
-   * Create or update the orbit line visualization
+   * Forget the orbit trail, e.g. after the clock jumps
+   */
+  clearOrbitTrail() {
+    this.orbitPoints.length = 0;
+    this.orbitPointTimes.length = 0;
+    this.orbitTrailVersion++;
+  }
+
+  /**
+   * Create or update the orbit line visualization. Records the trail
+   * version drawn in orbitLineVersion, so callers can skip unchanged trails.
    * @param {THREE.Scene} scene - Three.js scene to add the orbit line to
    */
   createOrbitLine(scene) {
@@ -641,6 +786,13 @@ class CelestialObject {
     try {
       // Skip orbit lines for stars
       if (this.isStar) return;
+      this.orbitLineVersion = this.orbitTrailVersion;
+      
+      // A line needs two points
+      if (this.orbitPoints.length < 2) {
+        this.removeOrbitLine(scene);
+        return;
+      }
       
       // Create geometry for orbit line
       const geometry = new THREE.BufferGeometry().setFromPoints(this.orbitPoints);
@@ -655,18 +807,7 @@ class CelestialObject {
       });
       
       // Create line
-      if (this.orbitLine) {
-        scene.remove(this.orbitLine);
-        
-        // Dispose of old resources
-        if (this.orbitLine.geometry) {
-          this.orbitLine.geometry.dispose();
-        }
-        if (this.orbitLine.material) {
-          this.orbitLine.material.dispose();
-        }
-      }
-      
+      this.removeOrbitLine(scene);
       this.orbitLine = new THREE.Line(geometry, material);
       scene.add(this.orbitLine);
     } catch (error) {
@@ -674,6 +815,23 @@ class CelestialObject {
     }
   }
 
+  /**
+   * Remove the orbit line from the scene and dispose of its resources
+   * @param {THREE.Scene} scene - Three.js scene the line is in
+   */
+  removeOrbitLine(scene) {
+    if (!this.orbitLine) return;
+    
+    scene.remove(this.orbitLine);
+    if (this.orbitLine.geometry) {
+      this.orbitLine.geometry.dispose();
+    }
+    if (this.orbitLine.material) {
+      this.orbitLine.material.dispose();
+    }
+    this.orbitLine = null;
+  }
+
   /**
    * Apply a force to this object (affects acceleration)
    * @param {THREE.Vector3} force - Force vector to apply
@@ -696,17 +854,14 @@ class CelestialObject {
    */
   getInfo() {
     // Calculate orbital velocity
-    const speed = Math.sqrt(
-      this.velocity.x ** 2 + 
-      this.velocity.y ** 2 + 
-      this.velocity.z ** 2
-    );
+    const speed = this.getVelocity('km/s').length();
+    const positionAU = this.getPosition('AU');
     
     return {
       name: this.name,
       mass: `${(this.mass / 1e24).toFixed(4)} × 10²⁴ kg`,
       radius: `${this.radius.toFixed(0)} km`,
-      position: `X: ${this.position.x.toFixed(2)}, Y: ${this.position.y.toFixed(2)}, Z: ${this.position.z.toFixed(2)}`,
+      position: `X: ${positionAU.x.toFixed(2)}, Y: ${positionAU.y.toFixed(2)}, Z: ${positionAU.z.toFixed(2)} AU`,
       velocity: `${speed.toFixed(2)} km/s`,
       type: this.isStar ? (this.visualOptions.spectralType ? 
                          `Star (Type ${this.visualOptions.spectralType})` : 
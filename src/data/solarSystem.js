@@ -1,11 +1,25 @@
 // Solar system data with enhanced visual options and accurate physical parameters
+//
+// Bodies are described by Keplerian elements relative to their parent, in
+// the J2000 ecliptic frame (JPL "Approximate Positions of the Planets" for the
+// planets). The get*System() functions turn them into positions in AU and
+// velocities in km/s for a requested date; CelestialObject converts those to
+// SI (m, m/s) when the objects are created.
+//
+// Oblate bodies carry unnormalized zonal harmonics (J2, J3, J4) about their
+// spin axis, which points `axialTilt` degrees from the ecliptic north pole
+// toward ecliptic longitude `poleLongitude` (from the IAU pole directions).
+// The planets' axial tilts are given to their own orbits, which for them is
+// within a couple of degrees of the tilt to the ecliptic.
+const CONSTANTS = require('../utils/constants');
+const OrbitalElements = require('../physics/orbitalElements');
 
-// Helper functions to convert between AU and kilometers
-const AUtoKm = 149597870.7; // 1 AU in kilometers
+// Helper factors to convert between AU and kilometers
+const AUtoKm = CONSTANTS.AU; // 1 AU in kilometers
 const kmToAU = 1 / AUtoKm; // 1 km in AU
 
 // Physical constants
-const G = 6.67430e-11; // Gravitational constant in m^3 kg^-1 s^-2
+const G = CONSTANTS.G; // Gravitational constant in m^3 kg^-1 s^-2
 
 /**
  * Default solar system data with enhanced visual options
@@ -13,6 +27,7 @@ const G = 6.67430e-11; // Gravitational constant in m^3 kg^-1 s^-2
  * - Physical parameters (mass, radius)
  * - Orbital parameters (distance, velocity)
  * - Rotation periods and axial tilts
+ * - Zonal gravity harmonics of the oblate bodies
  * - Special visual features (rings, atmospheres, clouds)
  */
 const solarSystemData = {
@@ -20,8 +35,7 @@ const solarSystemData = {
     name: 'Sun',
     mass: 1.989e30, // kg
     radius: 696340, // km
-    position: [0, 0, 0], // AU
-    velocity: [0, 0, 0], // km/s
+    zonalHarmonics: { J2: 2.2e-7 },
     color: 0xffff00,
     texture: 'sun.jpg',
     isStar: true,
@@ -30,6 +44,8 @@ const solarSystemData = {
       shininess: 0,
       rotationSpeed: 0.001, // Slow rotation
       rotationPeriod: 27, // Earth days (equatorial)
+      axialTilt: 7.25, // degrees from the ecliptic pole
+      poleLongitude: 345.77, // degrees
       spectralType: 'G', // G-type star (yellow dwarf)
       temperature: 5778, // Surface temperature in Kelvin
       composition: {
@@ -48,8 +64,17 @@ const solarSystemData = {
     name: 'Mercury',
     mass: 3.285e23, // kg
     radius: 2439.7, // km
-    position: [0.387, 0, 0], // AU
-    velocity: [0, 47.87, 0], // km/s
+    // Mean J2000 elements, rates per Julian century
+    orbit: {
+      parent: 'sun',
+      a: 0.38709927, // AU
+      e: 0.20563593,
+      i: 7.00497902, // degrees
+      node: 48.33076593, // longitude of ascending node, degrees
+      argPeri: 29.12703035, // argument of periapsis, degrees
+      meanAnomaly: 174.79252722, // degrees
+      rates: { a: 0.00000037, e: 0.00001906, i: -0.00594749, node: -0.12534081, argPeri: 0.2858177, meanAnomaly: 149472.51363486 }
+    },
     color: 0x8a8a8a,
     texture: 'mercury.jpg',
     visualOptions: {
@@ -78,8 +103,17 @@ const solarSystemData = {
     name: 'Venus',
     mass: 4.867e24, // kg
     radius: 6051.8, // km
-    position: [0.723, 0, 0], // AU
-    velocity: [0, 35.02, 0], // km/s
+    // Mean J2000 elements, rates per Julian century
+    orbit: {
+      parent: 'sun',
+      a: 0.72333566, // AU
+      e: 0.00677672,
+      i: 3.39467605, // degrees
+      node: 76.67984255, // longitude of ascending node, degrees
+      argPeri: 54.92262463, // argument of periapsis, degrees
+      meanAnomaly: 50.37663232, // degrees
+      rates: { a: 0.0000039, e: -0.00004107, i: -0.0007889, node: -0.27769418, argPeri: 0.28037747, meanAnomaly: 58517.812704 }
+    },
     color: 0xe3bb76,
     texture: 'venus.jpg',
     visualOptions: {
@@ -109,14 +143,26 @@ const solarSystemData = {
     name: 'Earth',
     mass: 5.972e24, // kg
     radius: 6371, // km
-    position: [1, 0, 0], // AU
-    velocity: [0, 29.78, 0], // km/s
+    zonalHarmonics: { J2: 1.08263e-3, J3: -2.5327e-6, J4: -1.6196e-6, referenceRadius: 6378.137 },
+    // Mean J2000 elements, rates per Julian century
+    orbit: {
+      parent: 'sun',
+      barycenter: true, // Elements describe the Earth-Moon barycenter
+      a: 1.00000261, // AU
+      e: 0.01671123,
+      i: -0.00001531, // degrees
+      node: 0, // longitude of ascending node, degrees
+      argPeri: 102.93768193, // argument of periapsis, degrees
+      meanAnomaly: -2.47311027, // degrees
+      rates: { a: 0.00000562, e: -0.00004392, i: -0.01294668, node: 0, argPeri: 0.32327364, meanAnomaly: 35999.04917617 }
+    },
     color: 0x2b5aad,
     texture: 'earth.jpg',
     visualOptions: {
       rotationSpeed: 0.05, // Full rotation in reasonable time for visualization
       rotationPeriod: 1, // Earth days
       axialTilt: 23.44, // degrees
+      poleLongitude: 90, // ecliptic longitude of the tilt, degrees
       clouds: 'earth_clouds.jpg',
       cloudsRotationSpeed: 0.055, // Clouds move slightly faster than surface
       shininess: 30, // Ocean reflectivity
@@ -149,14 +195,25 @@ const solarSystemData = {
     name: 'Mars',
     mass: 6.39e23, // kg
     radius: 3389.5, // km
-    position: [1.524, 0, 0], // AU
-    velocity: [0, 24.13, 0], // km/s
+    zonalHarmonics: { J2: 1.96045e-3, J3: 3.145e-5, J4: -1.5377e-5, referenceRadius: 3396.2 },
+    // Mean J2000 elements, rates per Julian century
+    orbit: {
+      parent: 'sun',
+      a: 1.52371034, // AU
+      e: 0.0933941,
+      i: 1.84969142, // degrees
+      node: 49.55953891, // longitude of ascending node, degrees
+      argPeri: -73.5031685, // argument of periapsis, degrees
+      meanAnomaly: 19.39019754, // degrees
+      rates: { a: 0.00001847, e: 0.00007882, i: -0.00813131, node: -0.29257343, argPeri: 0.73698431, meanAnomaly: 19139.85827411 }
+    },
     color: 0xc1440e,
     texture: 'mars.jpg',
     visualOptions: {
       rotationSpeed: 0.048, // Similar to Earth
       rotationPeriod: 1.026, // Earth days
       axialTilt: 25.19, // degrees
+      poleLongitude: 352.91, // ecliptic longitude of the tilt, degrees
       atmosphere: 0xc1785a, // Thin reddish atmosphere
       shininess: 15,
       habitability: 0.5, // Moderate habitability potential
@@ -185,14 +242,25 @@ const solarSystemData = {
     name: 'Jupiter',
     mass: 1.898e27, // kg
     radius: 69911, // km
-    position: [5.203, 0, 0], // AU
-    velocity: [0, 13.07, 0], // km/s
+    zonalHarmonics: { J2: 1.46965e-2, J4: -5.8661e-4, referenceRadius: 71492 },
+    // Mean J2000 elements, rates per Julian century
+    orbit: {
+      parent: 'sun',
+      a: 5.202887, // AU
+      e: 0.04838624,
+      i: 1.30439695, // degrees
+      node: 100.47390909, // longitude of ascending node, degrees
+      argPeri: -85.74542926, // argument of periapsis, degrees
+      meanAnomaly: 19.66796068, // degrees
+      rates: { a: -0.00011607, e: -0.00013253, i: -0.00183714, node: 0.20469106, argPeri: 0.00783562, meanAnomaly: 3034.53360107 }
+    },
     color: 0xd8ca9d,
     texture: 'jupiter.jpg',
     visualOptions: {
       rotationSpeed: 0.12, // Fast rotation
       rotationPeriod: 0.41, // Earth days (9.93 hours)
       axialTilt: 3.13, // degrees
+      poleLongitude: 247.82, // ecliptic longitude of the tilt, degrees
       shininess: 10,
       habitability: 0.0, // Gas giant, not habitable
       temperature: 165, // Average temperature in Kelvin (cloud top)
@@ -217,14 +285,25 @@ const solarSystemData = {
     name: 'Saturn',
     mass: 5.683e26, // kg
     radius: 58232, // km
-    position: [9.537, 0, 0], // AU
-    velocity: [0, 9.69, 0], // km/s
+    zonalHarmonics: { J2: 1.62906e-2, J4: -9.3531e-4, referenceRadius: 60330 },
+    // Mean J2000 elements, rates per Julian century
+    orbit: {
+      parent: 'sun',
+      a: 9.53667594, // AU
+      e: 0.05386179,
+      i: 2.48599187, // degrees
+      node: 113.66242448, // longitude of ascending node, degrees
+      argPeri: -21.06354617, // argument of periapsis, degrees
+      meanAnomaly: -42.64463408, // degrees
+      rates: { a: -0.0012506, e: -0.00050991, i: 0.00193609, node: -0.28867794, argPeri: -0.13029422, meanAnomaly: 1222.91259417 }
+    },
     color: 0xead6b8,
     texture: 'saturn.jpg',
     visualOptions: {
       rotationSpeed: 0.108, // Fast rotation
       rotationPeriod: 0.444, // Earth days (10.656 hours)
       axialTilt: 26.73, // degrees
+      poleLongitude: 79.53, // ecliptic longitude of the tilt, degrees
       shininess: 10,
       habitability: 0.0, // Gas giant, not habitable
       temperature: 134, // Average temperature in Kelvin (cloud top)
@@ -253,14 +332,25 @@ const solarSystemData = {
     name: 'Uranus',
     mass: 8.681e25, // kg
     radius: 25362, // km
-    position: [19.191, 0, 0], // AU
-    velocity: [0, 6.81, 0], // km/s
+    zonalHarmonics: { J2: 3.5107e-3, J4: -3.42e-5, referenceRadius: 25559 },
+    // Mean J2000 elements, rates per Julian century
+    orbit: {
+      parent: 'sun',
+      a: 19.18916464, // AU
+      e: 0.04725744,
+      i: 0.77263783, // degrees
+      node: 74.01692503, // longitude of ascending node, degrees
+      argPeri: 96.93735127, // argument of periapsis, degrees
+      meanAnomaly: 142.28382821, // degrees
+      rates: { a: -0.00196176, e: -0.00004397, i: -0.00242939, node: 0.04240589, argPeri: 0.36564692, meanAnomaly: 428.07397504 }
+    },
     color: 0x82b3d1,
     texture: 'uranus.jpg',
     visualOptions: {
       rotationSpeed: 0.071, // Medium rotation
       rotationPeriod: 0.718, // Earth days (17.24 hours)
       axialTilt: 97.77, // Extreme tilt - almost on its side
+      poleLongitude: 77.65, // ecliptic longitude of the tilt, degrees
       shininess: 20,
       habitability: 0.0, // Ice giant, not habitable
       temperature: 76, // Average temperature in Kelvin
@@ -291,14 +381,25 @@ const solarSystemData = {
     name: 'Neptune',
     mass: 1.024e26, // kg
     radius: 24622, // km
-    position: [30.069, 0, 0], // AU
-    velocity: [0, 5.43, 0], // km/s
+    zonalHarmonics: { J2: 3.4084e-3, J4: -3.34e-5, referenceRadius: 25225 },
+    // Mean J2000 elements, rates per Julian century
+    orbit: {
+      parent: 'sun',
+      a: 30.06992276, // AU
+      e: 0.00859048,
+      i: 1.77004347, // degrees
+      node: 131.78422574, // longitude of ascending node, degrees
+      argPeri: -86.81946347, // argument of periapsis, degrees
+      meanAnomaly: -100.08479196, // degrees
+      rates: { a: 0.00026291, e: 0.00005105, i: 0.00035372, node: -0.00508664, argPeri: -0.317328, meanAnomaly: 218.78186789 }
+    },
     color: 0x2a7de1,
     texture: 'neptune.jpg',
     visualOptions: {
       rotationSpeed: 0.067, // Similar to Uranus
       rotationPeriod: 0.671, // Earth days (16.11 hours)
       axialTilt: 28.32, // degrees
+      poleLongitude: 319.24, // ecliptic longitude of the tilt, degrees
       shininess: 20,
       habitability: 0.0, // Ice giant, not habitable
       temperature: 72, // Average temperature in Kelvin
@@ -323,8 +424,17 @@ const solarSystemData = {
     name: 'Pluto',
     mass: 1.303e22, // kg
     radius: 1188.3, // km
-    position: [39.482, 0, 0], // AU
-    velocity: [0, 4.67, 0], // km/s
+    // Mean J2000 elements, rates per Julian century
+    orbit: {
+      parent: 'sun',
+      a: 39.48211675, // AU
+      e: 0.2488273,
+      i: 17.14001206, // degrees
+      node: 110.30393684, // longitude of ascending node, degrees
+      argPeri: 113.76497945, // argument of periapsis, degrees
+      meanAnomaly: 14.86012204, // degrees
+      rates: { a: -0.00031596, e: 0.0000517, i: 0.00004818, node: -0.01183482, argPeri: -0.0287946, meanAnomaly: 145.24843457 }
+    },
     color: 0xafa097,
     texture: 'pluto.jpg',
     visualOptions: {
@@ -352,14 +462,25 @@ const solarSystemData = {
     name: 'Moon',
     mass: 7.342e22, // kg
     radius: 1737.4, // km
-    position: [1.0025, 0, 0], // AU (Earth + distance to Moon)
-    velocity: [0, 29.78 + 1.022, 0], // km/s (Earth + Moon's orbital velocity)
+    zonalHarmonics: { J2: 2.033e-4, J3: 8.46e-6, J4: -9.59e-6, referenceRadius: 1738 },
+    // Geocentric mean elements at J2000 (ecliptic of date), rates per Julian century
+    orbit: {
+      parent: 'earth',
+      a: 0.00256955529, // AU (384,400 km)
+      e: 0.0549,
+      i: 5.1454, // degrees
+      node: 125.0434, // longitude of ascending node, degrees
+      argPeri: 318.3099, // argument of periapsis, degrees
+      meanAnomaly: 134.9634, // degrees
+      rates: { node: -1934.1362, argPeri: 6003.1515, meanAnomaly: 477198.8675 }
+    },
     color: 0xbbbbbb,
     texture: 'moon.jpg',
     visualOptions: {
       rotationSpeed: 0.002, // Synchronous with orbit
       rotationPeriod: 27.32, // Earth days
       axialTilt: 1.54, // degrees
+      poleLongitude: 215.04, // ecliptic longitude of the tilt, degrees
       shininess: 5,
       habitability: 0.0, // Not habitable
       temperature: 250, // Average temperature in Kelvin
@@ -378,23 +499,114 @@ const solarSystemData = {
   }
 };
 
+/**
+ * Keys of the bodies orbiting a body
+ * @param {String} key - Key in solarSystemData
+ * @returns {Array} Keys of its satellites
+ */
+function getSatellites(key) {
+  return Object.keys(solarSystemData).filter(other => {
+    const orbit = solarSystemData[other].orbit;
+    return orbit && orbit.parent === key;
+  });
+}
+
+/**
+ * State of a body relative to its parent at a date
+ * @param {String} key - Key in solarSystemData
+ * @param {Number} julianDate - Julian Date
+ * @returns {Object} { position, velocity } in m and m/s
+ */
+function getRelativeState(key, julianDate) {
+  const body = solarSystemData[key];
+  const parent = solarSystemData[body.orbit.parent];
+  const mu = G * (parent.mass + body.mass);
+  return OrbitalElements.stateAtEpoch(body.orbit, julianDate, mu);
+}
+
+/**
+ * Heliocentric state of a body at a date, following parent links
+ * @param {String} key - Key in solarSystemData
+ * @param {Number} julianDate - Julian Date
+ * @returns {Object} { position, velocity } in m and m/s
+ */
+function getHeliocentricState(key, julianDate) {
+  const body = solarSystemData[key];
+  if (!body.orbit) {
+    return { position: [0, 0, 0], velocity: [0, 0, 0] };
+  }
+
+  const parentState = getHeliocentricState(body.orbit.parent, julianDate);
+  const relative = getRelativeState(key, julianDate);
+  const position = parentState.position.map((value, i) => value + relative.position[i]);
+  const velocity = parentState.velocity.map((value, i) => value + relative.velocity[i]);
+
+  // Elements for a barycenter: move from the barycenter to the body itself
+  if (body.orbit.barycenter) {
+    const satellites = getSatellites(key);
+    const totalMass = satellites.reduce((sum, satellite) => sum + solarSystemData[satellite].mass, body.mass);
+
+    satellites.forEach(satellite => {
+      const fraction = solarSystemData[satellite].mass / totalMass;
+      const offset = getRelativeState(satellite, julianDate);
+      for (let i = 0; i < 3; i++) {
+        position[i] -= fraction * offset.position[i];
+        velocity[i] -= fraction * offset.velocity[i];
+      }
+    });
+  }
+
+  return { position, velocity };
+}
+
+/**
+ * Build system objects with positions and velocities for a date
+ * @param {Array} keys - Keys in solarSystemData to include
+ * @param {Number} julianDate - Julian Date
+ * @returns {Array} Object data with position (AU) and velocity (km/s), barycentric
+ */
+function createObjectsAtEpoch(keys, julianDate) {
+  const states = keys.map(key => getHeliocentricState(key, julianDate));
+
+  // Shift to the barycenter of the included bodies so the system doesn't drift
+  let totalMass = 0;
+  const center = [0, 0, 0];
+  const drift = [0, 0, 0];
+  keys.forEach((key, index) => {
+    const mass = solarSystemData[key].mass;
+    totalMass += mass;
+    for (let i = 0; i < 3; i++) {
+      center[i] += mass * states[index].position[i];
+      drift[i] += mass * states[index].velocity[i];
+    }
+  });
+
+  return keys.map((key, index) => ({
+    ...solarSystemData[key],
+    position: states[index].position.map((value, i) => CONSTANTS.metersToAU(value - center[i] / totalMass)),
+    velocity: states[index].velocity.map((value, i) => CONSTANTS.metersPerSecToKmPerSec(value - drift[i] / totalMass))
+  }));
+}
+
 /**
  * Get the default solar system as an array of celestial objects
+ * @param {Number} julianDate - Date to place the bodies at (defaults to the simulation epoch)
  * @returns {Object} Solar system data with objects array
  */
-function getDefaultSystem() {
+function getDefaultSystem(julianDate = CONSTANTS.DEFAULT_EPOCH_JD) {
   return {
     id: 'default-solar-system',
     name: 'Solar System',
-    objects: Object.values(solarSystemData)
+    objects: createObjectsAtEpoch(Object.keys(solarSystemData), julianDate)
   };
 }
 
 /**
  * Get a simplified solar system with fewer objects for better performance
+ * @param {Number} julianDate - Date to place the bodies at (defaults to the simulation epoch)
  * @returns {Object} Simplified solar system data with objects array
  */
-function getSimplifiedSystem() {
+function getSimplifiedSystem(julianDate = CONSTANTS.DEFAULT_EPOCH_JD) {
   // Only include Sun and planets (no moons or dwarf planets)
   const simplifiedObjects = ['sun', 'mercury', 'venus', 'earth', 'mars', 
                             'jupiter', 'saturn', 'uranus', 'neptune'];
@@ -402,44 +614,56 @@ function getSimplifiedSystem() {
   return {
     id: 'simplified-solar-system',
     name: 'Simplified Solar System',
-    objects: simplifiedObjects.map(name => solarSystemData[name])
+    objects: createObjectsAtEpoch(simplifiedObjects, julianDate)
   };
 }
 
 /**
  * Get an inner solar system setup with just the Sun and inner planets
+ * @param {Number} julianDate - Date to place the bodies at (defaults to the simulation epoch)
  * @returns {Object} Inner solar system data with objects array
  */
-function getInnerSolarSystem() {
+function getInnerSolarSystem(julianDate = CONSTANTS.DEFAULT_EPOCH_JD) {
   const innerPlanets = ['sun', 'mercury', 'venus', 'earth', 'mars'];
   
   return {
     id: 'inner-solar-system',
     name: 'Inner Solar System',
-    objects: innerPlanets.map(name => solarSystemData[name])
+    objects: createObjectsAtEpoch(innerPlanets, julianDate)
   };
 }
 
 /**
  * Get the Earth-Moon system
+ * @param {Number} julianDate - Date to place the bodies at (defaults to the simulation epoch)
  * @returns {Object} Earth-Moon system data with objects array
  */
-function getEarthMoonSystem() {
+function getEarthMoonSystem(julianDate = CONSTANTS.DEFAULT_EPOCH_JD) {
   return {
     id: 'earth-moon-system',
     name: 'Earth-Moon System',
-    objects: ['sun', 'earth', 'moon'].map(name => solarSystemData[name])
+    objects: createObjectsAtEpoch(['sun', 'earth', 'moon'], julianDate)
   };
 }
 
-// Export using CommonJS syntax
-module.exports = {
+const SolarSystemData = {
   solarSystemData,
   getDefaultSystem,
   getSimplifiedSystem,
   getInnerSolarSystem,
   getEarthMoonSystem,
+  getHeliocentricState,
+  createObjectsAtEpoch,
   AUtoKm,
   kmToAU,
   G
 };
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.SolarSystemData = SolarSystemData;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SolarSystemData;
+}
@@ -1,7 +1,9 @@
 // Modules to control application life and create native browser window
-const { app, BrowserWindow, protocol, crashReporter } = require('electron');
+const { app, BrowserWindow, protocol, crashReporter, ipcMain, dialog, Menu } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const SceneFormat = require('./utils/sceneFormat');
+const RecordingFormat = require('./utils/recordingFormat');
 
 // Error handling for uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -43,7 +45,7 @@ function createWindow() {
       sandbox: false, // Need to disable sandbox for proper preload
       webSecurity: false, // Allow loading local resources
       enableRemoteModule: false,
-      preload: path.join(__dirname, 'minimal-preload.js') // Use a minimal preload
+      preload: path.join(__dirname, 'preload.js') // Exposes THREE and the save/load IPC bridge
     }
   });
 
@@ -56,27 +58,6 @@ function createWindow() {
     return;
   }
 
-  // Create a minimal preload script if it doesn't exist
-  const minimalPreloadPath = path.join(__dirname, 'minimal-preload.js');
-  if (!fs.existsSync(minimalPreloadPath)) {
-    console.log('Creating minimal preload script...');
-    const minimalPreloadContent = `
-      // Minimal preload script that only exposes console functions
-      const { contextBridge } = require('electron');
-      
-      // Expose a minimal API to the renderer
-      contextBridge.exposeInMainWorld('electronAPI', {
-        // Add minimal functionality here
-        log: (message) => console.log(message),
-        error: (message) => console.error(message)
-      });
-      
-      console.log('Minimal preload script loaded');
-    `;
-    
-    fs.writeFileSync(minimalPreloadPath, minimalPreloadContent);
-  }
-
   // Create a very basic HTML file for testing
   const testHtmlPath = path.join(__dirname, 'test.html');
   if (!fs.existsSync(testHtmlPath)) {
@@ -166,6 +147,194 @@ function createWindow() {
   });
 }
 
+// File filters for the save and open dialogs
+const SCENE_FILE_FILTERS = [
+  { name: 'Solar System Simulation', extensions: [SceneFormat.SCENE_FILE_EXTENSION] },
+  { name: 'JSON', extensions: ['json'] },
+  { name: 'All Files', extensions: ['*'] }
+];
+
+// Path of the scene last chosen in a save or open dialog. Plain saves write
+// here; paths sent by the renderer are never trusted.
+let currentScenePath = null;
+
+/**
+ * Write a scene sent by the renderer, asking for a path when needed
+ * @param {Object} webContents - Renderer to reply to
+ * @param {Object} request - { scene, saveAs }
+ */
+async function saveSystem(webContents, { scene, saveAs } = {}) {
+  try {
+    let targetPath = saveAs ? null : currentScenePath;
+
+    if (!targetPath) {
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Save Simulation',
+        defaultPath: currentScenePath || `simulation.${SceneFormat.SCENE_FILE_EXTENSION}`,
+        filters: SCENE_FILE_FILTERS
+      });
+      if (result.canceled || !result.filePath) {
+        webContents.send('system-saved', { canceled: true });
+        return;
+      }
+      targetPath = result.filePath;
+    }
+
+    await fs.promises.writeFile(targetPath, SceneFormat.stringifyScene(scene), 'utf8');
+    currentScenePath = targetPath;
+    console.log(`Simulation saved to ${targetPath}`);
+    webContents.send('system-saved', { filePath: targetPath });
+  } catch (error) {
+    console.error('Error saving simulation:', error);
+    webContents.send('error', { message: `Could not save simulation: ${error.message}` });
+  }
+}
+
+/**
+ * Show an open dialog, then read, migrate and validate the chosen scene
+ * @param {Object} webContents - Renderer to send the scene to
+ */
+async function loadSystem(webContents) {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Open Simulation',
+      filters: SCENE_FILE_FILTERS,
+      properties: ['openFile']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      webContents.send('system-loaded', { canceled: true });
+      return;
+    }
+
+    const filePath = result.filePaths[0];
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    const scene = SceneFormat.parseScene(text);
+    currentScenePath = filePath;
+
+    console.log(`Simulation loaded from ${filePath}`);
+    webContents.send('system-loaded', { scene, filePath });
+  } catch (error) {
+    console.error('Error loading simulation:', error);
+    webContents.send('error', { message: `Could not open simulation: ${error.message}` });
+  }
+}
+
+// File filters for streaming a recording to disk
+const RECORDING_FILE_FILTERS = [
+  { name: 'Simulation Recording', extensions: [RecordingFormat.RECORDING_FILE_EXTENSION] },
+  { name: 'All Files', extensions: ['*'] }
+];
+
+// Open write stream for the recording being streamed to disk, if any
+let recordingStream = null;
+
+/**
+ * Ask for a path and start streaming a recording to it
+ * @param {Object} webContents - Renderer to reply to
+ * @param {Object} request - { header } record written as the first line
+ */
+async function startRecordingStream(webContents, { header } = {}) {
+  try {
+    if (!RecordingFormat.isRecordingHeader(header)) {
+      throw new Error('Invalid recording header');
+    }
+    stopRecordingStream();
+
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Stream Recording To',
+      defaultPath: `recording.${RecordingFormat.RECORDING_FILE_EXTENSION}`,
+      filters: RECORDING_FILE_FILTERS
+    });
+    if (result.canceled || !result.filePath) {
+      webContents.send('recording-stream-status', { active: false, canceled: true });
+      return;
+    }
+
+    const filePath = result.filePath;
+    recordingStream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+    recordingStream.on('error', (error) => {
+      console.error('Error writing recording:', error);
+      recordingStream = null;
+      webContents.send('recording-stream-status', { active: false, error: error.message });
+    });
+    recordingStream.write(RecordingFormat.formatRecordingLine(header));
+
+    console.log(`Streaming recording to ${filePath}`);
+    webContents.send('recording-stream-status', { active: true, filePath });
+  } catch (error) {
+    console.error('Error starting recording stream:', error);
+    webContents.send('recording-stream-status', { active: false, error: error.message });
+  }
+}
+
+/**
+ * Append lines of a recording to the open stream
+ * @param {Object} request - { text } one or more complete lines
+ */
+function appendRecordingStream({ text } = {}) {
+  if (recordingStream && typeof text === 'string') {
+    recordingStream.write(text);
+  }
+}
+
+/**
+ * Close the recording stream, if one is open
+ */
+function stopRecordingStream() {
+  if (recordingStream) {
+    recordingStream.end();
+    recordingStream = null;
+  }
+}
+
+/**
+ * Build the application menu with File > Open/Save entries
+ */
+function createMenu() {
+  const sendToFocused = (handler) => () => {
+    const window = BrowserWindow.getFocusedWindow() || mainWindow;
+    if (window) handler(window.webContents);
+  };
+
+  const template = [
+    ...(process.platform === 'darwin' ? [{ role: 'appMenu' }] : []),
+    {
+      label: 'File',
+      submenu: [
+        {
+          label: 'Open Simulation...',
+          accelerator: 'CmdOrCtrl+O',
+          click: sendToFocused(webContents => loadSystem(webContents))
+        },
+        {
+          label: 'Save Simulation',
+          accelerator: 'CmdOrCtrl+S',
+          click: sendToFocused(webContents => webContents.send('menu-save-system', { saveAs: false }))
+        },
+        {
+          label: 'Save Simulation As...',
+          accelerator: 'CmdOrCtrl+Shift+S',
+          click: sendToFocused(webContents => webContents.send('menu-save-system', { saveAs: true }))
+        },
+        { type: 'separator' },
+        process.platform === 'darwin' ? { role: 'close' } : { role: 'quit' }
+      ]
+    },
+    { role: 'editMenu' },
+    { role: 'viewMenu' },
+    { role: 'windowMenu' }
+  ];
+
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+}
+
+// The renderer serializes state; the main process owns dialogs and disk access
+ipcMain.on('save-system', (event, request) => saveSystem(event.sender, request));
+ipcMain.on('load-system', (event) => loadSystem(event.sender));
+ipcMain.on('recording-stream-start', (event, request) => startRecordingStream(event.sender, request));
+ipcMain.on('recording-stream-append', (event, request) => appendRecordingStream(request));
+ipcMain.on('recording-stream-stop', () => stopRecordingStream());
+
 // Allow loading local files
 app.commandLine.appendSwitch('allow-file-access-from-files');
 app.commandLine.appendSwitch('allow-insecure-localhost');
@@ -189,6 +358,7 @@ app.whenReady().then(() => {
   });
   
   console.log('Creating window...');
+  createMenu();
   createWindow();
 
   app.on('activate', () => {
@@ -200,6 +370,7 @@ app.whenReady().then(() => {
 
 // Quit when all windows are closed, except on macOS
 app.on('window-all-closed', () => {
+  stopRecordingStream();
   if (process.platform !== 'darwin') app.quit();
 });
 
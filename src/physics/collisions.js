@@ -0,0 +1,335 @@
+// Collisions - Swept contact detection and resolution on physical radii
+//
+// Bodies are treated as spheres of their physical radius (km). Detection is
+// continuous: each body is assumed to move in a straight line from its
+// position before the step to its position after it, and the earliest time
+// their separation reaches the sum of the radii is found analytically, so a
+// fast body cannot tunnel through another within a single step.
+
+const KM_TO_M = 1000;
+
+// Resolution modes for UI display, in menu order
+const COLLISION_MODES = [
+  { name: 'none', label: 'No collisions' },
+  { name: 'merge', label: 'Merge (inelastic)' },
+  { name: 'elastic', label: 'Elastic bounce' }
+];
+
+/**
+ * Earliest fraction of a step at which two moving spheres touch
+ * @param {Number} dx0 - Relative position x at the start of the step
+ * @param {Number} dy0 - Relative position y at the start of the step
+ * @param {Number} dz0 - Relative position z at the start of the step
+ * @param {Number} dx1 - Relative position x at the end of the step
+ * @param {Number} dy1 - Relative position y at the end of the step
+ * @param {Number} dz1 - Relative position z at the end of the step
+ * @param {Number} reach - Sum of the radii (same units as the positions)
+ * @returns {Number|null} Contact time in [0, 1], or null if they don't touch
+ */
+function sweptContactTime(dx0, dy0, dz0, dx1, dy1, dz1, reach) {
+  const ux = dx1 - dx0;
+  const uy = dy1 - dy0;
+  const uz = dz1 - dz0;
+
+  // |d0 + u t|^2 = reach^2  ->  a t^2 + 2 b t + c = 0
+  const a = ux * ux + uy * uy + uz * uz;
+  const b = dx0 * ux + dy0 * uy + dz0 * uz;
+  const c = dx0 * dx0 + dy0 * dy0 + dz0 * dz0 - reach * reach;
+
+  // Already touching; only a contact if they are not moving apart
+  if (c <= 0) return b < 0 || a === 0 ? 0 : null;
+
+  // Moving apart or not moving relative to each other
+  if (a === 0 || b >= 0) return null;
+
+  const discriminant = b * b - a * c;
+  if (discriminant < 0) return null;
+
+  const t = (-b - Math.sqrt(discriminant)) / a;
+  return t <= 1 ? t : null;
+}
+
+/**
+ * Find all pairs of bodies that came into contact during a step. A sort and
+ * sweep along x prunes the pairs first: each body's swept extent in x (both
+ * ends of its path, widened by its radius) is sorted, and only bodies whose
+ * extents overlap get the exact swept test.
+ * @param {Array} objects - Bodies after the step (SI position, radius in km)
+ * @param {Float64Array} previousPositions - Packed positions before the step
+ * @returns {Array} Contacts { i, j, t } sorted by contact time
+ */
+function findContacts(objects, previousPositions) {
+  const contacts = [];
+  const count = objects.length;
+  const low = new Float64Array(count);
+  const high = new Float64Array(count);
+  const order = [];
+
+  for (let i = 0; i < count; i++) {
+    const radius = (objects[i].radius || 0) * KM_TO_M;
+    const before = previousPositions[i * 3];
+    const after = objects[i].position.x;
+    low[i] = Math.min(before, after) - radius;
+    high[i] = Math.max(before, after) + radius;
+    order.push(i);
+  }
+  order.sort((first, second) => low[first] - low[second]);
+
+  // Bodies whose extents are still open at the current point of the sweep
+  const active = [];
+  for (let k = 0; k < count; k++) {
+    const next = order[k];
+    let open = 0;
+    for (let m = 0; m < active.length; m++) {
+      if (high[active[m]] >= low[next]) {
+        active[open++] = active[m];
+      }
+    }
+    active.length = open;
+
+    for (const other of active) {
+      const i = Math.min(next, other);
+      const j = Math.max(next, other);
+      const a = objects[i];
+      const b = objects[j];
+      const i3 = i * 3;
+      const j3 = j * 3;
+      const reach = ((a.radius || 0) + (b.radius || 0)) * KM_TO_M;
+      if (!(reach > 0)) continue;
+
+      const t = sweptContactTime(
+        previousPositions[j3] - previousPositions[i3],
+        previousPositions[j3 + 1] - previousPositions[i3 + 1],
+        previousPositions[j3 + 2] - previousPositions[i3 + 2],
+        b.position.x - a.position.x,
+        b.position.y - a.position.y,
+        b.position.z - a.position.z,
+        reach
+      );
+
+      if (t !== null) {
+        contacts.push({ i, j, t });
+      }
+    }
+    active.push(next);
+  }
+
+  // Ties in time keep the order of the body list
+  return contacts.sort((first, second) => first.t - second.t || first.i - second.i || first.j - second.j);
+}
+
+/**
+ * Position of a body at a fraction of the step, assuming straight-line motion
+ * @param {Object} object - Body after the step
+ * @param {Float64Array} previousPositions - Packed positions before the step
+ * @param {Number} index - Index of the body in the packed arrays
+ * @param {Number} t - Fraction of the step
+ * @returns {Object} Position {x, y, z} in m
+ * @private
+ */
+function positionAt(object, previousPositions, index, t) {
+  const i3 = index * 3;
+  return {
+    x: previousPositions[i3] + (object.position.x - previousPositions[i3]) * t,
+    y: previousPositions[i3 + 1] + (object.position.y - previousPositions[i3 + 1]) * t,
+    z: previousPositions[i3 + 2] + (object.position.z - previousPositions[i3 + 2]) * t
+  };
+}
+
+/**
+ * Merge two bodies into one (perfectly inelastic collision). The heavier
+ * body (or the fixed one) survives and takes the combined mass, the
+ * momentum-weighted velocity, the center of mass as position and the radius
+ * of a sphere with the combined volume.
+ * @param {Object} a - First body
+ * @param {Object} b - Second body
+ * @returns {Object} { survivor, removed }
+ */
+function mergeBodies(a, b) {
+  const aSurvives = a.fixed || (!b.fixed && a.mass >= b.mass);
+  const survivor = aSurvives ? a : b;
+  const removed = aSurvives ? b : a;
+  const mass = a.mass + b.mass;
+
+  if (!survivor.fixed) {
+    ['x', 'y', 'z'].forEach(axis => {
+      survivor.velocity[axis] = mass > 0 ?
+        (a.mass * a.velocity[axis] + b.mass * b.velocity[axis]) / mass : survivor.velocity[axis];
+      survivor.position[axis] = mass > 0 ?
+        (a.mass * a.position[axis] + b.mass * b.position[axis]) / mass : survivor.position[axis];
+    });
+  }
+
+  survivor.mass = mass;
+  survivor.radius = Math.cbrt(Math.pow(a.radius || 0, 3) + Math.pow(b.radius || 0, 3));
+
+  return { survivor, removed };
+}
+
+/**
+ * Bounce two bodies off each other along the line between their centers
+ * @param {Object} a - First body
+ * @param {Object} b - Second body
+ * @param {Object} normal - Unit vector from a to b at contact
+ * @param {Number} restitution - 1 for a perfectly elastic bounce
+ */
+function bounceBodies(a, b, normal, restitution = 1) {
+  const approachSpeed =
+    (b.velocity.x - a.velocity.x) * normal.x +
+    (b.velocity.y - a.velocity.y) * normal.y +
+    (b.velocity.z - a.velocity.z) * normal.z;
+  if (approachSpeed >= 0) return;
+
+  // Fixed bodies act as infinitely heavy
+  const inverseA = a.fixed || !(a.mass > 0) ? 0 : 1 / a.mass;
+  const inverseB = b.fixed || !(b.mass > 0) ? 0 : 1 / b.mass;
+  if (inverseA + inverseB === 0) return;
+
+  const impulse = -(1 + restitution) * approachSpeed / (inverseA + inverseB);
+  ['x', 'y', 'z'].forEach(axis => {
+    a.velocity[axis] -= impulse * inverseA * normal[axis];
+    b.velocity[axis] += impulse * inverseB * normal[axis];
+  });
+}
+
+/**
+ * Detect and resolve the collisions of one step. Bodies removed by mergers
+ * are spliced out of `objects`.
+ * @param {Array} objects - Bodies after the step
+ * @param {Float64Array} previousPositions - Packed positions before the step
+ * @param {Number} dt - Step length in seconds
+ * @param {Object} options - Options
+ * @param {String} options.mode - 'merge' or 'elastic'
+ * @param {Number} options.restitution - Coefficient of restitution for 'elastic'
+ * @param {Number} options.time - Simulation time at the end of the step
+ * @returns {Array} Collision events (see GravitySimulator.onCollision)
+ */
+function resolveCollisions(objects, previousPositions, dt, { mode = 'merge', restitution = 1, time = 0 } = {}) {
+  const contacts = findContacts(objects, previousPositions);
+  if (contacts.length === 0) return [];
+
+  const events = [];
+  const involved = new Set();
+  const removed = new Set();
+
+  for (const { i, j, t } of contacts) {
+    // One resolution per body per step; later contacts are picked up next step
+    if (involved.has(i) || involved.has(j)) continue;
+    involved.add(i);
+    involved.add(j);
+
+    const a = objects[i];
+    const b = objects[j];
+    const contactA = positionAt(a, previousPositions, i, t);
+    const contactB = positionAt(b, previousPositions, j, t);
+    const separation = Math.sqrt(
+      (contactB.x - contactA.x) ** 2 + (contactB.y - contactA.y) ** 2 + (contactB.z - contactA.z) ** 2
+    );
+    const normal = separation > 0 ?
+      {
+        x: (contactB.x - contactA.x) / separation,
+        y: (contactB.y - contactA.y) / separation,
+        z: (contactB.z - contactA.z) / separation
+      } :
+      { x: 1, y: 0, z: 0 };
+
+    // Contact point on the surface of a, towards b
+    const radiusA = (a.radius || 0) * KM_TO_M;
+    const contactPoint = {
+      x: contactA.x + normal.x * radiusA,
+      y: contactA.y + normal.y * radiusA,
+      z: contactA.z + normal.z * radiusA
+    };
+    const relativeSpeed = Math.sqrt(
+      (b.velocity.x - a.velocity.x) ** 2 +
+      (b.velocity.y - a.velocity.y) ** 2 +
+      (b.velocity.z - a.velocity.z) ** 2
+    );
+
+    const event = {
+      mode,
+      time: time - (1 - t) * dt,
+      bodies: [a.id, b.id],
+      position: contactPoint,
+      relativeSpeed
+    };
+
+    if (mode === 'merge') {
+      const radiusBefore = { [a.id]: a.radius, [b.id]: b.radius };
+      const result = mergeBodies(a, b);
+      removed.add(result.removed);
+
+      Object.assign(event, {
+        survivorId: result.survivor.id,
+        removedId: result.removed.id,
+        radiusBefore: radiusBefore[result.survivor.id],
+        survivor: {
+          id: result.survivor.id,
+          mass: result.survivor.mass,
+          radius: result.survivor.radius,
+          position: { ...result.survivor.position },
+          velocity: { ...result.survivor.velocity }
+        }
+      });
+    } else {
+      bounceBodies(a, b, normal, restitution);
+
+      // Restart both bodies from the contact point with their new velocities
+      const remaining = (1 - t) * dt;
+      [[a, contactA], [b, contactB]].forEach(([body, contact]) => {
+        if (body.fixed) return;
+        body.position.x = contact.x + body.velocity.x * remaining;
+        body.position.y = contact.y + body.velocity.y * remaining;
+        body.position.z = contact.z + body.velocity.z * remaining;
+      });
+    }
+
+    events.push(event);
+  }
+
+  if (removed.size > 0) {
+    for (let k = objects.length - 1; k >= 0; k--) {
+      if (removed.has(objects[k])) {
+        objects.splice(k, 1);
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Check that a collision mode is known
+ * @param {String} mode - Mode name
+ * @returns {Boolean} Whether the mode exists
+ */
+function isCollisionMode(mode) {
+  return COLLISION_MODES.some(({ name }) => name === mode);
+}
+
+// Export for both CommonJS and browser/worker environments. Assigned directly
+// (as in integrators.js) because gravitySimulator.js declares `Collisions` and
+// both share one global scope when loaded with importScripts
+if (typeof window !== 'undefined') {
+  window.Collisions = {
+    COLLISION_MODES,
+    sweptContactTime,
+    findContacts,
+    mergeBodies,
+    bounceBodies,
+    resolveCollisions,
+    isCollisionMode
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COLLISION_MODES,
+    sweptContactTime,
+    findContacts,
+    mergeBodies,
+    bounceBodies,
+    resolveCollisions,
+    isCollisionMode
+  };
+}
@@ -0,0 +1,308 @@
+// Diagnostics - Conserved-quantity monitoring for the N-body simulation
+//
+// In an isolated system total energy, linear momentum and angular momentum are
+// conserved and the barycenter moves in a straight line, so their drift
+// measures integration error.
+//
+// Loaded as a classic script next to sceneFormat.js and in the physics worker,
+// so it reads window.CONSTANTS when needed instead of declaring a global.
+
+// Sample fields in CSV column order
+const SAMPLE_FIELDS = [
+  'step', 'time', 'kinetic', 'potential', 'energy',
+  'momentumX', 'momentumY', 'momentumZ',
+  'angularMomentumX', 'angularMomentumY', 'angularMomentumZ',
+  'barycenterX', 'barycenterY', 'barycenterZ',
+  'energyDrift', 'momentumDrift', 'angularMomentumDrift', 'barycenterDrift'
+];
+
+// Drift series shown in charts and checked against the threshold
+const DRIFT_FIELDS = ['energyDrift', 'momentumDrift', 'angularMomentumDrift', 'barycenterDrift'];
+
+/**
+ * Compute the conserved quantities of a set of bodies
+ * @param {Array} objects - Bodies with SI position, velocity and mass
+ * @param {Number} G - Gravitational constant
+ * @param {Number} softening - Global softening length in m, for bodies
+ *   without their own `softening` (the potential matches the softened force)
+ * @returns {Object} Energies (J), momentum (kg m/s), angular momentum
+ *   (kg m^2/s), barycenter (m) and scales used to normalize drift
+ */
+function computeConservedQuantities(objects, G, softening = 0) {
+  const softeningOf = (obj) => (obj.softening >= 0 ? obj.softening : softening);
+
+  let kinetic = 0;
+  let potential = 0;
+  let totalMass = 0;
+  let momentumScale = 0;
+  const momentum = { x: 0, y: 0, z: 0 };
+  const angularMomentum = { x: 0, y: 0, z: 0 };
+  const barycenter = { x: 0, y: 0, z: 0 };
+
+  for (let i = 0; i < objects.length; i++) {
+    const { mass, position: p, velocity: v } = objects[i];
+    const speed2 = v.x * v.x + v.y * v.y + v.z * v.z;
+
+    kinetic += 0.5 * mass * speed2;
+    totalMass += mass;
+    momentumScale += mass * Math.sqrt(speed2);
+
+    momentum.x += mass * v.x;
+    momentum.y += mass * v.y;
+    momentum.z += mass * v.z;
+
+    angularMomentum.x += mass * (p.y * v.z - p.z * v.y);
+    angularMomentum.y += mass * (p.z * v.x - p.x * v.z);
+    angularMomentum.z += mass * (p.x * v.y - p.y * v.x);
+
+    barycenter.x += mass * p.x;
+    barycenter.y += mass * p.y;
+    barycenter.z += mass * p.z;
+
+    for (let j = i + 1; j < objects.length; j++) {
+      const other = objects[j];
+      const dx = other.position.x - p.x;
+      const dy = other.position.y - p.y;
+      const dz = other.position.z - p.z;
+      const epsilon2 = 0.5 * (softeningOf(objects[i]) ** 2 + softeningOf(other) ** 2);
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz + epsilon2);
+      if (distance > 0) {
+        potential -= G * mass * other.mass / distance;
+      }
+    }
+  }
+
+  if (totalMass > 0) {
+    barycenter.x /= totalMass;
+    barycenter.y /= totalMass;
+    barycenter.z /= totalMass;
+  }
+
+  // Mass-weighted spread around the barycenter, to express its drift relatively
+  let spread = 0;
+  for (const { mass, position: p } of objects) {
+    spread += mass * Math.sqrt(
+      (p.x - barycenter.x) ** 2 + (p.y - barycenter.y) ** 2 + (p.z - barycenter.z) ** 2
+    );
+  }
+
+  return {
+    kinetic,
+    potential,
+    energy: kinetic + potential,
+    momentum,
+    angularMomentum,
+    barycenter,
+    totalMass,
+    momentumScale,
+    barycenterScale: totalMass > 0 ? spread / totalMass : 0
+  };
+}
+
+/**
+ * Length of the difference between two vectors
+ * @param {Object} a - Vector {x, y, z}
+ * @param {Object} b - Vector {x, y, z}
+ * @returns {Number} |a - b|
+ * @private
+ */
+function difference(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+/**
+ * Samples conserved quantities every N steps and tracks their drift from the
+ * first sample (the baseline)
+ */
+class DiagnosticsMonitor {
+  /**
+   * Create a new monitor
+   * @param {Object} options - Options
+   * @param {Number} options.interval - Steps between samples
+   * @param {Number} options.threshold - Relative drift that triggers a warning
+   * @param {Number} options.maxSamples - Samples kept before the oldest are dropped
+   */
+  constructor({
+    interval = (window.CONSTANTS || {}).DIAGNOSTICS_INTERVAL || 100,
+    threshold = (window.CONSTANTS || {}).DIAGNOSTICS_DRIFT_THRESHOLD || 1e-6,
+    maxSamples = (window.CONSTANTS || {}).DIAGNOSTICS_MAX_SAMPLES || 2000
+  } = {}) {
+    this.interval = interval;
+    this.threshold = threshold;
+    this.maxSamples = maxSamples;
+
+    this.samples = [];
+    this.baseline = null;
+    this.stepsSinceSample = 0;
+    this.warning = null;
+
+    this.sampleCallbacks = [];
+    this.warningCallbacks = [];
+  }
+
+  /**
+   * Set how many steps pass between samples
+   * @param {Number} interval - Steps between samples
+   */
+  setInterval(interval) {
+    if (!(interval >= 1)) {
+      throw new Error(`Diagnostics interval must be at least 1 step (got ${interval})`);
+    }
+    this.interval = Math.round(interval);
+  }
+
+  /**
+   * Set the relative drift that triggers a warning
+   * @param {Number} threshold - Relative drift, e.g. 1e-6
+   */
+  setThreshold(threshold) {
+    if (!(threshold > 0)) {
+      throw new Error(`Diagnostics threshold must be positive (got ${threshold})`);
+    }
+    this.threshold = threshold;
+  }
+
+  /**
+   * Register a callback for new samples
+   * @param {Function} callback - Called with each sample
+   */
+  onSample(callback) {
+    this.sampleCallbacks.push(callback);
+  }
+
+  /**
+   * Register a callback for drift warnings
+   * @param {Function} callback - Called with { field, drift, threshold, sample }
+   */
+  onWarning(callback) {
+    this.warningCallbacks.push(callback);
+  }
+
+  /**
+   * Called by GravitySimulator after every step
+   * @param {Object} simulator - The simulator that stepped
+   */
+  afterStep(simulator) {
+    this.stepsSinceSample++;
+    if (this.baseline && this.stepsSinceSample < this.interval) return;
+    this.sample(simulator);
+  }
+
+  /**
+   * Take a sample of the simulator's current state
+   * @param {Object} simulator - GravitySimulator to measure
+   * @returns {Object} The recorded sample
+   */
+  sample(simulator) {
+    this.stepsSinceSample = 0;
+
+    const time = simulator.simTime || 0;
+    const quantities = computeConservedQuantities(simulator.objects, simulator.G, simulator.softening || 0);
+    if (!this.baseline) {
+      this.baseline = { ...quantities, time };
+    }
+
+    const base = this.baseline;
+    const relative = (change, scale) => (scale > 0 ? change / scale : 0);
+
+    // Where the barycenter should be if it kept moving with the initial momentum
+    const elapsed = time - base.time;
+    const expectedBarycenter = {
+      x: base.barycenter.x + base.momentum.x / base.totalMass * elapsed,
+      y: base.barycenter.y + base.momentum.y / base.totalMass * elapsed,
+      z: base.barycenter.z + base.momentum.z / base.totalMass * elapsed
+    };
+
+    return this.addSample({
+      step: simulator.stepCount || 0,
+      time,
+      kinetic: quantities.kinetic,
+      potential: quantities.potential,
+      energy: quantities.energy,
+      momentumX: quantities.momentum.x,
+      momentumY: quantities.momentum.y,
+      momentumZ: quantities.momentum.z,
+      angularMomentumX: quantities.angularMomentum.x,
+      angularMomentumY: quantities.angularMomentum.y,
+      angularMomentumZ: quantities.angularMomentum.z,
+      barycenterX: quantities.barycenter.x,
+      barycenterY: quantities.barycenter.y,
+      barycenterZ: quantities.barycenter.z,
+      energyDrift: relative(Math.abs(quantities.energy - base.energy), Math.abs(base.energy)),
+      momentumDrift: relative(difference(quantities.momentum, base.momentum), base.momentumScale),
+      angularMomentumDrift: relative(
+        difference(quantities.angularMomentum, base.angularMomentum),
+        Math.sqrt(base.angularMomentum.x ** 2 + base.angularMomentum.y ** 2 + base.angularMomentum.z ** 2)
+      ),
+      barycenterDrift: relative(difference(quantities.barycenter, expectedBarycenter), base.barycenterScale)
+    });
+  }
+
+  /**
+   * Record a sample, e.g. one computed in the physics worker
+   * @param {Object} sample - Sample with the fields in SAMPLE_FIELDS
+   * @returns {Object} The sample
+   */
+  addSample(sample) {
+    this.samples.push(sample);
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+
+    this.sampleCallbacks.forEach(callback => callback(sample));
+
+    // Warn once when a drift first crosses the threshold
+    const field = DRIFT_FIELDS.find(name => sample[name] > this.threshold);
+    if (field && !this.warning) {
+      this.warning = { field, drift: sample[field], threshold: this.threshold, sample };
+      this.warningCallbacks.forEach(callback => callback(this.warning));
+    } else if (!field) {
+      this.warning = null;
+    }
+
+    return sample;
+  }
+
+  /**
+   * Get the recorded samples
+   * @returns {Array} Samples, oldest first
+   */
+  getSamples() {
+    return this.samples;
+  }
+
+  /**
+   * Forget all samples; the next sample becomes the new baseline
+   */
+  reset() {
+    this.samples = [];
+    this.baseline = null;
+    this.stepsSinceSample = 0;
+    this.warning = null;
+  }
+
+  /**
+   * Export the samples as CSV (SI units, drifts are relative)
+   * @returns {String} CSV text with a header row
+   */
+  toCSV() {
+    const rows = this.samples.map(sample => SAMPLE_FIELDS.map(field => sample[field]).join(','));
+    return [SAMPLE_FIELDS.join(','), ...rows].join('\n');
+  }
+}
+
+const Diagnostics = {
+  SAMPLE_FIELDS,
+  DRIFT_FIELDS,
+  computeConservedQuantities,
+  DiagnosticsMonitor
+};
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.Diagnostics = Diagnostics;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Diagnostics;
+}
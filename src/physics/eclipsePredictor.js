@@ -0,0 +1,431 @@
+// Eclipse Predictor - Finds solar and lunar eclipses and transits ahead of time
+//
+// Loaded as a classic script next to the other physics modules, so it reads
+// window.CONSTANTS, window.OrbitalElements, window.TrajectoryPredictor and
+// window.EventDetector when needed.
+
+/**
+ * Predicts eclipses by integrating a throwaway copy of the simulation (see
+ * TrajectoryPredictor.copySimulator) and watching the shadow each body casts
+ * away from the star:
+ *
+ * - solar eclipse: a moon's shadow falls on its planet
+ * - lunar eclipse: a planet's shadow falls on its moon
+ * - transit: a planet crosses the star's disk as seen from the observer
+ *   (Earth by default)
+ *
+ * The shadow is modelled as cones from the star's and the occulter's radii:
+ * the umbra narrows to an apex behind the occulter and opens again as the
+ * antumbra; the penumbra widens all the way. An eclipse runs while the target
+ * overlaps the penumbra. Contacts are refined between integration steps with
+ * Hermite interpolation and root finding, and the type is set at the moment
+ * the target is closest to the shadow axis:
+ *
+ * - solar: 'total' (umbra reaches the planet), 'annular' (antumbra does) or 'partial'
+ * - lunar: 'total' (moon inside the umbra), 'partial' or 'penumbral'
+ * - transit: 'full' (planet's disk wholly inside the star's) or 'partial'
+ */
+class EclipsePredictor {
+  /**
+   * Create a new predictor
+   * @param {Object} options - Options
+   * @param {Number} options.days - Simulated days to search ahead
+   * @param {Number} options.stepHours - Integration step in hours
+   * @param {String} options.observerName - Body transits are seen from
+   */
+  constructor({ days, stepHours, observerName = 'Earth' } = {}) {
+    const CONSTANTS = window.CONSTANTS || {};
+    this.days = days || CONSTANTS.ECLIPSE_PREDICTION_DAYS || 365;
+    this.stepHours = stepHours || CONSTANTS.ECLIPSE_STEP_HOURS || 1;
+    this.observerName = observerName;
+    this.eclipses = [];
+  }
+
+  /**
+   * Set how far ahead to search
+   * @param {Number} days - Simulated days
+   */
+  setDays(days) {
+    if (!(days > 0)) {
+      throw new Error(`Prediction length must be a positive number of days (got ${days})`);
+    }
+    this.days = days;
+  }
+
+  /**
+   * Drop the predicted eclipses
+   */
+  clear() {
+    this.eclipses = [];
+  }
+
+  /**
+   * Search the next `days` for eclipses and transits, following the direction
+   * of the clock
+   * @param {Object} physics - GravitySimulator or WorkerGravitySimulator
+   * @param {Array} objects - Celestial objects, for radii and which bodies are stars
+   * @returns {Array} Eclipses in the order they happen
+   */
+  predict(physics, objects = physics.getObjects()) {
+    const pairs = EclipsePredictor.findPairs(objects, this.observerName);
+    this.eclipses = [];
+    if (pairs.length === 0) return this.eclipses;
+
+    const TrajectoryPredictor = window.TrajectoryPredictor || require('./trajectoryPredictor');
+    const simulator = TrajectoryPredictor.copySimulator(physics);
+    const secondsPerDay = physics.secondsPerDay || 86400;
+    const dt = (physics.timeScale < 0 ? -1 : 1) * this.stepHours * 3600;
+    const steps = Math.ceil(this.days * secondsPerDay / Math.abs(dt));
+
+    const radii = new Map(objects.map(obj => [obj.id, (obj.radius || 0) * 1000]));
+    const ids = new Set();
+    pairs.forEach(pair => [pair.lightId, pair.occulterId, pair.targetId].forEach(id => ids.add(id)));
+
+    const snapshot = () => {
+      const byId = new Map();
+      simulator.objects.forEach(obj => {
+        if (!ids.has(obj.id)) return;
+        byId.set(obj.id, {
+          position: { x: obj.position.x, y: obj.position.y, z: obj.position.z },
+          velocity: { x: obj.velocity.x, y: obj.velocity.y, z: obj.velocity.z }
+        });
+      });
+      return { simTime: simulator.simTime, byId };
+    };
+
+    // Per pair: snapshots of the eclipse under way, if any
+    const open = new Map();
+    let previous = snapshot();
+    const margins = pairs.map(pair => shadowMargin(pair, previous, radii));
+    margins.forEach((margin, i) => {
+      if (margin < 0) open.set(i, { start: null, samples: [previous] });
+    });
+
+    for (let k = 0; k < steps && simulator.objects.length > 0; k++) {
+      simulator.step(dt);
+      const current = snapshot();
+
+      pairs.forEach((pair, i) => {
+        if (![pair.lightId, pair.occulterId, pair.targetId].every(id => current.byId.has(id))) return;
+
+        const g0 = margins[i];
+        const g1 = shadowMargin(pair, current, radii);
+        margins[i] = g1;
+
+        const eclipse = open.get(i);
+        if (!eclipse && g0 >= 0 && g1 < 0) {
+          const start = contactTime(pair, previous, current, radii, g0, g1);
+          open.set(i, { start, samples: [previous, current] });
+        } else if (eclipse && g1 >= 0) {
+          eclipse.samples.push(current);
+          eclipse.end = contactTime(pair, previous, current, radii, g0, g1);
+          this.eclipses.push(this.describe(pair, eclipse, radii, objects, simulator));
+          open.delete(i);
+        } else if (eclipse) {
+          eclipse.samples.push(current);
+        }
+      });
+
+      previous = current;
+    }
+
+    // Eclipses still under way at the end of the search
+    open.forEach((eclipse, i) => {
+      eclipse.end = null;
+      this.eclipses.push(this.describe(pairs[i], eclipse, radii, objects, simulator));
+    });
+
+    const direction = Math.sign(dt);
+    this.eclipses.sort((a, b) => (a.greatest.simTime - b.greatest.simTime) * direction);
+    return this.eclipses;
+  }
+
+  /**
+   * Build the record of a finished eclipse
+   * @param {Object} pair - { kind, lightId, occulterId, targetId }
+   * @param {Object} eclipse - { start, end, samples } with contact times in s in
+   *   the order of integration (null if outside the search)
+   * @param {Map} radii - Body ID -> radius in m
+   * @param {Array} objects - Celestial objects, for names
+   * @param {Object} simulator - Simulator copy, for the calendar
+   * @returns {Object} Eclipse record
+   */
+  describe(pair, eclipse, radii, objects, simulator) {
+    const { samples } = eclipse;
+    const first = samples[0].simTime;
+    const last = samples[samples.length - 1].simTime;
+    const from = eclipse.start !== null ? eclipse.start : first;
+    const to = eclipse.end !== null ? eclipse.end : last;
+
+    // Greatest eclipse: target closest to the shadow axis
+    const distanceFromAxis = (time) => shadowGeometry(pair, stateAtTime(samples, time), radii).rho;
+    const greatest = goldenSectionMinimum(distanceFromAxis, Math.min(from, to), Math.max(from, to));
+    const geometry = shadowGeometry(pair, stateAtTime(samples, greatest), radii);
+
+    const nameOf = (id) => {
+      const object = objects.find(obj => obj.id === id);
+      return object ? object.name || id : id;
+    };
+    const at = (time) => (time === null ? null : {
+      simTime: time,
+      julianDate: simulator.epoch + time / (simulator.secondsPerDay || 86400)
+    });
+
+    // Contacts in calendar order when the search ran backward
+    const contacts = last < first ? [eclipse.end, eclipse.start] : [eclipse.start, eclipse.end];
+
+    return {
+      kind: pair.kind,
+      type: classifyEclipse(pair.kind, geometry, radii.get(pair.targetId)),
+      lightId: pair.lightId,
+      occulterId: pair.occulterId,
+      targetId: pair.targetId,
+      lightName: nameOf(pair.lightId),
+      occulterName: nameOf(pair.occulterId),
+      targetName: nameOf(pair.targetId),
+      start: at(contacts[0]),
+      greatest: at(greatest),
+      end: at(contacts[1])
+    };
+  }
+
+  /**
+   * Find the star, occulter and target of every eclipse the system can have:
+   * moons and their planets shadow each other, and planets of the star can
+   * transit it as seen from the observer
+   * @param {Array} objects - Bodies with id, name, mass, radius, position and isStar
+   * @param {String} observerName - Name of the body transits are seen from
+   * @returns {Array} [{ kind: 'solar'|'lunar'|'transit', lightId, occulterId, targetId }]
+   */
+  static findPairs(objects, observerName = 'Earth') {
+    const OrbitalElements = window.OrbitalElements || require('./orbitalElements');
+    const heaviest = (list) => list.reduce((best, obj) => (!best || obj.mass > best.mass ? obj : best), null);
+
+    // The light comes from the primary star (see CelestialObject.addLightSource)
+    const stars = objects.filter(obj => obj.isStar);
+    const light = heaviest(stars.length > 0 ? stars : objects);
+    if (!light || !(light.radius > 0)) return [];
+
+    const parents = new Map();
+    objects.forEach(obj => parents.set(obj.id, OrbitalElements.findDominantAttractor(obj, objects)));
+    // Spacecraft neither cast nor catch shadows worth predicting
+    const hasRadius = (obj) => obj.radius > 0 && obj !== light && obj.type !== 'spacecraft';
+
+    const pairs = [];
+    objects.forEach(obj => {
+      const parent = parents.get(obj.id);
+      if (!parent || !hasRadius(obj)) return;
+
+      if (parent !== light && hasRadius(parent) && parents.get(parent.id) === light) {
+        pairs.push({ kind: 'solar', lightId: light.id, occulterId: obj.id, targetId: parent.id });
+        pairs.push({ kind: 'lunar', lightId: light.id, occulterId: parent.id, targetId: obj.id });
+      }
+    });
+
+    const observer = objects.find(obj => obj.name === observerName);
+    if (observer && hasRadius(observer) && parents.get(observer.id) === light) {
+      objects.forEach(obj => {
+        if (obj !== observer && hasRadius(obj) && parents.get(obj.id) === light) {
+          pairs.push({ kind: 'transit', lightId: light.id, occulterId: obj.id, targetId: observer.id });
+        }
+      });
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Shadow cone geometry for a pair (see shadowGeometry)
+   * @param {Object} pair - { lightId, occulterId, targetId }
+   * @param {Object} state - { byId } Map of body ID -> { position } in m
+   * @param {Map} radii - Body ID -> radius in m
+   * @returns {Object} Geometry
+   */
+  static shadowGeometry(pair, state, radii) {
+    return shadowGeometry(pair, state, radii);
+  }
+}
+
+/**
+ * Where the target sits in the occulter's shadow. Distances are in m along
+ * the axis from the star through the occulter.
+ * @param {Object} pair - { lightId, occulterId, targetId }
+ * @param {Object} state - { byId } Map of body ID -> { position }
+ * @param {Map} radii - Body ID -> radius in m
+ * @returns {Object} { axis (unit vector), lightDistance (star to occulter),
+ *   behind (target's distance along the axis past the occulter), rho (distance
+ *   from the axis), separation (target to occulter), umbra and penumbra (cone
+ *   radii at the target; umbra is negative in the antumbra), umbraLength }
+ */
+function shadowGeometry(pair, state, radii) {
+  const light = state.byId.get(pair.lightId).position;
+  const occulter = state.byId.get(pair.occulterId).position;
+  const target = state.byId.get(pair.targetId).position;
+  const lightRadius = radii.get(pair.lightId);
+  const occulterRadius = radii.get(pair.occulterId);
+
+  const ax = occulter.x - light.x;
+  const ay = occulter.y - light.y;
+  const az = occulter.z - light.z;
+  const lightDistance = Math.sqrt(ax * ax + ay * ay + az * az);
+  const axis = { x: ax / lightDistance, y: ay / lightDistance, z: az / lightDistance };
+
+  const wx = target.x - occulter.x;
+  const wy = target.y - occulter.y;
+  const wz = target.z - occulter.z;
+  const separation = Math.sqrt(wx * wx + wy * wy + wz * wz);
+  const behind = wx * axis.x + wy * axis.y + wz * axis.z;
+  const rho = Math.sqrt(Math.max(0, separation * separation - behind * behind));
+
+  const x = Math.max(0, behind);
+  return {
+    axis,
+    lightDistance,
+    behind,
+    rho,
+    separation,
+    umbra: occulterRadius - x * (lightRadius - occulterRadius) / lightDistance,
+    penumbra: occulterRadius + x * (lightRadius + occulterRadius) / lightDistance,
+    umbraLength: occulterRadius * lightDistance / (lightRadius - occulterRadius)
+  };
+}
+
+/**
+ * How far the target is from touching the penumbra; negative during an
+ * eclipse. On the star's side of the occulter this is the gap between the two
+ * bodies, which meets the shadow measure continuously at the terminator.
+ * @param {Object} pair - { lightId, occulterId, targetId }
+ * @param {Object} state - { byId }
+ * @param {Map} radii - Body ID -> radius in m
+ * @returns {Number} Margin in m
+ */
+function shadowMargin(pair, state, radii) {
+  if (![pair.lightId, pair.occulterId, pair.targetId].every(id => state.byId.has(id))) return Infinity;
+
+  const geometry = shadowGeometry(pair, state, radii);
+  const targetRadius = radii.get(pair.targetId);
+  if (geometry.behind <= 0) {
+    return geometry.separation - targetRadius - radii.get(pair.occulterId);
+  }
+  return geometry.rho - targetRadius - geometry.penumbra;
+}
+
+/**
+ * Time at which the shadow margin crosses zero between two samples
+ * @param {Object} pair - Eclipse pair
+ * @param {Object} from - Earlier sample (in the order of integration)
+ * @param {Object} to - Later sample
+ * @param {Map} radii - Body ID -> radius in m
+ * @param {Number} g0 - Margin at `from`
+ * @param {Number} g1 - Margin at `to`
+ * @returns {Number} Simulated seconds of the contact
+ */
+function contactTime(pair, from, to, radii, g0, g1) {
+  const EventDetector = window.EventDetector || require('./eventDetector');
+  const s = EventDetector.refineRoot((fraction) => shadowMargin(pair, interpolateSamples(from, to, fraction), radii), g0, g1);
+  return from.simTime + s * (to.simTime - from.simTime);
+}
+
+/**
+ * Interpolated state between two samples
+ * @param {Object} from - Sample { simTime, byId }
+ * @param {Object} to - Sample
+ * @param {Number} fraction - 0 at `from`, 1 at `to`
+ * @returns {Object} { byId } with interpolated positions and velocities
+ */
+function interpolateSamples(from, to, fraction) {
+  const EventDetector = window.EventDetector || require('./eventDetector');
+  const dt = to.simTime - from.simTime;
+  const byId = new Map();
+  to.byId.forEach((state, id) => {
+    const start = from.byId.get(id);
+    if (start) byId.set(id, EventDetector.interpolateState(start, state, dt, fraction));
+  });
+  return { byId };
+}
+
+/**
+ * Interpolated state at a time covered by a run of samples
+ * @param {Array} samples - Consecutive samples
+ * @param {Number} time - Simulated seconds
+ * @returns {Object} { byId }
+ */
+function stateAtTime(samples, time) {
+  if (samples.length === 1) return samples[0];
+
+  let k = 0;
+  while (k < samples.length - 2 &&
+         (time - samples[k + 1].simTime) * (samples[k + 1].simTime - samples[k].simTime) > 0) {
+    k++;
+  }
+  const from = samples[k];
+  const to = samples[k + 1];
+  const fraction = Math.max(0, Math.min(1, (time - from.simTime) / (to.simTime - from.simTime)));
+  return interpolateSamples(from, to, fraction);
+}
+
+/**
+ * Minimise a function of one variable on an interval by golden-section search
+ * @param {Function} fn - Function to minimise
+ * @param {Number} a - Lower bound
+ * @param {Number} b - Upper bound
+ * @returns {Number} Location of the minimum
+ */
+function goldenSectionMinimum(fn, a, b) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  let fc = fn(c);
+  let fd = fn(d);
+
+  for (let k = 0; k < 60 && b - a > 1e-3; k++) {
+    if (fc < fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - ratio * (b - a);
+      fc = fn(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + ratio * (b - a);
+      fd = fn(d);
+    }
+  }
+
+  return (a + b) / 2;
+}
+
+/**
+ * Type of an eclipse from the geometry at greatest eclipse
+ * @param {String} kind - 'solar', 'lunar' or 'transit'
+ * @param {Object} geometry - From shadowGeometry
+ * @param {Number} targetRadius - Radius of the target in m
+ * @returns {String} 'total', 'annular', 'partial', 'penumbral' or 'full'
+ */
+function classifyEclipse(kind, { rho, umbra }, targetRadius) {
+  if (kind === 'lunar') {
+    if (rho + targetRadius <= umbra) return 'total';
+    return rho - targetRadius < umbra ? 'partial' : 'penumbral';
+  }
+
+  if (kind === 'transit') {
+    // Inside the antumbra the planet's disk lies wholly within the star's
+    return umbra < 0 && rho < -umbra ? 'full' : 'partial';
+  }
+
+  if (rho - targetRadius < Math.abs(umbra)) {
+    return umbra > 0 ? 'total' : 'annular';
+  }
+  return 'partial';
+}
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.EclipsePredictor = EclipsePredictor;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EclipsePredictor;
+}
@@ -0,0 +1,487 @@
+// Event Detector - Finds close approaches, apsides, conjunctions and orbit
+// crossings in the running simulation
+//
+// Loaded as a classic script next to the other physics modules, so it reads
+// window.CONSTANTS and window.OrbitalElements when needed.
+
+// Kinds of event that can be switched on and off
+const EVENT_CATEGORIES = [
+  { name: 'close-approach', label: 'Close approaches' },
+  { name: 'apsis', label: 'Periapsis / apoapsis' },
+  { name: 'conjunction', label: 'Conjunctions / oppositions' },
+  { name: 'orbit-crossing', label: 'Orbit crossings' }
+];
+
+/**
+ * Watches the simulation from one sample to the next and reports events that
+ * happened in between. Each event is a sign change of an event function:
+ *
+ * - close approach: the radial velocity between two bodies turns positive
+ *   while they are closer than the threshold
+ * - periapsis / apoapsis: the radial velocity relative to the dominant
+ *   attractor changes sign
+ * - conjunction / opposition: a body's ecliptic longitude as seen from the
+ *   observer passes the star's, or the point opposite it
+ * - orbit crossing: a body passes the osculating orbit of a heavier body
+ *   with the same attractor, measured in that orbit's plane
+ *
+ * Between two samples the bodies are placed with cubic Hermite interpolation
+ * of their positions and velocities, and the event time is refined with the
+ * Illinois method, so events are timed far more finely than the frame rate.
+ *
+ * An event is { id, category, type, detail, bodyId, otherId, observerId,
+ * bodyName, otherName, distance (m), simTime (s), julianDate, position } with
+ * the body's position {x, y, z} in m at the event.
+ */
+class EventDetector {
+  /**
+   * Create a new detector
+   * @param {Object} options - Options
+   * @param {Number} options.closeApproachDistance - Threshold for close approaches in m
+   * @param {String} options.observerId - Body conjunctions are seen from
+   * @param {String} options.observerName - Name to find the observer by when
+   *   its ID is not in the simulation, e.g. after another system is loaded
+   */
+  constructor({ closeApproachDistance, observerId = null, observerName = 'Earth' } = {}) {
+    const CONSTANTS = window.CONSTANTS || {};
+    this.closeApproachDistance = closeApproachDistance ||
+      (CONSTANTS.EVENT_CLOSE_APPROACH_AU || 0.1) * (CONSTANTS.AU_IN_METERS || 1.495978707e11);
+    this.observerId = observerId;
+    this.observerName = observerName;
+    this.categories = new Set(EVENT_CATEGORIES.map(category => category.name));
+
+    this.events = [];
+    this.nextId = 1;
+    this.previous = null; // Snapshot the next interval starts from
+
+    this.eventCallbacks = [];
+  }
+
+  /**
+   * Set the distance below which close approaches are reported
+   * @param {Number} distance - Threshold in m
+   */
+  setCloseApproachDistance(distance) {
+    if (!(distance > 0)) {
+      throw new Error(`Close approach distance must be positive (got ${distance})`);
+    }
+    this.closeApproachDistance = distance;
+  }
+
+  /**
+   * Set the body conjunctions and oppositions are seen from
+   * @param {String|null} id - Observer body ID, or null to skip conjunctions
+   * @param {String|null} name - Observer name, to find it again in a reloaded system
+   */
+  setObserver(id, name = null) {
+    this.observerId = id || null;
+    this.observerName = id ? name : null;
+  }
+
+  /**
+   * Switch a kind of event on or off
+   * @param {String} name - Category name (see EventDetector.CATEGORIES)
+   * @param {Boolean} enabled - Whether to detect it
+   */
+  setCategoryEnabled(name, enabled) {
+    if (!EVENT_CATEGORIES.some(category => category.name === name)) {
+      throw new Error(`Unknown event category: ${name}`);
+    }
+    if (enabled) {
+      this.categories.add(name);
+    } else {
+      this.categories.delete(name);
+    }
+  }
+
+  /**
+   * Register a callback for new events
+   * @param {Function} callback - Called with each event
+   */
+  onEvent(callback) {
+    this.eventCallbacks.push(callback);
+  }
+
+  /**
+   * Start the next interval from the next sample, e.g. after the clock jumped
+   */
+  reset() {
+    this.previous = null;
+  }
+
+  /**
+   * Drop every event
+   */
+  clear() {
+    this.events = [];
+  }
+
+  /**
+   * Take a sample of the running simulation and report the events since the
+   * last one
+   * @param {Object} physics - GravitySimulator or WorkerGravitySimulator
+   * @returns {Array} New events in the order they happened
+   */
+  sample(physics) {
+    const snapshot = takeSnapshot(physics);
+    const previous = this.previous;
+    const dt = previous ? snapshot.simTime - previous.simTime : 0;
+    if (previous && dt === 0) return [];
+    this.previous = snapshot;
+
+    const maxDays = (window.CONSTANTS || {}).EVENT_MAX_INTERVAL_DAYS || 10;
+    if (!previous || Math.abs(dt) > maxDays * snapshot.secondsPerDay) return [];
+
+    const added = [];
+    this.scan(previous, snapshot, physics.G)
+      .sort((a, b) => (a.simTime - b.simTime) * Math.sign(dt))
+      .forEach(event => {
+        if (this.isDuplicate(event)) return;
+        event.id = this.nextId++;
+        this.events.push(event);
+        added.push(event);
+      });
+
+    const limit = (window.CONSTANTS || {}).EVENT_LOG_LIMIT || 500;
+    if (this.events.length > limit) {
+      this.events.splice(0, this.events.length - limit);
+    }
+
+    added.forEach(event => {
+      this.eventCallbacks.forEach(callback => {
+        try {
+          callback(event);
+        } catch (error) {
+          console.error('Error in event callback:', error);
+        }
+      });
+    });
+
+    return added;
+  }
+
+  /**
+   * Whether an event was already found, e.g. when time runs back over it
+   * @param {Object} event - Candidate event
+   * @returns {Boolean} Whether a matching event is logged
+   */
+  isDuplicate(event) {
+    const CONSTANTS = window.CONSTANTS || {};
+    const tolerance = (CONSTANTS.EVENT_DEDUPE_DAYS || 0.5) * (CONSTANTS.SECONDS_PER_DAY || 86400);
+    return this.events.some(other =>
+      other.type === event.type &&
+      other.bodyId === event.bodyId &&
+      other.otherId === event.otherId &&
+      other.observerId === event.observerId &&
+      Math.abs(other.simTime - event.simTime) < tolerance);
+  }
+
+  /**
+   * Find the events between two snapshots
+   * @param {Object} from - Snapshot at the start of the interval
+   * @param {Object} to - Snapshot at the end of the interval
+   * @param {Number} G - Gravitational constant
+   * @returns {Array} Events, unordered and without IDs
+   */
+  scan(from, to, G = (window.CONSTANTS || {}).G) {
+    const OrbitalElements = window.OrbitalElements || require('./orbitalElements');
+    const dt = to.simTime - from.simTime;
+    const bodies = to.bodies.filter(body => from.byId.has(body.id));
+    const events = [];
+
+    // Hierarchy at the end of the interval
+    const parents = new Map();
+    bodies.forEach(body => {
+      const parent = OrbitalElements.findDominantAttractor(body, bodies);
+      if (parent) parents.set(body.id, parent);
+    });
+
+    const stateAt = (body, s) => interpolateState(from.byId.get(body.id), body, dt, s);
+    const relativeAt = (body, other, s) => {
+      const a = stateAt(body, s);
+      const b = stateAt(other, s);
+      return {
+        r: { x: a.position.x - b.position.x, y: a.position.y - b.position.y, z: a.position.z - b.position.z },
+        v: { x: a.velocity.x - b.velocity.x, y: a.velocity.y - b.velocity.y, z: a.velocity.z - b.velocity.z }
+      };
+    };
+    const radialVelocity = (body, other) => (s) => {
+      const { r, v } = relativeAt(body, other, s);
+      return r.x * v.x + r.y * v.y + r.z * v.z;
+    };
+
+    // Refine a sign change of fn over the interval into an event
+    const watch = (fn, describe) => {
+      const g0 = fn(0);
+      const g1 = fn(1);
+      if (!(g0 < 0 && g1 >= 0) && !(g0 >= 0 && g1 < 0)) return;
+
+      const s = refineRoot(fn, g0, g1);
+      const rising = (g1 > g0) === (dt > 0); // Increasing in time
+      const event = describe(s, rising);
+      if (!event) return;
+
+      events.push({
+        observerId: null,
+        detail: null,
+        ...event,
+        simTime: from.simTime + s * dt,
+        julianDate: from.julianDate + (s * dt) / to.secondsPerDay
+      });
+    };
+
+    const distanceAt = (body, other, s) => {
+      const { r } = relativeAt(body, other, s);
+      return Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
+    };
+    const base = (type, category, body, other, s) => ({
+      type,
+      category,
+      bodyId: body.id,
+      otherId: other.id,
+      bodyName: body.name,
+      otherName: other.name,
+      distance: distanceAt(body, other, s),
+      position: stateAt(body, s).position
+    });
+
+    if (this.categories.has('apsis')) {
+      parents.forEach((parent, id) => {
+        const body = to.byId.get(id);
+        watch(radialVelocity(body, parent), (s, rising) => {
+          const { r, v } = relativeAt(body, parent, s);
+          const elements = OrbitalElements.stateToKepler(r, v, G * (parent.mass + body.mass));
+          const minEccentricity = (window.CONSTANTS || {}).EVENT_MIN_ECCENTRICITY || 1e-3;
+          if (!(elements.e >= minEccentricity)) return null;
+          return base(rising ? 'periapsis' : 'apoapsis', 'apsis', body, parent, s);
+        });
+      });
+    }
+
+    if (this.categories.has('close-approach')) {
+      for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+          // Passages between a body and its attractor are apsides
+          if (parents.get(bodies[i].id) === bodies[j] || parents.get(bodies[j].id) === bodies[i]) continue;
+
+          const [body, other] = bodies[i].mass <= bodies[j].mass ?
+            [bodies[i], bodies[j]] : [bodies[j], bodies[i]];
+          watch(radialVelocity(body, other), (s, rising) => {
+            if (!rising || distanceAt(body, other, s) >= this.closeApproachDistance) return null;
+            return base('close-approach', 'close-approach', body, other, s);
+          });
+        }
+      }
+    }
+
+    let observer = to.byId.get(this.observerId);
+    if (!observer && this.observerName) {
+      observer = bodies.find(body => body.name === this.observerName);
+      if (observer) this.observerId = observer.id;
+    }
+    const star = bodies.reduce((heaviest, body) => (!heaviest || body.mass > heaviest.mass ? body : heaviest), null);
+    if (this.categories.has('conjunction') && observer && star && observer !== star) {
+      bodies.forEach(body => {
+        if (body === observer || body === star) return;
+
+        // Sign of sin(longitude of body - longitude of star) seen from the observer
+        const longitudeSine = (s) => {
+          const toBody = relativeAt(body, observer, s).r;
+          const toStar = relativeAt(star, observer, s).r;
+          return toBody.x * toStar.y - toBody.y * toStar.x;
+        };
+
+        watch(longitudeSine, (s) => {
+          const toBody = relativeAt(body, observer, s).r;
+          const toStar = relativeAt(star, observer, s).r;
+          const event = {
+            ...base('conjunction', 'conjunction', body, star, s),
+            observerId: observer.id,
+            distance: distanceAt(body, observer, s)
+          };
+          if (toBody.x * toStar.x + toBody.y * toStar.y < 0) {
+            event.type = 'opposition';
+          } else {
+            event.detail = event.distance < distanceAt(star, observer, s) ? 'inferior' : 'superior';
+          }
+          return event;
+        });
+      });
+    }
+
+    if (this.categories.has('orbit-crossing')) {
+      bodies.forEach(body => {
+        const parent = parents.get(body.id);
+        if (!parent) return;
+
+        bodies.forEach(other => {
+          if (other === body || parents.get(other.id) !== parent || other.mass < body.mass) return;
+          if (other.mass === body.mass && other.id < body.id) return;
+
+          const mu = G * (parent.mass + other.mass);
+          const end = relativeAt(other, parent, 1);
+          if (!(OrbitalElements.stateToKepler(end.r, end.v, mu).e < 1)) return;
+
+          watch((s) => orbitCrossingDistance(relativeAt(body, parent, s).r, relativeAt(other, parent, s), mu),
+            (s, rising) => ({
+              ...base('orbit-crossing', 'orbit-crossing', body, other, s),
+              detail: rising ? 'outbound' : 'inbound'
+            }));
+        });
+      });
+    }
+
+    return events;
+  }
+}
+
+EventDetector.CATEGORIES = EVENT_CATEGORIES;
+
+/**
+ * Copy the state of every body with the clock
+ * @param {Object} physics - GravitySimulator or WorkerGravitySimulator
+ * @returns {Object} { simTime, julianDate, secondsPerDay, bodies, byId }
+ */
+function takeSnapshot(physics) {
+  const bodies = physics.getObjects().map(obj => ({
+    id: obj.id,
+    name: obj.name || obj.id,
+    mass: obj.mass,
+    position: { x: obj.position.x, y: obj.position.y, z: obj.position.z },
+    velocity: obj.velocity ?
+      { x: obj.velocity.x, y: obj.velocity.y, z: obj.velocity.z } :
+      { x: 0, y: 0, z: 0 }
+  }));
+
+  return {
+    simTime: physics.simTime || 0,
+    julianDate: physics.getJulianDate(),
+    secondsPerDay: physics.secondsPerDay || 86400,
+    bodies,
+    byId: new Map(bodies.map(body => [body.id, body]))
+  };
+}
+
+/**
+ * Cubic Hermite interpolation of a body's state between two snapshots
+ * @param {Object} a - State at the start ({ position, velocity })
+ * @param {Object} b - State at the end
+ * @param {Number} dt - Seconds from a to b (negative when time runs backward)
+ * @param {Number} s - Fraction of the interval, 0 to 1
+ * @returns {Object} { position, velocity } at the fraction
+ */
+function interpolateState(a, b, dt, s) {
+  const s2 = s * s;
+  const s3 = s2 * s;
+  const h00 = 2 * s3 - 3 * s2 + 1;
+  const h10 = s3 - 2 * s2 + s;
+  const h01 = 3 * s2 - 2 * s3;
+  const h11 = s3 - s2;
+  const d00 = 6 * s2 - 6 * s;
+  const d10 = 3 * s2 - 4 * s + 1;
+  const d11 = 3 * s2 - 2 * s;
+
+  const position = {};
+  const velocity = {};
+  ['x', 'y', 'z'].forEach(axis => {
+    const p0 = a.position[axis];
+    const p1 = b.position[axis];
+    const v0 = a.velocity[axis];
+    const v1 = b.velocity[axis];
+    position[axis] = h00 * p0 + h10 * dt * v0 + h01 * p1 + h11 * dt * v1;
+    velocity[axis] = d00 * (p0 - p1) / dt + d10 * v0 + d11 * v1;
+  });
+
+  return { position, velocity };
+}
+
+/**
+ * Find where fn crosses zero between s = 0 and s = 1 with the Illinois
+ * variant of regula falsi
+ * @param {Function} fn - Event function of the interval fraction
+ * @param {Number} f0 - fn(0)
+ * @param {Number} f1 - fn(1), of opposite sign
+ * @returns {Number} Fraction of the interval at the root
+ */
+function refineRoot(fn, f0, f1) {
+  let a = 0;
+  let b = 1;
+  let fa = f0;
+  let fb = f1;
+  let side = 0;
+
+  for (let k = 0; k < 100 && b - a > 1e-12; k++) {
+    const c = (fa * b - fb * a) / (fa - fb);
+    const fc = fn(c);
+    if (fc === 0) return c;
+
+    if ((fc < 0) === (fb < 0)) {
+      b = c;
+      fb = fc;
+      if (side === -1) fa /= 2;
+      side = -1;
+    } else {
+      a = c;
+      fa = fc;
+      if (side === 1) fb /= 2;
+      side = 1;
+    }
+  }
+
+  return (fa * b - fb * a) / (fa - fb);
+}
+
+/**
+ * Signed distance of a body from another body's osculating orbit, both
+ * relative to their common attractor, measured in that orbit's plane
+ * @param {Object} position - Body's relative position {x, y, z} in m
+ * @param {Object} orbit - Relative { r, v } of the body whose orbit is crossed
+ * @param {Number} mu - Gravitational parameter of the orbit in m^3/s^2
+ * @returns {Number} Positive when the body is outside the orbit, in m
+ */
+function orbitCrossingDistance(position, orbit, mu) {
+  const { r, v } = orbit;
+  const radius = Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
+  const rDotV = r.x * v.x + r.y * v.y + r.z * v.z;
+  const scale = (v.x * v.x + v.y * v.y + v.z * v.z) - mu / radius;
+
+  // Angular momentum and eccentricity vectors of the orbit
+  const h = { x: r.y * v.z - r.z * v.y, y: r.z * v.x - r.x * v.z, z: r.x * v.y - r.y * v.x };
+  const hLength = Math.sqrt(h.x * h.x + h.y * h.y + h.z * h.z);
+  const ecc = {
+    x: (scale * r.x - rDotV * v.x) / mu,
+    y: (scale * r.y - rDotV * v.y) / mu,
+    z: (scale * r.z - rDotV * v.z) / mu
+  };
+  const e = Math.sqrt(ecc.x * ecc.x + ecc.y * ecc.y + ecc.z * ecc.z);
+
+  // In-plane axes: P towards periapsis (or the body on a circular orbit), Q ahead of it
+  const P = e > 1e-8 ?
+    { x: ecc.x / e, y: ecc.y / e, z: ecc.z / e } :
+    { x: r.x / radius, y: r.y / radius, z: r.z / radius };
+  const Q = {
+    x: (h.y * P.z - h.z * P.y) / hLength,
+    y: (h.z * P.x - h.x * P.z) / hLength,
+    z: (h.x * P.y - h.y * P.x) / hLength
+  };
+
+  const x = position.x * P.x + position.y * P.y + position.z * P.z;
+  const y = position.x * Q.x + position.y * Q.y + position.z * Q.z;
+  const inPlane = Math.sqrt(x * x + y * y);
+  const orbitRadius = (hLength * hLength / mu) / (1 + e * x / inPlane);
+
+  return inPlane - orbitRadius;
+}
+
+// Shared with other predictors that refine events between samples
+EventDetector.interpolateState = interpolateState;
+EventDetector.refineRoot = refineRoot;
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.EventDetector = EventDetector;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventDetector;
+}
@@ -0,0 +1,314 @@
+// Force Models - Non-gravitational forces that act on individual bodies
+
+/**
+ * Each body can carry a `forces` map from model name to parameters, e.g.
+ *   forces: { 'radiation-pressure': { areaToMass: 0.02, reflectivity: 1.3 } }
+ * The simulator creates one model instance per entry and calls it after the
+ * gravity solver for every acceleration evaluation:
+ *   model.accelerate(index, context, out)
+ *
+ * `context` holds the packed state the integrator is evaluating plus the
+ * environment the models need:
+ *   positions, velocities - Float64Array [x0, y0, z0, ...] in m and m/s
+ *   masses                - Float64Array in kg
+ *   radii                 - Float64Array of physical radii in m
+ *   central               - Index of the heaviest body (the Sun in the default system)
+ *   G                     - Gravitational constant
+ *
+ * Models add their acceleration for body `index` to `out` (m/s²).
+ */
+
+/**
+ * Base class for all force models
+ */
+class ForceModel {
+  /**
+   * Create a force model for one body
+   * @param {Object} params - Values for the model's parameters; missing ones use the defaults
+   */
+  constructor(params = {}) {
+    this.params = normalizeForceParameters(this.constructor, params);
+  }
+
+  /**
+   * Add this model's acceleration of a body to out
+   * @param {Number} index - Index of the body in the packed state
+   * @param {Object} context - Packed state and environment (see above)
+   * @param {Float64Array} out - Packed accelerations to add to
+   */
+  accelerate(index, context, out) {
+    throw new Error(`${this.constructor.name} does not implement accelerate()`);
+  }
+}
+ForceModel.parameters = [];
+
+/**
+ * Solar radiation pressure from the heaviest body, taken to shine like the
+ * Sun: a = C_R * S (AU / r)^2 / c * A / m, pointing away from the star.
+ * Shadowing by other bodies is ignored.
+ */
+class RadiationPressureModel extends ForceModel {
+  accelerate(index, context, out) {
+    const { positions, central } = context;
+    if (index === central || central < 0) return;
+
+    const CONSTANTS = getForceModelConstants();
+    const i3 = index * 3;
+    const c3 = central * 3;
+    const dx = positions[i3] - positions[c3];
+    const dy = positions[i3 + 1] - positions[c3 + 1];
+    const dz = positions[i3 + 2] - positions[c3 + 2];
+    const r2 = dx * dx + dy * dy + dz * dz;
+    if (r2 === 0) return;
+
+    const { areaToMass, reflectivity } = this.params;
+    const flux = CONSTANTS.SOLAR_CONSTANT * CONSTANTS.AU_IN_METERS * CONSTANTS.AU_IN_METERS / r2;
+    const scale = reflectivity * flux / CONSTANTS.SPEED_OF_LIGHT * areaToMass / Math.sqrt(r2);
+
+    out[i3] += scale * dx;
+    out[i3 + 1] += scale * dy;
+    out[i3 + 2] += scale * dz;
+  }
+}
+RadiationPressureModel.id = 'radiation-pressure';
+RadiationPressureModel.label = 'Solar radiation pressure';
+RadiationPressureModel.parameters = [
+  { name: 'areaToMass', label: 'Area-to-mass ratio', unit: 'm²/kg', default: 0.01, min: 0 },
+  { name: 'reflectivity', label: 'Radiation pressure coefficient C_R', unit: '', default: 1.3, min: 0 }
+];
+
+// Marsden, Sekanina & Yeomans (1973) water-ice sublimation law
+const MARSDEN_ALPHA = 0.1112620426;
+const MARSDEN_R0 = 2.808; // AU
+const MARSDEN_M = 2.15;
+const MARSDEN_N = 5.093;
+const MARSDEN_K = 4.6142;
+
+/**
+ * Marsden-style cometary outgassing. The acceleration is
+ * g(r) * (A1 r̂ + A2 t̂ + A3 n̂) in the radial, transverse and orbit-normal
+ * directions relative to the heaviest body, with the standard sublimation
+ * curve g(r) = α (r/r0)^-m (1 + (r/r0)^n)^-k (g(1 AU) = 1), so the thrust
+ * switches on near perihelion and fades beyond about 3 AU.
+ */
+class OutgassingModel extends ForceModel {
+  accelerate(index, context, out) {
+    const { positions, velocities, central } = context;
+    if (index === central || central < 0) return;
+
+    const CONSTANTS = getForceModelConstants();
+    const i3 = index * 3;
+    const c3 = central * 3;
+    const x = positions[i3] - positions[c3];
+    const y = positions[i3 + 1] - positions[c3 + 1];
+    const z = positions[i3 + 2] - positions[c3 + 2];
+    const vx = velocities[i3] - velocities[c3];
+    const vy = velocities[i3 + 1] - velocities[c3 + 1];
+    const vz = velocities[i3 + 2] - velocities[c3 + 2];
+
+    const r = Math.sqrt(x * x + y * y + z * z);
+    if (r === 0) return;
+
+    // Orbit normal h = r x v; transverse t = h x r. Radial motion has no
+    // orbit plane, so only the radial term applies.
+    let hx = y * vz - z * vy;
+    let hy = z * vx - x * vz;
+    let hz = x * vy - y * vx;
+    const h = Math.sqrt(hx * hx + hy * hy + hz * hz);
+    hx = h > 0 ? hx / h : 0;
+    hy = h > 0 ? hy / h : 0;
+    hz = h > 0 ? hz / h : 0;
+
+    const rx = x / r;
+    const ry = y / r;
+    const rz = z / r;
+    const tx = hy * rz - hz * ry;
+    const ty = hz * rx - hx * rz;
+    const tz = hx * ry - hy * rx;
+
+    const ratio = r / CONSTANTS.AU_IN_METERS / MARSDEN_R0;
+    const g = MARSDEN_ALPHA * Math.pow(ratio, -MARSDEN_M) * Math.pow(1 + Math.pow(ratio, MARSDEN_N), -MARSDEN_K);
+
+    // A1..A3 are in AU/day²
+    const unit = g * CONSTANTS.AU_IN_METERS / (CONSTANTS.SECONDS_PER_DAY * CONSTANTS.SECONDS_PER_DAY);
+    const { a1, a2, a3 } = this.params;
+
+    out[i3] += unit * (a1 * rx + a2 * tx + a3 * hx);
+    out[i3 + 1] += unit * (a1 * ry + a2 * ty + a3 * hy);
+    out[i3 + 2] += unit * (a1 * rz + a2 * tz + a3 * hz);
+  }
+}
+OutgassingModel.id = 'outgassing';
+OutgassingModel.label = 'Comet outgassing (Marsden)';
+OutgassingModel.parameters = [
+  { name: 'a1', label: 'Radial A1', unit: 'AU/day²', default: 1e-8 },
+  { name: 'a2', label: 'Transverse A2', unit: 'AU/day²', default: 0 },
+  { name: 'a3', label: 'Normal A3', unit: 'AU/day²', default: 0 }
+];
+
+// Beyond this many scale heights the density is treated as zero
+const DRAG_CUTOFF_SCALE_HEIGHTS = 40;
+
+/**
+ * Drag from an exponential atmosphere, rho = rho0 exp(-h / H), around the
+ * body that pulls hardest on this one (the planet for a low orbit). The
+ * atmosphere moves with the planet but does not rotate with it:
+ * a = -1/2 C_D (A / m) rho |v| v with v relative to the planet.
+ */
+class AtmosphericDragModel extends ForceModel {
+  accelerate(index, context, out) {
+    const { positions, velocities, masses, radii } = context;
+    const i3 = index * 3;
+
+    // The atmosphere belongs to the strongest attractor
+    let planet = -1;
+    let strongest = 0;
+    for (let j = 0; j < masses.length; j++) {
+      if (j === index) continue;
+      const j3 = j * 3;
+      const dx = positions[j3] - positions[i3];
+      const dy = positions[j3 + 1] - positions[i3 + 1];
+      const dz = positions[j3 + 2] - positions[i3 + 2];
+      const pull = masses[j] / (dx * dx + dy * dy + dz * dz);
+      if (pull > strongest) {
+        strongest = pull;
+        planet = j;
+      }
+    }
+    if (planet === -1) return;
+
+    const p3 = planet * 3;
+    const dx = positions[i3] - positions[p3];
+    const dy = positions[i3 + 1] - positions[p3 + 1];
+    const dz = positions[i3 + 2] - positions[p3 + 2];
+    const { dragCoefficient, areaToMass, surfaceDensity, scaleHeight } = this.params;
+    const altitude = Math.max(0, Math.sqrt(dx * dx + dy * dy + dz * dz) - radii[planet]);
+    const heights = altitude / (scaleHeight * 1000);
+    if (heights > DRAG_CUTOFF_SCALE_HEIGHTS) return;
+
+    const vx = velocities[i3] - velocities[p3];
+    const vy = velocities[i3 + 1] - velocities[p3 + 1];
+    const vz = velocities[i3 + 2] - velocities[p3 + 2];
+    const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
+
+    const density = surfaceDensity * Math.exp(-heights);
+    const scale = -0.5 * dragCoefficient * areaToMass * density * speed;
+
+    out[i3] += scale * vx;
+    out[i3 + 1] += scale * vy;
+    out[i3 + 2] += scale * vz;
+  }
+}
+AtmosphericDragModel.id = 'drag';
+AtmosphericDragModel.label = 'Atmospheric drag';
+AtmosphericDragModel.parameters = [
+  { name: 'dragCoefficient', label: 'Drag coefficient C_D', unit: '', default: 2.2, min: 0 },
+  { name: 'areaToMass', label: 'Area-to-mass ratio', unit: 'm²/kg', default: 0.01, min: 0 },
+  { name: 'surfaceDensity', label: 'Surface density', unit: 'kg/m³', default: 1.225, min: 0 },
+  { name: 'scaleHeight', label: 'Scale height', unit: 'km', default: 8.5, min: 0.001 }
+];
+
+/**
+ * Physical constants, resolved when first needed so this file can load
+ * before constants.js in any environment
+ * @returns {Object} CONSTANTS
+ * @private
+ */
+function getForceModelConstants() {
+  if (typeof window !== 'undefined' && window.CONSTANTS) {
+    return window.CONSTANTS;
+  }
+  return require('../utils/constants');
+}
+
+// Registry of built-in force models keyed by name
+const FORCE_MODELS = {
+  [RadiationPressureModel.id]: RadiationPressureModel,
+  [OutgassingModel.id]: OutgassingModel,
+  [AtmosphericDragModel.id]: AtmosphericDragModel
+};
+
+/**
+ * Fill in defaults and validate a model's parameters
+ * @param {Function} ModelClass - Force model class
+ * @param {Object} params - Parameter values
+ * @returns {Object} Complete parameters
+ */
+function normalizeForceParameters(ModelClass, params = {}) {
+  const normalized = {};
+
+  ModelClass.parameters.forEach(({ name, label, unit, min, default: fallback }) => {
+    const value = params[name] === undefined ? fallback : params[name];
+    if (!Number.isFinite(value) || (min !== undefined && value < min)) {
+      throw new Error(`${ModelClass.label}: ${label} must be a number` +
+        (min !== undefined ? ` of at least ${min}${unit ? ` ${unit}` : ''}` : '') + ` (got ${value})`);
+    }
+    normalized[name] = value;
+  });
+
+  return normalized;
+}
+
+/**
+ * Create a force model by name
+ * @param {String} name - Registered model name
+ * @param {Object} params - Model parameters
+ * @returns {ForceModel} The new model
+ */
+function createForceModel(name, params = {}) {
+  const ModelClass = FORCE_MODELS[name];
+  if (!ModelClass) {
+    throw new Error(`Unknown force model "${name}". Available: ${Object.keys(FORCE_MODELS).join(', ')}`);
+  }
+  return new ModelClass(params);
+}
+
+/**
+ * Validate a body's `forces` map and fill in defaults
+ * @param {Object} forces - Map from model name to parameters
+ * @returns {Object} Normalized copy
+ */
+function normalizeBodyForces(forces = {}) {
+  const normalized = {};
+  Object.keys(forces).forEach(name => {
+    normalized[name] = createForceModel(name, forces[name]).params;
+  });
+  return normalized;
+}
+
+/**
+ * List the available force models for UI display
+ * @returns {Array} Array of { name, label, parameters }
+ */
+function getAvailableForceModels() {
+  return Object.values(FORCE_MODELS).map(ModelClass => ({
+    name: ModelClass.id,
+    label: ModelClass.label,
+    parameters: ModelClass.parameters.map(parameter => ({ ...parameter }))
+  }));
+}
+
+// Export for both CommonJS and browser/worker environments. Assigned directly
+// (as in collisions.js) because gravitySimulator.js declares `ForceModels`
+if (typeof window !== 'undefined') {
+  window.ForceModels = {
+    ForceModel,
+    FORCE_MODELS,
+    createForceModel,
+    normalizeBodyForces,
+    getAvailableForceModels
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ForceModel,
+    RadiationPressureModel,
+    OutgassingModel,
+    AtmosphericDragModel,
+    FORCE_MODELS,
+    createForceModel,
+    normalizeBodyForces,
+    getAvailableForceModels
+  };
+}
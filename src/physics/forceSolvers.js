@@ -0,0 +1,486 @@
+// Force Solvers - Gravitational acceleration calculation strategies
+
+/**
+ * Solvers compute gravitational accelerations for a packed state:
+ *   positions - Float64Array [x0, y0, z0, x1, ...] in metres
+ *   masses    - Float64Array [m0, m1, ...] in kg
+ *   out       - Float64Array to fill with accelerations in m/s²
+ *   softening - Optional Float64Array of squared softening lengths (m²) per body
+ *
+ * With softening, a pair interacts through the Plummer potential
+ * -G m1 m2 / sqrt(r² + ε²) where ε² is the mean of the two bodies' ε²,
+ * so the force stays finite as the bodies pass through each other.
+ */
+
+/**
+ * Exact O(n²) pairwise summation
+ */
+class DirectSolver {
+  /**
+   * Create a new direct summation solver
+   * @param {Object} options - Unused, accepted for a uniform API
+   */
+  constructor(options = {}) {
+    this.options = { ...options };
+  }
+
+  /**
+   * Compute accelerations by summing over every pair of bodies
+   * @param {Float64Array} positions - Packed positions
+   * @param {Float64Array} masses - Body masses
+   * @param {Number} G - Gravitational constant
+   * @param {Float64Array} out - Packed accelerations to fill
+   * @param {Float64Array} softening - Squared softening length per body, or null
+   */
+  computeAccelerations(positions, masses, G, out, softening = null) {
+    const count = masses.length;
+
+    out.fill(0);
+
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3;
+
+      for (let j = i + 1; j < count; j++) {
+        const j3 = j * 3;
+        const dx = positions[j3] - positions[i3];
+        const dy = positions[j3 + 1] - positions[i3 + 1];
+        const dz = positions[j3 + 2] - positions[i3 + 2];
+        const distanceSquared = dx * dx + dy * dy + dz * dz +
+          (softening ? 0.5 * (softening[i] + softening[j]) : 0);
+
+        // Avoid division by zero
+        if (distanceSquared === 0) continue;
+
+        // a = G * m / r^2 along the unit vector, i.e. G * m * d / r^3
+        const invDistanceCubed = 1 / (distanceSquared * Math.sqrt(distanceSquared));
+        const si = G * masses[j] * invDistanceCubed;
+        const sj = G * masses[i] * invDistanceCubed;
+
+        out[i3] += dx * si;
+        out[i3 + 1] += dy * si;
+        out[i3 + 2] += dz * si;
+
+        out[j3] -= dx * sj;
+        out[j3 + 1] -= dy * sj;
+        out[j3 + 2] -= dz * sj;
+      }
+    }
+  }
+}
+DirectSolver.id = 'direct';
+DirectSolver.label = 'Direct summation';
+
+// Node body markers
+const EMPTY = -1;
+const INTERNAL = -2;
+const BUCKET = -3;
+
+// Beyond this depth coincident bodies share one leaf instead of splitting forever
+const MAX_DEPTH = 48;
+
+/**
+ * Octree stored in flat typed arrays so it can be rebuilt every step without
+ * allocating thousands of node objects
+ */
+class Octree {
+  constructor() {
+    this.capacity = 0;
+    this.nodeCount = 0;
+    this._grow(64);
+  }
+
+  /**
+   * Build the tree for a packed state
+   * @param {Float64Array} positions - Packed positions
+   * @param {Float64Array} masses - Body masses
+   * @param {Float64Array} softening - Squared softening length per body, or null
+   */
+  build(positions, masses, softening = null) {
+    const count = masses.length;
+    this.positions = positions;
+    this.masses = masses;
+    this.softening = softening;
+    this.nodeCount = 0;
+
+    if (!this.bodyNext || this.bodyNext.length < count) {
+      this.bodyNext = new Int32Array(count);
+    }
+
+    // Find a cube that contains every body
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3;
+      minX = Math.min(minX, positions[i3]);
+      minY = Math.min(minY, positions[i3 + 1]);
+      minZ = Math.min(minZ, positions[i3 + 2]);
+      maxX = Math.max(maxX, positions[i3]);
+      maxY = Math.max(maxY, positions[i3 + 1]);
+      maxZ = Math.max(maxZ, positions[i3 + 2]);
+    }
+
+    const halfSize = Math.max(maxX - minX, maxY - minY, maxZ - minZ, 1) * 0.5 * 1.01;
+    this._addNode((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2, halfSize);
+
+    for (let i = 0; i < count; i++) {
+      if (masses[i] > 0) {
+        this._insert(i);
+      }
+    }
+
+    this._computeCentersOfMass(0);
+  }
+
+  /**
+   * Accumulate the acceleration on one body by walking the tree
+   * @param {Number} index - Body index
+   * @param {Number} theta - Opening angle
+   * @param {Number} G - Gravitational constant
+   * @param {Float64Array} out - Packed accelerations to add to
+   */
+  accumulate(index, theta, G, out) {
+    const positions = this.positions;
+    const i3 = index * 3;
+    const px = positions[i3];
+    const py = positions[i3 + 1];
+    const pz = positions[i3 + 2];
+    const softening = this.softening;
+    const ownSoftening = softening ? softening[index] : 0;
+    const stack = this._stack || (this._stack = []);
+    let ax = 0, ay = 0, az = 0;
+
+    stack.length = 0;
+    stack.push(0);
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const nodeMass = this.mass[node];
+      if (nodeMass === 0) continue;
+
+      const body = this.body[node];
+
+      if (body >= 0 || body === BUCKET) {
+        // Leaf: sum its bodies exactly
+        for (let j = body === BUCKET ? this.bucketHead[node] : body; j !== EMPTY; j = body === BUCKET ? this.bodyNext[j] : EMPTY) {
+          if (j === index) continue;
+          const j3 = j * 3;
+          const dx = positions[j3] - px;
+          const dy = positions[j3 + 1] - py;
+          const dz = positions[j3 + 2] - pz;
+          const distanceSquared = dx * dx + dy * dy + dz * dz +
+            (softening ? 0.5 * (ownSoftening + softening[j]) : 0);
+          if (distanceSquared === 0) continue;
+
+          const s = G * this.masses[j] / (distanceSquared * Math.sqrt(distanceSquared));
+          ax += dx * s;
+          ay += dy * s;
+          az += dz * s;
+        }
+        continue;
+      }
+
+      const dx = this.comX[node] - px;
+      const dy = this.comY[node] - py;
+      const dz = this.comZ[node] - pz;
+      const distanceSquared = dx * dx + dy * dy + dz * dz;
+      const size = this.halfSize[node] * 2;
+
+      // Accept the node's centre of mass if it is small compared to its
+      // distance (s / d < theta) and doesn't contain the body itself
+      if (size * size < theta * theta * distanceSquared && !this._contains(node, px, py, pz)) {
+        // Soften with the node's mass-weighted mean softening
+        const softened = softening ? distanceSquared + 0.5 * (ownSoftening + this.meanSoftening[node]) : distanceSquared;
+        const s = G * nodeMass / (softened * Math.sqrt(softened));
+        ax += dx * s;
+        ay += dy * s;
+        az += dz * s;
+      } else {
+        const first = this.firstChild[node];
+        for (let c = 0; c < 8; c++) {
+          stack.push(first + c);
+        }
+      }
+    }
+
+    out[i3] += ax;
+    out[i3 + 1] += ay;
+    out[i3 + 2] += az;
+  }
+
+  /**
+   * Insert a body, splitting leaves as needed
+   * @param {Number} index - Body index
+   * @private
+   */
+  _insert(index) {
+    const positions = this.positions;
+    const x = positions[index * 3];
+    const y = positions[index * 3 + 1];
+    const z = positions[index * 3 + 2];
+    let node = 0;
+    let depth = 0;
+
+    while (true) {
+      const body = this.body[node];
+
+      if (body === EMPTY) {
+        this.body[node] = index;
+        return;
+      }
+
+      if (body === BUCKET) {
+        this.bodyNext[index] = this.bucketHead[node];
+        this.bucketHead[node] = index;
+        return;
+      }
+
+      if (body >= 0) {
+        if (depth >= MAX_DEPTH) {
+          // Coincident bodies: keep them together in one leaf
+          this.body[node] = BUCKET;
+          this.bodyNext[body] = EMPTY;
+          this.bodyNext[index] = body;
+          this.bucketHead[node] = index;
+          return;
+        }
+
+        // Split the leaf and push the existing body down
+        this._subdivide(node);
+        this.body[node] = INTERNAL;
+        const existing = this._childFor(node, positions[body * 3], positions[body * 3 + 1], positions[body * 3 + 2]);
+        this.body[existing] = body;
+      }
+
+      node = this._childFor(node, x, y, z);
+      depth++;
+    }
+  }
+
+  /**
+   * Create the eight children of a node
+   * @param {Number} node - Node index
+   * @private
+   */
+  _subdivide(node) {
+    const quarter = this.halfSize[node] / 2;
+    const cx = this.centerX[node];
+    const cy = this.centerY[node];
+    const cz = this.centerZ[node];
+
+    this.firstChild[node] = this.nodeCount;
+    for (let c = 0; c < 8; c++) {
+      this._addNode(
+        cx + (c & 1 ? quarter : -quarter),
+        cy + (c & 2 ? quarter : -quarter),
+        cz + (c & 4 ? quarter : -quarter),
+        quarter
+      );
+    }
+  }
+
+  /**
+   * Get the child octant of a node containing a point
+   * @private
+   */
+  _childFor(node, x, y, z) {
+    let octant = 0;
+    if (x >= this.centerX[node]) octant |= 1;
+    if (y >= this.centerY[node]) octant |= 2;
+    if (z >= this.centerZ[node]) octant |= 4;
+    return this.firstChild[node] + octant;
+  }
+
+  /**
+   * Check whether a point lies inside a node's cube
+   * @private
+   */
+  _contains(node, x, y, z) {
+    const h = this.halfSize[node];
+    return Math.abs(x - this.centerX[node]) <= h &&
+      Math.abs(y - this.centerY[node]) <= h &&
+      Math.abs(z - this.centerZ[node]) <= h;
+  }
+
+  /**
+   * Fill in mass and centre of mass bottom-up
+   * @param {Number} node - Node index
+   * @private
+   */
+  _computeCentersOfMass(node) {
+    const body = this.body[node];
+    const softening = this.softening;
+    let mass = 0, mx = 0, my = 0, mz = 0, ms = 0;
+
+    if (body === INTERNAL) {
+      const first = this.firstChild[node];
+      for (let c = 0; c < 8; c++) {
+        const child = first + c;
+        this._computeCentersOfMass(child);
+        const childMass = this.mass[child];
+        mass += childMass;
+        mx += this.comX[child] * childMass;
+        my += this.comY[child] * childMass;
+        mz += this.comZ[child] * childMass;
+        ms += this.meanSoftening[child] * childMass;
+      }
+    } else if (body !== EMPTY) {
+      for (let j = body === BUCKET ? this.bucketHead[node] : body; j !== EMPTY; j = body === BUCKET ? this.bodyNext[j] : EMPTY) {
+        const m = this.masses[j];
+        mass += m;
+        mx += this.positions[j * 3] * m;
+        my += this.positions[j * 3 + 1] * m;
+        mz += this.positions[j * 3 + 2] * m;
+        ms += softening ? softening[j] * m : 0;
+      }
+    }
+
+    this.mass[node] = mass;
+    if (mass > 0) {
+      this.comX[node] = mx / mass;
+      this.comY[node] = my / mass;
+      this.comZ[node] = mz / mass;
+      this.meanSoftening[node] = ms / mass;
+    }
+  }
+
+  /**
+   * Append a node to the pool
+   * @private
+   */
+  _addNode(cx, cy, cz, halfSize) {
+    if (this.nodeCount >= this.capacity) {
+      this._grow(this.capacity * 2);
+    }
+
+    const node = this.nodeCount++;
+    this.centerX[node] = cx;
+    this.centerY[node] = cy;
+    this.centerZ[node] = cz;
+    this.halfSize[node] = halfSize;
+    this.mass[node] = 0;
+    this.comX[node] = 0;
+    this.comY[node] = 0;
+    this.comZ[node] = 0;
+    this.meanSoftening[node] = 0;
+    this.firstChild[node] = EMPTY;
+    this.body[node] = EMPTY;
+    this.bucketHead[node] = EMPTY;
+    return node;
+  }
+
+  /**
+   * Resize the node pool, keeping existing nodes
+   * @param {Number} capacity - New capacity
+   * @private
+   */
+  _grow(capacity) {
+    const resize = (ArrayType, old) => {
+      const array = new ArrayType(capacity);
+      if (old) array.set(old.subarray(0, this.nodeCount));
+      return array;
+    };
+
+    this.centerX = resize(Float64Array, this.centerX);
+    this.centerY = resize(Float64Array, this.centerY);
+    this.centerZ = resize(Float64Array, this.centerZ);
+    this.halfSize = resize(Float64Array, this.halfSize);
+    this.mass = resize(Float64Array, this.mass);
+    this.comX = resize(Float64Array, this.comX);
+    this.comY = resize(Float64Array, this.comY);
+    this.comZ = resize(Float64Array, this.comZ);
+    this.meanSoftening = resize(Float64Array, this.meanSoftening);
+    this.firstChild = resize(Int32Array, this.firstChild);
+    this.body = resize(Int32Array, this.body);
+    this.bucketHead = resize(Int32Array, this.bucketHead);
+    this.capacity = capacity;
+  }
+}
+
+/**
+ * Barnes-Hut O(n log n) approximation. Distant groups of bodies are replaced
+ * by their centre of mass when (node size / distance) < theta; theta = 0
+ * reproduces direct summation.
+ *
+ * Options:
+ *   theta - Opening angle (default 0.5)
+ */
+class BarnesHutSolver {
+  constructor(options = {}) {
+    this.options = { ...options };
+    this.setTheta(options.theta === undefined ? 0.5 : options.theta);
+    this.tree = new Octree();
+  }
+
+  /**
+   * Set the opening angle
+   * @param {Number} theta - Opening angle, typically 0.3 - 1.0
+   */
+  setTheta(theta) {
+    if (!(theta >= 0)) {
+      throw new Error(`Invalid Barnes-Hut opening angle: ${theta}`);
+    }
+    this.options.theta = theta;
+  }
+
+  /**
+   * Compute accelerations using the octree
+   * @param {Float64Array} positions - Packed positions
+   * @param {Float64Array} masses - Body masses
+   * @param {Number} G - Gravitational constant
+   * @param {Float64Array} out - Packed accelerations to fill
+   * @param {Float64Array} softening - Squared softening length per body, or null
+   */
+  computeAccelerations(positions, masses, G, out, softening = null) {
+    out.fill(0);
+    if (masses.length === 0) return;
+
+    this.tree.build(positions, masses, softening);
+
+    for (let i = 0; i < masses.length; i++) {
+      this.tree.accumulate(i, this.options.theta, G, out);
+    }
+  }
+}
+BarnesHutSolver.id = 'barnes-hut';
+BarnesHutSolver.label = 'Barnes-Hut';
+
+// Registry of built-in force solvers keyed by name
+const FORCE_SOLVERS = {
+  [DirectSolver.id]: DirectSolver,
+  [BarnesHutSolver.id]: BarnesHutSolver
+};
+
+/**
+ * Create a force solver by name
+ * @param {String} name - Registered solver name
+ * @param {Object} options - Solver specific options
+ * @returns {Object} The new solver
+ */
+function createForceSolver(name, options = {}) {
+  const SolverClass = FORCE_SOLVERS[name];
+  if (!SolverClass) {
+    throw new Error(`Unknown force solver "${name}". Available: ${Object.keys(FORCE_SOLVERS).join(', ')}`);
+  }
+  return new SolverClass(options);
+}
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.ForceSolvers = {
+    DirectSolver,
+    BarnesHutSolver,
+    FORCE_SOLVERS,
+    createForceSolver
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DirectSolver,
+    BarnesHutSolver,
+    Octree,
+    FORCE_SOLVERS,
+    createForceSolver
+  };
+}
@@ -1,4 +1,13 @@
 // Gravity Simulator - Handles physics calculations for celestial bodies
+// All state is SI: positions in m, velocities in m/s, masses in kg, time in s
+const Integrators = typeof window !== 'undefined' && window.Integrators ? window.Integrators : (typeof require !== 'undefined' ? require('./integrators') : {});
+const ForceSolvers = typeof window !== 'undefined' && window.ForceSolvers ? window.ForceSolvers : (typeof require !== 'undefined' ? require('./forceSolvers') : {});
+const Collisions = typeof window !== 'undefined' && window.Collisions ? window.Collisions : (typeof require !== 'undefined' ? require('./collisions') : {});
+const ForceModels = typeof window !== 'undefined' && window.ForceModels ? window.ForceModels : (typeof require !== 'undefined' ? require('./forceModels') : {});
+const Relativity = typeof window !== 'undefined' && window.Relativity ? window.Relativity : (typeof require !== 'undefined' ? require('./relativity') : {});
+const ZonalHarmonics = typeof window !== 'undefined' && window.ZonalHarmonics ? window.ZonalHarmonics : (typeof require !== 'undefined' ? require('./zonalHarmonics') : {});
+const TestParticles = typeof window !== 'undefined' && window.TestParticles ? window.TestParticles : (typeof require !== 'undefined' ? require('./testParticles') : {});
+const Spacecraft = typeof window !== 'undefined' && window.Spacecraft ? window.Spacecraft : (typeof require !== 'undefined' ? require('./spacecraft') : {});
 
 class GravitySimulator {
   constructor() {
@@ -7,11 +16,69 @@ class GravitySimulator {
     this.timeScale = window.CONSTANTS ? window.CONSTANTS.DEFAULT_TIME_SCALE : 1; // Days per second
     this.paused = false;
     this.lastTime = 0;
+    this.simTime = 0; // Simulated seconds elapsed since the epoch
+    this.stepCount = 0;
+    this.activeJump = null; // Jump in progress from jumpToDateInSlices
+    this.epoch = window.CONSTANTS ? window.CONSTANTS.DEFAULT_EPOCH_JD : 2451545.0; // Julian Date at simTime 0
     
     // Physics settings
     this.G = window.CONSTANTS ? window.CONSTANTS.G : 6.67430e-11;
     this.secondsPerDay = window.CONSTANTS ? window.CONSTANTS.SECONDS_PER_DAY : 86400;
-    this.collisionsEnabled = false; // Disable collisions initially until fixed
+    
+    // Collisions on physical radii (see physics/collisions.js)
+    this.collisionsEnabled = false;
+    this.collisionMode = 'none';
+    this.collisionRestitution = 1;
+    this.collisionListeners = [];
+    this.setCollisionMode(window.CONSTANTS ? window.CONSTANTS.DEFAULT_COLLISION_MODE : 'none');
+    
+    // Numerical integrator, and the time-symmetric stand-in used for
+    // backward steps when the selected one isn't time-symmetric
+    this.integrator = null;
+    this.backwardIntegrator = null;
+    this.setIntegrator(window.CONSTANTS ? window.CONSTANTS.DEFAULT_INTEGRATOR : 'verlet');
+    
+    // Gravity force solver ('direct' or 'barnes-hut')
+    this.forceSolver = null;
+    this.setForceSolver('direct');
+    
+    // Close encounters: Plummer softening length (m) for bodies without their
+    // own `softening`, and automatic substepping of steps with close pairs
+    this.softening = window.CONSTANTS ? window.CONSTANTS.DEFAULT_SOFTENING : 0;
+    this.encounterSubstepping = true;
+    this.encounterAccuracy = window.CONSTANTS ? window.CONSTANTS.ENCOUNTER_ACCURACY : 0.02;
+    this.maxEncounterSubsteps = window.CONSTANTS ? window.CONSTANTS.MAX_ENCOUNTER_SUBSTEPS : 1000;
+    this.lastSubsteps = 1;
+    
+    // Optional first-order post-Newtonian correction from the dominant mass
+    // (see physics/relativity.js)
+    this.relativityEnabled = false;
+    this.speedOfLight = window.CONSTANTS ? window.CONSTANTS.SPEED_OF_LIGHT : 299792458;
+    
+    // Non-gravitational force models per body (see physics/forceModels.js),
+    // cached by the body's `forces` settings object
+    this._forceModelCache = new WeakMap();
+    
+    // Oblate-body gravity fields (see physics/zonalHarmonics.js), cached by
+    // the body's `zonalHarmonics` settings object
+    this._zonalFieldCache = new WeakMap();
+    
+    // Finite burns of spacecraft at their maneuver nodes (see
+    // physics/spacecraft.js), cached by the body's `maneuvers` list
+    this._burnScheduleCache = new WeakMap();
+    this._thrusting = false;
+    
+    // Massless test particles, moved with the bodies but pulling on nothing
+    // (see physics/testParticles.js)
+    this.testParticles = new TestParticles.TestParticleSet();
+    
+    // Optional conserved-quantity monitor (see physics/diagnostics.js)
+    this.diagnostics = null;
+    
+    // Packed state reused between steps
+    this._state = null;
+    this._previousPositions = null;
+    this._accelerate = this._computeAccelerations.bind(this);
   }
   
   /**
@@ -26,7 +93,23 @@ class GravitySimulator {
       };
     }
     
+    // Reject unknown force models or bad parameters up front
+    if (object.forces) {
+      this._getForceModels(object);
+    }
+    if (object.zonalHarmonics) {
+      this._getZonalField(object);
+    }
+    if (object.spacecraft) {
+      Spacecraft.normalizeSpacecraft(object.spacecraft);
+      if (object.maneuvers) {
+        Spacecraft.normalizeManeuvers(object.maneuvers);
+      }
+    }
+    
     this.objects.push(object);
+    this._resetIntegrators();
+    this._resetDiagnostics();
   }
   
   /**
@@ -37,6 +120,124 @@ class GravitySimulator {
     const index = this.objects.findIndex(obj => obj.id === id);
     if (index !== -1) {
       this.objects.splice(index, 1);
+      this._resetIntegrators();
+      this._resetDiagnostics();
+    }
+  }
+  
+  /**
+   * Set the non-gravitational forces acting on an object
+   * @param {String} id - ID of the object
+   * @param {Object} forces - Map from force model name to parameters
+   *   (see ForceModels.getAvailableForceModels); empty or null for gravity only
+   */
+  setObjectForces(id, forces) {
+    const object = this.objects.find(obj => obj.id === id);
+    if (!object) {
+      throw new Error(`No object with ID ${id}`);
+    }
+    
+    const normalized = forces && Object.keys(forces).length > 0 ?
+      ForceModels.normalizeBodyForces(forces) : null;
+    if (normalized) {
+      object.forces = normalized;
+    } else {
+      delete object.forces;
+    }
+    
+    this._resetIntegrators();
+    this._resetDiagnostics();
+  }
+  
+  /**
+   * Replace a spacecraft's maneuver nodes. Each node's burn runs at the
+   * engine's thrust, centred on the node (see physics/spacecraft.js).
+   * @param {String} id - ID of a spacecraft
+   * @param {Array} maneuvers - Maneuver nodes; empty or null for none
+   */
+  setManeuvers(id, maneuvers) {
+    const object = this.objects.find(obj => obj.id === id);
+    if (!object) {
+      throw new Error(`No object with ID ${id}`);
+    }
+    if (!object.spacecraft) {
+      throw new Error(`${object.name || id} is not a spacecraft`);
+    }
+    
+    const normalized = maneuvers && maneuvers.length > 0 ? Spacecraft.normalizeManeuvers(maneuvers) : null;
+    if (normalized) {
+      object.maneuvers = normalized;
+    } else {
+      delete object.maneuvers;
+    }
+    
+    this._resetIntegrators();
+    this._resetDiagnostics();
+  }
+  
+  /**
+   * Change an object's velocity at once, as an impulsive burn would
+   * @param {String} id - ID of the object
+   * @param {Object} deltaV - Velocity change {x, y, z} in m/s
+   */
+  applyDeltaV(id, deltaV) {
+    const object = this.objects.find(obj => obj.id === id);
+    if (!object) {
+      throw new Error(`No object with ID ${id}`);
+    }
+    
+    object.velocity.x += deltaV.x;
+    object.velocity.y += deltaV.y;
+    object.velocity.z += deltaV.z;
+    
+    this._resetIntegrators();
+    this._resetDiagnostics();
+  }
+  
+  /**
+   * Add massless test particles
+   * @param {ArrayLike} positions - Packed positions [x0, y0, z0, x1, ...] in m
+   * @param {ArrayLike} velocities - Packed velocities in m/s
+   * @returns {Number} Number of particles added
+   */
+  addTestParticles(positions, velocities) {
+    const added = this.testParticles.add(positions, velocities);
+    this._resetIntegrators();
+    return added;
+  }
+  
+  /**
+   * Remove every test particle
+   */
+  clearTestParticles() {
+    this.testParticles.clear();
+    this._resetIntegrators();
+  }
+  
+  /**
+   * Get the test particles
+   * @returns {TestParticleSet} Packed particle state (read-only for callers)
+   */
+  getTestParticles() {
+    return this.testParticles;
+  }
+  
+  /**
+   * Attach a monitor that samples conserved quantities as the simulation runs
+   * @param {Object} monitor - DiagnosticsMonitor, or null to detach
+   */
+  setDiagnostics(monitor) {
+    this.diagnostics = monitor;
+    this._resetDiagnostics();
+  }
+  
+  /**
+   * Start a new diagnostics baseline after the system changed
+   * @private
+   */
+  _resetDiagnostics() {
+    if (this.diagnostics) {
+      this.diagnostics.reset();
     }
   }
   
@@ -48,6 +249,220 @@ class GravitySimulator {
     this.timeScale = scale;
   }
   
+  /**
+   * Select the numerical integrator used to advance the simulation
+   * @param {String} name - Integrator name ('euler', 'verlet', 'leapfrog', 'rk4' or 'rkf45')
+   * @param {Object} options - Integrator specific options (e.g. { tolerance } for rkf45)
+   * @returns {Object} The active integrator
+   */
+  setIntegrator(name, options = {}) {
+    this.integrator = Integrators.createIntegrator(name, options);
+    this.integratorName = name;
+    return this.integrator;
+  }
+  
+  /**
+   * Get the name and options of the active integrator
+   * @returns {Object} Integrator settings with name and options
+   */
+  getIntegratorSettings() {
+    return this.integrator.getSettings();
+  }
+  
+  /**
+   * Get the integrator that advances a step. Backward steps need a
+   * time-symmetric scheme so a rewound run retraces its forward path; if the
+   * selected integrator isn't one, CONSTANTS.BACKWARD_INTEGRATOR is used
+   * @param {Number} dt - Signed step in seconds
+   * @returns {Object} Integrator for the step
+   * @private
+   */
+  _getStepIntegrator(dt) {
+    if (dt >= 0 || this.integrator.timeSymmetric) {
+      return this.integrator;
+    }
+    
+    if (!this.backwardIntegrator) {
+      this.backwardIntegrator = Integrators.createIntegrator(
+        window.CONSTANTS ? window.CONSTANTS.BACKWARD_INTEGRATOR : 'verlet'
+      );
+    }
+    return this.backwardIntegrator;
+  }
+  
+  /**
+   * Drop cached data in the integrators after the bodies changed
+   * @private
+   */
+  _resetIntegrators() {
+    if (this.integrator) {
+      this.integrator.reset();
+    }
+    if (this.backwardIntegrator) {
+      this.backwardIntegrator.reset();
+    }
+  }
+  
+  /**
+   * Select how gravitational forces are computed
+   * @param {String} name - 'direct' for exact pairwise summation or 'barnes-hut'
+   * @param {Object} options - Solver options (e.g. { theta: 0.5 } for barnes-hut)
+   * @returns {Object} The active force solver
+   */
+  setForceSolver(name, options = {}) {
+    this.forceSolver = ForceSolvers.createForceSolver(name, options);
+    this.forceSolverName = name;
+    this._resetIntegrators();
+    return this.forceSolver;
+  }
+  
+  /**
+   * Get the name and options of the active force solver
+   * @returns {Object} Solver settings with name and options
+   */
+  getForceSolverSettings() {
+    return {
+      name: this.forceSolverName,
+      options: { ...this.forceSolver.options }
+    };
+  }
+  
+  /**
+   * Compare the active force solver against direct summation for the
+   * current snapshot
+   * @returns {Object} Error statistics: max, mean and RMS relative error
+   *   plus the relative error for each object
+   */
+  measureForceError() {
+    const count = this.objects.length;
+    const state = this._packState();
+    const approximate = new Float64Array(count * 3);
+    const exact = new Float64Array(count * 3);
+    
+    this.forceSolver.computeAccelerations(state.positions, state.masses, this.G, approximate, state.softening);
+    new ForceSolvers.DirectSolver().computeAccelerations(state.positions, state.masses, this.G, exact, state.softening);
+    
+    const perObject = [];
+    let maxError = 0;
+    let sumError = 0;
+    let sumSquaredError = 0;
+    
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3;
+      const exactMagnitude = Math.hypot(exact[i3], exact[i3 + 1], exact[i3 + 2]);
+      const difference = Math.hypot(
+        approximate[i3] - exact[i3],
+        approximate[i3 + 1] - exact[i3 + 1],
+        approximate[i3 + 2] - exact[i3 + 2]
+      );
+      const relativeError = exactMagnitude > 0 ? difference / exactMagnitude : 0;
+      
+      perObject.push({
+        id: this.objects[i].id,
+        name: this.objects[i].name,
+        relativeError
+      });
+      
+      maxError = Math.max(maxError, relativeError);
+      sumError += relativeError;
+      sumSquaredError += relativeError * relativeError;
+    }
+    
+    return {
+      solver: this.forceSolverName,
+      options: { ...this.forceSolver.options },
+      bodies: count,
+      maxRelativeError: maxError,
+      meanRelativeError: count > 0 ? sumError / count : 0,
+      rmsRelativeError: count > 0 ? Math.sqrt(sumSquaredError / count) : 0,
+      perObject
+    };
+  }
+  
+  /**
+   * Configure softening and close-encounter substepping
+   * @param {Object} settings - Any of the fields returned by getCloseEncounterSettings
+   * @param {Number} settings.softening - Global softening length in m (0 for pure 1/r²)
+   * @param {Boolean} settings.substepping - Split steps that contain close encounters
+   * @param {Number} settings.accuracy - Substep length as a fraction of the shortest
+   *   encounter timescale
+   * @param {Number} settings.maxSubsteps - Upper limit on substeps per step
+   */
+  setCloseEncounterSettings(settings = {}) {
+    const next = GravitySimulator.normalizeCloseEncounterSettings(settings, this.getCloseEncounterSettings());
+    
+    this.softening = next.softening;
+    this.encounterSubstepping = next.substepping;
+    this.encounterAccuracy = next.accuracy;
+    this.maxEncounterSubsteps = next.maxSubsteps;
+    
+    // Softening changes the force law, so cached accelerations are stale
+    this._resetIntegrators();
+    this._resetDiagnostics();
+  }
+  
+  /**
+   * Get the softening and close-encounter settings
+   * @returns {Object} { softening, substepping, accuracy, maxSubsteps }
+   */
+  getCloseEncounterSettings() {
+    return {
+      softening: this.softening,
+      substepping: this.encounterSubstepping,
+      accuracy: this.encounterAccuracy,
+      maxSubsteps: this.maxEncounterSubsteps
+    };
+  }
+  
+  /**
+   * Merge and validate close-encounter settings
+   * @param {Object} settings - Settings to change
+   * @param {Object} current - Current settings
+   * @returns {Object} Complete settings
+   */
+  static normalizeCloseEncounterSettings(settings, current) {
+    const next = { ...current, ...settings };
+    
+    if (!(next.softening >= 0)) {
+      throw new Error(`Softening length must be zero or positive (got ${next.softening})`);
+    }
+    if (!(next.accuracy > 0 && next.accuracy <= 1)) {
+      throw new Error(`Encounter accuracy must be between 0 and 1 (got ${next.accuracy})`);
+    }
+    if (!(next.maxSubsteps >= 1)) {
+      throw new Error(`Maximum substeps must be at least 1 (got ${next.maxSubsteps})`);
+    }
+    
+    next.substepping = !!next.substepping;
+    next.maxSubsteps = Math.round(next.maxSubsteps);
+    return next;
+  }
+  
+  /**
+   * Turn the first-order post-Newtonian (general relativity) correction on or off
+   * @param {Object} settings - Settings
+   * @param {Boolean} settings.enabled - Add the 1PN term from the dominant mass
+   */
+  setRelativitySettings({ enabled = false } = {}) {
+    if (enabled && !Relativity.addPostNewtonianAccelerations) {
+      throw new Error('Relativity module not loaded');
+    }
+    
+    this.relativityEnabled = !!enabled;
+    
+    // The force law changed, so cached accelerations are stale
+    this._resetIntegrators();
+    this._resetDiagnostics();
+  }
+  
+  /**
+   * Get the general relativity settings
+   * @returns {Object} { enabled }
+   */
+  getRelativitySettings() {
+    return { enabled: this.relativityEnabled };
+  }
+  
   /**
    * Set whether the simulation is paused
    * @param {Boolean} paused - Whether to pause the simulation
@@ -85,8 +500,9 @@ class GravitySimulator {
     // Calculate distance
     const distance = Math.sqrt(distanceSquared);
     
-    // Calculate gravitational force magnitude: F = G * m1 * m2 / r^2
-    const forceMagnitude = this.G * obj1.mass * obj2.mass / distanceSquared;
+    // Softened force magnitude: F = G * m1 * m2 * r / (r^2 + eps^2)^(3/2)
+    const softened = distanceSquared + this.getPairSoftening(obj1, obj2);
+    const forceMagnitude = this.G * obj1.mass * obj2.mass * distance / (softened * Math.sqrt(softened));
     
     // Calculate normalized direction vector
     const fx = (dx / distance) * forceMagnitude;
@@ -97,65 +513,219 @@ class GravitySimulator {
   }
   
   /**
-   * Check for collisions between objects
+   * Squared softening length used between two bodies: the mean of their
+   * squared lengths, where bodies without `softening` use the global value
+   * @param {Object} obj1 - First object
+   * @param {Object} obj2 - Second object
+   * @returns {Number} Squared softening length in m²
+   */
+  getPairSoftening(obj1, obj2) {
+    const length1 = obj1.softening >= 0 ? obj1.softening : this.softening;
+    const length2 = obj2.softening >= 0 ? obj2.softening : this.softening;
+    return 0.5 * (length1 * length1 + length2 * length2);
+  }
+  
+  /**
+   * Select how colliding bodies are resolved
+   * @param {String} mode - 'none', 'merge' or 'elastic' (see Collisions.COLLISION_MODES)
+   * @param {Object} options - Options
+   * @param {Number} options.restitution - Coefficient of restitution for 'elastic'
+   */
+  setCollisionMode(mode, { restitution = 1 } = {}) {
+    if (Collisions.isCollisionMode && !Collisions.isCollisionMode(mode)) {
+      throw new Error(`Unknown collision mode: ${mode}`);
+    }
+    
+    this.collisionsEnabled = mode !== 'none';
+    this.collisionMode = mode;
+    this.collisionRestitution = restitution;
+  }
+  
+  /**
+   * Get the active collision mode and its options
+   * @returns {Object} Collision settings with name and options
+   */
+  getCollisionSettings() {
+    return {
+      name: this.collisionsEnabled ? this.collisionMode : 'none',
+      options: { restitution: this.collisionRestitution }
+    };
+  }
+  
+  /**
+   * Register a callback for collisions. Events have the form
+   * { mode, time, bodies: [idA, idB], position, relativeSpeed } and, for
+   * mergers, survivorId, removedId, radiusBefore (km) and the survivor's
+   * new { id, mass, radius, position, velocity }.
+   * @param {Function} callback - Called with each collision event
    */
-  checkCollisions() {
-    if (!this.collisionsEnabled) return;
+  onCollision(callback) {
+    this.collisionListeners.push(callback);
+  }
+  
+  /**
+   * Detect collisions on physical radii along each body's path during the
+   * last step and resolve them with the active collision mode
+   * @param {Float64Array} previousPositions - Packed positions before the step
+   * @param {Number} dt - Length of the step in seconds
+   */
+  checkCollisions(previousPositions, dt) {
+    if (!this.collisionsEnabled || !previousPositions) return;
     
     try {
-      // Check each pair of objects
-      for (let i = 0; i < this.objects.length; i++) {
-        const objA = this.objects[i];
-        
-        for (let j = i + 1; j < this.objects.length; j++) {
-          const objB = this.objects[j];
-          
+      const count = this.objects.length;
+      const events = Collisions.resolveCollisions(this.objects, previousPositions, dt, {
+        mode: this.collisionMode,
+        restitution: this.collisionRestitution,
+        time: this.simTime
+      });
+      if (events.length === 0) return;
+      
+      // Mergers change the set of bodies; start multi-step integrators afresh
+      if (this.objects.length !== count) {
+        this._resetIntegrators();
+        this._resetDiagnostics();
+      }
+      
+      events.forEach(event => {
+        this.collisionListeners.forEach(callback => {
           try {
-            // Get object names for logging
-            const nameA = objA.name || 'Object ' + i;
-            const nameB = objB.name || 'Object ' + j;
-            
-            // Calculate distance between objects
-            const dx = objB.position.x - objA.position.x;
-            const dy = objB.position.y - objA.position.y;
-            const dz = objB.position.z - objA.position.z;
-            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-            
-            // Get object radii
-            const radiusA = objA.getDisplayRadius ? objA.getDisplayRadius() : (objA.radius || 1);
-            const radiusB = objB.getDisplayRadius ? objB.getDisplayRadius() : (objB.radius || 1);
-            
-            // Check if objects are colliding
-            if (distance < radiusA + radiusB) {
-              console.log(`Collision detected between ${nameA} and ${nameB}`);
-              
-              // Handle collision (simple elastic collision)
-              // In a real simulation, you'd need more complex physics for celestial body collisions
-              
-              // For now, just adjust positions to prevent overlap
-              const overlap = (radiusA + radiusB) - distance;
-              const adjustX = (dx / distance) * overlap * 0.5;
-              const adjustY = (dy / distance) * overlap * 0.5;
-              const adjustZ = (dz / distance) * overlap * 0.5;
-              
-              objA.position.x -= adjustX;
-              objA.position.y -= adjustY;
-              objA.position.z -= adjustZ;
-              
-              objB.position.x += adjustX;
-              objB.position.y += adjustY;
-              objB.position.z += adjustZ;
-            }
+            callback(event);
           } catch (error) {
-            console.error(`Error checking collision between ${objA.name || 'Unknown'} and ${objB.name || 'Unknown'}:`, error);
+            console.error('Error in collision listener:', error);
           }
-        }
-      }
+        });
+      });
     } catch (error) {
       console.error('Error in collision detection:', error);
     }
   }
   
+  /**
+   * Set the calendar date the simulation clock counts from
+   * @param {Number} julianDate - Julian Date at simulation time zero
+   */
+  setEpoch(julianDate) {
+    this.epoch = julianDate;
+  }
+  
+  /**
+   * Get the current simulation date as a Julian Date
+   * @returns {Number} Julian Date (UTC)
+   */
+  getJulianDate() {
+    return this.epoch + this.simTime / this.secondsPerDay;
+  }
+  
+  /**
+   * Get the current simulation date
+   * @returns {Date} UTC date
+   */
+  getDate() {
+    return window.CONSTANTS.julianDateToDate(this.getJulianDate());
+  }
+  
+  /**
+   * Propagate the system forward or backward to a date in one go. Used for
+   * short jumps and by the copies that look ahead; see jumpToDateInSlices
+   * for jumps the user waits on.
+   * @param {Date|Number} target - Date or Julian Date to jump to
+   * @param {Number} maxStep - Largest step to take in seconds
+   * @returns {Number} Number of steps taken
+   */
+  jumpToDate(target, maxStep = window.CONSTANTS ? window.CONSTANTS.FIXED_TIME_STEP : 3600) {
+    const jump = this.beginJump(target, maxStep);
+    this.continueJump(jump);
+    return jump.steps;
+  }
+  
+  /**
+   * Propagate to a date a slice of JUMP_SLICE_MS at a time, letting the page
+   * draw and take input in between
+   * @param {Date|Number} target - Date or Julian Date to jump to
+   * @param {Object} options - Options
+   * @param {Number} options.maxStep - Largest step to take in seconds
+   * @param {Function} options.onProgress - Called between slices with the fraction done
+   * @param {Function} options.isCancelled - Checked between slices; true stops the
+   *   jump where it has got to
+   * @returns {Promise<Boolean>} true once the date is reached, false if cancelled
+   */
+  async jumpToDateInSlices(target, { maxStep, onProgress, isCancelled } = {}) {
+    if (this.activeJump) {
+      throw new Error('A jump is already in progress');
+    }
+    const jump = this.beginJump(target, maxStep);
+    const sliceMs = window.CONSTANTS ? window.CONSTANTS.JUMP_SLICE_MS : 50;
+    
+    // The clock waits while the jump runs (see update)
+    this.activeJump = jump;
+    try {
+      while (!this.continueJump(jump, performance.now() + sliceMs)) {
+        if (onProgress) onProgress(jump.taken / jump.steps);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (isCancelled && isCancelled()) return false;
+      }
+      return true;
+    } finally {
+      this.activeJump = null;
+    }
+  }
+  
+  /**
+   * Start a jump to be taken with continueJump
+   * @param {Date|Number} target - Date or Julian Date to jump to
+   * @param {Number} maxStep - Largest step to take in seconds
+   * @returns {Object} Jump state: { julianDate, steps, dt, taken }
+   */
+  beginJump(target, maxStep = window.CONSTANTS ? window.CONSTANTS.FIXED_TIME_STEP : 3600) {
+    const julianDate = target instanceof Date ? window.CONSTANTS.dateToJulianDate(target) : target;
+    GravitySimulator.checkJumpSpan(this.getJulianDate(), julianDate);
+    this._clearTrails();
+    
+    const span = (julianDate - this.getJulianDate()) * this.secondsPerDay;
+    const steps = Math.ceil(Math.abs(span) / maxStep);
+    return { julianDate, steps, dt: steps > 0 ? span / steps : 0, taken: 0 };
+  }
+  
+  /**
+   * Take the next steps of a jump
+   * @param {Object} jump - Jump state from beginJump
+   * @param {Number} deadline - performance.now() time to stop at, or Infinity
+   *   to take the rest of the jump
+   * @returns {Boolean} Whether the jump has reached its date
+   */
+  continueJump(jump, deadline = Infinity) {
+    while (jump.taken < jump.steps) {
+      this.step(jump.dt);
+      jump.taken++;
+      if (deadline !== Infinity && performance.now() >= deadline) break;
+    }
+    if (jump.taken < jump.steps) return false;
+    
+    // Land exactly on the requested date despite rounding in the sum
+    this.simTime = (jump.julianDate - this.epoch) * this.secondsPerDay;
+    return true;
+  }
+  
+  /**
+   * Check that a jump goes to a real date no more than JUMP_MAX_DAYS away
+   * @param {Number} fromJulianDate - Current date
+   * @param {Number} toJulianDate - Date to jump to
+   * @throws {Error} If the date is invalid or too far
+   */
+  static checkJumpSpan(fromJulianDate, toJulianDate) {
+    if (!Number.isFinite(toJulianDate)) {
+      throw new Error(`Invalid date: ${toJulianDate}`);
+    }
+    
+    const maxDays = window.CONSTANTS ? window.CONSTANTS.JUMP_MAX_DAYS : 36525;
+    const days = Math.abs(toJulianDate - fromJulianDate);
+    if (days > maxDays) {
+      throw new Error(`Jumps are limited to ${Math.round(maxDays / 365.25)} years; ` +
+        `that date is ${Math.round(days / 365.25)} years away`);
+    }
+  }
+  
   /**
    * Update all object positions based on gravitational forces
    * @param {Number} time - Current time in milliseconds
@@ -163,6 +733,13 @@ class GravitySimulator {
   update(time) {
     if (this.paused) return;
     
+    // A jump runs even while playing, and the clock waits for it rather than
+    // stepping between its slices
+    if (this.activeJump) {
+      this.lastTime = time;
+      return;
+    }
+    
     // Calculate delta time in seconds
     const deltaTime = (this.lastTime === 0) ? 0 : (time - this.lastTime) / 1000;
     this.lastTime = time;
@@ -171,70 +748,535 @@ class GravitySimulator {
     const scaledDeltaTime = deltaTime * this.timeScale * this.secondsPerDay;
     
     // Skip if delta time is too large (e.g., after switching tabs)
-    if (scaledDeltaTime > 100000) return;
+    if (Math.abs(scaledDeltaTime) > 100000) return;
+    
+    this.step(scaledDeltaTime);
+    this._extendTrails();
+  }
+  
+  /**
+   * Advance the simulation by a fixed amount of simulated time
+   * @param {Number} dt - Time step in seconds
+   */
+  step(dt) {
+    if (dt === 0) return;
+    const startTime = this.simTime;
+    this.simTime += dt;
+    if (this.objects.length === 0) return;
+    
+    // Close encounters are integrated in several shorter substeps
+    const substeps = this.encounterSubstepping ? this._countEncounterSubsteps(dt) : 1;
+    const h = dt / substeps;
+    this.lastSubsteps = substeps;
+    
+    for (let k = 0; k < substeps && this.objects.length > 0; k++) {
+      const from = startTime + h * k;
+      const to = startTime + h * (k + 1);
+      
+      // Split the substep where an engine starts or stops, so the thrust is
+      // either on or off for the whole of each piece
+      let pieceStart = from;
+      for (const boundary of this._getBurnBoundaries(from, to)) {
+        this._advance(pieceStart, boundary);
+        pieceStart = boundary;
+      }
+      this._advance(pieceStart, to);
+    }
+    
+    this.simTime = startTime + dt;
+    this.stepCount++;
+    
+    for (const obj of this.objects) {
+      // Update orbit history
+      if (obj.orbitHistory) {
+        this._recordOrbitHistory(obj);
+      }
+    }
+    
+    if (this.diagnostics) {
+      this.diagnostics.afterStep(this);
+    }
+  }
+  
+  /**
+   * Integrate from one moment to another with no engine starting or stopping
+   * in between
+   * @param {Number} from - Start time in s
+   * @param {Number} to - End time in s
+   * @private
+   */
+  _advance(from, to) {
+    if (this.objects.length === 0 || to === from) return;
+    const h = to - from;
+    this.simTime = to;
+    
+    // Integrate the packed state and copy the result back to the objects
+    const state = this._packState();
+    const thrusting = this._setThrustTerms(state, from, to);
+    
+    // The integrators' cached accelerations don't include a changed thrust
+    if (thrusting || this._thrusting) {
+      this._resetIntegrators();
+    }
+    
+    if (this.collisionsEnabled) {
+      if (!this._previousPositions || this._previousPositions.length !== state.positions.length) {
+        this._previousPositions = new Float64Array(state.positions.length);
+      }
+      this._previousPositions.set(state.positions);
+    }
+    
+    // Engine thrust as half kicks either side of the step (Strang splitting),
+    // which keeps the step second order and time-symmetric though the thrust
+    // direction follows the velocity
+    if (thrusting) {
+      Spacecraft.applyThrustKicks(state.positions, state.velocities, state.thrustTerms, h / 2);
+    }
+    this._getStepIntegrator(h).step(state, h, this._accelerate);
+    if (thrusting) {
+      Spacecraft.applyThrustKicks(state.positions, state.velocities, state.thrustTerms, h / 2);
+    }
+    this._unpackState(state);
+    
+    // Check for collisions, particles first while the body indices still
+    // match the previous positions
+    this.absorbTestParticles(this._previousPositions);
+    this.checkCollisions(this._previousPositions, h);
     
-    // Calculate forces
+    // Burning propellant lightens the spacecraft and changes the energy
+    if (thrusting || this._thrusting) {
+      this._updateSpacecraftMasses(to);
+      this._resetDiagnostics();
+    }
+    this._thrusting = thrusting;
+  }
+  
+  /**
+   * Burn schedule of a spacecraft's maneuver nodes
+   * @param {Object} obj - Object with `spacecraft` and `maneuvers`
+   * @returns {Array} Schedule from Spacecraft.getBurnSchedule
+   * @private
+   */
+  _getBurnSchedule(obj) {
+    let cached = this._burnScheduleCache.get(obj.maneuvers);
+    if (!cached || cached.spacecraft !== obj.spacecraft) {
+      cached = { spacecraft: obj.spacecraft, schedule: Spacecraft.getBurnSchedule(obj.spacecraft, obj.maneuvers) };
+      this._burnScheduleCache.set(obj.maneuvers, cached);
+    }
+    return cached.schedule;
+  }
+  
+  /**
+   * Moments between two times where any spacecraft's engine starts or stops
+   * @param {Number} from - Start time in s
+   * @param {Number} to - End time in s
+   * @returns {Array} Times in the order they are passed going from `from` to `to`
+   * @private
+   */
+  _getBurnBoundaries(from, to) {
+    const boundaries = [];
+    for (const obj of this.objects) {
+      if (obj.spacecraft && obj.maneuvers) {
+        Spacecraft.getBurnBoundaries(this._getBurnSchedule(obj), from, to, boundaries);
+      }
+    }
+    return boundaries.sort((a, b) => (to >= from ? a - b : b - a));
+  }
+  
+  /**
+   * Fill in the engine thrust of every spacecraft burning between two times.
+   * The thrust acceleration F / m grows as propellant burns; each piece uses
+   * the mean that gives the rocket-equation delta-v ve ln(m0 / m1) exactly.
+   * @param {Object} state - Packed state
+   * @param {Number} from - Start time in s
+   * @param {Number} to - End time in s
+   * @returns {Boolean} Whether any engine is firing
+   * @private
+   */
+  _setThrustTerms(state, from, to) {
     for (let i = 0; i < this.objects.length; i++) {
-      const obj1 = this.objects[i];
+      const obj = this.objects[i];
+      if (!obj.spacecraft || !obj.maneuvers || obj.fixed) continue;
+      
+      const schedule = this._getBurnSchedule(obj);
+      const burn = Spacecraft.findActiveBurn(schedule, from, to);
+      if (!burn) continue;
+      
+      const startMass = Spacecraft.getSpacecraftMass(obj.spacecraft, schedule, from);
+      const endMass = Spacecraft.getSpacecraftMass(obj.spacecraft, schedule, to);
+      const referenceId = burn.maneuver.referenceId;
+      const reference = referenceId ? this.objects.findIndex(candidate => candidate.id === referenceId) : -1;
+      
+      state.thrustTerms.push({
+        index: i,
+        reference: reference >= 0 ? reference : state.central,
+        acceleration: Spacecraft.getExhaustVelocity(obj.spacecraft) * Math.log(startMass / endMass) / (to - from),
+        maneuver: burn.maneuver
+      });
+    }
+    return state.thrustTerms.length > 0;
+  }
+  
+  /**
+   * Set each spacecraft's mass to its dry mass plus the propellant left
+   * @param {Number} time - Simulated seconds since the epoch
+   * @private
+   */
+  _updateSpacecraftMasses(time) {
+    for (const obj of this.objects) {
+      if (obj.spacecraft) {
+        obj.mass = Spacecraft.getSpacecraftMass(obj.spacecraft, obj.maneuvers ? this._getBurnSchedule(obj) : [], time);
+      }
+    }
+  }
+  
+  /**
+   * Extend the objects' orbit trails to the current time; a rewound object
+   * retraces its trail (see CelestialObject.updateOrbitTrail)
+   * @private
+   */
+  _extendTrails() {
+    for (const obj of this.objects) {
+      if (!obj.fixed && typeof obj.updateOrbitTrail === 'function') {
+        obj.updateOrbitTrail(this.simTime);
+      }
+    }
+  }
+  
+  /**
+   * Drop the objects' orbit trails when the clock jumps, so they don't join
+   * the old positions to the new ones
+   * @private
+   */
+  _clearTrails() {
+    for (const obj of this.objects) {
+      if (typeof obj.clearOrbitTrail === 'function') {
+        obj.clearOrbitTrail();
+      }
+    }
+  }
+  
+  /**
+   * Add the current position to an object's orbit history. The history is
+   * kept in time order, so a backward run retraces it instead of doubling
+   * it; points are only added past either end, and the far end is trimmed.
+   * @param {Object} obj - Object with orbitHistory and orbitHistoryLength
+   * @private
+   */
+  _recordOrbitHistory(obj) {
+    const history = obj.orbitHistory;
+    const point = { ...obj.position, time: this.simTime };
+    
+    if (history.length === 0 || !(this.simTime <= history[history.length - 1].time)) {
+      history.push(point);
+      if (history.length > obj.orbitHistoryLength) {
+        history.shift();
+      }
+    } else if (this.simTime < history[0].time) {
+      history.unshift(point);
+      if (history.length > obj.orbitHistoryLength) {
+        history.pop();
+      }
+    }
+  }
+  
+  /**
+   * Remove the test particles that hit a body during the last step
+   * @param {Float64Array} previousPositions - Packed positions before the step
+   */
+  absorbTestParticles(previousPositions) {
+    if (!this.collisionsEnabled || !previousPositions || this.testParticles.count === 0) return;
+    
+    try {
+      const absorbed = TestParticles.findAbsorbedParticles(this.objects, this.testParticles, previousPositions);
+      if (absorbed.length === 0) return;
+      
+      this.testParticles.remove(absorbed);
+      this.testParticles.absorbed += absorbed.length;
+      this._resetIntegrators();
+    } catch (error) {
+      console.error('Error in test particle collision detection:', error);
+    }
+  }
+  
+  /**
+   * Number of substeps needed to resolve the closest encounter in a step.
+   * For every pair the shorter of the free-fall time sqrt(r^3 / G(m1 + m2))
+   * and the crossing time r / |v1 - v2| is found; the step is split so each
+   * substep is at most encounterAccuracy times the shortest of these.
+   *
+   * Only pairs with a timescale under |dt| / encounterAccuracy can split the
+   * step. Such a pair is closer than the sum of two per-body reaches, the
+   * larger of cbrt(2 G m tau^2) and the body's speed about the mean velocity
+   * times tau, so a sort and sweep along x over those reaches finds every
+   * pair that matters without checking the rest.
+   * @param {Number} dt - Step length in seconds
+   * @returns {Number} Substeps, between 1 and maxEncounterSubsteps
+   * @private
+   */
+  _countEncounterSubsteps(dt) {
+    const objects = this.objects;
+    const count = objects.length;
+    const tau = Math.abs(dt) / this.encounterAccuracy;
+    
+    // Fixed objects take part with zero velocity, as in the integrated state
+    const velocityOf = (obj, axis) => obj.fixed || !obj.velocity ? 0 : obj.velocity[axis];
+    const mean = { x: 0, y: 0, z: 0 };
+    for (const obj of objects) {
+      mean.x += velocityOf(obj, 'x') / count;
+      mean.y += velocityOf(obj, 'y') / count;
+      mean.z += velocityOf(obj, 'z') / count;
+    }
+    
+    const reach = new Float64Array(count);
+    const order = [];
+    for (let i = 0; i < count; i++) {
+      const obj = objects[i];
+      const speed = Math.sqrt(
+        (velocityOf(obj, 'x') - mean.x) ** 2 + (velocityOf(obj, 'y') - mean.y) ** 2 + (velocityOf(obj, 'z') - mean.z) ** 2
+      );
+      reach[i] = Math.max(Math.cbrt(2 * this.G * obj.mass * tau * tau), speed * tau);
+      order.push(i);
+    }
+    order.sort((first, second) => (objects[first].position.x - reach[first]) - (objects[second].position.x - reach[second]));
+    
+    // Squared Plummer softening, as in _packState
+    const softeningOf = (obj) => {
+      const length = obj.softening >= 0 ? obj.softening : this.softening;
+      return length * length;
+    };
+    
+    let shortest = Infinity;
+    const active = [];
+    for (let k = 0; k < count; k++) {
+      const next = order[k];
+      const b = objects[next];
       
-      // Initialize acceleration if not present
-      if (!obj1.acceleration) {
-        obj1.acceleration = { x: 0, y: 0, z: 0 };
-      } else {
-        obj1.acceleration.x = 0;
-        obj1.acceleration.y = 0;
-        obj1.acceleration.z = 0;
+      // Drop the bodies whose reach ends before this one's begins
+      let open = 0;
+      for (let m = 0; m < active.length; m++) {
+        const index = active[m];
+        if (objects[index].position.x + reach[index] >= b.position.x - reach[next]) {
+          active[open++] = index;
+        }
       }
+      active.length = open;
       
-      // Sum forces from all other objects
-      for (let j = 0; j < this.objects.length; j++) {
-        if (i === j) continue; // Skip self
+      for (const other of active) {
+        const a = objects[other];
+        const mass = a.mass + b.mass;
+        if (mass === 0) continue;
         
-        const obj2 = this.objects[j];
+        const dx = b.position.x - a.position.x;
+        const dy = b.position.y - a.position.y;
+        const dz = b.position.z - a.position.z;
+        const distanceSquared = dx * dx + dy * dy + dz * dz + 0.5 * (softeningOf(a) + softeningOf(b));
+        if (distanceSquared === 0) continue;
         
-        // Calculate force
-        const force = this.calculateGravitationalForce(obj1, obj2);
+        const dvx = velocityOf(b, 'x') - velocityOf(a, 'x');
+        const dvy = velocityOf(b, 'y') - velocityOf(a, 'y');
+        const dvz = velocityOf(b, 'z') - velocityOf(a, 'z');
+        const speedSquared = dvx * dvx + dvy * dvy + dvz * dvz;
         
-        // Apply to acceleration (F = ma, so a = F/m)
-        obj1.acceleration.x += force.x / obj1.mass;
-        obj1.acceleration.y += force.y / obj1.mass;
-        obj1.acceleration.z += force.z / obj1.mass;
+        const freeFall = Math.sqrt(distanceSquared * Math.sqrt(distanceSquared) / (this.G * mass));
+        const crossing = speedSquared > 0 ? Math.sqrt(distanceSquared / speedSquared) : Infinity;
+        shortest = Math.min(shortest, freeFall, crossing);
       }
+      active.push(next);
     }
     
-    // Update velocities and positions
-    for (const obj of this.objects) {
-      // Skip objects with fixed positions
-      if (obj.fixed) continue;
+    const substeps = Math.ceil(Math.abs(dt) / (this.encounterAccuracy * shortest));
+    return Math.max(1, Math.min(this.maxEncounterSubsteps, substeps || 1));
+  }
+  
+  /**
+   * Compute gravitational accelerations for a packed state. Entries past
+   * the massive bodies are test particles.
+   * @param {Float64Array} positions - Packed positions
+   * @param {Float64Array} velocities - Packed velocities
+   * @param {Float64Array} out - Packed accelerations to fill
+   * @private
+   */
+  _computeAccelerations(positions, velocities, out) {
+    const { masses, fixed, radii, central, forceTerms, zonalFields } = this._state;
+    const count = masses.length;
+    
+    this.forceSolver.computeAccelerations(positions, masses, this.G, out, this._state.softening);
+    
+    if (positions.length > count * 3) {
+      TestParticles.computeTestParticleAccelerations(
+        positions, masses, this._state.softening, this.softening * this.softening, this.G, out
+      );
+    }
+    
+    if (this.relativityEnabled) {
+      Relativity.addPostNewtonianAccelerations(
+        positions, velocities, masses, this.G, this.speedOfLight, central, out
+      );
+    }
+    
+    if (zonalFields.length > 0) {
+      ZonalHarmonics.addZonalAccelerations(positions, masses, this.G, zonalFields, out);
+    }
+    
+    // Non-gravitational forces
+    if (forceTerms.length > 0) {
+      const context = { positions, velocities, masses, radii, central, G: this.G };
+      for (const { index, model } of forceTerms) {
+        model.accelerate(index, context, out);
+      }
+    }
+    
+    // Fixed objects never accelerate
+    for (let i = 0; i < count; i++) {
+      if (fixed[i]) {
+        out[i * 3] = 0;
+        out[i * 3 + 1] = 0;
+        out[i * 3 + 2] = 0;
+      }
+    }
+  }
+  
+  /**
+   * Copy object positions, velocities and masses into typed arrays, with
+   * the test particles packed after the objects
+   * @returns {Object} Packed state
+   * @private
+   */
+  _packState() {
+    const count = this.objects.length;
+    const particles = this.testParticles;
+    const packedLength = (count + particles.count) * 3;
+    
+    if (!this._state || this._state.masses.length !== count || this._state.positions.length !== packedLength) {
+      this._state = {
+        positions: new Float64Array(packedLength),
+        velocities: new Float64Array(packedLength),
+        masses: new Float64Array(count),
+        fixed: new Uint8Array(count),
+        softening: new Float64Array(count),
+        radii: new Float64Array(count),
+        central: -1,
+        forceTerms: [],
+        zonalFields: [],
+        thrustTerms: []
+      };
+    }
+    
+    const state = this._state;
+    const { positions, velocities, masses, fixed, softening, radii } = state;
+    state.central = -1;
+    state.forceTerms.length = 0;
+    state.zonalFields.length = 0;
+    state.thrustTerms.length = 0;
+    
+    for (let i = 0; i < count; i++) {
+      const obj = this.objects[i];
+      const i3 = i * 3;
       
       // Initialize velocity if not present
       if (!obj.velocity) {
         obj.velocity = { x: 0, y: 0, z: 0 };
       }
       
-      // Update velocity using acceleration
-      obj.velocity.x += obj.acceleration.x * scaledDeltaTime;
-      obj.velocity.y += obj.acceleration.y * scaledDeltaTime;
-      obj.velocity.z += obj.acceleration.z * scaledDeltaTime;
+      positions[i3] = obj.position.x;
+      positions[i3 + 1] = obj.position.y;
+      positions[i3 + 2] = obj.position.z;
       
-      // Update position using velocity
-      obj.position.x += obj.velocity.x * scaledDeltaTime;
-      obj.position.y += obj.velocity.y * scaledDeltaTime;
-      obj.position.z += obj.velocity.z * scaledDeltaTime;
+      // Objects with fixed positions keep zero velocity during the step
+      fixed[i] = obj.fixed ? 1 : 0;
+      velocities[i3] = obj.fixed ? 0 : obj.velocity.x;
+      velocities[i3 + 1] = obj.fixed ? 0 : obj.velocity.y;
+      velocities[i3 + 2] = obj.fixed ? 0 : obj.velocity.z;
       
-      // Update orbit history
-      if (obj.orbitHistory) {
-        obj.orbitHistory.push({ ...obj.position });
-        
-        // Limit history length
-        if (obj.orbitHistory.length > obj.orbitHistoryLength) {
-          obj.orbitHistory.shift();
-        }
+      masses[i] = obj.mass;
+      radii[i] = (obj.radius || 0) * 1000; // km -> m
+      if (state.central === -1 || obj.mass > masses[state.central]) {
+        state.central = i;
+      }
+      
+      if (obj.forces) {
+        this._getForceModels(obj).forEach(model => state.forceTerms.push({ index: i, model }));
+      }
+      if (obj.zonalHarmonics) {
+        state.zonalFields.push({ index: i, ...this._getZonalField(obj) });
       }
+      
+      // Squared Plummer softening; a body's own length overrides the global one
+      const length = obj.softening >= 0 ? obj.softening : this.softening;
+      softening[i] = length * length;
+    }
+    
+    if (particles.count > 0) {
+      positions.set(particles.positions.subarray(0, particles.count * 3), count * 3);
+      velocities.set(particles.velocities.subarray(0, particles.count * 3), count * 3);
+    }
+    
+    return state;
+  }
+  
+  /**
+   * Force model instances for an object's `forces` settings
+   * @param {Object} obj - Object with a `forces` map
+   * @returns {Array} Force models
+   * @private
+   */
+  _getForceModels(obj) {
+    let models = this._forceModelCache.get(obj.forces);
+    if (!models) {
+      models = Object.keys(obj.forces).map(name => ForceModels.createForceModel(name, obj.forces[name]));
+      this._forceModelCache.set(obj.forces, models);
+    }
+    return models;
+  }
+  
+  /**
+   * Gravity field of an oblate object from its `zonalHarmonics` settings
+   * @param {Object} obj - Object with `zonalHarmonics`
+   * @returns {Object} { coefficients: [J2, J3, J4], radius (m), axis: [x, y, z] }
+   * @private
+   */
+  _getZonalField(obj) {
+    let field = this._zonalFieldCache.get(obj.zonalHarmonics);
+    if (!field) {
+      const harmonics = ZonalHarmonics.normalizeZonalHarmonics(obj.zonalHarmonics);
+      field = {
+        coefficients: ZonalHarmonics.ZONAL_COEFFICIENTS.map(name => harmonics[name]),
+        radius: (harmonics.referenceRadius || obj.radius || 0) * 1000, // km -> m
+        axis: ZonalHarmonics.getSpinAxis(obj)
+      };
+      this._zonalFieldCache.set(obj.zonalHarmonics, field);
     }
+    return field;
+  }
+  
+  /**
+   * Copy a packed state back onto the objects and test particles
+   * @param {Object} state - Packed state
+   * @private
+   */
+  _unpackState(state) {
+    const { positions, velocities } = state;
     
-    // Check for collisions
-    this.checkCollisions();
+    for (let i = 0; i < this.objects.length; i++) {
+      const obj = this.objects[i];
+      if (obj.fixed) continue;
+      
+      const i3 = i * 3;
+      obj.position.x = positions[i3];
+      obj.position.y = positions[i3 + 1];
+      obj.position.z = positions[i3 + 2];
+      obj.velocity.x = velocities[i3];
+      obj.velocity.y = velocities[i3 + 1];
+      obj.velocity.z = velocities[i3 + 2];
+    }
+    
+    const particles = this.testParticles;
+    if (particles.count > 0) {
+      const offset = this.objects.length * 3;
+      particles.positions.set(positions.subarray(offset, offset + particles.count * 3));
+      particles.velocities.set(velocities.subarray(offset, offset + particles.count * 3));
+    }
   }
   
   /**
@@ -242,8 +1284,15 @@ class GravitySimulator {
    */
   dispose() {
     this.objects = [];
+    this.testParticles.clear();
   }
 }
 
 // Make available to the window context
-window.GravitySimulator = GravitySimulator;
+if (typeof window !== 'undefined') {
+  window.GravitySimulator = GravitySimulator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GravitySimulator;
+}
@@ -0,0 +1,486 @@
+// Integrators - Numerical integration schemes for the gravity simulator
+
+/**
+ * All integrators work on a packed state so they don't depend on how the
+ * simulator stores its bodies:
+ *   state.positions  - Float64Array [x0, y0, z0, x1, y1, z1, ...]
+ *   state.velocities - Float64Array, same layout as positions
+ *
+ * The acceleration callback fills `out` with the acceleration of every body
+ * for the given positions and velocities:
+ *   accelerate(positions, velocities, out)
+ */
+
+/**
+ * Base class for all integrators
+ */
+class Integrator {
+  /**
+   * Create a new integrator
+   * @param {Object} options - Integrator specific options
+   */
+  constructor(options = {}) {
+    this.options = { ...options };
+    this._scratch = {};
+  }
+
+  /**
+   * Whether stepping by -dt exactly undoes a step by dt (up to rounding), so
+   * a run played backward retraces its forward path
+   * @returns {Boolean} True for time-symmetric schemes
+   */
+  get timeSymmetric() {
+    return !!this.constructor.timeSymmetric;
+  }
+
+  /**
+   * Advance the state by dt
+   * @param {Object} state - Packed state with positions and velocities
+   * @param {Number} dt - Time step in seconds
+   * @param {Function} accelerate - Acceleration callback
+   * @returns {Number} Number of force evaluations performed
+   */
+  step(state, dt, accelerate) {
+    throw new Error(`${this.constructor.name} does not implement step()`);
+  }
+
+  /**
+   * Get a reusable scratch buffer of the given length
+   * @param {String} key - Buffer name
+   * @param {Number} length - Required length
+   * @returns {Float64Array} Scratch buffer
+   * @private
+   */
+  _buffer(key, length) {
+    let buffer = this._scratch[key];
+    if (!buffer || buffer.length !== length) {
+      buffer = new Float64Array(length);
+      this._scratch[key] = buffer;
+    }
+    return buffer;
+  }
+
+  /**
+   * Drop any cached data, e.g. after bodies were added or removed
+   */
+  reset() {
+    this._scratch = {};
+  }
+
+  /**
+   * Get the options needed to recreate this integrator
+   * @returns {Object} Integrator settings
+   */
+  getSettings() {
+    return {
+      name: this.constructor.id,
+      options: { ...this.options }
+    };
+  }
+}
+
+/**
+ * Semi-implicit (symplectic) Euler - the simulator's original scheme.
+ * First order; kept as a baseline for comparison.
+ */
+class EulerIntegrator extends Integrator {
+  step(state, dt, accelerate) {
+    const { positions, velocities } = state;
+    const acc = this._buffer('acc', positions.length);
+
+    accelerate(positions, velocities, acc);
+
+    for (let i = 0; i < positions.length; i++) {
+      velocities[i] += acc[i] * dt;
+      positions[i] += velocities[i] * dt;
+    }
+
+    return 1;
+  }
+}
+EulerIntegrator.id = 'euler';
+EulerIntegrator.label = 'Euler (baseline)';
+EulerIntegrator.timeSymmetric = false;
+
+/**
+ * Velocity Verlet - second order, symplectic and time reversible.
+ * Caches the end-of-step acceleration so each step costs one force evaluation.
+ */
+class VelocityVerletIntegrator extends Integrator {
+  step(state, dt, accelerate) {
+    const { positions, velocities } = state;
+    const n = positions.length;
+    const acc = this._buffer('acc', n);
+    let evaluations = 0;
+
+    // Only trust the cached acceleration if it belongs to this exact state
+    if (!this._hasCachedAcceleration(state)) {
+      accelerate(positions, velocities, acc);
+      evaluations++;
+    }
+
+    for (let i = 0; i < n; i++) {
+      velocities[i] += 0.5 * acc[i] * dt;
+      positions[i] += velocities[i] * dt;
+    }
+
+    accelerate(positions, velocities, acc);
+    evaluations++;
+
+    for (let i = 0; i < n; i++) {
+      velocities[i] += 0.5 * acc[i] * dt;
+    }
+
+    this._cacheState(state);
+    return evaluations;
+  }
+
+  /**
+   * Check whether the cached acceleration was computed for this state
+   * @param {Object} state - Packed state
+   * @returns {Boolean} True if the cache can be reused
+   * @private
+   */
+  _hasCachedAcceleration(state) {
+    const cached = this._scratch.cachedPositions;
+    if (!cached || cached.length !== state.positions.length) return false;
+
+    for (let i = 0; i < cached.length; i++) {
+      if (cached[i] !== state.positions[i]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Remember the positions the cached acceleration belongs to
+   * @param {Object} state - Packed state
+   * @private
+   */
+  _cacheState(state) {
+    this._buffer('cachedPositions', state.positions.length).set(state.positions);
+  }
+}
+VelocityVerletIntegrator.id = 'verlet';
+VelocityVerletIntegrator.label = 'Velocity Verlet';
+VelocityVerletIntegrator.timeSymmetric = true;
+
+/**
+ * Leapfrog in drift-kick-drift form - second order, symplectic and time
+ * reversible. Evaluates forces at the half step position.
+ */
+class LeapfrogIntegrator extends Integrator {
+  step(state, dt, accelerate) {
+    const { positions, velocities } = state;
+    const n = positions.length;
+    const acc = this._buffer('acc', n);
+
+    for (let i = 0; i < n; i++) {
+      positions[i] += 0.5 * velocities[i] * dt;
+    }
+
+    accelerate(positions, velocities, acc);
+
+    for (let i = 0; i < n; i++) {
+      velocities[i] += acc[i] * dt;
+      positions[i] += 0.5 * velocities[i] * dt;
+    }
+
+    return 1;
+  }
+}
+LeapfrogIntegrator.id = 'leapfrog';
+LeapfrogIntegrator.label = 'Leapfrog';
+LeapfrogIntegrator.timeSymmetric = true;
+
+/**
+ * Classic fourth order Runge-Kutta. Accurate over short spans but not
+ * symplectic, so energy slowly drifts over very long runs.
+ */
+class RK4Integrator extends Integrator {
+  step(state, dt, accelerate) {
+    const { positions, velocities } = state;
+    const n = positions.length;
+
+    const tmpPos = this._buffer('tmpPos', n);
+    const tmpVel = this._buffer('tmpVel', n);
+    const k1v = this._buffer('k1v', n);
+    const k2v = this._buffer('k2v', n);
+    const k3v = this._buffer('k3v', n);
+    const k4v = this._buffer('k4v', n);
+    const k1x = this._buffer('k1x', n);
+    const k2x = this._buffer('k2x', n);
+    const k3x = this._buffer('k3x', n);
+    const k4x = this._buffer('k4x', n);
+
+    // k1
+    k1x.set(velocities);
+    accelerate(positions, velocities, k1v);
+
+    // k2
+    for (let i = 0; i < n; i++) {
+      tmpPos[i] = positions[i] + 0.5 * dt * k1x[i];
+      tmpVel[i] = velocities[i] + 0.5 * dt * k1v[i];
+    }
+    k2x.set(tmpVel);
+    accelerate(tmpPos, tmpVel, k2v);
+
+    // k3
+    for (let i = 0; i < n; i++) {
+      tmpPos[i] = positions[i] + 0.5 * dt * k2x[i];
+      tmpVel[i] = velocities[i] + 0.5 * dt * k2v[i];
+    }
+    k3x.set(tmpVel);
+    accelerate(tmpPos, tmpVel, k3v);
+
+    // k4
+    for (let i = 0; i < n; i++) {
+      tmpPos[i] = positions[i] + dt * k3x[i];
+      tmpVel[i] = velocities[i] + dt * k3v[i];
+    }
+    k4x.set(tmpVel);
+    accelerate(tmpPos, tmpVel, k4v);
+
+    // Combine
+    for (let i = 0; i < n; i++) {
+      positions[i] += dt / 6 * (k1x[i] + 2 * k2x[i] + 2 * k3x[i] + k4x[i]);
+      velocities[i] += dt / 6 * (k1v[i] + 2 * k2v[i] + 2 * k3v[i] + k4v[i]);
+    }
+
+    return 4;
+  }
+}
+RK4Integrator.id = 'rk4';
+RK4Integrator.label = 'Runge-Kutta 4';
+RK4Integrator.timeSymmetric = false;
+
+// Runge-Kutta-Fehlberg 4(5) Butcher tableau
+const RKF45_A = [
+  [],
+  [1 / 4],
+  [3 / 32, 9 / 32],
+  [1932 / 2197, -7200 / 2197, 7296 / 2197],
+  [439 / 216, -8, 3680 / 513, -845 / 4104],
+  [-8 / 27, 2, -3544 / 2565, 1859 / 4104, -11 / 40]
+];
+const RKF45_B4 = [25 / 216, 0, 1408 / 2565, 2197 / 4104, -1 / 5, 0];
+const RKF45_B5 = [16 / 135, 0, 6656 / 12825, 28561 / 56430, -9 / 50, 2 / 55];
+
+/**
+ * Adaptive Runge-Kutta-Fehlberg 4(5). Splits each requested step into as many
+ * sub-steps as needed to keep the local error estimate below the tolerance.
+ *
+ * Options:
+ *   tolerance   - Relative error tolerance per sub-step (default 1e-9)
+ *   minStep     - Smallest allowed sub-step in seconds (default 1)
+ *   maxSubsteps - Safety limit of sub-steps per call (default 1000)
+ */
+class RKF45Integrator extends Integrator {
+  constructor(options = {}) {
+    super({
+      tolerance: 1e-9,
+      minStep: 1,
+      maxSubsteps: 1000,
+      ...options
+    });
+
+    // Sub-step size carried over between calls
+    this.suggestedStep = null;
+    this.lastSubsteps = 0;
+  }
+
+  step(state, dt, accelerate) {
+    if (dt === 0) return 0;
+
+    const direction = Math.sign(dt);
+    const total = Math.abs(dt);
+    const { tolerance, minStep, maxSubsteps } = this.options;
+
+    let elapsed = 0;
+    let h = Math.min(this.suggestedStep || total, total);
+    let substeps = 0;
+    let evaluations = 0;
+
+    while (elapsed < total && substeps < maxSubsteps) {
+      h = Math.min(h, total - elapsed);
+
+      const error = this._trialStep(state, h * direction, accelerate);
+      evaluations += 6;
+
+      if (error <= tolerance || h <= minStep) {
+        this._acceptTrial(state);
+        elapsed += h;
+        substeps++;
+      }
+
+      // Standard step size controller with safety factor and growth limits
+      const factor = error === 0
+        ? 4
+        : Math.min(4, Math.max(0.1, 0.9 * Math.pow(tolerance / error, 0.2)));
+      h = Math.max(minStep, h * factor);
+    }
+
+    if (elapsed < total) {
+      console.warn(`RKF45 reached ${maxSubsteps} sub-steps; finishing with a single step`);
+      this._trialStep(state, (total - elapsed) * direction, accelerate);
+      this._acceptTrial(state);
+      evaluations += 6;
+    }
+
+    this.suggestedStep = h;
+    this.lastSubsteps = substeps;
+    return evaluations;
+  }
+
+  reset() {
+    super.reset();
+    this.suggestedStep = null;
+  }
+
+  /**
+   * Compute a fifth order trial step into scratch buffers
+   * @param {Object} state - Packed state (not modified)
+   * @param {Number} h - Signed sub-step in seconds
+   * @param {Function} accelerate - Acceleration callback
+   * @returns {Number} Relative error estimate
+   * @private
+   */
+  _trialStep(state, h, accelerate) {
+    const { positions, velocities } = state;
+    const n = positions.length;
+    const kx = [];
+    const kv = [];
+    const tmpPos = this._buffer('tmpPos', n);
+    const tmpVel = this._buffer('tmpVel', n);
+
+    for (let stage = 0; stage < 6; stage++) {
+      const stageX = this._buffer(`kx${stage}`, n);
+      const stageV = this._buffer(`kv${stage}`, n);
+      const a = RKF45_A[stage];
+
+      for (let i = 0; i < n; i++) {
+        let dx = 0;
+        let dv = 0;
+        for (let j = 0; j < a.length; j++) {
+          dx += a[j] * kx[j][i];
+          dv += a[j] * kv[j][i];
+        }
+        tmpPos[i] = positions[i] + h * dx;
+        tmpVel[i] = velocities[i] + h * dv;
+      }
+
+      stageX.set(tmpVel);
+      accelerate(tmpPos, tmpVel, stageV);
+      kx.push(stageX);
+      kv.push(stageV);
+    }
+
+    const nextPos = this._buffer('nextPos', n);
+    const nextVel = this._buffer('nextVel', n);
+    let maxError = 0;
+
+    for (let body = 0; body < n; body += 3) {
+      // Scale errors by the size of each body's state so that components
+      // which happen to be near zero don't dominate the estimate
+      const posScale = Math.hypot(positions[body], positions[body + 1], positions[body + 2]) +
+        Math.abs(h) * Math.hypot(velocities[body], velocities[body + 1], velocities[body + 2]) + 1e-30;
+      const velScale = Math.hypot(velocities[body], velocities[body + 1], velocities[body + 2]) +
+        Math.abs(h) * Math.hypot(kv[0][body], kv[0][body + 1], kv[0][body + 2]) + 1e-30;
+
+      for (let i = body; i < body + 3; i++) {
+        let x4 = 0;
+        let x5 = 0;
+        let v4 = 0;
+        let v5 = 0;
+        for (let s = 0; s < 6; s++) {
+          x4 += RKF45_B4[s] * kx[s][i];
+          x5 += RKF45_B5[s] * kx[s][i];
+          v4 += RKF45_B4[s] * kv[s][i];
+          v5 += RKF45_B5[s] * kv[s][i];
+        }
+
+        nextPos[i] = positions[i] + h * x5;
+        nextVel[i] = velocities[i] + h * v5;
+
+        maxError = Math.max(
+          maxError,
+          Math.abs(h * (x5 - x4)) / posScale,
+          Math.abs(h * (v5 - v4)) / velScale
+        );
+      }
+    }
+
+    return maxError;
+  }
+
+  /**
+   * Copy the last trial step into the state
+   * @param {Object} state - Packed state
+   * @private
+   */
+  _acceptTrial(state) {
+    state.positions.set(this._scratch.nextPos);
+    state.velocities.set(this._scratch.nextVel);
+  }
+}
+RKF45Integrator.id = 'rkf45';
+RKF45Integrator.label = 'Adaptive RKF45';
+RKF45Integrator.timeSymmetric = false;
+
+// Registry of built-in integrators keyed by name
+const INTEGRATORS = {
+  [EulerIntegrator.id]: EulerIntegrator,
+  [VelocityVerletIntegrator.id]: VelocityVerletIntegrator,
+  [LeapfrogIntegrator.id]: LeapfrogIntegrator,
+  [RK4Integrator.id]: RK4Integrator,
+  [RKF45Integrator.id]: RKF45Integrator
+};
+
+/**
+ * Create an integrator by name
+ * @param {String} name - Registered integrator name
+ * @param {Object} options - Integrator specific options
+ * @returns {Integrator} The new integrator
+ */
+function createIntegrator(name, options = {}) {
+  const IntegratorClass = INTEGRATORS[name];
+  if (!IntegratorClass) {
+    throw new Error(`Unknown integrator "${name}". Available: ${Object.keys(INTEGRATORS).join(', ')}`);
+  }
+  return new IntegratorClass(options);
+}
+
+/**
+ * List the available integrators for UI display
+ * @returns {Array} Array of { name, label, timeSymmetric }
+ */
+function getAvailableIntegrators() {
+  return Object.values(INTEGRATORS).map(IntegratorClass => ({
+    name: IntegratorClass.id,
+    label: IntegratorClass.label,
+    timeSymmetric: IntegratorClass.timeSymmetric
+  }));
+}
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.Integrators = {
+    Integrator,
+    INTEGRATORS,
+    createIntegrator,
+    getAvailableIntegrators
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Integrator,
+    EulerIntegrator,
+    VelocityVerletIntegrator,
+    LeapfrogIntegrator,
+    RK4Integrator,
+    RKF45Integrator,
+    INTEGRATORS,
+    createIntegrator,
+    getAvailableIntegrators
+  };
+}
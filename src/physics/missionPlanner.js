@@ -0,0 +1,632 @@
+// Mission Planner - Patched-conic Hohmann and bi-elliptic transfers between bodies
+//
+// Loaded as a classic script next to the other physics modules, so it reads
+// window.CONSTANTS and window.OrbitalElements when needed.
+
+/**
+ * Plans transfers with patched conics: inside the common parent's sphere of
+ * influence the spacecraft follows a two-body conic around the parent, and at
+ * each end the difference from the body's orbital velocity (v∞) is turned into
+ * an escape or capture burn from a circular parking orbit.
+ *
+ * Three arrangements are supported:
+ *
+ * - two bodies orbiting the same parent (Earth to Mars around the Sun)
+ * - a body to one of its moons, from a parking orbit around the body
+ * - a moon back to its planet, into a parking orbit around the planet
+ *
+ * Transfers are coplanar and between circular orbits of the bodies'
+ * semi-major axes, so the numbers are the textbook ones. The launch window is
+ * when the phase angle between the bodies lets the destination arrive where
+ * the transfer ends; it is refined by propagating both bodies along their
+ * actual two-body ellipses.
+ *
+ * The planner also keeps track of launched missions. Their planned burns,
+ * such as the mid-course burn of a bi-elliptic transfer, are flown by the
+ * simulator as maneuver nodes on the spacecraft (see physics/spacecraft.js).
+ */
+class MissionPlanner {
+  /**
+   * Create a new planner
+   */
+  constructor() {
+    this.missions = [];
+  }
+
+  /**
+   * Delta-v and time of a Hohmann transfer between circular orbits
+   * @param {Number} mu - Gravitational parameter of the central body in m^3/s^2
+   * @param {Number} r1 - Departure orbit radius in m
+   * @param {Number} r2 - Arrival orbit radius in m
+   * @returns {Object} { deltaV1, deltaV2 (m/s), time (s), transferAngle (rad),
+   *   apoapsis (farthest point of the transfer, m) }
+   */
+  static hohmann(mu, r1, r2) {
+    const a = (r1 + r2) / 2;
+    const departureSpeed = Math.sqrt(mu * (2 / r1 - 1 / a));
+    const arrivalSpeed = Math.sqrt(mu * (2 / r2 - 1 / a));
+
+    return {
+      deltaV1: Math.abs(departureSpeed - Math.sqrt(mu / r1)),
+      deltaV2: Math.abs(Math.sqrt(mu / r2) - arrivalSpeed),
+      time: Math.PI * Math.sqrt(a * a * a / mu),
+      transferAngle: Math.PI,
+      apoapsis: Math.max(r1, r2)
+    };
+  }
+
+  /**
+   * Delta-v and time of a bi-elliptic transfer between circular orbits: out to
+   * an intermediate apoapsis, a burn there to raise or lower periapsis to the
+   * arrival orbit, and a circularizing burn on arrival
+   * @param {Number} mu - Gravitational parameter of the central body in m^3/s^2
+   * @param {Number} r1 - Departure orbit radius in m
+   * @param {Number} r2 - Arrival orbit radius in m
+   * @param {Number} rb - Intermediate apoapsis in m, at least max(r1, r2)
+   * @returns {Object} { deltaV1, deltaVMid, deltaV2 (m/s), time (s),
+   *   transferAngle (rad), apoapsis (m) }
+   */
+  static biElliptic(mu, r1, r2, rb) {
+    if (!(rb >= Math.max(r1, r2))) {
+      throw new Error('The intermediate apoapsis must be at least as far out as both orbits');
+    }
+
+    const a1 = (r1 + rb) / 2;
+    const a2 = (r2 + rb) / 2;
+    const visViva = (r, a) => Math.sqrt(mu * (2 / r - 1 / a));
+
+    return {
+      deltaV1: Math.abs(visViva(r1, a1) - Math.sqrt(mu / r1)),
+      deltaVMid: Math.abs(visViva(rb, a2) - visViva(rb, a1)),
+      deltaV2: Math.abs(visViva(r2, a2) - Math.sqrt(mu / r2)),
+      time: Math.PI * (Math.sqrt(a1 * a1 * a1 / mu) + Math.sqrt(a2 * a2 * a2 / mu)),
+      transferAngle: 2 * Math.PI,
+      apoapsis: rb
+    };
+  }
+
+  /**
+   * Burn between a circular parking orbit and a hyperbola leaving (or
+   * arriving) with a given speed at infinity
+   * @param {Number} mu - Gravitational parameter of the body in m^3/s^2
+   * @param {Number} radius - Parking orbit radius in m
+   * @param {Number} vInfinity - Hyperbolic excess speed in m/s
+   * @returns {Number} Delta-v in m/s
+   */
+  static hyperbolicDeltaV(mu, radius, vInfinity) {
+    return Math.sqrt(vInfinity * vInfinity + 2 * mu / radius) - Math.sqrt(mu / radius);
+  }
+
+  /**
+   * Plan a transfer between two bodies in their current positions
+   * @param {Object} origin - Body to leave
+   * @param {Object} destination - Body to reach
+   * @param {Array} objects - All bodies in the simulation
+   * @param {Object} options - Options
+   * @param {String} options.kind - 'hohmann' or 'bi-elliptic'
+   * @param {Number} options.apoapsisRatio - Bi-elliptic apoapsis as a multiple of the larger orbit
+   * @param {Number} options.parkingAltitude - Parking orbit altitude in m
+   * @param {Number} options.G - Gravitational constant
+   * @returns {Object} Plan: bodies, radii (m), `transfer` (see hohmann and
+   *   biElliptic), `departure` and `arrival` { vInfinity, deltaV, and for
+   *   arrival at a body in orbit impactParameter (m) }, totalDeltaV
+   *   (m/s), time (s), currentPhase and requiredPhase (rad, null when any
+   *   departure time will do), synodicPeriod and wait (s until the window)
+   */
+  static plan(origin, destination, objects, options = {}) {
+    const CONSTANTS = window.CONSTANTS;
+    const OrbitalElements = window.OrbitalElements || require('./orbitalElements');
+    const {
+      kind = 'hohmann',
+      apoapsisRatio = CONSTANTS.MISSION_BI_ELLIPTIC_RATIO,
+      parkingAltitude = CONSTANTS.kmToMeters(CONSTANTS.MISSION_PARKING_ALTITUDE_KM),
+      G = CONSTANTS.G
+    } = options;
+
+    if (!MissionPlanner.TRANSFER_KINDS.includes(kind)) {
+      throw new Error(`Unknown transfer: ${kind}`);
+    }
+    if (!origin || !destination || origin === destination) {
+      throw new Error('Pick two different bodies for the origin and the destination');
+    }
+
+    const nameOf = (body) => body.name || body.id;
+    const originParent = OrbitalElements.findDominantAttractor(origin, objects);
+    const destinationParent = OrbitalElements.findDominantAttractor(destination, objects);
+
+    let central;
+    let start = 'orbit';
+    let end = 'orbit';
+    if (originParent && originParent === destinationParent) {
+      central = originParent;
+    } else if (destinationParent === origin) {
+      central = origin;
+      start = 'parking';
+    } else if (originParent === destination) {
+      central = destination;
+      end = 'parking';
+    } else {
+      throw new Error(`${nameOf(origin)} and ${nameOf(destination)} don't orbit the same body. ` +
+        'Pick two bodies with the same parent, or a body and one of its moons.');
+    }
+
+    const mu = G * central.mass;
+    const parkingRadius = (body) => CONSTANTS.kmToMeters(body.radius || 0) + parkingAltitude;
+    const orbitRadius = (body) => {
+      const elements = OrbitalElements.stateToKepler(
+        relativeVector(body, central, 'position'), relativeVector(body, central, 'velocity'), G * (central.mass + body.mass));
+      if (!(elements.e < 1)) {
+        throw new Error(`${nameOf(body)} is not in a closed orbit around ${nameOf(central)}`);
+      }
+      return elements.a;
+    };
+
+    const r1 = start === 'orbit' ? orbitRadius(origin) : parkingRadius(origin);
+    const r2 = end === 'orbit' ? orbitRadius(destination) : parkingRadius(destination);
+    const transfer = kind === 'hohmann'
+      ? MissionPlanner.hohmann(mu, r1, r2)
+      : MissionPlanner.biElliptic(mu, r1, r2, apoapsisRatio * Math.max(r1, r2));
+
+    // Escape and capture burns at the ends that are bodies in orbit
+    const hyperbolic = (body, vInfinity) => ({
+      vInfinity,
+      deltaV: MissionPlanner.hyperbolicDeltaV(G * body.mass, parkingRadius(body), vInfinity)
+    });
+    const departure = start === 'orbit' ? hyperbolic(origin, transfer.deltaV1) : { vInfinity: null, deltaV: transfer.deltaV1 };
+    const arrival = end === 'orbit' ? hyperbolic(destination, transfer.deltaV2) : { vInfinity: null, deltaV: transfer.deltaV2 };
+
+    // Miss distance that bends the arrival hyperbola down to the parking
+    // orbit instead of into the destination
+    if (end === 'orbit') {
+      const periapsis = parkingRadius(destination);
+      const focusing = 2 * G * destination.mass / (periapsis * arrival.vInfinity * arrival.vInfinity);
+      arrival.impactParameter = periapsis * Math.sqrt(1 + focusing);
+    }
+
+    const plan = {
+      kind,
+      origin,
+      destination,
+      central,
+      start,
+      end,
+      r1,
+      r2,
+      transfer,
+      departure,
+      arrival,
+      totalDeltaV: departure.deltaV + (transfer.deltaVMid || 0) + arrival.deltaV,
+      time: transfer.time,
+      currentPhase: null,
+      requiredPhase: null,
+      synodicPeriod: null,
+      wait: 0
+    };
+
+    // From a parking orbit the burn can happen wherever the aim is right
+    if (start === 'orbit' && end === 'orbit') {
+      const n1 = Math.sqrt(mu / (r1 * r1 * r1));
+      const n2 = Math.sqrt(mu / (r2 * r2 * r2));
+      if (Math.abs(n1 - n2) < 1e-6 * n1) {
+        throw new Error(`${nameOf(origin)} and ${nameOf(destination)} share an orbit, so their phase never changes`);
+      }
+
+      plan.currentPhase = phaseAngle(origin, destination, central);
+      plan.requiredPhase = wrapAngle(transfer.transferAngle - n2 * transfer.time);
+      plan.synodicPeriod = 2 * Math.PI / Math.abs(n1 - n2);
+
+      const estimate = (plan.requiredPhase - plan.currentPhase) / (n2 - n1);
+      plan.wait = refineWindow(plan, G, n2 - n1,
+        ((estimate % plan.synodicPeriod) + plan.synodicPeriod) % plan.synodicPeriod);
+    }
+
+    return plan;
+  }
+
+  /**
+   * State of a spacecraft that has just made the departure burn of a plan, at
+   * the bodies' current positions (the launch window). The spacecraft is placed
+   * a little way along the transfer, outside the origin's sphere of influence
+   * or away from the central body's surface, so it starts where the patched
+   * conic holds; `offset` is how long after the burn that point is reached.
+   * @param {Object} plan - Plan from MissionPlanner.plan
+   * @param {Number} G - Gravitational constant
+   * @returns {Object} { position, velocity } relative to the central body (SI),
+   *   offset and arrivalTime (s after the burn), and burns [{ after (s after
+   *   the burn), deltaV (m/s, prograde positive) }] still to make
+   */
+  static launchState(plan, G = window.CONSTANTS.G) {
+    const CONSTANTS = window.CONSTANTS;
+    const OrbitalElements = window.OrbitalElements || require('./orbitalElements');
+    const { central, origin, destination } = plan;
+    const mu = G * central.mass;
+
+    // Departure point and the plane of the transfer
+    const departureRadius = plan.start === 'orbit' ? vectorLength(relativeVector(origin, central, 'position')) : plan.r1;
+    const rb = plan.kind === 'bi-elliptic' ? plan.transfer.apoapsis : null;
+    const reference = plan.start === 'orbit' ? origin : destination;
+    let normal = unitVector(crossProduct(
+      relativeVector(reference, central, 'position'), relativeVector(reference, central, 'velocity')));
+    let departure = unitVector(relativeVector(origin, central, 'position'));
+    let aimRadius = plan.r2;
+    let arrivalTime = transferTime(mu, departureRadius, aimRadius, rb);
+
+    if (plan.end === 'orbit') {
+      // Aim just inside where the destination will be, which for an
+      // inclined destination puts the start a little out of the origin's plane
+      const aim = aimAt(plan, G, departureRadius, rb);
+      const towardAim = unitVector(aim.position);
+      departure = plan.kind === 'hohmann' ? scaleVector(towardAim, -1) : towardAim;
+      normal = unitVector(crossProduct(departure, crossProduct(normal, departure)));
+      aimRadius = vectorLength(aim.position) - plan.arrival.impactParameter;
+      arrivalTime = aim.time;
+    }
+
+    const far = plan.kind === 'hohmann' ? aimRadius : rb;
+    const conic = transferConic(mu, departureRadius, far, departure, normal);
+
+    let offset = 0;
+    if (plan.start === 'orbit') {
+      // Leaving the origin's sphere of influence at v∞
+      const influence = OrbitalElements.influenceRadii(origin, [central, origin], G);
+      if (influence && plan.departure.vInfinity > 0) {
+        offset = influence.soi / plan.departure.vInfinity;
+      }
+    } else {
+      // From a parking orbit, start clear of the central body
+      const radius = Math.min(CONSTANTS.MISSION_SPAWN_RADII * CONSTANTS.kmToMeters(central.radius || 0),
+        (departureRadius + far) / 2);
+      if (radius > departureRadius && conic.e > 0) {
+        const delta = Math.acos(Math.max(-1, Math.min(1, (conic.p / radius - 1) / conic.e)));
+        offset = conic.timeBetween(conic.departureAnomaly, conic.departureAnomaly + delta);
+      }
+    }
+
+    const burn = conic.stateAt(conic.departureAnomaly);
+    const state = offset > 0 ? OrbitalElements.propagateState(burn.position, burn.velocity, mu, offset) : burn;
+    const result = {
+      position: state.position,
+      velocity: state.velocity,
+      offset,
+      arrivalTime,
+      burns: []
+    };
+
+    if (plan.kind === 'bi-elliptic') {
+      // Raise or lower periapsis at the intermediate apoapsis
+      const a2 = (rb + aimRadius) / 2;
+      const before = Math.sqrt(mu * (2 / rb - 1 / conic.a));
+      const after = Math.sqrt(mu * (2 / rb - 1 / a2));
+      result.burns.push({ after: Math.PI * Math.sqrt(conic.a * conic.a * conic.a / mu), deltaV: after - before });
+    }
+
+    return result;
+  }
+
+  /**
+   * Work out where a spacecraft launched at the next window will be once it is
+   * clear of the departure point, by running a copy of the simulation to the
+   * window and on to that moment. The live simulation is left alone.
+   * @param {Object} physics - GravitySimulator or WorkerGravitySimulator
+   * @param {String} originId - ID of the body to leave
+   * @param {String} destinationId - ID of the body to reach
+   * @param {Object} options - Options for MissionPlanner.plan
+   * @param {Object} progress - { onProgress, isCancelled } for the run to the
+   *   window (see GravitySimulator.jumpToDateInSlices)
+   * @returns {Promise<Object|null>} { plan (at the window), julianDate of the
+   *   spawn, absolute position and velocity (SI) at that date, centralId,
+   *   launchJulianDate, arrivalJulianDate, maneuvers }, or null if cancelled.
+   *   maneuvers are the planned burns as maneuver nodes without IDs:
+   *   [{ time, prograde, normal, radial, referenceId }], prograde relative to
+   *   the central body.
+   */
+  static async prepareLaunch(physics, originId, destinationId, options = {}, progress = {}) {
+    const TrajectoryPredictor = window.TrajectoryPredictor || require('./trajectoryPredictor');
+    const G = physics.G;
+    const find = (simulator, id) => {
+      const body = simulator.getObjects().find(obj => obj.id === id);
+      if (!body) throw new Error(`No object with ID ${id}`);
+      return body;
+    };
+
+    const live = physics.getObjects();
+    const firstPlan = MissionPlanner.plan(find(physics, originId), find(physics, destinationId), live, { ...options, G });
+
+    // Run a copy to the window and plan again from the bodies there
+    const simulator = TrajectoryPredictor.copySimulator(physics);
+    const launchJulianDate = simulator.getJulianDate() + firstPlan.wait / simulator.secondsPerDay;
+    if (!(await simulator.jumpToDateInSlices(launchJulianDate, progress))) return null;
+
+    const plan = MissionPlanner.plan(find(simulator, originId), find(simulator, destinationId),
+      simulator.getObjects(), { ...options, G });
+    const launch = MissionPlanner.launchState(plan, G);
+    const launchTime = simulator.simTime;
+
+    // Place the spacecraft relative to where the central body is by then
+    const julianDate = launchJulianDate + launch.offset / simulator.secondsPerDay;
+    simulator.jumpToDate(julianDate);
+    const central = find(simulator, plan.central.id);
+    const position = {
+      x: central.position.x + launch.position.x,
+      y: central.position.y + launch.position.y,
+      z: central.position.z + launch.position.z
+    };
+    const velocity = {
+      x: central.velocity.x + launch.velocity.x,
+      y: central.velocity.y + launch.velocity.y,
+      z: central.velocity.z + launch.velocity.z
+    };
+
+    // Still climbing out of the origin's well at the edge of its sphere of
+    // influence, so add back the speed it will lose on the way to v∞
+    if (plan.start === 'orbit') {
+      const origin = find(simulator, originId);
+      const away = relativeVector({ position, velocity }, origin, 'velocity');
+      const distance = vectorLength(relativeVector({ position }, origin, 'position'));
+      const speed = vectorLength(away);
+      const escape = Math.sqrt(speed * speed + 2 * G * origin.mass / distance);
+      velocity.x = origin.velocity.x + away.x * escape / speed;
+      velocity.y = origin.velocity.y + away.y * escape / speed;
+      velocity.z = origin.velocity.z + away.z * escape / speed;
+    }
+
+    return {
+      plan,
+      julianDate,
+      position,
+      velocity,
+      centralId: plan.central.id,
+      launchJulianDate,
+      arrivalJulianDate: launchJulianDate + launch.arrivalTime / simulator.secondsPerDay,
+      maneuvers: launch.burns.map(burn => ({
+        time: launchTime + burn.after,
+        prograde: burn.deltaV,
+        normal: 0,
+        radial: 0,
+        referenceId: plan.central.id
+      }))
+    };
+  }
+
+  /**
+   * Keep track of a launched spacecraft
+   * @param {Object} mission - { spacecraftId, centralId, name, arrivalJulianDate }
+   */
+  addMission(mission) {
+    this.missions.push({ ...mission });
+  }
+
+  /**
+   * Forget every mission, e.g. when another system is loaded
+   */
+  clear() {
+    this.missions = [];
+  }
+}
+
+MissionPlanner.TRANSFER_KINDS = ['hohmann', 'bi-elliptic'];
+
+/**
+ * A body's position or velocity relative to another
+ * @param {Object} body - Body
+ * @param {Object} central - Reference body
+ * @param {String} key - 'position' or 'velocity'
+ * @returns {Object} {x, y, z}
+ */
+function relativeVector(body, central, key) {
+  return {
+    x: body[key].x - central[key].x,
+    y: body[key].y - central[key].y,
+    z: body[key].z - central[key].z
+  };
+}
+
+function vectorLength(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function scaleVector(v, factor) {
+  return { x: v.x * factor, y: v.y * factor, z: v.z * factor };
+}
+
+function unitVector(v) {
+  return scaleVector(v, 1 / vectorLength(v));
+}
+
+function crossProduct(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  };
+}
+
+function dotProduct(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+/**
+ * Wrap an angle to [0, 2π)
+ * @param {Number} angle - Angle in radians
+ * @returns {Number} Wrapped angle
+ */
+function wrapAngle(angle) {
+  const turn = 2 * Math.PI;
+  return ((angle % turn) + turn) % turn;
+}
+
+/**
+ * Angle from a reference direction to a position, measured in the plane of an
+ * orbit in its direction of motion
+ * @param {Object} reference - Position {x, y, z} the angle is measured from
+ * @param {Object} normal - Orbit normal
+ * @param {Object} position - Position to measure
+ * @returns {Number} Angle in [0, 2π)
+ */
+function angleInPlane(reference, normal, position) {
+  const x = unitVector(reference);
+  const y = crossProduct(unitVector(normal), x);
+  return wrapAngle(Math.atan2(dotProduct(position, y), dotProduct(position, x)));
+}
+
+/**
+ * How far the destination is ahead of the origin around their parent, in the
+ * origin's orbital plane
+ * @param {Object} origin - Body leaving
+ * @param {Object} destination - Body to reach
+ * @param {Object} central - Their parent
+ * @returns {Number} Phase angle in [0, 2π)
+ */
+function phaseAngle(origin, destination, central) {
+  const position = relativeVector(origin, central, 'position');
+  const normal = crossProduct(position, relativeVector(origin, central, 'velocity'));
+  return angleInPlane(position, normal, relativeVector(destination, central, 'position'));
+}
+
+/**
+ * Time of flight of a transfer between two distances
+ * @param {Number} mu - Gravitational parameter of the central body
+ * @param {Number} departureRadius - Distance at departure in m
+ * @param {Number} arrivalRadius - Distance at arrival in m
+ * @param {Number} rb - Intermediate apoapsis of a bi-elliptic transfer, or null for Hohmann
+ * @returns {Number} Time in s
+ */
+function transferTime(mu, departureRadius, arrivalRadius, rb = null) {
+  const halfPeriod = (a) => Math.PI * Math.sqrt(a * a * a / mu);
+  return rb === null
+    ? halfPeriod((departureRadius + arrivalRadius) / 2)
+    : halfPeriod((departureRadius + rb) / 2) + halfPeriod((rb + arrivalRadius) / 2);
+}
+
+/**
+ * Where the destination will be when a transfer leaving now arrives. The time
+ * of flight depends on the arrival distance, so the two are iterated together;
+ * the transfer ends the arrival impact parameter inside the destination's
+ * distance.
+ * @param {Object} plan - Plan with the bodies at the departure time
+ * @param {Number} G - Gravitational constant
+ * @param {Number} departureRadius - Distance of the departure point in m
+ * @param {Number} rb - Intermediate apoapsis of a bi-elliptic transfer, or null
+ * @param {Number} wait - Time from the plan's bodies to the departure in s
+ * @returns {Object} { position, velocity } relative to the central body, and time of flight in s
+ */
+function aimAt(plan, G, departureRadius, rb, wait = 0) {
+  const OrbitalElements = window.OrbitalElements || require('./orbitalElements');
+  const { destination, central } = plan;
+  const mu = G * central.mass;
+
+  let time = plan.time;
+  let aim;
+  for (let k = 0; k < 5; k++) {
+    aim = OrbitalElements.propagateState(
+      relativeVector(destination, central, 'position'), relativeVector(destination, central, 'velocity'),
+      G * (central.mass + destination.mass), wait + time);
+    time = transferTime(mu, departureRadius, vectorLength(aim.position) - plan.arrival.impactParameter, rb);
+  }
+  return { ...aim, time };
+}
+
+/**
+ * Correct the launch time from circular orbits by propagating both bodies on
+ * their two-body ellipses until the destination, a time of flight after
+ * launch, sits at the transfer angle from where the origin was
+ * @param {Object} plan - Plan under construction
+ * @param {Number} G - Gravitational constant
+ * @param {Number} rate - Rate at which the phase angle changes, rad/s
+ * @param {Number} estimate - Wait from circular orbits, in s
+ * @returns {Number} Wait in s
+ */
+function refineWindow(plan, G, rate, estimate) {
+  const OrbitalElements = window.OrbitalElements || require('./orbitalElements');
+  const { origin, destination, central } = plan;
+  const propagate = (body, dt) => OrbitalElements.propagateState(
+    relativeVector(body, central, 'position'), relativeVector(body, central, 'velocity'), G * (central.mass + body.mass), dt);
+
+  const rb = plan.kind === 'bi-elliptic' ? plan.transfer.apoapsis : null;
+  const miss = (wait) => {
+    const from = propagate(origin, wait);
+    const to = aimAt(plan, G, vectorLength(from.position), rb, wait);
+    const angle = angleInPlane(from.position, crossProduct(from.position, from.velocity), to.position);
+    return wrapAngle(angle - plan.transfer.transferAngle + Math.PI) - Math.PI;
+  };
+
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      let wait = estimate + attempt * plan.synodicPeriod;
+      for (let k = 0; k < 20; k++) {
+        const correction = miss(wait) / rate;
+        wait -= correction;
+        if (Math.abs(correction) < 1) break;
+      }
+      if (wait >= 0 && Math.abs(miss(wait)) < 1e-6) return wait;
+    }
+  } catch (error) {
+    console.warn('Using the circular-orbit launch window:', error.message);
+  }
+  return estimate;
+}
+
+/**
+ * Coplanar transfer ellipse through a departure point out (or in) to a given
+ * distance on the far side
+ * @param {Number} mu - Gravitational parameter of the central body
+ * @param {Number} departureRadius - Distance of the departure point in m
+ * @param {Number} far - Distance at the other apsis in m
+ * @param {Object} departure - Unit vector to the departure point
+ * @param {Object} normal - Unit normal of the transfer plane
+ * @returns {Object} { a, e, p, departureAnomaly, stateAt(ν), timeBetween(ν0, ν1) }
+ */
+function transferConic(mu, departureRadius, far, departure, normal) {
+  const periapsis = Math.min(departureRadius, far);
+  const apoapsis = Math.max(departureRadius, far);
+  const a = (periapsis + apoapsis) / 2;
+  const e = (apoapsis - periapsis) / (apoapsis + periapsis);
+  const p = a * (1 - e * e);
+
+  // Leaving from periapsis goes out; leaving from apoapsis comes in
+  const departureAnomaly = departureRadius <= far ? 0 : Math.PI;
+  const toPeriapsis = departureAnomaly === 0 ? departure : scaleVector(departure, -1);
+  const ahead = crossProduct(normal, toPeriapsis);
+
+  const meanAnomaly = (nu) => {
+    const E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(nu / 2), Math.sqrt(1 + e) * Math.cos(nu / 2));
+    return E - e * Math.sin(E);
+  };
+
+  return {
+    a,
+    e,
+    p,
+    departureAnomaly,
+    stateAt(nu) {
+      const r = p / (1 + e * Math.cos(nu));
+      const speed = Math.sqrt(mu / p);
+      return {
+        position: {
+          x: r * (Math.cos(nu) * toPeriapsis.x + Math.sin(nu) * ahead.x),
+          y: r * (Math.cos(nu) * toPeriapsis.y + Math.sin(nu) * ahead.y),
+          z: r * (Math.cos(nu) * toPeriapsis.z + Math.sin(nu) * ahead.z)
+        },
+        velocity: {
+          x: speed * (-Math.sin(nu) * toPeriapsis.x + (e + Math.cos(nu)) * ahead.x),
+          y: speed * (-Math.sin(nu) * toPeriapsis.y + (e + Math.cos(nu)) * ahead.y),
+          z: speed * (-Math.sin(nu) * toPeriapsis.z + (e + Math.cos(nu)) * ahead.z)
+        }
+      };
+    },
+    timeBetween(from, to) {
+      const turn = 2 * Math.PI;
+      const sweep = meanAnomaly(to) - meanAnomaly(from);
+      return (((sweep % turn) + turn) % turn) * Math.sqrt(a * a * a / mu);
+    }
+  };
+}
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.MissionPlanner = MissionPlanner;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MissionPlanner;
+}
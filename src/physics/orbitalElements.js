@@ -0,0 +1,474 @@
+// Orbital Elements - Conversion between Keplerian elements and state vectors
+//
+// Elements use the data-file convention: semi-major axis in AU, angles in
+// degrees, secular rates per Julian century from J2000. State vectors are SI
+// in the ecliptic frame (x towards the vernal equinox, z towards the north
+// ecliptic pole), matching the physics state.
+//
+// Loaded as a classic script in the renderer, so constants are looked up when
+// needed rather than declared as a global.
+
+const DEG_TO_RAD = Math.PI / 180;
+const DAYS_PER_CENTURY = 36525;
+
+/**
+ * Constants from the page, or from the module under Node
+ * @returns {Object} CONSTANTS
+ */
+function getOrbitalConstants() {
+  if (typeof window !== 'undefined' && window.CONSTANTS) {
+    return window.CONSTANTS;
+  }
+  return require('../utils/constants');
+}
+
+/**
+ * Wrap an angle into [0, 360)
+ * @param {Number} degrees - Angle in degrees
+ * @returns {Number} Normalized angle
+ */
+function normalizeDegrees(degrees) {
+  const wrapped = degrees % 360;
+  return wrapped < 0 ? wrapped + 360 : wrapped;
+}
+
+/**
+ * Apply secular rates to get the mean elements at a date
+ * @param {Object} elements - { a, e, i, node, argPeri, meanAnomaly, rates }
+ * @param {Number} julianDate - Julian Date to evaluate at
+ * @returns {Object} Elements at the date (without rates)
+ */
+function elementsAtEpoch(elements, julianDate) {
+  const centuries = (julianDate - getOrbitalConstants().J2000_JD) / DAYS_PER_CENTURY;
+  const rates = elements.rates || {};
+  const at = (key) => elements[key] + (rates[key] || 0) * centuries;
+
+  return {
+    a: at('a'),
+    e: at('e'),
+    i: at('i'),
+    node: normalizeDegrees(at('node')),
+    argPeri: normalizeDegrees(at('argPeri')),
+    meanAnomaly: normalizeDegrees(at('meanAnomaly'))
+  };
+}
+
+/**
+ * Solve Kepler's equation M = E - e sin E for the eccentric anomaly
+ * @param {Number} meanAnomaly - Mean anomaly in radians
+ * @param {Number} e - Eccentricity (0 <= e < 1)
+ * @param {Number} tolerance - Convergence tolerance in radians
+ * @returns {Number} Eccentric anomaly in radians
+ */
+function solveKepler(meanAnomaly, e, tolerance = 1e-12) {
+  const M = Math.atan2(Math.sin(meanAnomaly), Math.cos(meanAnomaly));
+  let E = e < 0.8 ? M : Math.PI * Math.sign(M || 1);
+
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < tolerance) break;
+  }
+
+  return E;
+}
+
+/**
+ * Convert Keplerian elements to a state vector relative to the central body
+ * @param {Object} elements - { a (AU), e, i, node, argPeri, meanAnomaly (degrees) }
+ * @param {Number} mu - Gravitational parameter G(M + m) in m^3/s^2
+ * @returns {Object} { position: [x, y, z] in m, velocity: [vx, vy, vz] in m/s }
+ */
+function keplerToState(elements, mu) {
+  const { e } = elements;
+  if (!(e >= 0 && e < 1)) {
+    throw new Error(`Only elliptical orbits are supported (e = ${e})`);
+  }
+
+  const a = getOrbitalConstants().auToMeters(elements.a);
+  const E = solveKepler(elements.meanAnomaly * DEG_TO_RAD, e);
+  const cosE = Math.cos(E);
+  const sinE = Math.sin(E);
+  const b = Math.sqrt(1 - e * e);
+  const r = a * (1 - e * cosE);
+
+  // Position and velocity in the orbital plane (x towards periapsis)
+  const px = a * (cosE - e);
+  const py = a * b * sinE;
+  const speed = Math.sqrt(mu * a) / r;
+  const vx = -speed * sinE;
+  const vy = speed * b * cosE;
+
+  // Rotate by argument of periapsis, inclination and ascending node
+  const { xx, xy, yx, yy, zx, zy } = orbitalPlaneAxes(elements);
+
+  return {
+    position: [xx * px + xy * py, yx * px + yy * py, zx * px + zy * py],
+    velocity: [xx * vx + xy * vy, yx * vx + yy * vy, zx * vx + zy * vy]
+  };
+}
+
+/**
+ * Ecliptic components of the orbital plane axes: x towards periapsis, y 90°
+ * ahead of it in the direction of motion
+ * @param {Object} elements - { i, node, argPeri } in degrees
+ * @returns {Object} { xx, xy, yx, yy, zx, zy } where e.g. xy is the ecliptic
+ *   x component of the plane's y axis
+ */
+function orbitalPlaneAxes(elements) {
+  const cosW = Math.cos(elements.argPeri * DEG_TO_RAD);
+  const sinW = Math.sin(elements.argPeri * DEG_TO_RAD);
+  const cosI = Math.cos(elements.i * DEG_TO_RAD);
+  const sinI = Math.sin(elements.i * DEG_TO_RAD);
+  const cosO = Math.cos(elements.node * DEG_TO_RAD);
+  const sinO = Math.sin(elements.node * DEG_TO_RAD);
+
+  return {
+    xx: cosO * cosW - sinO * sinW * cosI,
+    xy: -cosO * sinW - sinO * cosW * cosI,
+    yx: sinO * cosW + cosO * sinW * cosI,
+    yy: -sinO * sinW + cosO * cosW * cosI,
+    zx: sinW * sinI,
+    zy: cosW * sinI
+  };
+}
+
+/**
+ * State vector of a body at a date from its J2000 elements and rates
+ * @param {Object} elements - Elements with secular rates
+ * @param {Number} julianDate - Julian Date to evaluate at
+ * @param {Number} mu - Gravitational parameter G(M + m) in m^3/s^2
+ * @returns {Object} { position, velocity } relative to the central body, SI
+ */
+function stateAtEpoch(elements, julianDate, mu) {
+  return keplerToState(elementsAtEpoch(elements, julianDate), mu);
+}
+
+/**
+ * Osculating elements from a state vector relative to the central body
+ * @param {Object} position - Relative position {x, y, z} in m
+ * @param {Object} velocity - Relative velocity {x, y, z} in m/s
+ * @param {Number} mu - Gravitational parameter G(M + m) in m^3/s^2
+ * @returns {Object} Elements: a (m, negative when hyperbolic), e, i, node,
+ *   argPeri, longitudeOfPeriapsis, trueAnomaly (degrees), period (s),
+ *   periapsis and apoapsis (m), energy (J/kg)
+ */
+function stateToKepler(position, velocity, mu) {
+  const { x, y, z } = position;
+  const { x: vx, y: vy, z: vz } = velocity;
+  const r = Math.sqrt(x * x + y * y + z * z);
+  const v2 = vx * vx + vy * vy + vz * vz;
+  const rDotV = x * vx + y * vy + z * vz;
+
+  // Specific angular momentum h = r x v and node vector n = z x h
+  const hx = y * vz - z * vy;
+  const hy = z * vx - x * vz;
+  const hz = x * vy - y * vx;
+  const h = Math.sqrt(hx * hx + hy * hy + hz * hz);
+  const nx = -hy;
+  const ny = hx;
+  const n = Math.sqrt(nx * nx + ny * ny);
+
+  // Eccentricity vector
+  const scale = v2 - mu / r;
+  const ex = (scale * x - rDotV * vx) / mu;
+  const ey = (scale * y - rDotV * vy) / mu;
+  const ez = (scale * z - rDotV * vz) / mu;
+  const e = Math.sqrt(ex * ex + ey * ey + ez * ez);
+
+  const energy = v2 / 2 - mu / r;
+  const a = Math.abs(e - 1) < 1e-10 ? Infinity : -mu / (2 * energy);
+  const i = Math.acos(Math.max(-1, Math.min(1, hz / h)));
+
+  // Angles fall back to reference directions when undefined
+  // (node for equatorial orbits, periapsis for circular ones)
+  const SMALL = 1e-10;
+  const angleBetween = (ax, ay, az, bx, by, bz, flip) => {
+    const cos = (ax * bx + ay * by + az * bz) /
+      (Math.sqrt(ax * ax + ay * ay + az * az) * Math.sqrt(bx * bx + by * by + bz * bz));
+    const angle = Math.acos(Math.max(-1, Math.min(1, cos)));
+    return flip ? 2 * Math.PI - angle : angle;
+  };
+
+  const equatorial = n < SMALL * h;
+  const circular = e < SMALL;
+  const retrograde = hz < 0;
+
+  let node = 0;
+  if (!equatorial) {
+    node = Math.atan2(ny, nx);
+  }
+
+  let argPeri = 0;
+  if (!circular) {
+    argPeri = equatorial ?
+      Math.atan2(retrograde ? -ey : ey, ex) :
+      angleBetween(nx, ny, 0, ex, ey, ez, ez < 0);
+  }
+
+  let trueAnomaly;
+  if (!circular) {
+    trueAnomaly = angleBetween(ex, ey, ez, x, y, z, rDotV < 0);
+  } else if (!equatorial) {
+    // Argument of latitude
+    trueAnomaly = angleBetween(nx, ny, 0, x, y, z, z < 0);
+  } else {
+    // True longitude
+    trueAnomaly = Math.atan2(retrograde ? -y : y, x);
+  }
+
+  const toDegrees = (radians) => normalizeDegrees(radians / DEG_TO_RAD);
+  const bound = e < 1;
+
+  return {
+    a,
+    e,
+    i: i / DEG_TO_RAD,
+    node: toDegrees(node),
+    argPeri: toDegrees(argPeri),
+    longitudeOfPeriapsis: toDegrees(node + argPeri),
+    trueAnomaly: toDegrees(trueAnomaly),
+    period: bound ? 2 * Math.PI * Math.sqrt(a * a * a / mu) : Infinity,
+    periapsis: (h * h / mu) / (1 + e),
+    apoapsis: bound ? a * (1 + e) : Infinity,
+    energy
+  };
+}
+
+/**
+ * Advance a state vector along its two-body ellipse
+ * @param {Object} position - Position {x, y, z} relative to the central body, in m
+ * @param {Object} velocity - Velocity {x, y, z} relative to the central body, in m/s
+ * @param {Number} mu - Gravitational parameter G(M + m) in m^3/s^2
+ * @param {Number} dt - Time to advance in s (negative goes back)
+ * @returns {Object} { position: {x, y, z}, velocity: {x, y, z} } relative to the central body
+ */
+function propagateState(position, velocity, mu, dt) {
+  const elements = stateToKepler(position, velocity, mu);
+  const { e } = elements;
+  if (!(e < 1)) {
+    throw new Error(`Only elliptical orbits are supported (e = ${e})`);
+  }
+
+  const nu = elements.trueAnomaly * DEG_TO_RAD;
+  const E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(nu / 2), Math.sqrt(1 + e) * Math.cos(nu / 2));
+  const meanMotion = Math.sqrt(mu / (elements.a * elements.a * elements.a));
+  const meanAnomaly = E - e * Math.sin(E) + meanMotion * dt;
+
+  const state = keplerToState({
+    ...elements,
+    a: getOrbitalConstants().metersToAU(elements.a),
+    meanAnomaly: meanAnomaly / DEG_TO_RAD
+  }, mu);
+  const [x, y, z] = state.position;
+  const [vx, vy, vz] = state.velocity;
+  return { position: { x, y, z }, velocity: { x: vx, y: vy, z: vz } };
+}
+
+/**
+ * Find the body whose gravity dominates an object's motion: the smallest
+ * sphere of influence (r_SOI = d (m / M)^(2/5) around the heaviest body)
+ * that contains the object, or the heaviest body otherwise
+ * @param {Object} object - Object to classify
+ * @param {Array} objects - All bodies in the simulation
+ * @returns {Object|null} Dominant attractor, or null if the object is the heaviest body
+ */
+function findDominantAttractor(object, objects) {
+  const primary = objects.reduce((heaviest, body) =>
+    (!heaviest || body.mass > heaviest.mass ? body : heaviest), null);
+  if (!primary || primary === object) return null;
+
+  const distance = (a, b) => Math.sqrt(
+    (a.position.x - b.position.x) ** 2 +
+    (a.position.y - b.position.y) ** 2 +
+    (a.position.z - b.position.z) ** 2
+  );
+
+  let best = primary;
+  let bestRadius = Infinity;
+  for (const body of objects) {
+    if (body === object || body === primary || body.mass <= object.mass) continue;
+
+    const radius = distance(body, primary) * Math.pow(body.mass / primary.mass, 0.4);
+    if (radius < bestRadius && distance(object, body) < radius) {
+      best = body;
+      bestRadius = radius;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Osculating elements of an object around its dominant attractor
+ * @param {Object} object - Object with SI position, velocity and mass
+ * @param {Array} objects - All bodies in the simulation
+ * @param {Number} G - Gravitational constant
+ * @returns {Object|null} Elements plus `attractor`, or null if there is none
+ */
+function osculatingElements(object, objects, G = getOrbitalConstants().G) {
+  const attractor = findDominantAttractor(object, objects);
+  if (!attractor) return null;
+
+  const relative = (key) => ({
+    x: object[key].x - attractor[key].x,
+    y: object[key].y - attractor[key].y,
+    z: object[key].z - attractor[key].z
+  });
+
+  return {
+    attractor,
+    ...stateToKepler(relative('position'), relative('velocity'), G * (attractor.mass + object.mass))
+  };
+}
+
+/**
+ * Sample points along the conic described by osculating elements, relative
+ * to the central body. An ellipse is sampled evenly in eccentric anomaly and
+ * closed; an open orbit is the branch the body is on, cut off where it gets
+ * farther than maxRadius from the central body.
+ * @param {Object} elements - Elements from stateToKepler (a and periapsis in m)
+ * @param {Object} options - Options
+ * @param {Number} options.segments - Line segments to divide the conic into
+ * @param {Number} options.maxRadius - Farthest distance drawn on an open orbit, in m
+ *   (default ten times the periapsis distance)
+ * @returns {Float64Array} Packed [x0, y0, z0, ...] in m, segments + 1 points
+ */
+function conicPoints(elements, { segments = getOrbitalConstants().ORBIT_SEGMENTS || 360, maxRadius } = {}) {
+  const { e, periapsis } = elements;
+  const farthest = Math.max(maxRadius || 10 * periapsis, periapsis);
+  const { xx, xy, yx, yy, zx, zy } = orbitalPlaneAxes(elements);
+  const points = new Float64Array((segments + 1) * 3);
+
+  // In-plane coordinates (x towards periapsis) at parameter t in [0, 1]
+  let planePoint;
+  if (e < 1) {
+    const a = periapsis / (1 - e);
+    const b = a * Math.sqrt(1 - e * e);
+    planePoint = (t) => {
+      const E = 2 * Math.PI * t;
+      return [a * (Math.cos(E) - e), b * Math.sin(E)];
+    };
+  } else if (e > 1) {
+    // Hyperbolic anomaly F, with r = |a| (e cosh F - 1)
+    const a = periapsis / (e - 1);
+    const b = a * Math.sqrt(e * e - 1);
+    const limit = Math.acosh(Math.max(1, (farthest / a + 1) / e));
+    planePoint = (t) => {
+      const F = (2 * t - 1) * limit;
+      return [a * (e - Math.cosh(F)), b * Math.sinh(F)];
+    };
+  } else {
+    // Parabola, parametrised by D = tan(ν / 2) with r = q (1 + D²)
+    const q = periapsis;
+    const limit = Math.sqrt(Math.max(0, farthest / q - 1));
+    planePoint = (t) => {
+      const D = (2 * t - 1) * limit;
+      return [q * (1 - D * D), 2 * q * D];
+    };
+  }
+
+  for (let k = 0; k <= segments; k++) {
+    const [px, py] = planePoint(k / segments);
+    const k3 = k * 3;
+    points[k3] = xx * px + xy * py;
+    points[k3 + 1] = yx * px + yy * py;
+    points[k3 + 2] = zx * px + zy * py;
+  }
+
+  return points;
+}
+
+/**
+ * Radii of the Hill sphere, r_Hill = a (1 - e) (m / 3M)^(1/3), and the Laplace
+ * sphere of influence, r_SOI = a (m / M)^(2/5), of a body around its dominant
+ * attractor. Unbound bodies use their current distance in place of a (1 - e)
+ * and a.
+ * @param {Object} object - Object with SI position, velocity and mass
+ * @param {Array} objects - All bodies in the simulation
+ * @param {Number} G - Gravitational constant
+ * @returns {Object|null} { attractor, hill, soi } in m, or null if there is no attractor
+ */
+function influenceRadii(object, objects, G = getOrbitalConstants().G) {
+  const elements = object.velocity ? osculatingElements(object, objects, G) : null;
+  if (!elements || !(elements.attractor.mass > 0)) return null;
+
+  const { attractor } = elements;
+  const distance = Math.sqrt(
+    (object.position.x - attractor.position.x) ** 2 +
+    (object.position.y - attractor.position.y) ** 2 +
+    (object.position.z - attractor.position.z) ** 2
+  );
+  const bound = elements.e < 1 && elements.a > 0;
+  const ratio = object.mass / attractor.mass;
+
+  return {
+    attractor,
+    hill: (bound ? elements.periapsis : distance) * Math.cbrt(ratio / 3),
+    soi: (bound ? elements.a : distance) * Math.pow(ratio, 0.4)
+  };
+}
+
+/**
+ * Find bodies inside another body's sphere of influence without being bound
+ * to it: flybys, and captures still under way. Moons bound to their planet are
+ * not listed.
+ * @param {Array} objects - All bodies in the simulation
+ * @param {Number} G - Gravitational constant
+ * @param {Map} radii - Body -> influenceRadii result, if already computed
+ * @returns {Array} [{ body, host, distance, soi }] with distance and soi in m
+ */
+function sphereOfInfluenceIntrusions(objects, G = getOrbitalConstants().G, radii = null) {
+  if (!radii) {
+    radii = new Map(objects.map(obj => [obj, influenceRadii(obj, objects, G)]));
+  }
+
+  const intrusions = [];
+  for (const host of objects) {
+    const influence = radii.get(host);
+    if (!influence) continue;
+
+    for (const body of objects) {
+      if (body === host || body.mass >= host.mass || !body.velocity) continue;
+
+      const dx = body.position.x - host.position.x;
+      const dy = body.position.y - host.position.y;
+      const dz = body.position.z - host.position.z;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (!(distance < influence.soi)) continue;
+
+      const speedSq = (body.velocity.x - host.velocity.x) ** 2 +
+        (body.velocity.y - host.velocity.y) ** 2 +
+        (body.velocity.z - host.velocity.z) ** 2;
+      if (speedSq / 2 - G * (host.mass + body.mass) / distance >= 0) {
+        intrusions.push({ body, host, distance, soi: influence.soi });
+      }
+    }
+  }
+
+  return intrusions;
+}
+
+const OrbitalElements = {
+  normalizeDegrees,
+  elementsAtEpoch,
+  solveKepler,
+  keplerToState,
+  stateAtEpoch,
+  stateToKepler,
+  propagateState,
+  findDominantAttractor,
+  osculatingElements,
+  conicPoints,
+  influenceRadii,
+  sphereOfInfluenceIntrusions
+};
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.OrbitalElements = OrbitalElements;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OrbitalElements;
+}
@@ -0,0 +1,339 @@
+// Physics Worker - Runs GravitySimulator off the render thread with a fixed timestep
+
+// The physics modules publish themselves on `window`; alias it to the worker scope
+self.window = self;
+
+importScripts(
+  '../utils/constants.js',
+  './workerProtocol.js',
+  './integrators.js',
+  './forceSolvers.js',
+  './collisions.js',
+  './relativity.js',
+  './forceModels.js',
+  './zonalHarmonics.js',
+  './testParticles.js',
+  './spacecraft.js',
+  './gravitySimulator.js',
+  './diagnostics.js'
+);
+
+const MESSAGES = self.WORKER_MESSAGES;
+
+/**
+ * Owns a GravitySimulator and advances it in fixed steps. Real time elapsed
+ * between ticks is converted to simulated time and consumed in FIXED_TIME_STEP
+ * chunks, so the step size never depends on frame rate.
+ */
+class PhysicsWorker {
+  constructor() {
+    this.simulator = new self.GravitySimulator();
+    this.revision = 0;
+    this.accumulator = 0;
+    this.lastTick = 0;
+    this.timer = null;
+    this.diagnosticSamples = [];
+    this.collisionEvents = [];
+    this.simulator.onCollision(event => this.collisionEvents.push(event));
+
+    this.fixedTimeStep = self.CONSTANTS.FIXED_TIME_STEP;
+    this.tickInterval = self.CONSTANTS.WORKER_TICK_MS;
+    this.maxStepsPerTick = self.CONSTANTS.MAX_STEPS_PER_TICK;
+    this.jumpSliceMs = self.CONSTANTS.JUMP_SLICE_MS;
+
+    // Jump to a date in progress: { requestId, state } (see GravitySimulator.beginJump)
+    this.jump = null;
+
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * Handle a message from the main thread
+   * @param {Object} message - Protocol message
+   */
+  handleMessage(message) {
+    try {
+      switch (message.type) {
+        case MESSAGES.LOAD:
+          this.load(message);
+          break;
+        case MESSAGES.SET_TIME_SCALE:
+          this.simulator.setTimeScale(message.timeScale);
+          break;
+        case MESSAGES.SET_PAUSED:
+          this.simulator.setPaused(message.paused);
+          this.accumulator = 0;
+          break;
+        case MESSAGES.SET_INTEGRATOR:
+          this.simulator.setIntegrator(message.name, message.options);
+          break;
+        case MESSAGES.SET_FORCE_SOLVER:
+          this.simulator.setForceSolver(message.name, message.options);
+          break;
+        case MESSAGES.ADVANCE:
+          this.simulator.step(message.dt);
+          this.postSnapshot(1);
+          break;
+        case MESSAGES.SET_CLOSE_ENCOUNTERS:
+          this.simulator.setCloseEncounterSettings(message.settings);
+          break;
+        case MESSAGES.SET_RELATIVITY:
+          this.simulator.setRelativitySettings(message.settings);
+          break;
+        case MESSAGES.SET_COLLISION_MODE:
+          this.simulator.setCollisionMode(message.mode, message.options);
+          break;
+        case MESSAGES.SET_DIAGNOSTICS:
+          this.setDiagnostics(message);
+          break;
+        case MESSAGES.MEASURE_FORCE_ERROR:
+          self.postMessage({
+            type: MESSAGES.FORCE_ERROR,
+            requestId: message.requestId,
+            result: this.simulator.measureForceError()
+          });
+          break;
+        case MESSAGES.SET_EPOCH:
+          this.simulator.setEpoch(message.epoch);
+          break;
+        case MESSAGES.JUMP_TO_DATE:
+          this.beginJump(message);
+          break;
+        case MESSAGES.CANCEL_JUMP:
+          if (this.jump && this.jump.requestId === message.requestId) {
+            this.finishJump(false);
+          }
+          break;
+        default:
+          console.warn(`Physics worker ignoring unknown message: ${message.type}`);
+      }
+    } catch (error) {
+      console.error('Error in physics worker:', error);
+      self.postMessage({ type: MESSAGES.ERROR, message: error.message, requestId: message.requestId });
+    }
+  }
+
+  /**
+   * Replace the simulated bodies and settings
+   * @param {Object} message - LOAD message
+   */
+  load({ revision, bodies, positions, velocities, particles, settings = {} }) {
+    // The new state replaces whatever a jump had reached
+    this.jump = null;
+    this.revision = revision;
+    this.simulator.dispose();
+    this.collisionEvents = [];
+
+    bodies.forEach((body, i) => {
+      const i3 = i * 3;
+      this.simulator.addObject({
+        id: body.id,
+        mass: body.mass,
+        radius: body.radius,
+        softening: body.softening,
+        fixed: body.fixed,
+        forces: body.forces,
+        zonalHarmonics: body.zonalHarmonics,
+        visualOptions: body.visualOptions,
+        spacecraft: body.spacecraft,
+        maneuvers: body.maneuvers,
+        position: { x: positions[i3], y: positions[i3 + 1], z: positions[i3 + 2] },
+        velocity: { x: velocities[i3], y: velocities[i3 + 1], z: velocities[i3 + 2] }
+      });
+    });
+
+    if (particles) {
+      this.simulator.addTestParticles(particles.positions, particles.velocities);
+      this.simulator.testParticles.absorbed = particles.absorbed || 0;
+    }
+
+    if (settings.timeScale !== undefined) this.simulator.setTimeScale(settings.timeScale);
+    if (settings.paused !== undefined) this.simulator.setPaused(settings.paused);
+    if (settings.integrator) {
+      this.simulator.setIntegrator(settings.integrator.name, settings.integrator.options);
+    }
+    if (settings.forceSolver) {
+      this.simulator.setForceSolver(settings.forceSolver.name, settings.forceSolver.options);
+    }
+    if (settings.fixedTimeStep) this.fixedTimeStep = settings.fixedTimeStep;
+    if (settings.simTime !== undefined) this.simulator.simTime = settings.simTime;
+    if (settings.epoch !== undefined) this.simulator.setEpoch(settings.epoch);
+    if (settings.closeEncounters) this.simulator.setCloseEncounterSettings(settings.closeEncounters);
+    if (settings.relativity) this.simulator.setRelativitySettings(settings.relativity);
+    if (settings.collisions) {
+      this.simulator.setCollisionMode(settings.collisions.name, settings.collisions.options);
+    }
+    if (settings.diagnostics) this.setDiagnostics(settings.diagnostics);
+
+    this.accumulator = 0;
+    this.start();
+  }
+
+  /**
+   * Enable, reconfigure or disable conserved-quantity sampling
+   * @param {Object} message - SET_DIAGNOSTICS message
+   */
+  setDiagnostics({ enabled, interval, threshold }) {
+    this.diagnosticSamples = [];
+    if (!enabled) {
+      this.simulator.setDiagnostics(null);
+      return;
+    }
+
+    let monitor = this.simulator.diagnostics;
+    if (!monitor) {
+      monitor = new self.Diagnostics.DiagnosticsMonitor();
+      monitor.onSample(sample => {
+        this.diagnosticSamples.push(sample);
+        if (this.diagnosticSamples.length > monitor.maxSamples) {
+          this.diagnosticSamples.shift();
+        }
+      });
+      this.simulator.setDiagnostics(monitor);
+    }
+    if (interval !== undefined) monitor.setInterval(interval);
+    if (threshold !== undefined) monitor.setThreshold(threshold);
+  }
+
+  /**
+   * Start a jump to a date. It is taken a slice per tick so that progress can
+   * be reported and a cancel can get through; a new jump replaces one in progress.
+   * @param {Object} message - JUMP_TO_DATE message
+   */
+  beginJump({ requestId, julianDate }) {
+    if (this.jump) {
+      this.finishJump(false);
+    }
+    this.jump = { requestId, state: this.simulator.beginJump(julianDate, this.fixedTimeStep) };
+    this.accumulator = 0;
+    this.start();
+  }
+
+  /**
+   * Take the next slice of the jump in progress
+   */
+  continueJump() {
+    const jump = this.jump;
+    if (this.simulator.continueJump(jump.state, performance.now() + this.jumpSliceMs)) {
+      this.finishJump(true);
+      return;
+    }
+    self.postMessage({
+      type: MESSAGES.JUMP_PROGRESS,
+      requestId: jump.requestId,
+      fraction: jump.state.taken / jump.state.steps
+    });
+  }
+
+  /**
+   * End the jump in progress and send the state it reached
+   * @param {Boolean} arrived - Whether it reached its date
+   */
+  finishJump(arrived) {
+    const jump = this.jump;
+    this.jump = null;
+    this.accumulator = 0;
+    this.lastTick = performance.now();
+    this.postSnapshot(jump.state.taken, true, { requestId: jump.requestId, arrived });
+  }
+
+  /**
+   * Start the tick loop if it isn't running
+   */
+  start() {
+    if (this.timer) return;
+    this.lastTick = performance.now();
+    this.timer = setInterval(this.tick, this.tickInterval);
+  }
+
+  /**
+   * Advance by whole fixed steps for the real time since the last tick
+   */
+  tick() {
+    const now = performance.now();
+    const realDelta = (now - this.lastTick) / 1000;
+    this.lastTick = now;
+
+    // A jump runs even while paused, and the clock waits for it
+    if (this.jump) {
+      this.continueJump();
+      return;
+    }
+
+    if (this.simulator.paused || this.simulator.objects.length === 0) return;
+
+    // A negative time scale runs the same fixed steps backward
+    const sim = this.simulator;
+    const direction = Math.sign(sim.timeScale);
+    this.accumulator += realDelta * Math.abs(sim.timeScale) * sim.secondsPerDay;
+
+    let steps = 0;
+    while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerTick) {
+      sim.step(direction * this.fixedTimeStep);
+      this.accumulator -= this.fixedTimeStep;
+      steps++;
+    }
+
+    // Falling behind: drop the backlog instead of spiralling
+    if (steps === this.maxStepsPerTick) {
+      this.accumulator = 0;
+    }
+
+    if (steps > 0) {
+      this.postSnapshot(steps);
+    }
+  }
+
+  /**
+   * Send the current positions and velocities to the main thread
+   * @param {Number} steps - Steps taken since the previous snapshot
+   * @param {Boolean} discontinuous - Whether the state jumped since the previous snapshot
+   * @param {Object} jump - { requestId, arrived } when the snapshot ends a jump
+   */
+  postSnapshot(steps, discontinuous = false, jump = null) {
+    const objects = this.simulator.objects;
+    const positions = new Float64Array(objects.length * 3);
+    const velocities = new Float64Array(objects.length * 3);
+
+    objects.forEach((obj, i) => {
+      const i3 = i * 3;
+      positions[i3] = obj.position.x;
+      positions[i3 + 1] = obj.position.y;
+      positions[i3 + 2] = obj.position.z;
+      velocities[i3] = obj.velocity.x;
+      velocities[i3 + 1] = obj.velocity.y;
+      velocities[i3 + 2] = obj.velocity.z;
+    });
+
+    // Test particles are already packed; send copies of the part in use
+    const particleSet = this.simulator.testParticles;
+    const particles = {
+      positions: particleSet.positions.slice(0, particleSet.count * 3),
+      velocities: particleSet.velocities.slice(0, particleSet.count * 3),
+      absorbed: particleSet.absorbed
+    };
+
+    const diagnostics = this.diagnosticSamples;
+    const collisions = this.collisionEvents;
+    this.diagnosticSamples = [];
+    this.collisionEvents = [];
+
+    self.postMessage({
+      type: MESSAGES.SNAPSHOT,
+      revision: this.revision,
+      simTime: this.simulator.simTime,
+      steps,
+      discontinuous,
+      positions,
+      velocities,
+      particles,
+      diagnostics,
+      collisions,
+      jump
+    }, [positions.buffer, velocities.buffer, particles.positions.buffer, particles.velocities.buffer]);
+  }
+}
+
+const physicsWorker = new PhysicsWorker();
+self.onmessage = (event) => physicsWorker.handleMessage(event.data);
+self.postMessage({ type: MESSAGES.READY });
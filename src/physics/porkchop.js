@@ -0,0 +1,320 @@
+// Porkchop - Lambert transfers over a grid of departure dates and flight times
+//
+// Loaded as a classic script next to the other physics modules, so it reads
+// window.CONSTANTS, window.OrbitalElements, window.TrajectoryPredictor and
+// window.SolarSystemData when needed.
+
+/**
+ * Builds porkchop plots: for every departure date and time of flight on a
+ * grid, the transfer arc between two planets around the Sun comes from
+ * Lambert's problem, and the plot shows what it costs. C3 is the square of
+ * the hyperbolic excess speed the launch has to give (departure v∞²), and the
+ * arrival v∞ is what is left to shed at the destination. Planet positions
+ * come from the orbital elements in solarSystemData, so a plot does not need
+ * the simulation to be run to the dates it covers.
+ *
+ * Setting up a transfer from the plot solves Lambert's problem again from the
+ * simulation's own bodies, so the spacecraft starts on the arc through the
+ * N-body positions rather than the elements'.
+ */
+class Porkchop {
+  /**
+   * Solve Lambert's problem with universal variables (Curtis, Orbital
+   * Mechanics for Engineering Students, algorithm 5.2): the conic around a
+   * central body that goes from r1 to r2 in a given time, the short or long
+   * way round so that it moves prograde (counterclockwise seen from +z).
+   * Only transfers of less than one revolution are found.
+   * @param {Array} r1 - Start position [x, y, z] in m, relative to the central body
+   * @param {Array} r2 - End position [x, y, z] in m
+   * @param {Number} timeOfFlight - Time between them in s
+   * @param {Number} mu - Gravitational parameter in m³/s²
+   * @returns {Object|null} { v1, v2 } velocities [x, y, z] in m/s at each end,
+   *   or null if there is no solution (end points opposite each other, or no
+   *   convergence)
+   */
+  static solveLambert(r1, r2, timeOfFlight, mu) {
+    if (!(timeOfFlight > 0)) return null;
+
+    const radius1 = Math.hypot(r1[0], r1[1], r1[2]);
+    const radius2 = Math.hypot(r2[0], r2[1], r2[2]);
+    const cosAngle = Math.max(-1, Math.min(1, (r1[0] * r2[0] + r1[1] * r2[1] + r1[2] * r2[2]) / (radius1 * radius2)));
+    const crossZ = r1[0] * r2[1] - r1[1] * r2[0];
+    let angle = Math.acos(cosAngle);
+    if (crossZ < 0) {
+      angle = 2 * Math.PI - angle;
+    }
+
+    const A = Math.sin(angle) * Math.sqrt(radius1 * radius2 / (1 - cosAngle));
+    if (!Number.isFinite(A) || Math.abs(A) < 1e-9 * (radius1 + radius2)) return null;
+
+    const y = (z) => radius1 + radius2 + A * (z * stumpffS(z) - 1) / Math.sqrt(stumpffC(z));
+    // Time of flight minus the target; grows with z, and a negative y means z is too small
+    const residual = (z) => {
+      const yz = y(z);
+      if (yz < 0) return -Infinity;
+      const chi = Math.sqrt(yz / stumpffC(z));
+      return (chi * chi * chi * stumpffS(z) + A * Math.sqrt(yz)) / Math.sqrt(mu) - timeOfFlight;
+    };
+
+    // Bracket the root between a hyperbola and the single-revolution limit z = 4π²
+    const upper = 4 * Math.PI * Math.PI;
+    let high = upper * (1 - 1e-6);
+    let low = -upper;
+    for (let k = 0; k < 60 && residual(low) > 0; k++) {
+      low *= 2;
+    }
+    if (!(residual(low) <= 0) || !(residual(high) >= 0)) return null;
+
+    for (let k = 0; k < 200 && high - low > 1e-12 * Math.max(1, Math.abs(low)); k++) {
+      const middle = (low + high) / 2;
+      if (residual(middle) < 0) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    const z = (low + high) / 2;
+    const yz = y(z);
+    if (!(yz > 0)) return null;
+
+    // Lagrange coefficients
+    const f = 1 - yz / radius1;
+    const g = A * Math.sqrt(yz / mu);
+    const gDot = 1 - yz / radius2;
+
+    return {
+      v1: r2.map((value, i) => (value - f * r1[i]) / g),
+      v2: r2.map((value, i) => (gDot * value - r1[i]) / g)
+    };
+  }
+
+  /**
+   * Planets that can be plotted: bodies in solarSystemData that orbit the Sun
+   * @returns {Array} [{ key, name }]
+   */
+  static getPlanets() {
+    const { solarSystemData } = getSolarSystemData();
+    return Object.keys(solarSystemData)
+      .filter(key => solarSystemData[key].orbit && solarSystemData[key].orbit.parent === 'sun')
+      .map(key => ({ key, name: solarSystemData[key].name }));
+  }
+
+  /**
+   * Hohmann time of flight between two planets' semi-major axes, for picking
+   * a flight-time range
+   * @param {String} originKey - Key in solarSystemData
+   * @param {String} destinationKey - Key in solarSystemData
+   * @returns {Number} Time in days
+   */
+  static hohmannDays(originKey, destinationKey) {
+    const CONSTANTS = window.CONSTANTS;
+    const { solarSystemData } = getSolarSystemData();
+    const a = (CONSTANTS.auToMeters(solarSystemData[originKey].orbit.a) +
+      CONSTANTS.auToMeters(solarSystemData[destinationKey].orbit.a)) / 2;
+    return Math.PI * Math.sqrt(a * a * a / (CONSTANTS.G * solarSystemData.sun.mass)) / CONSTANTS.SECONDS_PER_DAY;
+  }
+
+  /**
+   * Compute a porkchop plot
+   * @param {Object} options - { originKey, destinationKey, departureStart and
+   *   departureEnd (Julian Dates), minFlightDays, maxFlightDays, columns
+   *   (departure dates), rows (flight times) }
+   * @returns {Object} { originKey, destinationKey, columns, rows, departures
+   *   (Julian Dates), flightDays, c3 (km²/s²) and arrivalVInfinity (km/s) as
+   *   Float64Arrays indexed [row * columns + column], NaN where there is no
+   *   transfer, and best: { column, row } of the lowest C3 + arrival v∞² or null }
+   */
+  static compute({ originKey, destinationKey, departureStart, departureEnd, minFlightDays, maxFlightDays,
+    columns = window.CONSTANTS.PORKCHOP_GRID_SIZE, rows = window.CONSTANTS.PORKCHOP_GRID_SIZE }) {
+    const CONSTANTS = window.CONSTANTS;
+    const { solarSystemData, getHeliocentricState } = getSolarSystemData();
+
+    if (!solarSystemData[originKey] || !solarSystemData[destinationKey]) {
+      throw new Error('Unknown planet');
+    }
+    if (originKey === destinationKey) {
+      throw new Error('Pick two different planets');
+    }
+    if (!(departureEnd > departureStart)) {
+      throw new Error('The departure range must end after it starts');
+    }
+    if (!(minFlightDays > 0) || !(maxFlightDays > minFlightDays)) {
+      throw new Error('The flight time range must be positive and end after it starts');
+    }
+
+    const mu = CONSTANTS.G * solarSystemData.sun.mass;
+    const spread = (from, to, count, k) => (count > 1 ? from + (to - from) * k / (count - 1) : from);
+    const departures = Array.from({ length: columns }, (_, k) => spread(departureStart, departureEnd, columns, k));
+    const flightDays = Array.from({ length: rows }, (_, k) => spread(minFlightDays, maxFlightDays, rows, k));
+
+    const c3 = new Float64Array(columns * rows).fill(NaN);
+    const arrivalVInfinity = new Float64Array(columns * rows).fill(NaN);
+    let best = null;
+    let bestCost = Infinity;
+
+    departures.forEach((departure, column) => {
+      const start = getHeliocentricState(originKey, departure);
+
+      flightDays.forEach((days, row) => {
+        const end = getHeliocentricState(destinationKey, departure + days);
+        const arc = Porkchop.solveLambert(start.position, end.position, days * CONSTANTS.SECONDS_PER_DAY, mu);
+        if (!arc) return;
+
+        const departureExcess = arc.v1.map((value, i) => value - start.velocity[i]);
+        const arrivalExcess = arc.v2.map((value, i) => value - end.velocity[i]);
+        const index = row * columns + column;
+        c3[index] = (departureExcess[0] ** 2 + departureExcess[1] ** 2 + departureExcess[2] ** 2) / 1e6;
+        arrivalVInfinity[index] = Math.hypot(arrivalExcess[0], arrivalExcess[1], arrivalExcess[2]) / 1000;
+
+        const cost = c3[index] + arrivalVInfinity[index] ** 2;
+        if (cost < bestCost) {
+          bestCost = cost;
+          best = { column, row };
+        }
+      });
+    });
+
+    return { originKey, destinationKey, columns, rows, departures, flightDays, c3, arrivalVInfinity, best };
+  }
+
+  /**
+   * Work out where a spacecraft leaving on a transfer from the plot starts,
+   * by running a copy of the simulation to the departure date. The arc is
+   * solved from the origin's position then to where the destination will be
+   * on its current two-body orbit after the flight. The spacecraft is placed
+   * at the edge of the origin's sphere of influence in the direction of the
+   * departure v∞, with the speed the origin's gravity will take back added.
+   * The live simulation is left alone.
+   * @param {Object} physics - GravitySimulator or WorkerGravitySimulator
+   * @param {String} originKey - Key in solarSystemData of the body to leave
+   * @param {String} destinationKey - Key in solarSystemData of the body to reach
+   * @param {Number} departureJulianDate - Departure date
+   * @param {Number} flightDays - Time of flight in days
+   * @param {Object} progress - { onProgress, isCancelled } for the run to the
+   *   departure date (see GravitySimulator.jumpToDateInSlices)
+   * @returns {Promise<Object|null>} { julianDate, arrivalJulianDate, position
+   *   and velocity (absolute, SI), c3 (km²/s²) and arrivalVInfinity (km/s) of
+   *   the arc, originId and destinationId }, or null if cancelled
+   */
+  static async prepareTransfer(physics, originKey, destinationKey, departureJulianDate, flightDays, progress = {}) {
+    const CONSTANTS = window.CONSTANTS;
+    const OrbitalElements = window.OrbitalElements || require('./orbitalElements');
+    const TrajectoryPredictor = window.TrajectoryPredictor || require('./trajectoryPredictor');
+    const { solarSystemData } = getSolarSystemData();
+    const G = physics.G;
+
+    // Bodies are matched by name in the live simulation, then by ID in the copy
+    const ids = {};
+    [originKey, destinationKey, 'sun'].forEach(key => {
+      const name = solarSystemData[key].name;
+      const body = physics.getObjects().find(obj => obj.name === name);
+      if (!body) throw new Error(`${name} is not in the simulation`);
+      ids[key] = body.id;
+    });
+
+    const simulator = TrajectoryPredictor.copySimulator(physics);
+    if (!(await simulator.jumpToDateInSlices(departureJulianDate, progress))) return null;
+    const find = (key) => simulator.getObjects().find(obj => obj.id === ids[key]);
+    const sun = find('sun');
+    const origin = find(originKey);
+    const destination = find(destinationKey);
+    if (!sun || !origin || !destination) {
+      throw new Error('A body was lost before the departure date');
+    }
+
+    const relative = (body, key) => ({
+      x: body[key].x - sun[key].x,
+      y: body[key].y - sun[key].y,
+      z: body[key].z - sun[key].z
+    });
+    const toArray = (v) => [v.x, v.y, v.z];
+
+    const timeOfFlight = flightDays * CONSTANTS.SECONDS_PER_DAY;
+    const originVelocity = toArray(relative(origin, 'velocity'));
+    const arrival = OrbitalElements.propagateState(relative(destination, 'position'),
+      relative(destination, 'velocity'), G * (sun.mass + destination.mass), timeOfFlight);
+    const arc = Porkchop.solveLambert(toArray(relative(origin, 'position')), toArray(arrival.position),
+      timeOfFlight, G * sun.mass);
+    if (!arc) {
+      throw new Error('No transfer arc for that departure and flight time');
+    }
+
+    const excess = arc.v1.map((value, i) => value - originVelocity[i]);
+    const arrivalExcess = arc.v2.map((value, i) => value - toArray(arrival.velocity)[i]);
+    const vInfinity = Math.hypot(excess[0], excess[1], excess[2]);
+    if (!(vInfinity > 0)) {
+      throw new Error('The transfer needs no departure burn');
+    }
+
+    const direction = excess.map(value => value / vInfinity);
+    const influence = OrbitalElements.influenceRadii(origin, [sun, origin], G);
+    const distance = influence ? influence.soi : CONSTANTS.kmToMeters(origin.radius) * CONSTANTS.MISSION_SPAWN_RADII;
+    const speed = Math.sqrt(vInfinity * vInfinity + 2 * G * origin.mass / distance);
+
+    return {
+      julianDate: departureJulianDate,
+      arrivalJulianDate: departureJulianDate + flightDays,
+      position: {
+        x: origin.position.x + direction[0] * distance,
+        y: origin.position.y + direction[1] * distance,
+        z: origin.position.z + direction[2] * distance
+      },
+      velocity: {
+        x: origin.velocity.x + direction[0] * speed,
+        y: origin.velocity.y + direction[1] * speed,
+        z: origin.velocity.z + direction[2] * speed
+      },
+      c3: vInfinity * vInfinity / 1e6,
+      arrivalVInfinity: Math.hypot(arrivalExcess[0], arrivalExcess[1], arrivalExcess[2]) / 1000,
+      originId: ids[originKey],
+      destinationId: ids[destinationKey]
+    };
+  }
+}
+
+/**
+ * The planet data and ephemeris of data/solarSystem.js
+ * @returns {Object} The module's exports
+ */
+function getSolarSystemData() {
+  return window.SolarSystemData || require('../data/solarSystem');
+}
+
+/**
+ * Stumpff function C(z) = (1 - cos √z) / z, continued through z = 0 and
+ * into negative z (hyperbolas)
+ * @param {Number} z - Universal variable α χ²
+ * @returns {Number} C(z)
+ */
+function stumpffC(z) {
+  if (z > 1e-6) return (1 - Math.cos(Math.sqrt(z))) / z;
+  if (z < -1e-6) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+  return 1 / 2 - z / 24 + z * z / 720;
+}
+
+/**
+ * Stumpff function S(z) = (√z - sin √z) / √z³, continued as C(z)
+ * @param {Number} z - Universal variable α χ²
+ * @returns {Number} S(z)
+ */
+function stumpffS(z) {
+  if (z > 1e-6) {
+    const root = Math.sqrt(z);
+    return (root - Math.sin(root)) / (root * root * root);
+  }
+  if (z < -1e-6) {
+    const root = Math.sqrt(-z);
+    return (Math.sinh(root) - root) / (root * root * root);
+  }
+  return 1 / 6 - z / 120 + z * z / 5040;
+}
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.Porkchop = Porkchop;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Porkchop;
+}
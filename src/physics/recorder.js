@@ -0,0 +1,292 @@
+// Recorder - Ring buffer of body states for timeline playback
+
+/**
+ * Captures the positions and velocities of every body at a fixed cadence in
+ * simulated time. Frames go into a ring buffer; once it is full the oldest
+ * frame is dropped for each new one. Frames are numbered from the start of
+ * the recording, so a frame number stays valid while older frames drop out.
+ *
+ * A frame is { number, simTime, julianDate, ids, positions, velocities } with
+ * packed Float64Arrays in SI units. `ids` is shared between consecutive
+ * frames while the set of bodies doesn't change.
+ */
+class SimulationRecorder {
+  /**
+   * Create a new recorder
+   * @param {Object} options - Options
+   * @param {Number} options.capacity - Frames kept before the oldest are dropped
+   * @param {Number} options.interval - Simulated days between frames
+   */
+  constructor({
+    capacity = (window.CONSTANTS || {}).RECORDER_CAPACITY || 10000,
+    interval = (window.CONSTANTS || {}).RECORDER_INTERVAL || 1
+  } = {}) {
+    this.capacity = capacity;
+    this.interval = interval;
+    this.recording = false;
+
+    this.frames = new Array(capacity);
+    this.start = 0; // Buffer slot of the oldest frame
+    this.length = 0;
+    this.frameCount = 0; // Frames captured since the recorder was cleared
+    this.lastJulianDate = null;
+
+    // Descriptions of every body seen, for export
+    this.bodies = new Map();
+
+    this.frameCallbacks = [];
+  }
+
+  /**
+   * Set how much simulated time passes between frames
+   * @param {Number} days - Days between frames
+   */
+  setInterval(days) {
+    if (!(days > 0)) {
+      throw new Error(`Recording interval must be a positive number of days (got ${days})`);
+    }
+    this.interval = days;
+  }
+
+  /**
+   * Register a callback for new frames, e.g. to stream them to disk
+   * @param {Function} callback - Called with each frame and the bodies first seen in it
+   */
+  onFrame(callback) {
+    this.frameCallbacks.push(callback);
+  }
+
+  /**
+   * Start capturing frames
+   */
+  startRecording() {
+    this.recording = true;
+    this.lastJulianDate = null;
+  }
+
+  /**
+   * Stop capturing frames; recorded frames are kept
+   */
+  stopRecording() {
+    this.recording = false;
+  }
+
+  /**
+   * Capture a frame if recording and a full interval has passed since the
+   * last one, forward or backward
+   * @param {Object} physics - GravitySimulator or WorkerGravitySimulator
+   * @returns {Object|null} The new frame, if one was captured
+   */
+  sample(physics) {
+    if (!this.recording) return null;
+
+    const julianDate = physics.getJulianDate();
+    if (this.lastJulianDate !== null && Math.abs(julianDate - this.lastJulianDate) < this.interval) {
+      return null;
+    }
+    return this.capture(physics);
+  }
+
+  /**
+   * Capture the current state as a frame
+   * @param {Object} physics - GravitySimulator or WorkerGravitySimulator
+   * @returns {Object} The new frame
+   */
+  capture(physics) {
+    const objects = physics.getObjects();
+    const count = objects.length;
+    const positions = new Float64Array(count * 3);
+    const velocities = new Float64Array(count * 3);
+    const newBodies = [];
+
+    objects.forEach((obj, i) => {
+      const i3 = i * 3;
+      const velocity = obj.velocity || { x: 0, y: 0, z: 0 };
+      positions[i3] = obj.position.x;
+      positions[i3 + 1] = obj.position.y;
+      positions[i3 + 2] = obj.position.z;
+      velocities[i3] = velocity.x;
+      velocities[i3 + 1] = velocity.y;
+      velocities[i3 + 2] = velocity.z;
+
+      if (!this.bodies.has(obj.id)) {
+        const body = describeBody(obj);
+        this.bodies.set(obj.id, body);
+        newBodies.push(body);
+      }
+    });
+
+    // Share the ID list with the previous frame when the bodies haven't changed
+    const previous = this.length > 0 ? this.getFrame(this.length - 1) : null;
+    const sameBodies = previous && previous.ids.length === count &&
+      objects.every((obj, i) => previous.ids[i] === obj.id);
+
+    const julianDate = physics.getJulianDate();
+    const frame = {
+      number: this.frameCount,
+      simTime: physics.simTime || 0,
+      julianDate,
+      ids: sameBodies ? previous.ids : objects.map(obj => obj.id),
+      positions,
+      velocities
+    };
+
+    this._push(frame);
+    this.frameCount++;
+    this.lastJulianDate = julianDate;
+
+    this.frameCallbacks.forEach(callback => {
+      try {
+        callback(frame, newBodies);
+      } catch (error) {
+        console.error('Error in recorder frame callback:', error);
+      }
+    });
+
+    return frame;
+  }
+
+  /**
+   * Get a frame by its position in the buffer
+   * @param {Number} index - 0 for the oldest frame kept
+   * @returns {Object} Frame, or undefined if out of range
+   */
+  getFrame(index) {
+    if (index < 0 || index >= this.length) return undefined;
+    return this.frames[(this.start + index) % this.capacity];
+  }
+
+  /**
+   * Number of the oldest frame still in the buffer
+   * @returns {Number} Frame number
+   */
+  getFirstFrameNumber() {
+    return this.frameCount - this.length;
+  }
+
+  /**
+   * State between two neighbouring frames. Positions and velocities are
+   * blended linearly when both frames hold the same bodies; otherwise the
+   * nearer frame is returned as is.
+   * @param {Number} position - Fractional buffer index, 0 to length - 1
+   * @returns {Object} { simTime, julianDate, ids, positions, velocities }, or null when empty
+   */
+  getState(position) {
+    if (this.length === 0) return null;
+
+    const clamped = Math.max(0, Math.min(this.length - 1, position));
+    const index = Math.floor(clamped);
+    const alpha = clamped - index;
+    const from = this.getFrame(index);
+    const to = this.getFrame(Math.min(index + 1, this.length - 1));
+
+    if (alpha === 0 || from === to) return from;
+    if (from.ids !== to.ids) return alpha < 0.5 ? from : to;
+
+    const blend = (a, b) => {
+      const out = new Float64Array(a.length);
+      for (let k = 0; k < a.length; k++) {
+        out[k] = a[k] + (b[k] - a[k]) * alpha;
+      }
+      return out;
+    };
+
+    return {
+      simTime: from.simTime + (to.simTime - from.simTime) * alpha,
+      julianDate: from.julianDate + (to.julianDate - from.julianDate) * alpha,
+      ids: from.ids,
+      positions: blend(from.positions, to.positions),
+      velocities: blend(from.velocities, to.velocities)
+    };
+  }
+
+  /**
+   * Drop every frame
+   */
+  clear() {
+    this.frames = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+    this.frameCount = 0;
+    this.lastJulianDate = null;
+    this.bodies.clear();
+  }
+
+  /**
+   * Serialize the frames between two buffer indices in the recording format
+   * @param {Object} options - Options
+   * @param {Number} options.epoch - Julian Date at simulation time zero
+   * @param {Number} options.from - First buffer index (default 0)
+   * @param {Number} options.to - Last buffer index (default the newest frame)
+   * @returns {String} Line-delimited JSON
+   */
+  toText({ epoch, from = 0, to = this.length - 1 } = {}) {
+    const RecordingFormat = getRecordingFormat();
+    const frames = [];
+    const ids = new Set();
+    for (let i = Math.max(0, from); i <= Math.min(to, this.length - 1); i++) {
+      const frame = this.getFrame(i);
+      frames.push(frame);
+      frame.ids.forEach(id => ids.add(id));
+    }
+
+    const header = RecordingFormat.createRecordingHeader({
+      epoch,
+      interval: this.interval,
+      bodies: [...ids].map(id => this.bodies.get(id)).filter(Boolean)
+    });
+
+    return RecordingFormat.formatRecordingLine(header) +
+      frames.map(frame => RecordingFormat.formatRecordingLine(RecordingFormat.frameToRecord(frame))).join('');
+  }
+
+  /**
+   * Add a frame, dropping the oldest when the buffer is full
+   * @param {Object} frame - Frame to add
+   * @private
+   */
+  _push(frame) {
+    if (this.length < this.capacity) {
+      this.frames[(this.start + this.length) % this.capacity] = frame;
+      this.length++;
+    } else {
+      this.frames[this.start] = frame;
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+}
+
+/**
+ * Describe a body for the recording header
+ * @param {Object} obj - Celestial object
+ * @returns {Object} { id, name, radius, color }
+ */
+function describeBody(obj) {
+  return {
+    id: obj.id,
+    name: obj.name || obj.id,
+    radius: obj.radius,
+    color: obj.color
+  };
+}
+
+/**
+ * Resolve the recording format module
+ * @returns {Object} RecordingFormat
+ * @private
+ */
+function getRecordingFormat() {
+  if (typeof window !== 'undefined' && window.RecordingFormat) {
+    return window.RecordingFormat;
+  }
+  return require('../utils/recordingFormat');
+}
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.SimulationRecorder = SimulationRecorder;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SimulationRecorder;
+}
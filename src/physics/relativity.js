@@ -0,0 +1,339 @@
+// Relativity - First-order post-Newtonian correction and perihelion precession measurement
+
+const ARCSEC_PER_RADIAN = 180 / Math.PI * 3600;
+const DAYS_PER_JULIAN_CENTURY = 36525;
+
+/**
+ * Index of the dominant (heaviest) body
+ * @param {Float64Array} masses - Packed masses
+ * @returns {Number} Index, or -1 if there are no bodies
+ */
+function findCentralBody(masses) {
+  let central = -1;
+  for (let i = 0; i < masses.length; i++) {
+    if (central === -1 || masses[i] > masses[central]) {
+      central = i;
+    }
+  }
+  return central;
+}
+
+/**
+ * Add the first-order post-Newtonian (1PN) correction from the dominant mass
+ * to packed accelerations. Each body moves in the Schwarzschild field of the
+ * central body M (harmonic coordinates, test-particle limit):
+ *
+ *   a = GM / (c^2 r^3) * [(4 GM / r - v^2) r + 4 (r . v) v]
+ *
+ * with r and v relative to the central body. The central body takes the
+ * opposite reaction m / M * a so total momentum is unchanged. Terms between
+ * the other bodies are left out; they are orders of magnitude smaller in a
+ * planetary system. Entries of `positions` past the masses are massless test
+ * particles, which feel the correction without a reaction.
+ * @param {Float64Array} positions - Packed positions in m
+ * @param {Float64Array} velocities - Packed velocities in m/s
+ * @param {Float64Array} masses - Packed masses in kg
+ * @param {Number} G - Gravitational constant
+ * @param {Number} c - Speed of light in m/s
+ * @param {Number} central - Index of the central body
+ * @param {Float64Array} out - Packed accelerations to add to
+ */
+function addPostNewtonianAccelerations(positions, velocities, masses, G, c, central, out) {
+  if (central < 0 || !(masses[central] > 0)) return;
+
+  const c3 = central * 3;
+  const mu = G * masses[central];
+  const c2 = c * c;
+
+  const count = positions.length / 3;
+
+  for (let i = 0; i < count; i++) {
+    if (i === central) continue;
+
+    const i3 = i * 3;
+    const x = positions[i3] - positions[c3];
+    const y = positions[i3 + 1] - positions[c3 + 1];
+    const z = positions[i3 + 2] - positions[c3 + 2];
+    const vx = velocities[i3] - velocities[c3];
+    const vy = velocities[i3 + 1] - velocities[c3 + 1];
+    const vz = velocities[i3 + 2] - velocities[c3 + 2];
+
+    const r2 = x * x + y * y + z * z;
+    if (r2 === 0) continue;
+
+    const r = Math.sqrt(r2);
+    const v2 = vx * vx + vy * vy + vz * vz;
+    const rDotV = x * vx + y * vy + z * vz;
+    const scale = mu / (c2 * r2 * r);
+    const radial = scale * (4 * mu / r - v2);
+    const tangential = scale * 4 * rDotV;
+
+    const ax = radial * x + tangential * vx;
+    const ay = radial * y + tangential * vy;
+    const az = radial * z + tangential * vz;
+
+    out[i3] += ax;
+    out[i3 + 1] += ay;
+    out[i3 + 2] += az;
+    if (i >= masses.length) continue;
+
+    const reaction = masses[i] / masses[central];
+    out[c3] -= reaction * ax;
+    out[c3 + 1] -= reaction * ay;
+    out[c3 + 2] -= reaction * az;
+  }
+}
+
+/**
+ * Perihelion advance predicted by general relativity,
+ * 6 pi GM / (c^2 a (1 - e^2)) per orbit
+ * @param {Number} mu - Gravitational parameter of the central body in m^3/s^2
+ * @param {Number} a - Semi-major axis in m
+ * @param {Number} e - Eccentricity
+ * @param {Number} period - Orbital period in s
+ * @param {Number} c - Speed of light in m/s
+ * @returns {Number} Precession rate in arcseconds per Julian century
+ */
+function predictedPrecessionRate(mu, a, e, period, c) {
+  if (!(a > 0 && e < 1 && period > 0)) return NaN;
+
+  const perOrbit = 6 * Math.PI * mu / (c * c * a * (1 - e * e));
+  const orbitsPerCentury = DAYS_PER_JULIAN_CENTURY * 86400 / period;
+  return perOrbit * orbitsPerCentury * ARCSEC_PER_RADIAN;
+}
+
+/**
+ * Least-squares straight line through (x, y) points
+ * @param {Array} points - [x, y] pairs
+ * @returns {Object|null} { slope, intercept, slopeError }, or null with fewer than 3 points
+ */
+function fitLine(points) {
+  const n = points.length;
+  if (n < 3) return null;
+
+  let meanX = 0;
+  let meanY = 0;
+  points.forEach(([x, y]) => {
+    meanX += x / n;
+    meanY += y / n;
+  });
+
+  let sxx = 0;
+  let sxy = 0;
+  points.forEach(([x, y]) => {
+    sxx += (x - meanX) * (x - meanX);
+    sxy += (x - meanX) * (y - meanY);
+  });
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+
+  let residuals = 0;
+  points.forEach(([x, y]) => {
+    const residual = y - (intercept + slope * x);
+    residuals += residual * residual;
+  });
+
+  return { slope, intercept, slopeError: Math.sqrt(residuals / (n - 2) / sxx) };
+}
+
+/**
+ * Measures how fast a body's longitude of perihelion (node + argument of
+ * periapsis of the osculating orbit) turns. Each run samples one body at a
+ * fixed simulated-time interval; the rate is the slope of a straight-line fit
+ * to the unwrapped longitude. Runs are kept so a Newtonian and a relativistic
+ * run can be compared side by side.
+ */
+class PerihelionTracker {
+  /**
+   * Create a new tracker
+   * @param {Object} options - Options
+   * @param {Number} options.interval - Simulated days between samples
+   */
+  constructor({ interval } = {}) {
+    const CONSTANTS = (typeof window !== 'undefined' && window.CONSTANTS) || {};
+    this.interval = interval || CONSTANTS.PRECESSION_SAMPLE_DAYS || 1;
+    this.G = CONSTANTS.G || 6.67430e-11;
+    this.speedOfLight = CONSTANTS.SPEED_OF_LIGHT || 299792458;
+    this.runs = [];
+    this.activeRun = null;
+  }
+
+  /**
+   * Start measuring a body, ending any active run
+   * @param {Object} body - Body to follow
+   * @param {Object} options - Options
+   * @param {Boolean} options.relativity - Whether the 1PN correction is on for this run
+   * @param {Number} options.julianDate - Start date
+   * @returns {Object} The new run
+   */
+  start(body, { relativity = false, julianDate = 0 } = {}) {
+    this.stop();
+
+    this.activeRun = {
+      id: this.runs.length + 1,
+      bodyId: body.id,
+      bodyName: body.name || body.id,
+      relativity: !!relativity,
+      startDate: julianDate,
+      samples: [],
+      predictedRate: NaN
+    };
+    this.runs.push(this.activeRun);
+    return this.activeRun;
+  }
+
+  /**
+   * End the active run
+   */
+  stop() {
+    this.activeRun = null;
+  }
+
+  /**
+   * Record a sample for the active run if at least `interval` days have
+   * passed since the previous one. Time running backwards starts over.
+   * @param {Array} objects - All bodies in the simulation
+   * @param {Number} julianDate - Current simulation date
+   * @returns {Boolean} True if a sample was recorded
+   */
+  sample(objects, julianDate) {
+    const run = this.activeRun;
+    if (!run) return false;
+
+    const body = objects.find(obj => obj.id === run.bodyId);
+    if (!body) {
+      this.stop();
+      return false;
+    }
+
+    let last = run.samples[run.samples.length - 1];
+    if (last && julianDate < last.julianDate) {
+      run.samples = [];
+      run.startDate = julianDate;
+      last = null;
+    } else if (last && julianDate - last.julianDate < this.interval) {
+      return false;
+    }
+
+    const elements = getOrbitalElements().osculatingElements(body, objects, this.G);
+    if (!elements || !(elements.e > 0 && elements.e < 1)) return false;
+
+    // Unwrap so the longitude grows continuously past 360°
+    let longitude = elements.longitudeOfPeriapsis;
+    if (last) {
+      longitude += 360 * Math.round((last.longitude - longitude) / 360);
+    }
+
+    run.samples.push({ julianDate, longitude, eccentricity: elements.e, semiMajorAxis: elements.a });
+    run.predictedRate = predictedPrecessionRate(
+      this.G * elements.attractor.mass, elements.a, elements.e, elements.period, this.speedOfLight
+    );
+    return true;
+  }
+
+  /**
+   * Measured precession rate of a run
+   * @param {Object} run - Run to evaluate (the active run by default)
+   * @returns {Object|null} { rate, error } in arcseconds per Julian century and
+   *   the span covered in days, or null with too few samples
+   */
+  getRate(run = this.activeRun) {
+    if (!run) return null;
+
+    const fit = fitLine(run.samples.map(s => [s.julianDate - run.startDate, s.longitude]));
+    if (!fit) return null;
+
+    const perCentury = DAYS_PER_JULIAN_CENTURY * 3600;
+    const first = run.samples[0];
+    const last = run.samples[run.samples.length - 1];
+    return {
+      rate: fit.slope * perCentury,
+      error: fit.slopeError * perCentury,
+      span: last.julianDate - first.julianDate
+    };
+  }
+
+  /**
+   * Difference between the latest relativistic and Newtonian runs of a body
+   * @param {String} bodyId - Body ID
+   * @returns {Object|null} { newtonian, relativistic, difference, error } in
+   *   arcseconds per century, or null unless both kinds of run have a rate
+   */
+  compare(bodyId) {
+    const latest = (relativity) => [...this.runs].reverse().find(run =>
+      run.bodyId === bodyId && run.relativity === relativity && this.getRate(run));
+    const newtonian = latest(false);
+    const relativistic = latest(true);
+    if (!newtonian || !relativistic) return null;
+
+    const a = this.getRate(newtonian);
+    const b = this.getRate(relativistic);
+    return {
+      newtonian: a.rate,
+      relativistic: b.rate,
+      difference: b.rate - a.rate,
+      error: Math.hypot(a.error, b.error),
+      predicted: relativistic.predictedRate
+    };
+  }
+
+  /**
+   * Forget all runs
+   */
+  clear() {
+    this.runs = [];
+    this.activeRun = null;
+  }
+
+  /**
+   * Export every run's samples as CSV
+   * @returns {String} CSV text with a header row
+   */
+  toCSV() {
+    const rows = ['run,body,relativity,julianDate,longitudeOfPerihelion,eccentricity,semiMajorAxis'];
+    this.runs.forEach(run => {
+      run.samples.forEach(s => {
+        rows.push([run.id, run.bodyName, run.relativity, s.julianDate, s.longitude,
+          s.eccentricity, s.semiMajorAxis].join(','));
+      });
+    });
+    return rows.join('\n');
+  }
+}
+
+/**
+ * Resolve the orbital elements module when it is needed; in the renderer it
+ * is published by the main bundle after this script has loaded
+ * @returns {Object} OrbitalElements
+ * @private
+ */
+function getOrbitalElements() {
+  if (typeof window !== 'undefined' && window.OrbitalElements) {
+    return window.OrbitalElements;
+  }
+  return require('./orbitalElements');
+}
+
+// Export for both CommonJS and browser/worker environments. Assigned directly
+// (as in collisions.js) because gravitySimulator.js declares `Relativity`
+if (typeof window !== 'undefined') {
+  window.Relativity = {
+    findCentralBody,
+    addPostNewtonianAccelerations,
+    predictedPrecessionRate,
+    fitLine,
+    PerihelionTracker
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    findCentralBody,
+    addPostNewtonianAccelerations,
+    predictedPrecessionRate,
+    fitLine,
+    PerihelionTracker
+  };
+}
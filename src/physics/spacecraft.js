@@ -0,0 +1,376 @@
+// Spacecraft - Rocket engines, maneuver nodes and finite burns
+
+/**
+ * A spacecraft is a body with `spacecraft` settings
+ *
+ *   { dryMass (kg), propellantMass (kg loaded at launch), isp (s), thrust (N) }
+ *
+ * and optionally a list of maneuver nodes
+ *
+ *   [{ id, time, prograde, normal, radial, referenceId }]
+ *
+ * where time is the simulated seconds of the node's mid-burn and the three
+ * components are the planned delta-v (m/s) in the orbit frame around the
+ * body `referenceId`. Nothing here keeps state: the burns, and so the mass
+ * at any moment, follow from the settings and the nodes alone, so running
+ * time backward refuels the tanks and a copy of the simulation burns the
+ * same way as the original.
+ */
+
+// Settings a spacecraft must carry, with the smallest value each may take
+const SPACECRAFT_SETTINGS = [
+  { name: 'dryMass', label: 'Dry mass', unit: 'kg', positive: true },
+  { name: 'propellantMass', label: 'Propellant', unit: 'kg', positive: false },
+  { name: 'isp', label: 'Specific impulse', unit: 's', positive: true },
+  { name: 'thrust', label: 'Thrust', unit: 'N', positive: true }
+];
+
+// Delta-v components of a maneuver node, in its orbit frame
+const MANEUVER_COMPONENTS = ['prograde', 'normal', 'radial'];
+
+/**
+ * Physical constants, resolved when first needed so this file can load
+ * before constants.js in any environment
+ * @returns {Object} CONSTANTS
+ * @private
+ */
+function getSpacecraftConstants() {
+  if (typeof window !== 'undefined' && window.CONSTANTS) {
+    return window.CONSTANTS;
+  }
+  return require('../utils/constants');
+}
+
+/**
+ * Check a body's `spacecraft` settings
+ * @param {Object} settings - { dryMass, propellantMass, isp, thrust }
+ * @returns {Object} Normalized copy
+ * @throws {Error} If a setting is missing, unknown or out of range
+ */
+function normalizeSpacecraft(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Spacecraft settings must be an object with dryMass, propellantMass, isp and thrust');
+  }
+
+  const allowed = SPACECRAFT_SETTINGS.map(setting => setting.name);
+  const unknown = Object.keys(settings).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown spacecraft setting "${unknown[0]}". Expected one of: ${allowed.join(', ')}`);
+  }
+
+  const normalized = {};
+  SPACECRAFT_SETTINGS.forEach(({ name, label, unit, positive }) => {
+    const value = settings[name];
+    if (!Number.isFinite(value) || value < 0 || (positive && value === 0)) {
+      throw new Error(`${label} must be a ${positive ? 'positive' : 'non-negative'} number (${unit}), got ${value}`);
+    }
+    normalized[name] = value;
+  });
+
+  return normalized;
+}
+
+/**
+ * Check a list of maneuver nodes
+ * @param {Array} maneuvers - [{ id, time, prograde, normal, radial, referenceId }];
+ *   missing components are 0 and referenceId may be left out to burn
+ *   relative to the heaviest body
+ * @returns {Array} Normalized copies in time order
+ * @throws {Error} If a node is malformed or two share an ID
+ */
+function normalizeManeuvers(maneuvers) {
+  if (!Array.isArray(maneuvers)) {
+    throw new Error('Maneuvers must be an array of nodes');
+  }
+
+  const ids = new Set();
+  const normalized = maneuvers.map((maneuver, i) => {
+    if (!maneuver || typeof maneuver !== 'object') {
+      throw new Error(`Maneuver ${i + 1} must be an object`);
+    }
+    if (typeof maneuver.id !== 'string' || maneuver.id.length === 0) {
+      throw new Error(`Maneuver ${i + 1} needs an ID`);
+    }
+    if (ids.has(maneuver.id)) {
+      throw new Error(`Maneuver ID "${maneuver.id}" is used more than once`);
+    }
+    ids.add(maneuver.id);
+
+    if (!Number.isFinite(maneuver.time)) {
+      throw new Error(`Maneuver ${maneuver.id}: time must be a number (s)`);
+    }
+
+    const node = { id: maneuver.id, time: maneuver.time };
+    MANEUVER_COMPONENTS.forEach(component => {
+      const value = maneuver[component] === undefined ? 0 : maneuver[component];
+      if (!Number.isFinite(value)) {
+        throw new Error(`Maneuver ${maneuver.id}: ${component} delta-v must be a number (m/s)`);
+      }
+      node[component] = value;
+    });
+
+    if (maneuver.referenceId !== undefined && maneuver.referenceId !== null) {
+      if (typeof maneuver.referenceId !== 'string') {
+        throw new Error(`Maneuver ${maneuver.id}: referenceId must be a body ID`);
+      }
+      node.referenceId = maneuver.referenceId;
+    }
+    return node;
+  });
+
+  return normalized.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Effective exhaust velocity of the engine
+ * @param {Object} spacecraft - Spacecraft settings
+ * @returns {Number} Isp * g0 in m/s
+ */
+function getExhaustVelocity(spacecraft) {
+  return spacecraft.isp * getSpacecraftConstants().STANDARD_GRAVITY;
+}
+
+/**
+ * Planned delta-v of a node
+ * @param {Object} maneuver - Maneuver node
+ * @returns {Number} Magnitude in m/s
+ */
+function getManeuverDeltaV(maneuver) {
+  return Math.hypot(maneuver.prograde, maneuver.normal, maneuver.radial);
+}
+
+/**
+ * Delta-v the spacecraft can still make (Tsiolkovsky)
+ * @param {Object} spacecraft - Spacecraft settings
+ * @param {Number} propellant - Propellant left in kg
+ * @returns {Number} ve ln((dry + propellant) / dry) in m/s
+ */
+function getDeltaVBudget(spacecraft, propellant) {
+  return getExhaustVelocity(spacecraft) * Math.log((spacecraft.dryMass + propellant) / spacecraft.dryMass);
+}
+
+/**
+ * Work out when each node's burn runs. At constant thrust F the mass flow is
+ * F / ve, and a burn of delta-v dv from mass m0 lasts
+ *
+ *   t = m0 ve / F * (1 - exp(-dv / ve))
+ *
+ * Each burn is centred on its node, so its effect matches an impulse at the
+ * node as closely as possible, but starts no earlier than the previous burn
+ * ends. A burn is cut short when the propellant runs out.
+ * @param {Object} spacecraft - Spacecraft settings
+ * @param {Array} maneuvers - Maneuver nodes in time order
+ * @returns {Array} One entry per node that fires: { id, maneuver, start, end,
+ *   startMass, massFlow, deltaV (achieved), shortfall (planned - achieved) }
+ */
+function getBurnSchedule(spacecraft, maneuvers = []) {
+  const exhaustVelocity = getExhaustVelocity(spacecraft);
+  const massFlow = spacecraft.thrust / exhaustVelocity;
+  const schedule = [];
+  let propellant = spacecraft.propellantMass;
+  let earliest = -Infinity;
+
+  for (const maneuver of maneuvers) {
+    const planned = getManeuverDeltaV(maneuver);
+    if (!(planned > 0) || !(propellant > 0)) continue;
+
+    const startMass = spacecraft.dryMass + propellant;
+    const needed = startMass * (1 - Math.exp(-planned / exhaustVelocity));
+    const used = Math.min(propellant, needed);
+    const duration = used / massFlow;
+    const start = Math.max(maneuver.time - duration / 2, earliest);
+    const deltaV = exhaustVelocity * Math.log(startMass / (startMass - used));
+
+    schedule.push({
+      id: maneuver.id,
+      maneuver,
+      start,
+      end: start + duration,
+      startMass,
+      massFlow,
+      deltaV,
+      shortfall: used < needed ? planned - deltaV : 0
+    });
+
+    propellant -= used;
+    earliest = start + duration;
+  }
+
+  return schedule;
+}
+
+/**
+ * Total mass at a moment of the schedule
+ * @param {Object} spacecraft - Spacecraft settings
+ * @param {Array} schedule - From getBurnSchedule
+ * @param {Number} time - Simulated seconds since the epoch
+ * @returns {Number} Mass in kg
+ */
+function getSpacecraftMass(spacecraft, schedule, time) {
+  let mass = spacecraft.dryMass + spacecraft.propellantMass;
+  for (const burn of schedule) {
+    if (!(time > burn.start)) break;
+    mass = burn.startMass - burn.massFlow * (Math.min(time, burn.end) - burn.start);
+  }
+  return mass;
+}
+
+/**
+ * Times between two moments where a burn starts or stops
+ * @param {Array} schedule - From getBurnSchedule
+ * @param {Number} from - Start of the interval in s
+ * @param {Number} to - End of the interval in s (may be before `from`)
+ * @param {Array} out - Array to add the times to
+ * @returns {Array} out
+ */
+function getBurnBoundaries(schedule, from, to, out = []) {
+  const low = Math.min(from, to);
+  const high = Math.max(from, to);
+  for (const burn of schedule) {
+    if (burn.start > low && burn.start < high) out.push(burn.start);
+    if (burn.end > low && burn.end < high) out.push(burn.end);
+  }
+  return out;
+}
+
+/**
+ * The burn running through an interval that no boundary splits
+ * @param {Array} schedule - From getBurnSchedule
+ * @param {Number} from - Start of the interval in s
+ * @param {Number} to - End of the interval in s
+ * @returns {Object|null} Schedule entry, or null while coasting
+ */
+function findActiveBurn(schedule, from, to) {
+  const middle = (from + to) / 2;
+  return schedule.find(burn => burn.start < middle && middle < burn.end) || null;
+}
+
+/**
+ * Orbit frame of a body relative to its reference: prograde along the
+ * velocity, normal along the angular momentum and radial completing the
+ * right-handed set, pointing away from the reference
+ * @param {Array} position - Relative position [x, y, z]
+ * @param {Array} velocity - Relative velocity [vx, vy, vz]
+ * @returns {Object|null} { prograde, normal, radial } unit vectors as
+ *   [x, y, z], or null if the frame is undefined (no relative motion)
+ */
+function getManeuverFrame(position, velocity) {
+  const speed = Math.hypot(velocity[0], velocity[1], velocity[2]);
+  if (!(speed > 0)) return null;
+  const prograde = velocity.map(component => component / speed);
+
+  let normal = [
+    position[1] * velocity[2] - position[2] * velocity[1],
+    position[2] * velocity[0] - position[0] * velocity[2],
+    position[0] * velocity[1] - position[1] * velocity[0]
+  ];
+  let length = Math.hypot(normal[0], normal[1], normal[2]);
+  if (!(length > 0)) {
+    // Straight up or down has no orbit plane; take one through the ecliptic pole
+    normal = Math.abs(prograde[2]) < 1 ? [prograde[1], -prograde[0], 0] : [1, 0, 0];
+    length = Math.hypot(normal[0], normal[1], normal[2]);
+  }
+  normal = normal.map(component => component / length);
+
+  const radial = [
+    prograde[1] * normal[2] - prograde[2] * normal[1],
+    prograde[2] * normal[0] - prograde[0] * normal[2],
+    prograde[0] * normal[1] - prograde[1] * normal[0]
+  ];
+
+  return { prograde, normal, radial };
+}
+
+/**
+ * Kick packed velocities by engine thrust over a time. Each term pushes one
+ * body along its node's delta-v direction, held fixed in the orbit frame
+ * around the reference body as the burn goes on.
+ * @param {Float64Array} positions - Packed positions in m
+ * @param {Float64Array} velocities - Packed velocities in m/s, changed in place
+ * @param {Array} thrustTerms - [{ index, reference, acceleration (m/s²), maneuver }];
+ *   reference is -1 to burn relative to the origin
+ * @param {Number} dt - Signed time in s
+ */
+function applyThrustKicks(positions, velocities, thrustTerms, dt) {
+  const position = [0, 0, 0];
+  const velocity = [0, 0, 0];
+
+  for (const { index, reference, acceleration, maneuver } of thrustTerms) {
+    const i3 = index * 3;
+    const r3 = reference >= 0 && reference !== index ? reference * 3 : -1;
+    for (let k = 0; k < 3; k++) {
+      position[k] = positions[i3 + k] - (r3 >= 0 ? positions[r3 + k] : 0);
+      velocity[k] = velocities[i3 + k] - (r3 >= 0 ? velocities[r3 + k] : 0);
+    }
+
+    const frame = getManeuverFrame(position, velocity);
+    const deltaV = getManeuverDeltaV(maneuver);
+    if (!frame || !(deltaV > 0)) continue;
+
+    const scale = acceleration * dt / deltaV;
+    for (let k = 0; k < 3; k++) {
+      velocities[i3 + k] += scale * (maneuver.prograde * frame.prograde[k] +
+        maneuver.normal * frame.normal[k] + maneuver.radial * frame.radial[k]);
+    }
+  }
+}
+
+/**
+ * Mass, propellant and burns of a spacecraft at a moment, for display
+ * @param {Object} object - Body with `spacecraft` and optional `maneuvers`
+ * @param {Number} time - Simulated seconds since the epoch
+ * @returns {Object} { mass, propellant, deltaVBudget, schedule }
+ */
+function getSpacecraftStatus(object, time) {
+  const spacecraft = object.spacecraft;
+  const schedule = getBurnSchedule(spacecraft, object.maneuvers || []);
+  const mass = getSpacecraftMass(spacecraft, schedule, time);
+  const propellant = Math.max(0, mass - spacecraft.dryMass);
+
+  return {
+    mass,
+    propellant,
+    deltaVBudget: getDeltaVBudget(spacecraft, propellant),
+    schedule
+  };
+}
+
+// Export for both CommonJS and browser/worker environments. Assigned directly
+// (as in zonalHarmonics.js) because gravitySimulator.js declares `Spacecraft`
+if (typeof window !== 'undefined') {
+  window.Spacecraft = {
+    SPACECRAFT_SETTINGS,
+    MANEUVER_COMPONENTS,
+    normalizeSpacecraft,
+    normalizeManeuvers,
+    getExhaustVelocity,
+    getManeuverDeltaV,
+    getDeltaVBudget,
+    getBurnSchedule,
+    getSpacecraftMass,
+    getBurnBoundaries,
+    findActiveBurn,
+    getManeuverFrame,
+    applyThrustKicks,
+    getSpacecraftStatus
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SPACECRAFT_SETTINGS,
+    MANEUVER_COMPONENTS,
+    normalizeSpacecraft,
+    normalizeManeuvers,
+    getExhaustVelocity,
+    getManeuverDeltaV,
+    getDeltaVBudget,
+    getBurnSchedule,
+    getSpacecraftMass,
+    getBurnBoundaries,
+    findActiveBurn,
+    getManeuverFrame,
+    applyThrustKicks,
+    getSpacecraftStatus
+  };
+}
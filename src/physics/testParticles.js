@@ -0,0 +1,313 @@
+// Test Particles - Massless bodies that feel gravity but exert none
+
+/**
+ * Packed storage for massless test particles. Positions and velocities live
+ * in Float64Arrays ([x0, y0, z0, x1, ...], SI units) that grow as particles
+ * are added; only the first `count * 3` entries are in use.
+ */
+class TestParticleSet {
+  /**
+   * Create an empty set
+   * @param {Object} options - Options
+   * @param {Number} options.maxCount - Most particles the set will hold
+   */
+  constructor({ maxCount } = {}) {
+    const CONSTANTS = (typeof window !== 'undefined' && window.CONSTANTS) || {};
+    this.maxCount = maxCount || CONSTANTS.MAX_TEST_PARTICLES || 100000;
+    this.count = 0;
+    this.positions = new Float64Array(0);
+    this.velocities = new Float64Array(0);
+    this.absorbed = 0; // Particles that hit a body since the set was last cleared
+  }
+
+  /**
+   * Append particles
+   * @param {ArrayLike} positions - Packed positions in m
+   * @param {ArrayLike} velocities - Packed velocities in m/s
+   * @returns {Number} Number of particles added
+   * @throws {Error} If the arrays don't match or the set would grow past maxCount
+   */
+  add(positions, velocities) {
+    if (positions.length % 3 !== 0 || velocities.length !== positions.length) {
+      throw new Error('Test particle positions and velocities must be packed [x, y, z] arrays of the same length');
+    }
+
+    const added = positions.length / 3;
+    if (this.count + added > this.maxCount) {
+      throw new Error(`Too many test particles: ${this.count + added} (at most ${this.maxCount})`);
+    }
+    for (let k = 0; k < positions.length; k++) {
+      if (!Number.isFinite(positions[k]) || !Number.isFinite(velocities[k])) {
+        throw new Error('Test particle positions and velocities must be finite numbers');
+      }
+    }
+
+    this._reserve(this.count + added);
+    this.positions.set(positions, this.count * 3);
+    this.velocities.set(velocities, this.count * 3);
+    this.count += added;
+    return added;
+  }
+
+  /**
+   * Replace every particle, e.g. with a snapshot from the physics worker
+   * @param {ArrayLike} positions - Packed positions in m
+   * @param {ArrayLike} velocities - Packed velocities in m/s
+   */
+  set(positions, velocities) {
+    this.count = 0;
+    this._reserve(positions.length / 3);
+    this.positions.set(positions);
+    this.velocities.set(velocities);
+    this.count = positions.length / 3;
+  }
+
+  /**
+   * Remove particles, keeping the order of the rest
+   * @param {Array} indices - Indices to remove, in ascending order
+   */
+  remove(indices) {
+    if (indices.length === 0) return;
+
+    let next = 0;
+    let kept = 0;
+    for (let i = 0; i < this.count; i++) {
+      if (next < indices.length && indices[next] === i) {
+        next++;
+        continue;
+      }
+      if (kept !== i) {
+        this.positions.copyWithin(kept * 3, i * 3, i * 3 + 3);
+        this.velocities.copyWithin(kept * 3, i * 3, i * 3 + 3);
+      }
+      kept++;
+    }
+    this.count = kept;
+  }
+
+  /**
+   * Remove every particle
+   */
+  clear() {
+    this.count = 0;
+    this.absorbed = 0;
+  }
+
+  /**
+   * Grow the arrays to hold at least `count` particles
+   * @param {Number} count - Particles needed
+   * @private
+   */
+  _reserve(count) {
+    if (this.positions.length >= count * 3) return;
+
+    const capacity = Math.max(count, Math.min(this.maxCount, this.positions.length / 3 * 2));
+    const positions = new Float64Array(capacity * 3);
+    const velocities = new Float64Array(capacity * 3);
+    positions.set(this.positions.subarray(0, this.count * 3));
+    velocities.set(this.velocities.subarray(0, this.count * 3));
+    this.positions = positions;
+    this.velocities = velocities;
+  }
+}
+
+/**
+ * Set the gravitational accelerations of the test particles in a packed
+ * state. Bodies 0..masses.length-1 are massive; every entry after them is a
+ * test particle, pulled by each massive body with the softened Newtonian
+ * force and pulling on nothing. The cost is particles x massive bodies.
+ * @param {Float64Array} positions - Packed positions of bodies then particles, in m
+ * @param {Float64Array} masses - Masses of the massive bodies in kg
+ * @param {Float64Array} softening - Squared softening length per massive body
+ * @param {Number} particleSoftening - Squared softening length of the particles
+ * @param {Number} G - Gravitational constant
+ * @param {Float64Array} out - Packed accelerations; the particle entries are overwritten
+ */
+function computeTestParticleAccelerations(positions, masses, softening, particleSoftening, G, out) {
+  const bodyCount = masses.length;
+  const count = positions.length / 3;
+
+  for (let p = bodyCount; p < count; p++) {
+    const p3 = p * 3;
+    const x = positions[p3];
+    const y = positions[p3 + 1];
+    const z = positions[p3 + 2];
+    let ax = 0;
+    let ay = 0;
+    let az = 0;
+
+    for (let j = 0; j < bodyCount; j++) {
+      if (masses[j] === 0) continue;
+
+      const j3 = j * 3;
+      const dx = positions[j3] - x;
+      const dy = positions[j3 + 1] - y;
+      const dz = positions[j3 + 2] - z;
+      const distanceSquared = dx * dx + dy * dy + dz * dz +
+        (softening ? 0.5 * (softening[j] + particleSoftening) : 0);
+      if (distanceSquared === 0) continue;
+
+      const scale = G * masses[j] / (distanceSquared * Math.sqrt(distanceSquared));
+      ax += dx * scale;
+      ay += dy * scale;
+      az += dz * scale;
+    }
+
+    out[p3] = ax;
+    out[p3 + 1] = ay;
+    out[p3 + 2] = az;
+  }
+}
+
+/**
+ * Find the particles that touched a body during a step, with the same swept
+ * test the bodies use (straight-line motion over the step)
+ * @param {Array} objects - Massive bodies after the step (SI position, radius in km)
+ * @param {TestParticleSet} particles - Particles after the step
+ * @param {Float64Array} previousPositions - Packed positions of bodies then
+ *   particles before the step
+ * @returns {Array} Indices of the particles that hit a body, ascending
+ */
+function findAbsorbedParticles(objects, particles, previousPositions) {
+  const Collisions = getCollisions();
+  const bodyCount = objects.length;
+  const absorbed = [];
+
+  for (let p = 0; p < particles.count; p++) {
+    const p3 = p * 3;
+    const q3 = (bodyCount + p) * 3;
+
+    for (let j = 0; j < bodyCount; j++) {
+      const body = objects[j];
+      const reach = (body.radius || 0) * 1000; // km -> m
+      if (!(reach > 0)) continue;
+
+      const j3 = j * 3;
+      const t = Collisions.sweptContactTime(
+        previousPositions[q3] - previousPositions[j3],
+        previousPositions[q3 + 1] - previousPositions[j3 + 1],
+        previousPositions[q3 + 2] - previousPositions[j3 + 2],
+        particles.positions[p3] - body.position.x,
+        particles.positions[p3 + 1] - body.position.y,
+        particles.positions[p3 + 2] - body.position.z,
+        reach
+      );
+      if (t !== null) {
+        absorbed.push(p);
+        break;
+      }
+    }
+  }
+
+  return absorbed;
+}
+
+/**
+ * Scatter particles on random Keplerian orbits around a body, e.g. an
+ * asteroid belt around the Sun. Semi-major axes are uniform between the
+ * limits, eccentricities and inclinations uniform up to the maxima, and the
+ * angles uniform in 0-360°.
+ * @param {Object} center - Body to orbit, with SI position, velocity and mass
+ * @param {Object} options - Options
+ * @param {Number} options.count - Number of particles
+ * @param {Number} options.minSemiMajorAxis - Inner edge in AU
+ * @param {Number} options.maxSemiMajorAxis - Outer edge in AU
+ * @param {Number} options.maxEccentricity - Largest eccentricity
+ * @param {Number} options.maxInclination - Largest inclination in degrees
+ * @param {Number} options.G - Gravitational constant
+ * @param {Function} options.random - Source of numbers in [0, 1), Math.random by default
+ * @returns {Object} { positions, velocities } packed Float64Arrays in SI units
+ */
+function createKeplerianParticles(center, {
+  count,
+  minSemiMajorAxis,
+  maxSemiMajorAxis,
+  maxEccentricity = 0,
+  maxInclination = 0,
+  G = 6.67430e-11,
+  random = Math.random
+}) {
+  if (!(Number.isInteger(count) && count > 0)) {
+    throw new Error('Particle count must be a positive whole number');
+  }
+  if (!(minSemiMajorAxis > 0 && maxSemiMajorAxis >= minSemiMajorAxis)) {
+    throw new Error('Semi-major axis range must be positive, inner edge first');
+  }
+  if (!(maxEccentricity >= 0 && maxEccentricity < 1)) {
+    throw new Error('Eccentricity must be between 0 and 1');
+  }
+  if (!(maxInclination >= 0 && maxInclination <= 180)) {
+    throw new Error('Inclination must be between 0° and 180°');
+  }
+
+  const OrbitalElements = getOrbitalElementsModule();
+  const mu = G * center.mass;
+  const positions = new Float64Array(count * 3);
+  const velocities = new Float64Array(count * 3);
+
+  for (let p = 0; p < count; p++) {
+    const { position, velocity } = OrbitalElements.keplerToState({
+      a: minSemiMajorAxis + (maxSemiMajorAxis - minSemiMajorAxis) * random(),
+      e: maxEccentricity * random(),
+      i: maxInclination * random(),
+      node: 360 * random(),
+      argPeri: 360 * random(),
+      meanAnomaly: 360 * random()
+    }, mu);
+
+    const p3 = p * 3;
+    positions[p3] = center.position.x + position[0];
+    positions[p3 + 1] = center.position.y + position[1];
+    positions[p3 + 2] = center.position.z + position[2];
+    velocities[p3] = center.velocity.x + velocity[0];
+    velocities[p3 + 1] = center.velocity.y + velocity[1];
+    velocities[p3 + 2] = center.velocity.z + velocity[2];
+  }
+
+  return { positions, velocities };
+}
+
+/**
+ * Resolve the collisions module (already loaded wherever particles move)
+ * @returns {Object} Collisions
+ * @private
+ */
+function getCollisions() {
+  if (typeof window !== 'undefined' && window.Collisions) {
+    return window.Collisions;
+  }
+  return require('./collisions');
+}
+
+/**
+ * Resolve the orbital elements module when it is needed; in the renderer it
+ * is published by the main bundle after this script has loaded
+ * @returns {Object} OrbitalElements
+ * @private
+ */
+function getOrbitalElementsModule() {
+  if (typeof window !== 'undefined' && window.OrbitalElements) {
+    return window.OrbitalElements;
+  }
+  return require('./orbitalElements');
+}
+
+// Export for both CommonJS and browser/worker environments. Assigned directly
+// (as in relativity.js) because gravitySimulator.js declares `TestParticles`
+if (typeof window !== 'undefined') {
+  window.TestParticles = {
+    TestParticleSet,
+    computeTestParticleAccelerations,
+    findAbsorbedParticles,
+    createKeplerianParticles
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TestParticleSet,
+    computeTestParticleAccelerations,
+    findAbsorbedParticles,
+    createKeplerianParticles
+  };
+}
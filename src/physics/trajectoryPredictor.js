@@ -0,0 +1,393 @@
+// Trajectory Predictor - Propagates a copy of the system to draw future paths
+//
+// Loaded as a classic script next to the other physics modules, so it reads
+// window.CONSTANTS and window.GravitySimulator when needed.
+
+/**
+ * Predicts the future paths of selected bodies by integrating a throwaway
+ * copy of the simulation with the same integrator, forces and settings. The
+ * live simulation is never touched. Each body asks for a horizon in orbits
+ * (of its osculating orbit around its dominant attractor) or in days.
+ *
+ * Predictions are redone when the bodies change (added, removed, merged, a
+ * mass or force edited), when a body's settings change, and when the clock
+ * has moved a fraction of the horizon away from where the prediction started.
+ */
+class TrajectoryPredictor {
+  /**
+   * Create a new predictor
+   * @param {Object} options - Options
+   * @param {Number} options.steps - Integration steps per predicted path
+   */
+  constructor({ steps = (window.CONSTANTS || {}).PREDICTION_STEPS || 2000 } = {}) {
+    this.steps = steps;
+
+    // Body ID -> { amount, unit } for every body with a prediction
+    this.requests = new Map();
+
+    // Body ID -> { startTime, dt, positions, count, nodes }
+    this.paths = new Map();
+
+    this.signature = '';
+    this.dirty = false;
+    this.lastRefresh = -Infinity;
+    this.revision = 0; // Bumped whenever the paths are recomputed
+  }
+
+  /**
+   * Turn a body's prediction on or off, or change its horizon
+   * @param {String} id - Body ID
+   * @param {Object} settings - { enabled, amount, unit ('orbits' or 'days') }
+   */
+  setPrediction(id, { enabled = true, amount, unit } = {}) {
+    if (!enabled) {
+      this.requests.delete(id);
+      this.paths.delete(id);
+      this.dirty = true;
+      return;
+    }
+
+    const CONSTANTS = window.CONSTANTS || {};
+    const previous = this.requests.get(id) || {
+      amount: CONSTANTS.PREDICTION_DEFAULT_ORBITS || 1,
+      unit: 'orbits'
+    };
+    const request = {
+      amount: amount !== undefined ? amount : previous.amount,
+      unit: unit !== undefined ? unit : previous.unit
+    };
+
+    if (!(request.amount > 0)) {
+      throw new Error(`Prediction length must be positive (got ${request.amount})`);
+    }
+    if (request.unit !== 'orbits' && request.unit !== 'days') {
+      throw new Error(`Unknown prediction unit: ${request.unit}`);
+    }
+
+    this.requests.set(id, request);
+    this.dirty = true;
+  }
+
+  /**
+   * Get a body's prediction settings
+   * @param {String} id - Body ID
+   * @returns {Object} { enabled, amount, unit }
+   */
+  getPrediction(id) {
+    const request = this.requests.get(id);
+    if (request) {
+      return { enabled: true, ...request };
+    }
+    return {
+      enabled: false,
+      amount: (window.CONSTANTS || {}).PREDICTION_DEFAULT_ORBITS || 1,
+      unit: 'orbits'
+    };
+  }
+
+  /**
+   * Drop every prediction, e.g. when a different system is loaded
+   */
+  clear() {
+    this.requests.clear();
+    this.paths.clear();
+    this.signature = '';
+    this.dirty = false;
+    this.revision++;
+  }
+
+  /**
+   * Recompute the predictions if they are out of date
+   * @param {Object} physics - GravitySimulator or WorkerGravitySimulator
+   * @param {Number} now - Current real time in milliseconds, for rate limiting
+   * @returns {Boolean} Whether the paths were recomputed
+   */
+  update(physics, now = Date.now()) {
+    const objects = physics.getObjects();
+
+    // Forget bodies that no longer exist
+    for (const id of this.requests.keys()) {
+      if (!objects.some(obj => obj.id === id)) {
+        this.requests.delete(id);
+        this.paths.delete(id);
+        this.dirty = true;
+      }
+    }
+
+    if (this.requests.size === 0) {
+      if (this.dirty || this.paths.size > 0) {
+        this.paths.clear();
+        this.dirty = false;
+        this.revision++;
+        return true;
+      }
+      return false;
+    }
+
+    const signature = TrajectoryPredictor.getSignature(physics);
+    const edited = this.dirty || signature !== this.signature;
+
+    // While time runs, refresh once the clock has moved far enough from the start
+    const CONSTANTS = window.CONSTANTS || {};
+    const minInterval = CONSTANTS.PREDICTION_MIN_REFRESH_MS || 250;
+    if (!edited && (now - this.lastRefresh < minInterval || !this.isStale(physics.simTime))) {
+      return false;
+    }
+
+    this.predict(physics);
+    this.signature = signature;
+    this.dirty = false;
+    this.lastRefresh = now;
+    this.revision++;
+    return true;
+  }
+
+  /**
+   * Whether any path started too far from the current simulation time
+   * @param {Number} simTime - Current simulated seconds since the epoch
+   * @returns {Boolean} Whether the paths should be recomputed
+   */
+  isStale(simTime) {
+    const fraction = (window.CONSTANTS || {}).PREDICTION_REFRESH_FRACTION || 0.05;
+    for (const path of this.paths.values()) {
+      const elapsed = (simTime - path.startTime) * Math.sign(path.dt);
+      const horizon = Math.abs(path.dt) * (path.count - 1);
+      if (elapsed < 0 || elapsed > horizon * fraction) {
+        return true;
+      }
+    }
+    return this.paths.size < this.requests.size;
+  }
+
+  /**
+   * Integrate a copy of the system for every requested body. Bodies with the
+   * same horizon share one run.
+   * @param {Object} physics - GravitySimulator or WorkerGravitySimulator
+   */
+  predict(physics) {
+    const objects = physics.getObjects();
+    const runs = new Map(); // Horizon in seconds -> body IDs
+
+    for (const [id, request] of this.requests) {
+      const object = objects.find(obj => obj.id === id);
+      const horizon = this.getHorizon(object, objects, request, physics);
+      if (!runs.has(horizon)) runs.set(horizon, []);
+      runs.get(horizon).push(id);
+    }
+
+    this.paths.clear();
+    for (const [horizon, ids] of runs) {
+      try {
+        this.propagate(physics, ids, horizon).forEach((path, id) => this.paths.set(id, path));
+      } catch (error) {
+        console.error('Error predicting trajectories:', error);
+      }
+    }
+  }
+
+  /**
+   * Simulated time a body's prediction covers, following the direction of
+   * the clock
+   * @param {Object} object - Body to predict
+   * @param {Array} objects - All bodies
+   * @param {Object} request - { amount, unit }
+   * @param {Object} physics - Simulator, for G, the day length and the time scale
+   * @returns {Number} Signed horizon in seconds
+   */
+  getHorizon(object, objects, request, physics) {
+    const CONSTANTS = window.CONSTANTS || {};
+    const secondsPerDay = physics.secondsPerDay || 86400;
+    let days = request.amount;
+
+    if (request.unit === 'orbits') {
+      const OrbitalElements = window.OrbitalElements || require('./orbitalElements');
+      const elements = OrbitalElements.osculatingElements(object, objects, physics.G);
+      days = elements && elements.e < 1 ?
+        request.amount * elements.period / secondsPerDay :
+        CONSTANTS.PREDICTION_UNBOUND_DAYS || 365;
+    }
+
+    days = Math.min(days, CONSTANTS.PREDICTION_MAX_DAYS || 36525);
+    return (physics.timeScale < 0 ? -1 : 1) * days * secondsPerDay;
+  }
+
+  /**
+   * Integrate a copy of the system and sample the listed bodies every step.
+   * Steps are split at the maneuver nodes of recorded spacecraft, so each
+   * path also lists where its nodes fall and their orbit frames there.
+   * @param {Object} physics - Simulator to copy
+   * @param {Array} ids - Bodies to record
+   * @param {Number} horizon - Signed simulated seconds to cover
+   * @returns {Map} Body ID -> path
+   */
+  propagate(physics, ids, horizon) {
+    const simulator = TrajectoryPredictor.copySimulator(physics);
+    const dt = horizon / this.steps;
+    const startTime = simulator.simTime;
+
+    const paths = new Map();
+    ids.forEach(id => {
+      paths.set(id, { startTime, dt, positions: new Float64Array((this.steps + 1) * 3), count: 0, nodes: [] });
+    });
+
+    // Nodes ahead of the clock, in the order they are reached
+    const direction = Math.sign(horizon);
+    const nodes = [];
+    simulator.objects.forEach(obj => {
+      if (!paths.has(obj.id) || !obj.maneuvers) return;
+      obj.maneuvers.forEach(maneuver => {
+        const ahead = (maneuver.time - startTime) * direction;
+        if (ahead > 0 && ahead <= Math.abs(horizon)) {
+          nodes.push({ bodyId: obj.id, maneuver });
+        }
+      });
+    });
+    nodes.sort((a, b) => (a.maneuver.time - b.maneuver.time) * direction);
+
+    const record = () => {
+      for (const [id, path] of paths) {
+        // A body merged into another stops where it hit
+        if (path.ended) continue;
+        const obj = simulator.objects.find(candidate => candidate.id === id);
+        if (!obj) {
+          path.ended = true;
+          continue;
+        }
+        const i3 = path.count * 3;
+        path.positions[i3] = obj.position.x;
+        path.positions[i3 + 1] = obj.position.y;
+        path.positions[i3 + 2] = obj.position.z;
+        path.count++;
+      }
+    };
+
+    record();
+    let nextNode = 0;
+    for (let k = 0; k < this.steps && simulator.objects.length > 0; k++) {
+      const stepEnd = startTime + dt * (k + 1);
+      while (nextNode < nodes.length && (stepEnd - nodes[nextNode].maneuver.time) * direction >= 0) {
+        const { bodyId, maneuver } = nodes[nextNode++];
+        simulator.step(maneuver.time - simulator.simTime);
+        const node = TrajectoryPredictor.describeNode(simulator.objects, bodyId, maneuver);
+        if (node) {
+          paths.get(bodyId).nodes.push(node);
+        }
+      }
+      simulator.step(stepEnd - simulator.simTime);
+      record();
+    }
+
+    paths.forEach(path => delete path.ended);
+    return paths;
+  }
+
+  /**
+   * Where a spacecraft is at one of its nodes and the orbit frame the node's
+   * delta-v is given in
+   * @param {Array} objects - Bodies of the simulation, at the node's time
+   * @param {String} bodyId - ID of the spacecraft
+   * @param {Object} maneuver - Maneuver node
+   * @returns {Object|null} { id, time, position {x, y, z} (m), frame
+   *   { prograde, normal, radial } } or null if the spacecraft is gone
+   */
+  static describeNode(objects, bodyId, maneuver) {
+    const Spacecraft = window.Spacecraft || require('./spacecraft');
+    const obj = objects.find(candidate => candidate.id === bodyId);
+    if (!obj) return null;
+
+    // The node's reference body, or the heaviest as the simulator uses
+    const reference = objects.find(candidate => candidate.id === maneuver.referenceId) ||
+      objects.reduce((heaviest, candidate) => (candidate.mass > heaviest.mass ? candidate : heaviest));
+    const relative = (key) => ['x', 'y', 'z'].map(axis =>
+      obj[key][axis] - (reference !== obj ? reference[key][axis] : 0));
+
+    return {
+      id: maneuver.id,
+      time: maneuver.time,
+      position: { ...obj.position },
+      frame: Spacecraft.getManeuverFrame(relative('position'), relative('velocity'))
+    };
+  }
+
+  /**
+   * Build a main-thread GravitySimulator holding copies of the bodies and the
+   * same settings as the given simulator
+   * @param {Object} physics - GravitySimulator or WorkerGravitySimulator
+   * @returns {GravitySimulator} Independent simulator
+   */
+  static copySimulator(physics) {
+    const GravitySimulator = window.GravitySimulator || require('./gravitySimulator');
+    const simulator = new GravitySimulator();
+
+    simulator.G = physics.G;
+    simulator.simTime = physics.simTime || 0;
+    simulator.epoch = physics.epoch;
+
+    const integrator = physics.getIntegratorSettings();
+    simulator.setIntegrator(integrator.name, integrator.options);
+    const forceSolver = physics.getForceSolverSettings();
+    simulator.setForceSolver(forceSolver.name, forceSolver.options);
+    const collisions = physics.getCollisionSettings();
+    simulator.setCollisionMode(collisions.name, collisions.options);
+    // Fewer substeps than the live run, so a close pass can't stall the frame
+    const closeEncounters = physics.getCloseEncounterSettings();
+    const maxSubsteps = (window.CONSTANTS || {}).PREDICTION_MAX_SUBSTEPS || 50;
+    simulator.setCloseEncounterSettings({
+      ...closeEncounters,
+      maxSubsteps: Math.min(closeEncounters.maxSubsteps, maxSubsteps)
+    });
+    simulator.setRelativitySettings(physics.getRelativitySettings());
+
+    physics.getObjects().forEach(obj => {
+      simulator.addObject({
+        id: obj.id,
+        mass: obj.mass,
+        radius: obj.radius,
+        softening: obj.softening,
+        fixed: obj.fixed,
+        forces: obj.forces,
+        zonalHarmonics: obj.zonalHarmonics,
+        visualOptions: obj.visualOptions,
+        spacecraft: obj.spacecraft,
+        maneuvers: obj.maneuvers,
+        position: { ...obj.position },
+        velocity: obj.velocity ? { ...obj.velocity } : { x: 0, y: 0, z: 0 }
+      });
+    });
+
+    return simulator;
+  }
+
+  /**
+   * Summary of everything that changes the predicted paths other than the
+   * positions and velocities themselves
+   * @param {Object} physics - Simulator to describe
+   * @returns {String} Signature that changes when the system is edited
+   */
+  static getSignature(physics) {
+    // A spacecraft's mass changes as it burns, but only as its nodes dictate
+    const bodies = physics.getObjects().map(obj => [
+      obj.id, obj.spacecraft ? JSON.stringify(obj.spacecraft) : obj.mass, obj.radius, obj.softening,
+      obj.fixed ? 1 : 0, obj.forces ? JSON.stringify(obj.forces) : '',
+      obj.maneuvers ? JSON.stringify(obj.maneuvers) : ''
+    ].join(':'));
+
+    const settings = [
+      physics.getIntegratorSettings().name,
+      physics.getCollisionSettings().name,
+      physics.getRelativitySettings().enabled ? 'gr' : '',
+      Math.sign(physics.timeScale)
+    ];
+
+    return `${bodies.join('|')}#${settings.join(':')}`;
+  }
+}
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.TrajectoryPredictor = TrajectoryPredictor;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TrajectoryPredictor;
+}
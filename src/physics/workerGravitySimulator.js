@@ -0,0 +1,921 @@
+// Worker Gravity Simulator - Main-thread proxy for the physics worker
+const WorkerProtocol = typeof window !== 'undefined' && window.WORKER_MESSAGES ? { WORKER_MESSAGES: window.WORKER_MESSAGES } : (typeof require !== 'undefined' ? require('./workerProtocol') : {});
+
+const MESSAGES = WorkerProtocol.WORKER_MESSAGES;
+
+/**
+ * Drop-in replacement for GravitySimulator that runs the physics in a Web
+ * Worker. The public API matches GravitySimulator; update(time) no longer
+ * integrates but interpolates object positions between the two most recent
+ * worker snapshots.
+ */
+class WorkerGravitySimulator {
+  /**
+   * Create a new worker-backed simulator
+   * @param {Object} options - Options
+   * @param {String} options.workerUrl - URL of physicsWorker.js
+   */
+  constructor({ workerUrl = '../physics/physicsWorker.js' } = {}) {
+    const CONSTANTS = window.CONSTANTS || {};
+
+    // Internal state mirrored from GravitySimulator
+    this.objects = [];
+    this.timeScale = CONSTANTS.DEFAULT_TIME_SCALE !== undefined ? CONSTANTS.DEFAULT_TIME_SCALE : 1;
+    this.paused = false;
+    this.lastTime = 0;
+    this.G = CONSTANTS.G || 6.67430e-11;
+    this.secondsPerDay = CONSTANTS.SECONDS_PER_DAY || 86400;
+    this.collisionsEnabled = false;
+    this.integratorName = CONSTANTS.DEFAULT_INTEGRATOR || 'verlet';
+    this.integratorOptions = {};
+    this.forceSolverName = 'direct';
+    this.forceSolverOptions = {};
+    this.lastForceError = null; // Latest answer to requestForceError
+    this.diagnostics = null;
+    this.collisionMode = CONSTANTS.DEFAULT_COLLISION_MODE || 'none';
+    this.collisionOptions = {};
+    this.collisionListeners = [];
+    this.closeEncounters = {
+      softening: CONSTANTS.DEFAULT_SOFTENING || 0,
+      substepping: true,
+      accuracy: CONSTANTS.ENCOUNTER_ACCURACY || 0.02,
+      maxSubsteps: CONSTANTS.MAX_ENCOUNTER_SUBSTEPS || 1000
+    };
+    this.relativity = { enabled: false };
+
+    // Test particles mirrored from the worker snapshots
+    const TestParticles = window.TestParticles || require('./testParticles');
+    this.testParticles = new TestParticles.TestParticleSet();
+
+    // Snapshot bookkeeping
+    this.revision = 0;
+    this.simTime = 0;
+    this.epoch = CONSTANTS.DEFAULT_EPOCH_JD || 2451545.0;
+    this.previousSnapshot = null;
+    this.latestSnapshot = null;
+    this.ready = false;
+    this._syncPending = false;
+
+    // Requests awaiting an answer from the worker, by request ID
+    this.pendingRequests = new Map();
+    this.requestCount = 0;
+
+    this.worker = new Worker(workerUrl);
+    this.worker.onmessage = (event) => this._handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      console.error('Physics worker error:', event.message || event);
+    };
+  }
+
+  /**
+   * Add a celestial object to the simulation
+   * @param {Object} object - The object to add
+   */
+  addObject(object) {
+    // Add getDisplayRadius method if it doesn't exist
+    if (!object.getDisplayRadius) {
+      object.getDisplayRadius = function() {
+        return this.radius || 1;
+      };
+    }
+
+    // Reject unknown force models or bad parameters before they reach the worker
+    if (object.forces && window.ForceModels) {
+      window.ForceModels.normalizeBodyForces(object.forces);
+    }
+    if (object.zonalHarmonics && window.ZonalHarmonics) {
+      window.ZonalHarmonics.normalizeZonalHarmonics(object.zonalHarmonics);
+    }
+    if (object.spacecraft && window.Spacecraft) {
+      window.Spacecraft.normalizeSpacecraft(object.spacecraft);
+      if (object.maneuvers) {
+        window.Spacecraft.normalizeManeuvers(object.maneuvers);
+      }
+    }
+
+    this._applyLatestSnapshot();
+    this.objects.push(object);
+    this._scheduleSync();
+  }
+
+  /**
+   * Remove an object from the simulation
+   * @param {String} id - ID of the object to remove
+   */
+  removeObject(id) {
+    const index = this.objects.findIndex(obj => obj.id === id);
+    if (index !== -1) {
+      this._applyLatestSnapshot();
+      this.objects.splice(index, 1);
+      this._scheduleSync();
+    }
+  }
+
+  /**
+   * Add massless test particles
+   * @param {ArrayLike} positions - Packed positions [x0, y0, z0, x1, ...] in m
+   * @param {ArrayLike} velocities - Packed velocities in m/s
+   * @returns {Number} Number of particles added
+   */
+  addTestParticles(positions, velocities) {
+    this._applyLatestSnapshot();
+    const added = this.testParticles.add(positions, velocities);
+    this._scheduleSync();
+    return added;
+  }
+
+  /**
+   * Remove every test particle
+   */
+  clearTestParticles() {
+    this._applyLatestSnapshot();
+    this.testParticles.clear();
+    this._scheduleSync();
+  }
+
+  /**
+   * Get the test particles, as of the latest snapshot
+   * @returns {TestParticleSet} Packed particle state (read-only for callers)
+   */
+  getTestParticles() {
+    return this.testParticles;
+  }
+
+  /**
+   * Set the non-gravitational forces acting on an object
+   * @param {String} id - ID of the object
+   * @param {Object} forces - See GravitySimulator.setObjectForces
+   */
+  setObjectForces(id, forces) {
+    const object = this.objects.find(obj => obj.id === id);
+    if (!object) {
+      throw new Error(`No object with ID ${id}`);
+    }
+
+    const hasForces = forces && Object.keys(forces).length > 0;
+    this._applyLatestSnapshot();
+    if (hasForces) {
+      object.forces = window.ForceModels ? window.ForceModels.normalizeBodyForces(forces) : { ...forces };
+    } else {
+      delete object.forces;
+    }
+    this._scheduleSync();
+  }
+
+  /**
+   * Replace a spacecraft's maneuver nodes
+   * @param {String} id - ID of a spacecraft
+   * @param {Array} maneuvers - See GravitySimulator.setManeuvers
+   */
+  setManeuvers(id, maneuvers) {
+    const object = this.objects.find(obj => obj.id === id);
+    if (!object) {
+      throw new Error(`No object with ID ${id}`);
+    }
+    if (!object.spacecraft) {
+      throw new Error(`${object.name || id} is not a spacecraft`);
+    }
+
+    const hasManeuvers = maneuvers && maneuvers.length > 0;
+    this._applyLatestSnapshot();
+    if (hasManeuvers) {
+      object.maneuvers = window.Spacecraft ?
+        window.Spacecraft.normalizeManeuvers(maneuvers) : maneuvers.map(maneuver => ({ ...maneuver }));
+    } else {
+      delete object.maneuvers;
+    }
+    this._scheduleSync();
+  }
+
+  /**
+   * Change an object's velocity at once, as an impulsive burn would
+   * @param {String} id - ID of the object
+   * @param {Object} deltaV - Velocity change {x, y, z} in m/s
+   */
+  applyDeltaV(id, deltaV) {
+    const object = this.objects.find(obj => obj.id === id);
+    if (!object) {
+      throw new Error(`No object with ID ${id}`);
+    }
+
+    this._applyLatestSnapshot();
+    object.velocity.x += deltaV.x;
+    object.velocity.y += deltaV.y;
+    object.velocity.z += deltaV.z;
+    this._scheduleSync();
+  }
+
+  /**
+   * Set the simulation time scale
+   * @param {Number} scale - Time scale in days per second
+   */
+  setTimeScale(scale) {
+    this.timeScale = scale;
+    this._post({ type: MESSAGES.SET_TIME_SCALE, timeScale: scale });
+  }
+
+  /**
+   * Select the numerical integrator used by the worker
+   * @param {String} name - Integrator name
+   * @param {Object} options - Integrator specific options
+   */
+  setIntegrator(name, options = {}) {
+    // Validate on this side so bad names throw just like GravitySimulator
+    if (window.Integrators) {
+      window.Integrators.createIntegrator(name, options);
+    }
+
+    this.integratorName = name;
+    this.integratorOptions = { ...options };
+    this._post({ type: MESSAGES.SET_INTEGRATOR, name, options });
+  }
+
+  /**
+   * Get the name and options of the active integrator
+   * @returns {Object} Integrator settings with name and options
+   */
+  getIntegratorSettings() {
+    return { name: this.integratorName, options: { ...this.integratorOptions } };
+  }
+
+  /**
+   * Select how gravitational forces are computed in the worker
+   * @param {String} name - 'direct' or 'barnes-hut'
+   * @param {Object} options - Solver options
+   */
+  setForceSolver(name, options = {}) {
+    if (window.ForceSolvers) {
+      window.ForceSolvers.createForceSolver(name, options);
+    }
+
+    this.forceSolverName = name;
+    this.forceSolverOptions = { ...options };
+    this.lastForceError = null;
+    this._post({ type: MESSAGES.SET_FORCE_SOLVER, name, options });
+  }
+
+  /**
+   * Get the name and options of the active force solver
+   * @returns {Object} Solver settings with name and options
+   */
+  getForceSolverSettings() {
+    return { name: this.forceSolverName, options: { ...this.forceSolverOptions } };
+  }
+
+  /**
+   * Compare the active force solver against direct summation. The worker
+   * measures its own state, so this answers with its latest measurement and
+   * asks for a fresh one; use requestForceError to wait for an up-to-date
+   * answer.
+   * @returns {Object|null} Error statistics (see GravitySimulator.measureForceError),
+   *   or null until the worker has measured the active solver
+   */
+  measureForceError() {
+    if (this.ready) {
+      this.requestForceError().catch(error => console.error('Error measuring force error:', error));
+    }
+    return this.lastForceError;
+  }
+
+  /**
+   * Have the worker compare the active force solver against direct summation
+   * @returns {Promise<Object>} Error statistics (see GravitySimulator.measureForceError)
+   */
+  requestForceError() {
+    return this._request({ type: MESSAGES.MEASURE_FORCE_ERROR }).then(result => {
+      // The worker's bodies carry IDs only
+      result.perObject.forEach(entry => {
+        const object = this.objects.find(obj => obj.id === entry.id);
+        entry.name = object ? object.name : undefined;
+      });
+      // An answer sent before a solver change is not kept for the new solver
+      if (result.solver === this.forceSolverName) {
+        this.lastForceError = result;
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Configure softening and close-encounter substepping in the worker
+   * @param {Object} settings - See GravitySimulator.setCloseEncounterSettings
+   */
+  setCloseEncounterSettings(settings = {}) {
+    this.closeEncounters = window.GravitySimulator ?
+      window.GravitySimulator.normalizeCloseEncounterSettings(settings, this.closeEncounters) :
+      { ...this.closeEncounters, ...settings };
+    this._post({ type: MESSAGES.SET_CLOSE_ENCOUNTERS, settings: this.closeEncounters });
+  }
+
+  /**
+   * Get the softening and close-encounter settings
+   * @returns {Object} { softening, substepping, accuracy, maxSubsteps }
+   */
+  getCloseEncounterSettings() {
+    return { ...this.closeEncounters };
+  }
+
+  /**
+   * Turn the post-Newtonian correction on or off in the worker
+   * @param {Object} settings - See GravitySimulator.setRelativitySettings
+   */
+  setRelativitySettings({ enabled = false } = {}) {
+    this.relativity = { enabled: !!enabled };
+    this._post({ type: MESSAGES.SET_RELATIVITY, settings: this.relativity });
+  }
+
+  /**
+   * Get the general relativity settings
+   * @returns {Object} { enabled }
+   */
+  getRelativitySettings() {
+    return { ...this.relativity };
+  }
+
+  /**
+   * Select how colliding bodies are resolved in the worker
+   * @param {String} mode - 'none', 'merge' or 'elastic'
+   * @param {Object} options - Options (see GravitySimulator.setCollisionMode)
+   */
+  setCollisionMode(mode, options = {}) {
+    if (window.Collisions && !window.Collisions.isCollisionMode(mode)) {
+      throw new Error(`Unknown collision mode: ${mode}`);
+    }
+
+    this.collisionMode = mode;
+    this.collisionOptions = { ...options };
+    this._post({ type: MESSAGES.SET_COLLISION_MODE, mode, options });
+  }
+
+  /**
+   * Get the active collision mode and its options
+   * @returns {Object} Collision settings with name and options
+   */
+  getCollisionSettings() {
+    return { name: this.collisionMode, options: { ...this.collisionOptions } };
+  }
+
+  /**
+   * Register a callback for collisions reported by the worker. By the time
+   * it is called, merged bodies have already been removed from getObjects().
+   * @param {Function} callback - Called with each collision event
+   */
+  onCollision(callback) {
+    this.collisionListeners.push(callback);
+  }
+
+  /**
+   * Attach a monitor for conserved quantities. The worker takes the samples
+   * with the monitor's interval and threshold and sends them with each
+   * snapshot; call again after changing those settings.
+   * @param {Object} monitor - DiagnosticsMonitor, or null to detach
+   */
+  setDiagnostics(monitor) {
+    this.diagnostics = monitor;
+    if (monitor) {
+      monitor.reset();
+    }
+    this._post({ type: MESSAGES.SET_DIAGNOSTICS, ...this._getDiagnosticsSettings() });
+  }
+
+  /**
+   * Set the calendar date the simulation clock counts from
+   * @param {Number} julianDate - Julian Date at simulation time zero
+   */
+  setEpoch(julianDate) {
+    this.epoch = julianDate;
+    this._post({ type: MESSAGES.SET_EPOCH, epoch: julianDate });
+  }
+
+  /**
+   * Get the current (interpolated) simulation date as a Julian Date
+   * @returns {Number} Julian Date (UTC)
+   */
+  getJulianDate() {
+    return this.epoch + this.simTime / this.secondsPerDay;
+  }
+
+  /**
+   * Get the current simulation date
+   * @returns {Date} UTC date
+   */
+  getDate() {
+    return window.CONSTANTS.julianDateToDate(this.getJulianDate());
+  }
+
+  /**
+   * Propagate the system forward or backward to a date. The worker does the
+   * stepping; objects move when the snapshot that ends the jump arrives (use
+   * jumpToDateInSlices to wait for it).
+   * @param {Date|Number} target - Date or Julian Date to jump to
+   * @returns {Number} Number of steps the worker takes
+   */
+  jumpToDate(target) {
+    const julianDate = this._checkJumpTarget(target);
+    this.jumpToDateInSlices(julianDate).catch(error => console.error('Error jumping to date:', error));
+
+    const maxStep = window.CONSTANTS.FIXED_TIME_STEP || 3600;
+    return Math.ceil(Math.abs(julianDate - this.getJulianDate()) * this.secondsPerDay / maxStep);
+  }
+
+  /**
+   * Propagate to a date, with the worker taking the jump a slice per tick
+   * @param {Date|Number} target - Date or Julian Date to jump to
+   * @param {Object} options - Options
+   * @param {Function} options.onProgress - Called after each slice with the fraction done
+   * @param {Function} options.isCancelled - Checked after each slice; true stops
+   *   the jump where it has got to
+   * @returns {Promise<Boolean>} true once the date is reached, false if the
+   *   jump was cancelled or the bodies were reloaded first
+   */
+  jumpToDateInSlices(target, { onProgress, isCancelled } = {}) {
+    let julianDate;
+    try {
+      julianDate = this._checkJumpTarget(target);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    // Bodies added before the jump must reach the worker first
+    if (this._syncPending) {
+      this._syncPending = false;
+      this._sync();
+    }
+    return this._request({ type: MESSAGES.JUMP_TO_DATE, julianDate }, { jump: true, onProgress, isCancelled });
+  }
+
+  /**
+   * Check a jump's date the way GravitySimulator does
+   * @param {Date|Number} target - Date or Julian Date to jump to
+   * @returns {Number} Julian Date to jump to
+   * @throws {Error} If the date is invalid or too far
+   * @private
+   */
+  _checkJumpTarget(target) {
+    const julianDate = target instanceof Date ? window.CONSTANTS.dateToJulianDate(target) : target;
+    if (window.GravitySimulator) {
+      window.GravitySimulator.checkJumpSpan(this.getJulianDate(), julianDate);
+    } else if (!Number.isFinite(julianDate)) {
+      throw new Error(`Invalid date: ${target}`);
+    }
+    return julianDate;
+  }
+
+  /**
+   * Set whether the simulation is paused
+   * @param {Boolean} paused - Whether to pause the simulation
+   */
+  setPaused(paused) {
+    this.paused = paused;
+    this._post({ type: MESSAGES.SET_PAUSED, paused });
+  }
+
+  /**
+   * Get all objects in the simulation
+   * @returns {Array} - Array of celestial objects
+   */
+  getObjects() {
+    return this.objects;
+  }
+
+  /**
+   * Interpolate object positions between worker snapshots
+   * @param {Number} time - Current time in milliseconds
+   */
+  update(time) {
+    this.lastTime = time;
+
+    const previous = this.previousSnapshot;
+    const latest = this.latestSnapshot;
+    if (!latest || latest.revision !== this.revision) return;
+
+    // Render one snapshot interval behind so there is always a pair to blend
+    let alpha = 1;
+    if (previous && previous.revision === latest.revision) {
+      const interval = latest.receivedAt - previous.receivedAt;
+      const renderTime = performance.now() - interval;
+      alpha = interval > 0 ? (renderTime - previous.receivedAt) / interval : 1;
+      alpha = Math.max(0, Math.min(1, alpha));
+    }
+
+    const from = previous && previous.revision === latest.revision ? previous : latest;
+
+    for (let i = 0; i < this.objects.length; i++) {
+      const obj = this.objects[i];
+      if (obj.fixed) continue;
+
+      const i3 = i * 3;
+      obj.position.x = from.positions[i3] + (latest.positions[i3] - from.positions[i3]) * alpha;
+      obj.position.y = from.positions[i3 + 1] + (latest.positions[i3 + 1] - from.positions[i3 + 1]) * alpha;
+      obj.position.z = from.positions[i3 + 2] + (latest.positions[i3 + 2] - from.positions[i3 + 2]) * alpha;
+
+      if (!obj.velocity) {
+        obj.velocity = { x: 0, y: 0, z: 0 };
+      }
+      obj.velocity.x = from.velocities[i3] + (latest.velocities[i3] - from.velocities[i3]) * alpha;
+      obj.velocity.y = from.velocities[i3 + 1] + (latest.velocities[i3 + 1] - from.velocities[i3 + 1]) * alpha;
+      obj.velocity.z = from.velocities[i3 + 2] + (latest.velocities[i3 + 2] - from.velocities[i3 + 2]) * alpha;
+    }
+
+    this._interpolateParticles(from, latest, alpha);
+    this.simTime = from.simTime + (latest.simTime - from.simTime) * alpha;
+    this._extendTrails();
+  }
+
+  /**
+   * Extend the objects' orbit trails to the current time; a rewound object
+   * retraces its trail (see CelestialObject.updateOrbitTrail)
+   * @private
+   */
+  _extendTrails() {
+    for (const obj of this.objects) {
+      if (!obj.fixed && typeof obj.updateOrbitTrail === 'function') {
+        obj.updateOrbitTrail(this.simTime);
+      }
+    }
+  }
+
+  /**
+   * Drop the objects' orbit trails when the clock jumps, so they don't join
+   * the old positions to the new ones
+   * @private
+   */
+  _clearTrails() {
+    for (const obj of this.objects) {
+      if (typeof obj.clearOrbitTrail === 'function') {
+        obj.clearOrbitTrail();
+      }
+    }
+  }
+
+  /**
+   * Blend the test particle positions between two snapshots. Absorptions
+   * change the count, in which case the latest snapshot is shown as is.
+   * @param {Object} from - Earlier snapshot
+   * @param {Object} latest - Latest snapshot
+   * @param {Number} alpha - Blend factor
+   * @private
+   */
+  _interpolateParticles(from, latest, alpha) {
+    const target = latest.particles;
+    if (!target) return;
+
+    const particles = this.testParticles;
+    const source = from.particles && from.particles.positions.length === target.positions.length ?
+      from.particles : target;
+    particles.set(target.positions, target.velocities);
+    particles.absorbed = target.absorbed;
+    if (source === target) return;
+
+    const positions = particles.positions;
+    for (let k = 0; k < target.positions.length; k++) {
+      positions[k] = source.positions[k] + (target.positions[k] - source.positions[k]) * alpha;
+    }
+  }
+
+  /**
+   * Advance the worker simulation by a fixed amount of simulated time
+   * @param {Number} dt - Time step in seconds
+   */
+  step(dt) {
+    this._post({ type: MESSAGES.ADVANCE, dt });
+  }
+
+  /**
+   * Handle a message from the worker
+   * @param {Object} message - Protocol message
+   * @private
+   */
+  _handleMessage(message) {
+    switch (message.type) {
+      case MESSAGES.READY:
+        this.ready = true;
+        this._sync();
+        break;
+      case MESSAGES.SNAPSHOT:
+        // Ignore snapshots for an older set of bodies
+        if (message.revision !== this.revision) return;
+        this.previousSnapshot = message.discontinuous ? null : this.latestSnapshot;
+        this.latestSnapshot = { ...message, receivedAt: performance.now() };
+
+        if (message.collisions && message.collisions.length > 0) {
+          this._applyCollisions(message.collisions);
+        }
+
+        if (this.diagnostics && message.diagnostics) {
+          message.diagnostics.forEach(sample => this.diagnostics.addSample(sample));
+        }
+
+        this._updateSpacecraftMasses(message.simTime);
+
+        // Show jumps right away, even while paused
+        if (message.discontinuous) {
+          this._clearTrails();
+          this.update(performance.now());
+        }
+        if (message.jump) {
+          this._settleRequest(message.jump.requestId, message.jump.arrived);
+        }
+        break;
+      case MESSAGES.JUMP_PROGRESS:
+        this._handleJumpProgress(message);
+        break;
+      case MESSAGES.FORCE_ERROR:
+        this._settleRequest(message.requestId, message.result);
+        break;
+      case MESSAGES.ERROR:
+        if (this.pendingRequests.has(message.requestId)) {
+          this._settleRequest(message.requestId, null, new Error(message.message));
+          break;
+        }
+        console.error('Physics worker reported an error:', message.message);
+        break;
+      default:
+        console.warn(`Unknown message from physics worker: ${message.type}`);
+    }
+  }
+
+  /**
+   * Report a jump's progress, or ask the worker to stop it
+   * @param {Object} message - JUMP_PROGRESS message
+   * @private
+   */
+  _handleJumpProgress({ requestId, fraction }) {
+    const request = this.pendingRequests.get(requestId);
+    if (!request) return;
+
+    if (request.isCancelled && request.isCancelled()) {
+      this._post({ type: MESSAGES.CANCEL_JUMP, requestId });
+    } else if (request.onProgress) {
+      request.onProgress(fraction);
+    }
+  }
+
+  /**
+   * Mirror the worker's mergers on the main-thread objects, then notify
+   * collision listeners
+   * @param {Array} events - Collision events from a snapshot
+   * @private
+   */
+  _applyCollisions(events) {
+    for (const event of events) {
+      if (event.survivor) {
+        const survivor = this.objects.find(obj => obj.id === event.survivor.id);
+        if (survivor) {
+          survivor.mass = event.survivor.mass;
+          survivor.radius = event.survivor.radius;
+        }
+
+        const index = this.objects.findIndex(obj => obj.id === event.removedId);
+        if (index !== -1) {
+          this.objects.splice(index, 1);
+        }
+
+        // The previous snapshot has a different number of bodies
+        this.previousSnapshot = null;
+      }
+    }
+
+    for (const event of events) {
+      this.collisionListeners.forEach(callback => {
+        try {
+          callback(event);
+        } catch (error) {
+          console.error('Error in collision listener:', error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Follow the propellant the worker's spacecraft burn, which depends only on
+   * the time (see physics/spacecraft.js)
+   * @param {Number} simTime - Simulated seconds of the snapshot
+   * @private
+   */
+  _updateSpacecraftMasses(simTime) {
+    if (!window.Spacecraft) return;
+
+    for (const obj of this.objects) {
+      if (obj.spacecraft) {
+        obj.mass = window.Spacecraft.getSpacecraftStatus(obj, simTime).mass;
+      }
+    }
+  }
+
+  /**
+   * Copy the newest worker state onto the objects before resyncing, so
+   * bodies don't jump back to their interpolated positions. The snapshots
+   * are dropped afterwards since their indices no longer match the objects.
+   * @private
+   */
+  _applyLatestSnapshot() {
+    const latest = this.latestSnapshot;
+    if (!latest || latest.revision !== this.revision ||
+        latest.positions.length !== this.objects.length * 3) return;
+
+    for (let i = 0; i < this.objects.length; i++) {
+      const obj = this.objects[i];
+      if (obj.fixed) continue;
+
+      const i3 = i * 3;
+      obj.position.x = latest.positions[i3];
+      obj.position.y = latest.positions[i3 + 1];
+      obj.position.z = latest.positions[i3 + 2];
+      obj.velocity.x = latest.velocities[i3];
+      obj.velocity.y = latest.velocities[i3 + 1];
+      obj.velocity.z = latest.velocities[i3 + 2];
+    }
+    if (latest.particles) {
+      this.testParticles.set(latest.particles.positions, latest.particles.velocities);
+      this.testParticles.absorbed = latest.particles.absorbed;
+    }
+    this.simTime = latest.simTime;
+    this.previousSnapshot = null;
+    this.latestSnapshot = null;
+  }
+
+  /**
+   * Diagnostics settings sent to the worker
+   * @returns {Object} { enabled, interval, threshold }
+   * @private
+   */
+  _getDiagnosticsSettings() {
+    const monitor = this.diagnostics;
+    return monitor ?
+      { enabled: true, interval: monitor.interval, threshold: monitor.threshold } :
+      { enabled: false };
+  }
+
+  /**
+   * Batch several add/remove calls into one LOAD message
+   * @private
+   */
+  _scheduleSync() {
+    if (this._syncPending) return;
+    this._syncPending = true;
+    Promise.resolve().then(() => {
+      // Already sent if a jump went out first
+      if (!this._syncPending) return;
+      this._syncPending = false;
+      this._sync();
+    });
+  }
+
+  /**
+   * Send the full set of bodies and settings to the worker
+   * @private
+   */
+  _sync() {
+    if (!this.ready) return;
+
+    this.revision++;
+    this.previousSnapshot = null;
+    this.latestSnapshot = null;
+
+    // The worker drops a jump in progress for the new state
+    this.pendingRequests.forEach((request, requestId) => {
+      if (request.jump) {
+        this._settleRequest(requestId, false);
+      }
+    });
+
+    // The worker starts a new baseline for the new set of bodies
+    if (this.diagnostics) {
+      this.diagnostics.reset();
+    }
+
+    const count = this.objects.length;
+    const positions = new Float64Array(count * 3);
+    const velocities = new Float64Array(count * 3);
+    const bodies = this.objects.map((obj, i) => {
+      const i3 = i * 3;
+      const velocity = obj.velocity || { x: 0, y: 0, z: 0 };
+      positions[i3] = obj.position.x;
+      positions[i3 + 1] = obj.position.y;
+      positions[i3 + 2] = obj.position.z;
+      velocities[i3] = velocity.x;
+      velocities[i3 + 1] = velocity.y;
+      velocities[i3 + 2] = velocity.z;
+      return {
+        id: obj.id,
+        mass: obj.mass,
+        radius: obj.radius,
+        softening: obj.softening,
+        fixed: !!obj.fixed,
+        forces: obj.forces,
+        zonalHarmonics: obj.zonalHarmonics,
+        // Only the spin axis is needed for the zonal harmonics
+        visualOptions: obj.zonalHarmonics && obj.visualOptions ? {
+          axialTilt: obj.visualOptions.axialTilt,
+          poleLongitude: obj.visualOptions.poleLongitude
+        } : undefined,
+        spacecraft: obj.spacecraft,
+        maneuvers: obj.maneuvers
+      };
+    });
+
+    const particleSet = this.testParticles;
+    const particles = {
+      positions: particleSet.positions.slice(0, particleSet.count * 3),
+      velocities: particleSet.velocities.slice(0, particleSet.count * 3),
+      absorbed: particleSet.absorbed
+    };
+
+    this.worker.postMessage({
+      type: MESSAGES.LOAD,
+      revision: this.revision,
+      bodies,
+      positions,
+      velocities,
+      particles,
+      settings: {
+        timeScale: this.timeScale,
+        paused: this.paused,
+        simTime: this.simTime,
+        epoch: this.epoch,
+        integrator: this.getIntegratorSettings(),
+        forceSolver: this.getForceSolverSettings(),
+        collisions: this.getCollisionSettings(),
+        closeEncounters: this.getCloseEncounterSettings(),
+        relativity: this.getRelativitySettings(),
+        diagnostics: this._getDiagnosticsSettings()
+      }
+    }, [positions.buffer, velocities.buffer, particles.positions.buffer, particles.velocities.buffer]);
+  }
+
+  /**
+   * Send a message that the worker answers
+   * @param {Object} message - Protocol message, without its requestId
+   * @param {Object} extra - Kept with the request, e.g. progress callbacks
+   * @returns {Promise} Resolves with the answer
+   * @private
+   */
+  _request(message, extra = {}) {
+    if (!this.ready) {
+      return Promise.reject(new Error('The physics worker is not ready yet'));
+    }
+
+    const requestId = ++this.requestCount;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(requestId, { ...extra, resolve, reject });
+      this.worker.postMessage({ ...message, requestId });
+    });
+  }
+
+  /**
+   * Resolve or reject a request once the worker answers
+   * @param {Number} requestId - ID the request was sent with
+   * @param {*} result - Answer
+   * @param {Error} error - Failure, if any
+   * @private
+   */
+  _settleRequest(requestId, result, error = null) {
+    const request = this.pendingRequests.get(requestId);
+    if (!request) return;
+
+    this.pendingRequests.delete(requestId);
+    if (error) {
+      request.reject(error);
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  /**
+   * Post a settings message once the worker is ready (LOAD carries
+   * the settings otherwise)
+   * @param {Object} message - Protocol message
+   * @private
+   */
+  _post(message) {
+    if (this.ready) {
+      this.worker.postMessage(message);
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.pendingRequests.forEach(request => request.reject(new Error('The physics worker was stopped')));
+    this.pendingRequests.clear();
+    this.objects = [];
+    this.testParticles.clear();
+    this.previousSnapshot = null;
+    this.latestSnapshot = null;
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.WorkerGravitySimulator = WorkerGravitySimulator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkerGravitySimulator;
+}
@@ -0,0 +1,69 @@
+// Worker Protocol - Message types shared by the physics worker and its client
+
+/**
+ * Messages are plain objects with a `type` field. Positions and velocities
+ * travel as packed Float64Arrays ([x0, y0, z0, x1, ...], SI units) and are
+ * sent as transferables so no copy is made.
+ *
+ * Main thread -> worker
+ *   LOAD             { revision, bodies: [{ id, mass, radius, softening, fixed, forces, zonalHarmonics, visualOptions, spacecraft, maneuvers }], positions, velocities, particles, settings }
+ *                    particles is { positions, velocities, absorbed } for the massless test particles
+ *   SET_TIME_SCALE   { timeScale }                 - simulated days per real second; negative runs backward
+ *   SET_PAUSED       { paused }
+ *   SET_INTEGRATOR   { name, options }
+ *   SET_FORCE_SOLVER { name, options }
+ *   ADVANCE          { dt }                        - step by dt seconds right away
+ *   SET_EPOCH        { epoch }                     - Julian Date at simTime 0
+ *   JUMP_TO_DATE     { requestId, julianDate }     - propagate to a date, a slice per tick
+ *   CANCEL_JUMP      { requestId }                 - stop a jump where it has got to
+ *   SET_DIAGNOSTICS  { enabled, interval, threshold } - conserved-quantity sampling
+ *   SET_COLLISION_MODE { mode, options }           - 'none', 'merge' or 'elastic'
+ *   SET_CLOSE_ENCOUNTERS { settings }              - softening and encounter substepping
+ *   SET_RELATIVITY   { settings }                  - 1PN correction on or off
+ *   MEASURE_FORCE_ERROR { requestId }              - compare the force solver with direct summation
+ *
+ * Worker -> main thread
+ *   READY            {}
+ *   SNAPSHOT         { revision, simTime, steps, discontinuous, positions, velocities, particles, diagnostics, collisions, jump }
+ *                    discontinuous is true after a jump; don't interpolate across it.
+ *                    jump is { requestId, arrived } on the snapshot that ends a jump, else null.
+ *                    diagnostics lists the samples taken since the previous snapshot.
+ *                    collisions lists the collision events since the previous snapshot;
+ *                    bodies removed by mergers are already gone from positions.
+ *                    particles has the same layout as in LOAD, after absorptions
+ *   JUMP_PROGRESS    { requestId, fraction }       - after each slice of a jump
+ *   FORCE_ERROR      { requestId, result }         - see GravitySimulator.measureForceError
+ *   ERROR            { message, requestId }        - requestId is set when a request failed
+ */
+const WORKER_MESSAGES = {
+  LOAD: 'load',
+  SET_TIME_SCALE: 'set-time-scale',
+  SET_PAUSED: 'set-paused',
+  SET_INTEGRATOR: 'set-integrator',
+  SET_FORCE_SOLVER: 'set-force-solver',
+  ADVANCE: 'advance',
+  SET_EPOCH: 'set-epoch',
+  JUMP_TO_DATE: 'jump-to-date',
+  CANCEL_JUMP: 'cancel-jump',
+  SET_DIAGNOSTICS: 'set-diagnostics',
+  SET_COLLISION_MODE: 'set-collision-mode',
+  SET_CLOSE_ENCOUNTERS: 'set-close-encounters',
+  SET_RELATIVITY: 'set-relativity',
+  MEASURE_FORCE_ERROR: 'measure-force-error',
+  READY: 'ready',
+  SNAPSHOT: 'snapshot',
+  JUMP_PROGRESS: 'jump-progress',
+  FORCE_ERROR: 'force-error',
+  ERROR: 'error'
+};
+
+// Export for both CommonJS and browser/worker environments
+if (typeof window !== 'undefined') {
+  window.WORKER_MESSAGES = WORKER_MESSAGES;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WORKER_MESSAGES
+  };
+}
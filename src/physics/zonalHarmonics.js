@@ -0,0 +1,214 @@
+// Zonal Harmonics - Gravity of oblate bodies (J2, J3, J4) about their spin axis
+
+// Zonal coefficients a body may carry, in degree order
+const ZONAL_COEFFICIENTS = ['J2', 'J3', 'J4'];
+
+// Ecliptic longitude the spin axis leans toward when a body gives none (Earth's)
+const DEFAULT_POLE_LONGITUDE = 90;
+
+/**
+ * Check a body's `zonalHarmonics` settings
+ * @param {Object} settings - { J2, J3, J4, referenceRadius }; J2 is required,
+ *   J3 and J4 default to 0 and referenceRadius (km) to the body's radius
+ * @returns {Object} Normalized copy
+ * @throws {Error} If a coefficient is missing, unknown or not a number
+ */
+function normalizeZonalHarmonics(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Zonal harmonics must be an object with J2 and optionally J3, J4 and referenceRadius');
+  }
+
+  const allowed = [...ZONAL_COEFFICIENTS, 'referenceRadius'];
+  const unknown = Object.keys(settings).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown zonal harmonic "${unknown[0]}". Expected one of: ${allowed.join(', ')}`);
+  }
+  if (!Number.isFinite(settings.J2)) {
+    throw new Error('J2 must be a number');
+  }
+
+  const normalized = {};
+  ZONAL_COEFFICIENTS.forEach(name => {
+    const value = settings[name] === undefined ? 0 : settings[name];
+    if (!Number.isFinite(value)) {
+      throw new Error(`${name} must be a number`);
+    }
+    normalized[name] = value;
+  });
+
+  if (settings.referenceRadius !== undefined) {
+    if (!(Number.isFinite(settings.referenceRadius) && settings.referenceRadius > 0)) {
+      throw new Error('referenceRadius must be a positive number (km)');
+    }
+    normalized.referenceRadius = settings.referenceRadius;
+  }
+
+  return normalized;
+}
+
+/**
+ * Unit vector along a body's spin axis in the simulation (ecliptic) frame.
+ * `visualOptions.axialTilt` is the angle from the ecliptic north pole and
+ * `visualOptions.poleLongitude` the ecliptic longitude the axis leans toward;
+ * a tilt above 90° is a retrograde spin.
+ * @param {Object} body - Body with optional visualOptions
+ * @returns {Array} [x, y, z]
+ */
+function getSpinAxis(body) {
+  const options = body.visualOptions || {};
+  const tilt = (options.axialTilt || 0) * Math.PI / 180;
+  const longitude = (Number.isFinite(options.poleLongitude) ?
+    options.poleLongitude : DEFAULT_POLE_LONGITUDE) * Math.PI / 180;
+
+  return [
+    Math.sin(tilt) * Math.cos(longitude),
+    Math.sin(tilt) * Math.sin(longitude),
+    Math.cos(tilt)
+  ];
+}
+
+/**
+ * Add the zonal-harmonic accelerations of oblate bodies to packed
+ * accelerations. For degree n the extra potential of body B is
+ *
+ *   V_n = mu Jn R^n / r^(n+1) Pn(u),   u = (r . p) / r
+ *
+ * with r from B, p its spin axis and Pn the Legendre polynomial, giving
+ *
+ *   a = mu Jn R^n / r^(n+2) [((n+1) Pn + u Pn') r_hat - Pn' p]
+ *
+ * on every other body. B takes the opposite reaction m / M * a so momentum is
+ * conserved; the torque on B's spin is ignored and its axis stays fixed. Bodies
+ * inside the reference radius are skipped, where the expansion diverges.
+ * Entries of `positions` past the masses are massless test particles, which
+ * feel the field without a reaction.
+ * @param {Float64Array} positions - Packed positions in m
+ * @param {Float64Array} masses - Packed masses in kg
+ * @param {Number} G - Gravitational constant
+ * @param {Array} fields - { index, coefficients: [J2, J3, J4], radius (m), axis: [x, y, z] }
+ * @param {Float64Array} out - Packed accelerations to add to
+ */
+function addZonalAccelerations(positions, masses, G, fields, out) {
+  const count = positions.length / 3;
+
+  for (const { index, coefficients, radius, axis } of fields) {
+    if (!(masses[index] > 0)) continue;
+
+    const b3 = index * 3;
+    const mu = G * masses[index];
+    const [px, py, pz] = axis;
+
+    for (let i = 0; i < count; i++) {
+      if (i === index) continue;
+
+      const i3 = i * 3;
+      const x = positions[i3] - positions[b3];
+      const y = positions[i3 + 1] - positions[b3 + 1];
+      const z = positions[i3 + 2] - positions[b3 + 2];
+      const r2 = x * x + y * y + z * z;
+      if (r2 <= radius * radius) continue;
+
+      const r = Math.sqrt(r2);
+      const u = (x * px + y * py + z * pz) / r;
+
+      // Legendre polynomials and derivatives by recurrence, from P0 and P1
+      let previous = 1;
+      let current = u;
+      let derivative = 1;
+      let radialTerm = 0;
+      let axialTerm = 0;
+      let scale = mu * radius / (r2 * r2); // mu R^n / r^(n+3), starting at n = 1
+
+      // Step n moves from degree n to degree n + 1
+      for (let n = 1; n <= coefficients.length; n++) {
+        scale *= radius / r;
+        const next = ((2 * n + 1) * u * current - n * previous) / (n + 1);
+        derivative = (n + 1) * current + u * derivative;
+        previous = current;
+        current = next;
+
+        const J = coefficients[n - 1];
+        if (!J) continue;
+        radialTerm += J * scale * ((n + 2) * current + u * derivative);
+        axialTerm -= J * scale * r * derivative;
+      }
+
+      const ax = radialTerm * x + axialTerm * px;
+      const ay = radialTerm * y + axialTerm * py;
+      const az = radialTerm * z + axialTerm * pz;
+
+      out[i3] += ax;
+      out[i3 + 1] += ay;
+      out[i3 + 2] += az;
+      if (i >= masses.length) continue;
+
+      const reaction = masses[i] / masses[index];
+      out[b3] -= reaction * ax;
+      out[b3 + 1] -= reaction * ay;
+      out[b3 + 2] -= reaction * az;
+    }
+  }
+}
+
+/**
+ * Secular regression of the ascending node caused by J2,
+ * -3/2 n J2 (R / p)^2 cos i
+ * @param {Number} mu - Gravitational parameter of the oblate body in m^3/s^2
+ * @param {Number} J2 - J2 coefficient
+ * @param {Number} radius - Reference radius in m
+ * @param {Number} a - Semi-major axis in m
+ * @param {Number} e - Eccentricity
+ * @param {Number} inclination - Inclination to the body's equator in degrees
+ * @returns {Number} Node rate in degrees per day
+ */
+function nodalPrecessionRate(mu, J2, radius, a, e, inclination) {
+  if (!(a > 0 && e < 1)) return NaN;
+
+  const n = Math.sqrt(mu / (a * a * a));
+  const p = a * (1 - e * e);
+  const rate = -1.5 * n * J2 * (radius / p) * (radius / p) * Math.cos(inclination * Math.PI / 180);
+  return rate * 86400 * 180 / Math.PI;
+}
+
+/**
+ * Inclination at which J2 turns the node once per year, keeping the orbit
+ * plane at a fixed angle to the Sun
+ * @param {Number} mu - Gravitational parameter of the planet in m^3/s^2
+ * @param {Number} J2 - J2 coefficient
+ * @param {Number} radius - Reference radius in m
+ * @param {Number} a - Semi-major axis in m
+ * @param {Number} e - Eccentricity
+ * @param {Number} year - Length of the planet's year in days
+ * @returns {Number} Inclination to the equator in degrees, or NaN if no
+ *   inclination turns the node fast enough
+ */
+function sunSynchronousInclination(mu, J2, radius, a, e = 0, year = 365.25636) {
+  const perInclination = nodalPrecessionRate(mu, J2, radius, a, e, 0);
+  const cosine = (360 / year) / perInclination;
+  if (!(Math.abs(cosine) <= 1)) return NaN;
+  return Math.acos(cosine) * 180 / Math.PI;
+}
+
+// Export for both CommonJS and browser/worker environments. Assigned directly
+// (as in relativity.js) because gravitySimulator.js declares `ZonalHarmonics`
+if (typeof window !== 'undefined') {
+  window.ZonalHarmonics = {
+    ZONAL_COEFFICIENTS,
+    normalizeZonalHarmonics,
+    getSpinAxis,
+    addZonalAccelerations,
+    nodalPrecessionRate,
+    sunSynchronousInclination
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ZONAL_COEFFICIENTS,
+    normalizeZonalHarmonics,
+    getSpinAxis,
+    addZonalAccelerations,
+    nodalPrecessionRate,
+    sunSynchronousInclination
+  };
+}
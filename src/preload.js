@@ -86,7 +86,10 @@ contextBridge.exposeInMainWorld('api', {
   // Send messages to main process
   send: (channel, data) => {
     // List of allowed channels
-    const validChannels = ['save-system', 'load-system'];
+    const validChannels = [
+      'save-system', 'load-system',
+      'recording-stream-start', 'recording-stream-append', 'recording-stream-stop'
+    ];
     if (validChannels.includes(channel)) {
       ipcRenderer.send(channel, data);
     }
@@ -94,7 +97,10 @@ contextBridge.exposeInMainWorld('api', {
   
   // Receive messages from main process
   receive: (channel, callback) => {
-    const validChannels = ['system-saved', 'system-loaded', 'error'];
+    const validChannels = [
+      'system-saved', 'system-loaded', 'menu-save-system', 'error',
+      'recording-stream-status'
+    ];
     if (validChannels.includes(channel)) {
       // Remove the event listener to avoid memory leaks
       ipcRenderer.removeAllListeners(channel);
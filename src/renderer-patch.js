@@ -38,6 +38,60 @@ function applyAllPatches() {
     
     // Patch 4: Fix event handlers if missing
     patchEventHandlers();
+    
+    // Patch 5: Wire up the integrator selector in the time controls
+    patchIntegratorControls();
+    
+    // Patch 6: Move physics into a Web Worker
+    patchPhysicsWorker();
+    
+    // Patch 7: Save and load simulations from the File menu
+    patchSceneFiles();
+    
+    // Patch 8: Show the simulation date and add jump-to-date
+    patchEpochControls();
+    
+    // Patch 9: Monitor conserved quantities and chart their drift
+    patchDiagnostics();
+    
+    // Patch 10: Collision mode selector and collision feedback
+    patchCollisions();
+    
+    // Patch 11: General relativity toggle and perihelion precession tool
+    patchRelativity();
+    
+    // Patch 12: Massless test particles drawn as a point cloud
+    patchTestParticles();
+    
+    // Patch 13: Reverse button for running time backward
+    patchTimeReversal();
+    
+    // Patch 14: Recorder and timeline scrubber for replaying the simulation
+    patchTimeline();
+    
+    // Patch 15: Dashed predicted trajectories, toggled per body in the info panel
+    patchTrajectoryPrediction();
+    
+    // Patch 16: Orbit line selector for trails or osculating conics
+    patchOrbitLines();
+    
+    // Patch 17: Event detector and event log panel
+    patchEvents();
+    
+    // Patch 18: Eclipse and transit prediction with shadow cones
+    patchEclipses();
+    
+    // Patch 19: Hill sphere and sphere of influence shells
+    patchSpheresOfInfluence();
+    
+    // Patch 20: Patched-conic mission planner
+    patchMissionPlanner();
+    
+    // Patch 21: Maneuver nodes and their handles for spacecraft
+    patchManeuverNodes();
+    
+    // Patch 22: Porkchop plots of launch windows between planets
+    patchPorkchopPlot();
   } catch (error) {
     console.error("Error in applyAllPatches:", error);
   }
@@ -109,28 +163,49 @@ function patchAnimationLoop() {
               lastFpsUpdate = time;
             }
             
+            // Record the live state or replay recorded frames - only if available.
+            // Runs before physics so resuming restores the live state before a step
+            if (this.timelineControls && typeof this.timelineControls.update === 'function') {
+              this.timelineControls.update(time);
+            }
+            
             // Update physics - only if available
             if (!this.paused && this.physics && typeof this.physics.update === 'function') {
               this.physics.update(time);
             }
             
+            // Look for events since the last frame - only if available
+            if (!this.paused && this.eventDetector && this.physics) {
+              this.eventDetector.sample(this.physics);
+            }
+            
+            // Refresh the simulation date display - only if available
+            if (this.epochControls && typeof this.epochControls.update === 'function') {
+              this.epochControls.update();
+            }
+            
             // Update object positions in scene
             if (this.objects && Array.isArray(this.objects)) {
               for (const object of this.objects) {
                 if (object && object.mesh && object.position) {
+                  // Physics positions are in metres; convert to scene units
+                  const toScene = window.CONSTANTS ?
+                    window.CONSTANTS.metersToSceneUnits :
+                    (meters) => meters / 1e9;
+                  
                   // Use position.set if available, otherwise copy
                   if (typeof object.mesh.position.set === 'function') {
                     object.mesh.position.set(
-                      object.position.x / 1000000,
-                      object.position.y / 1000000,
-                      object.position.z / 1000000
+                      toScene(object.position.x),
+                      toScene(object.position.y),
+                      toScene(object.position.z)
                     );
                   } else if (typeof object.mesh.position.copy === 'function') {
                     // Scale position
                     const scaledPosition = {
-                      x: object.position.x / 1000000,
-                      y: object.position.y / 1000000,
-                      z: object.position.z / 1000000
+                      x: toScene(object.position.x),
+                      y: toScene(object.position.y),
+                      z: toScene(object.position.z)
                     };
                     object.mesh.position.copy(scaledPosition);
                   }
@@ -143,6 +218,33 @@ function patchAnimationLoop() {
               }
             }
             
+            // Redraw orbit trails or osculating conics - only if available
+            if (this.orbitLines && typeof this.orbitLines.update === 'function') {
+              this.orbitLines.update(this.physics, this.objects || []);
+            }
+            
+            // Redraw the shadow cones - only if available
+            if (this.shadowCones && typeof this.shadowCones.update === 'function') {
+              this.shadowCones.update(this.objects || []);
+            }
+            
+            // Redraw the test particle cloud - only if available
+            if (this.testParticleCloud && this.physics &&
+                typeof this.physics.getTestParticles === 'function') {
+              this.testParticleCloud.update(this.physics.getTestParticles());
+            }
+            
+            // Redraw predicted trajectories - only if available
+            if (this.trajectoryOverlay && this.physics &&
+                typeof this.trajectoryOverlay.update === 'function') {
+              this.trajectoryOverlay.update(this.physics, this.objects || []);
+            }
+            
+            // Update maneuver nodes and their handles - only if available
+            if (this.maneuverPanel && typeof this.maneuverPanel.update === 'function') {
+              this.maneuverPanel.update();
+            }
+            
             // Update gravity visualizer - only if available
             if (this.gravityVisualizer && typeof this.gravityVisualizer.update === 'function') {
               this.gravityVisualizer.update(this.objects || []);
@@ -155,6 +257,12 @@ function patchAnimationLoop() {
               this.lagrangePointVisualizer.update();
             }
             
+            // Update Hill spheres and spheres of influence - only if available
+            if (this.sphereOfInfluenceVisualizer &&
+                typeof this.sphereOfInfluenceVisualizer.update === 'function') {
+              this.sphereOfInfluenceVisualizer.update(this.objects || [], this.physics && this.physics.G);
+            }
+            
             // Update camera controls - only if available
             if (this.cameraControls && typeof this.cameraControls.update === 'function') {
               this.cameraControls.update();
@@ -263,57 +371,57 @@ function patchEventHandlers() {
         };
       }
       
-      if (!window.solarSystemApp.handleDecreaseTimeScale) {
-        window.solarSystemApp.handleDecreaseTimeScale = function() {
-          if (this.timeScale <= 0.1) {
-            this.timeScale = 0;
-          } else if (this.timeScale <= 1) {
-            this.timeScale /= 2;
-          } else {
-            this.timeScale--;
-          }
-          
-          if (this.physics && typeof this.physics.setTimeScale === 'function') {
-            this.physics.setTimeScale(this.timeScale);
-          }
-          
-          this.updateTimeDisplay();
-        };
-      }
+      // The time scale handlers are always replaced: the scale runs through
+      // zero into negative values, which integrate backward
+      window.solarSystemApp.handleDecreaseTimeScale = function() {
+        applyTimeScale(this, stepTimeScale(this.timeScale || 0, -1));
+      };
       
-      if (!window.solarSystemApp.handleIncreaseTimeScale) {
-        window.solarSystemApp.handleIncreaseTimeScale = function() {
-          if (this.timeScale < 1) {
-            this.timeScale *= 2;
-          } else {
-            this.timeScale++;
-          }
-          
-          if (this.physics && typeof this.physics.setTimeScale === 'function') {
-            this.physics.setTimeScale(this.timeScale);
-          }
-          
-          this.updateTimeDisplay();
-        };
-      }
+      window.solarSystemApp.handleIncreaseTimeScale = function() {
+        applyTimeScale(this, stepTimeScale(this.timeScale || 0, 1));
+      };
       
-      if (!window.solarSystemApp.updateTimeDisplay) {
-        window.solarSystemApp.updateTimeDisplay = function() {
-          if (!this.timeDisplay) return;
-          
-          let displayText = '';
-          
-          if (this.timeScale === 0) {
-            displayText = 'Paused';
-          } else if (this.timeScale < 1) {
-            displayText = `${this.timeScale.toFixed(2)} days/sec`;
-          } else {
-            displayText = `${this.timeScale.toFixed(0)} days/sec`;
-          }
-          
-          this.timeDisplay.textContent = displayText;
-        };
-      }
+      window.solarSystemApp.handleReverseTime = function() {
+        applyTimeScale(this, -(this.timeScale || 0) || -(window.CONSTANTS ? window.CONSTANTS.DEFAULT_TIME_SCALE : 1));
+      };
+      
+      window.solarSystemApp.updateTimeDisplay = function() {
+        if (!this.timeDisplay) return;
+        
+        const scale = this.timeScale || 0;
+        const magnitude = Math.abs(scale);
+        let displayText = '';
+        
+        if (scale === 0) {
+          displayText = 'Paused';
+        } else {
+          const digits = magnitude < 1 ? 2 : 0;
+          displayText = `${scale < 0 ? '−' : ''}${magnitude.toFixed(digits)} days/sec`;
+        }
+        
+        // Name the time-symmetric stand-in when backward steps don't use the
+        // selected integrator
+        const standIn = scale < 0 && this.physics ? getBackwardStandIn(this.physics.integratorName) : null;
+        if (standIn) {
+          displayText += ` · ${standIn.label}`;
+        }
+        
+        this.timeDisplay.textContent = displayText;
+        this.timeDisplay.classList.toggle('backward', scale < 0);
+        
+        const integratorSelect = document.getElementById('integrator-select');
+        if (integratorSelect) {
+          integratorSelect.classList.toggle('swapped', !!standIn);
+          integratorSelect.title = standIn ?
+            `Numerical integrator (running backward with ${standIn.label}, which is time-symmetric)` :
+            'Numerical integrator';
+        }
+        
+        const reverseButton = document.getElementById('time-reverse');
+        if (reverseButton) {
+          reverseButton.classList.toggle('active', scale < 0);
+        }
+      };
       
       if (!window.solarSystemApp.handleResetView) {
         window.solarSystemApp.handleResetView = function() {
@@ -349,6 +457,12 @@ function patchEventHandlers() {
               e.preventDefault();
             }
             
+            // 'B' key runs time the other way
+            if (e.code === 'KeyB') {
+              this.handleReverseTime();
+              e.preventDefault();
+            }
+            
             // 'R' key resets view
             if (e.code === 'KeyR') {
               this.handleResetView();
@@ -373,4 +487,686 @@ function patchEventHandlers() {
   } catch (error) {
     console.error("Error patching event handlers:", error);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Next time scale for the faster/slower buttons. Scales step by one day per
+ * second above 1 and halve or double below it, through zero into negative
+ * scales, which run the simulation backward.
+ * @param {Number} scale - Current time scale in days per second
+ * @param {Number} direction - +1 toward forward, -1 toward backward
+ * @returns {Number} New time scale
+ */
+function stepTimeScale(scale, direction) {
+  const MIN_TIME_SCALE = 0.125; // First step away from zero
+  
+  if (scale === 0) {
+    return direction * MIN_TIME_SCALE;
+  }
+  
+  const sign = Math.sign(scale);
+  const magnitude = Math.abs(scale);
+  
+  // Speeding up in the current direction
+  if (sign === direction) {
+    return sign * (magnitude < 1 ? magnitude * 2 : magnitude + 1);
+  }
+  
+  // Slowing down toward zero
+  if (magnitude <= 0.1) {
+    return 0;
+  }
+  return sign * (magnitude <= 1 ? magnitude / 2 : magnitude - 1);
+}
+
+/**
+ * Integrator that backward steps use instead of the selected one. Only
+ * time-symmetric integrators run backward themselves; the others are swapped
+ * for CONSTANTS.BACKWARD_INTEGRATOR (see GravitySimulator._getStepIntegrator).
+ * @param {String} name - Selected integrator
+ * @returns {Object|null} { name, label } of the stand-in, or null if the
+ *   selected integrator runs backward itself
+ */
+function getBackwardStandIn(name) {
+  if (!window.Integrators) return null;
+  
+  const integrators = window.Integrators.getAvailableIntegrators();
+  const selected = integrators.find(integrator => integrator.name === name);
+  if (!selected || selected.timeSymmetric) return null;
+  
+  const standInName = window.CONSTANTS ? window.CONSTANTS.BACKWARD_INTEGRATOR : 'verlet';
+  return integrators.find(integrator => integrator.name === standInName) || null;
+}
+
+/**
+ * Set the app's time scale, pass it to the physics and refresh the display
+ * @param {Object} app - The application
+ * @param {Number} scale - Time scale in days per second
+ */
+function applyTimeScale(app, scale) {
+  app.timeScale = scale;
+  
+  if (app.physics && typeof app.physics.setTimeScale === 'function') {
+    app.physics.setTimeScale(app.timeScale);
+  }
+  
+  app.updateTimeDisplay();
+}
+
+/**
+ * Patch 5: Wire up the integrator selector in the time controls
+ */
+function patchIntegratorControls() {
+  try {
+    const app = window.solarSystemApp;
+    const select = document.getElementById('integrator-select');
+    
+    if (!app || !app.physics || typeof app.physics.setIntegrator !== 'function' || !select) {
+      console.warn("No physics integrator or selector found to patch");
+      return;
+    }
+    
+    if (!window.Integrators) {
+      console.warn("Integrators module not loaded; hiding integrator selector");
+      select.style.display = 'none';
+      return;
+    }
+    
+    console.log("Patching integrator controls...");
+    
+    // Populate options from the integrator registry
+    select.innerHTML = '';
+    window.Integrators.getAvailableIntegrators().forEach(({ name, label }) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    
+    select.value = app.physics.integratorName;
+    
+    select.addEventListener('change', () => {
+      try {
+        app.physics.setIntegrator(select.value);
+        console.log(`Integrator set to ${select.value}`);
+      } catch (error) {
+        console.error("Error changing integrator:", error);
+        select.value = app.physics.integratorName;
+      }
+      // Show whether backward steps now swap integrators
+      app.updateTimeDisplay();
+    });
+  } catch (error) {
+    console.error("Error patching integrator controls:", error);
+  }
+}
+
+/**
+ * Patch 6: Move physics into a Web Worker
+ *
+ * Swaps app.physics for a WorkerGravitySimulator seeded with the current
+ * objects and settings. The replacement has the same API, so the rest of the
+ * app (and the integrator selector) keeps working unchanged.
+ */
+function patchPhysicsWorker() {
+  try {
+    const app = window.solarSystemApp;
+    
+    if (!app || !app.physics) {
+      console.warn("No physics simulator found to move into a worker");
+      return;
+    }
+    
+    if (typeof Worker === 'undefined' || !window.WorkerGravitySimulator ||
+        (window.CONSTANTS && !window.CONSTANTS.PHYSICS_WORKER_ENABLED)) {
+      console.log("Physics worker disabled; running physics on the main thread");
+      return;
+    }
+    
+    console.log("Moving physics into a Web Worker...");
+    
+    const previous = app.physics;
+    const physics = new window.WorkerGravitySimulator();
+    
+    physics.setTimeScale(app.timeScale !== undefined ? app.timeScale : previous.timeScale);
+    physics.setPaused(!!app.paused);
+    
+    if (typeof previous.getIntegratorSettings === 'function') {
+      const { name, options } = previous.getIntegratorSettings();
+      physics.setIntegrator(name, options);
+    }
+    
+    if (typeof previous.getForceSolverSettings === 'function') {
+      const { name, options } = previous.getForceSolverSettings();
+      physics.setForceSolver(name, options);
+    }
+    
+    if (typeof previous.getCollisionSettings === 'function') {
+      const { name, options } = previous.getCollisionSettings();
+      physics.setCollisionMode(name, options);
+    }
+    
+    if (typeof previous.getCloseEncounterSettings === 'function') {
+      physics.setCloseEncounterSettings(previous.getCloseEncounterSettings());
+    }
+    
+    if (typeof previous.getRelativitySettings === 'function') {
+      physics.setRelativitySettings(previous.getRelativitySettings());
+    }
+    
+    previous.getObjects().forEach(object => physics.addObject(object));
+    
+    if (typeof previous.getTestParticles === 'function' && previous.getTestParticles().count > 0) {
+      const particles = previous.getTestParticles();
+      physics.addTestParticles(
+        particles.positions.subarray(0, particles.count * 3),
+        particles.velocities.subarray(0, particles.count * 3)
+      );
+    }
+    
+    app.physics = physics;
+  } catch (error) {
+    console.error("Error moving physics into a worker:", error);
+  }
+}
+
+/**
+ * Patch 7: Save and load simulations from the File menu
+ */
+function patchSceneFiles() {
+  try {
+    const app = window.solarSystemApp;
+    
+    if (!app || !window.SceneFileManager) {
+      console.warn("No solarSystemApp or SceneFileManager found; save/load disabled");
+      return;
+    }
+    
+    console.log("Patching scene save/load...");
+    app.sceneFileManager = new window.SceneFileManager(app);
+  } catch (error) {
+    console.error("Error patching scene save/load:", error);
+  }
+}
+
+/**
+ * Patch 8: Show the simulation date and add jump-to-date
+ */
+function patchEpochControls() {
+  try {
+    const app = window.solarSystemApp;
+    
+    if (!app || !app.physics || typeof app.physics.getJulianDate !== 'function' || !window.EpochControls) {
+      console.warn("No simulation clock found; date display disabled");
+      return;
+    }
+    
+    console.log("Patching epoch controls...");
+    app.epochControls = new window.EpochControls(app);
+  } catch (error) {
+    console.error("Error patching epoch controls:", error);
+  }
+}
+
+/**
+ * Patch 9: Monitor conserved quantities and chart their drift
+ *
+ * Runs after the worker swap so the monitor is attached to whichever
+ * simulator ends up as app.physics.
+ */
+function patchDiagnostics() {
+  try {
+    const app = window.solarSystemApp;
+    
+    if (!app || !app.physics || typeof app.physics.setDiagnostics !== 'function' ||
+        !window.Diagnostics || !window.DiagnosticsOverlay) {
+      console.warn("No diagnostics support found; conservation monitor disabled");
+      return;
+    }
+    
+    console.log("Patching conservation diagnostics...");
+    const monitor = new window.Diagnostics.DiagnosticsMonitor();
+    app.physics.setDiagnostics(monitor);
+    app.diagnosticsOverlay = new window.DiagnosticsOverlay(app, monitor);
+  } catch (error) {
+    console.error("Error patching conservation diagnostics:", error);
+  }
+}
+
+/**
+ * Patch 10: Collision mode selector and collision feedback
+ *
+ * Fills the collision selector in the time controls and hands collision
+ * events to a CollisionLog, which updates the scene, the log and the body count.
+ */
+function patchCollisions() {
+  try {
+    const app = window.solarSystemApp;
+    const select = document.getElementById('collision-select');
+    
+    if (!app || !app.physics || typeof app.physics.onCollision !== 'function' ||
+        !window.Collisions || !window.CollisionLog) {
+      console.warn("No collision support found; collision feedback disabled");
+      if (select) {
+        select.style.display = 'none';
+      }
+      return;
+    }
+    
+    console.log("Patching collisions...");
+    app.collisionLog = new window.CollisionLog(app);
+    
+    if (select) {
+      select.innerHTML = '';
+      window.Collisions.COLLISION_MODES.forEach(({ name, label }) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      
+      select.value = app.physics.getCollisionSettings().name;
+      
+      select.addEventListener('change', () => {
+        try {
+          app.physics.setCollisionMode(select.value);
+          console.log(`Collision mode set to ${select.value}`);
+        } catch (error) {
+          console.error("Error changing collision mode:", error);
+          select.value = app.physics.getCollisionSettings().name;
+        }
+      });
+    }
+  } catch (error) {
+    console.error("Error patching collisions:", error);
+  }
+}
+
+/**
+ * Patch 11: General relativity toggle and perihelion precession tool
+ *
+ * The GR checkbox in the time controls switches the post-Newtonian correction;
+ * the Precession panel measures the longitude of perihelion so Newtonian and
+ * GR runs can be compared.
+ */
+function patchRelativity() {
+  try {
+    const app = window.solarSystemApp;
+    const toggle = document.getElementById('relativity-toggle');
+    
+    if (!app || !app.physics || typeof app.physics.setRelativitySettings !== 'function' ||
+        !window.Relativity || !window.PrecessionPanel) {
+      console.warn("No relativity support found; GR toggle and precession tool disabled");
+      if (toggle) {
+        toggle.parentNode.style.display = 'none';
+      }
+      return;
+    }
+    
+    console.log("Patching relativity...");
+    app.precessionPanel = new window.PrecessionPanel(app, new window.Relativity.PerihelionTracker());
+    
+    if (toggle) {
+      toggle.checked = app.physics.getRelativitySettings().enabled;
+      
+      toggle.addEventListener('change', () => {
+        try {
+          app.physics.setRelativitySettings({ enabled: toggle.checked });
+          console.log(`General relativity ${toggle.checked ? 'enabled' : 'disabled'}`);
+        } catch (error) {
+          console.error("Error changing relativity setting:", error);
+          toggle.checked = app.physics.getRelativitySettings().enabled;
+        }
+      });
+    }
+  } catch (error) {
+    console.error("Error patching relativity:", error);
+  }
+}
+
+/**
+ * Patch 12: Massless test particles drawn as a point cloud
+ *
+ * The Particles panel seeds belts of test particles; the cloud draws whatever
+ * the simulator holds each frame (see the animation loop in Patch 2).
+ */
+function patchTestParticles() {
+  try {
+    const app = window.solarSystemApp;
+    
+    if (!app || !app.physics || typeof app.physics.addTestParticles !== 'function' || !app.scene ||
+        !window.TestParticles || !window.TestParticleCloud || !window.TestParticlePanel) {
+      console.warn("No test particle support found; particle tools disabled");
+      const toggle = document.getElementById('particles-toggle');
+      if (toggle) {
+        toggle.style.display = 'none';
+      }
+      return;
+    }
+    
+    console.log("Patching test particles...");
+    app.testParticleCloud = new window.TestParticleCloud(app.scene);
+    app.testParticlePanel = new window.TestParticlePanel(app);
+  } catch (error) {
+    console.error("Error patching test particles:", error);
+  }
+}
+
+/**
+ * Patch 13: Reverse button for running time backward
+ *
+ * Flips the sign of the time scale (see handleReverseTime in Patch 4).
+ * Backward steps use a time-symmetric integrator, so rewinding retraces the
+ * forward run; the date display and orbit trails follow the clock.
+ */
+function patchTimeReversal() {
+  try {
+    const app = window.solarSystemApp;
+    const button = document.getElementById('time-reverse');
+    
+    if (!app || typeof app.handleReverseTime !== 'function' || !button) {
+      console.warn("No reverse button or handler found; time reversal only from the -/+ buttons");
+      return;
+    }
+    
+    console.log("Patching time reversal...");
+    button.addEventListener('click', () => {
+      try {
+        app.handleReverseTime();
+      } catch (error) {
+        console.error("Error reversing time:", error);
+      }
+    });
+    app.updateTimeDisplay();
+  } catch (error) {
+    console.error("Error patching time reversal:", error);
+  }
+}
+
+/**
+ * Patch 14: Recorder and timeline scrubber for replaying the simulation
+ *
+ * The recorder samples body states from the animation loop (see Patch 2);
+ * the timeline next to the play/pause button scrubs, loops and exports them.
+ */
+function patchTimeline() {
+  try {
+    const app = window.solarSystemApp;
+    
+    if (!app || !app.physics || typeof app.physics.getJulianDate !== 'function' ||
+        !window.RecordingFormat || !window.SimulationRecorder || !window.TimelineControls) {
+      console.warn("No recorder found; timeline disabled");
+      return;
+    }
+    
+    console.log("Patching timeline...");
+    app.recorder = new window.SimulationRecorder();
+    app.timelineControls = new window.TimelineControls(app, app.recorder);
+  } catch (error) {
+    console.error("Error patching timeline:", error);
+  }
+}
+
+/**
+ * Patch 15: Dashed predicted trajectories, toggled per body in the info panel
+ *
+ * The predictor integrates a copy of the system whenever it is edited or the
+ * clock moves on; the overlay draws the result each frame (see Patch 2).
+ */
+function patchTrajectoryPrediction() {
+  try {
+    const app = window.solarSystemApp;
+    
+    if (!app || !app.physics || !app.scene || typeof app.physics.getIntegratorSettings !== 'function' ||
+        !window.GravitySimulator || !window.TrajectoryPredictor || !window.TrajectoryOverlay) {
+      console.warn("No trajectory predictor found; predicted trajectories disabled");
+      return;
+    }
+    
+    console.log("Patching trajectory prediction...");
+    app.trajectoryPredictor = new window.TrajectoryPredictor();
+    app.trajectoryOverlay = new window.TrajectoryOverlay(app.scene, app.trajectoryPredictor);
+  } catch (error) {
+    console.error("Error patching trajectory prediction:", error);
+  }
+}
+
+/**
+ * Patch 16: Orbit line selector for trails or osculating conics
+ *
+ * The selector in the time controls switches between the trail of past
+ * positions and the full osculating orbit around each body's parent, which
+ * OrbitLines redraws from the animation loop (see Patch 2).
+ */
+function patchOrbitLines() {
+  try {
+    const app = window.solarSystemApp;
+    const select = document.getElementById('orbit-line-select');
+    
+    if (!app || !app.scene || !window.OrbitLines) {
+      console.warn("No orbit line renderer found; orbit line selector disabled");
+      if (select) {
+        select.style.display = 'none';
+      }
+      return;
+    }
+    
+    console.log("Patching orbit lines...");
+    app.orbitLines = new window.OrbitLines(app.scene);
+    
+    if (select) {
+      const labels = { trail: 'Orbit trails', osculating: 'Osculating orbits' };
+      select.innerHTML = '';
+      window.CONSTANTS.ORBIT_LINE_MODES.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = labels[mode] || mode;
+        select.appendChild(option);
+      });
+      
+      select.value = app.orbitLines.mode;
+      
+      select.addEventListener('change', () => {
+        try {
+          app.orbitLines.setMode(select.value);
+          console.log(`Orbit line mode set to ${select.value}`);
+        } catch (error) {
+          console.error("Error changing orbit line mode:", error);
+          select.value = app.orbitLines.mode;
+        }
+      });
+    }
+  } catch (error) {
+    console.error("Error patching orbit lines:", error);
+  }
+}
+
+/**
+ * Patch 17: Event detector and event log panel
+ *
+ * The detector samples the running simulation from the animation loop (see
+ * Patch 2); the Events panel lists what it finds and jumps to an event when
+ * an entry is clicked.
+ */
+function patchEvents() {
+  try {
+    const app = window.solarSystemApp;
+    
+    if (!app || !app.physics || typeof app.physics.jumpToDateInSlices !== 'function' ||
+        !window.EventDetector || !window.EventLogPanel) {
+      console.warn("No event detector found; event log disabled");
+      const toggle = document.getElementById('events-toggle');
+      if (toggle) {
+        toggle.style.display = 'none';
+      }
+      return;
+    }
+    
+    console.log("Patching events...");
+    app.eventDetector = new window.EventDetector();
+    app.eventLogPanel = new window.EventLogPanel(app, app.eventDetector);
+  } catch (error) {
+    console.error("Error patching events:", error);
+  }
+}
+
+/**
+ * Patch 18: Eclipse and transit prediction with shadow cones
+ *
+ * The Eclipses panel searches ahead of the current date on a copy of the
+ * simulation; the shadow cones are redrawn from the animation loop (see
+ * Patch 2).
+ */
+function patchEclipses() {
+  try {
+    const app = window.solarSystemApp;
+    
+    if (!app || !app.physics || typeof app.physics.jumpToDateInSlices !== 'function' ||
+        !window.EclipsePredictor || !window.EclipsePanel || !window.EventLogPanel) {
+      console.warn("No eclipse predictor found; eclipse panel disabled");
+      const toggle = document.getElementById('eclipses-toggle');
+      if (toggle) {
+        toggle.style.display = 'none';
+      }
+      return;
+    }
+    
+    console.log("Patching eclipses...");
+    app.eclipsePredictor = new window.EclipsePredictor();
+    if (app.scene && window.ShadowCones) {
+      app.shadowCones = new window.ShadowCones(app.scene);
+    }
+    app.eclipsePanel = new window.EclipsePanel(app, app.eclipsePredictor, app.shadowCones || null);
+  } catch (error) {
+    console.error("Error patching eclipses:", error);
+  }
+}
+
+/**
+ * Patch 19: Hill sphere and sphere of influence shells
+ *
+ * The SOI checkbox in the time controls shows the shells. The visualizer
+ * updates from the animation loop (see Patch 2) whether or not they are shown,
+ * so the info panel can list the bodies passing through another's sphere.
+ */
+function patchSpheresOfInfluence() {
+  try {
+    const app = window.solarSystemApp;
+    const toggle = document.getElementById('soi-toggle');
+    
+    if (!app || !app.scene || !window.SphereOfInfluenceVisualizer) {
+      console.warn("No sphere of influence visualizer found; SOI toggle disabled");
+      if (toggle) {
+        toggle.parentNode.style.display = 'none';
+      }
+      return;
+    }
+    
+    console.log("Patching spheres of influence...");
+    app.sphereOfInfluenceVisualizer = new window.SphereOfInfluenceVisualizer(app.scene);
+    
+    if (toggle) {
+      toggle.checked = app.sphereOfInfluenceVisualizer.visible;
+      
+      toggle.addEventListener('change', () => {
+        app.sphereOfInfluenceVisualizer.setVisible(toggle.checked);
+        console.log(`Spheres of influence ${toggle.checked ? 'shown' : 'hidden'}`);
+      });
+    }
+  } catch (error) {
+    console.error("Error patching spheres of influence:", error);
+  }
+}
+
+/**
+ * Patch 20: Patched-conic mission planner
+ *
+ * The Missions panel plans a transfer between two bodies and launches a
+ * spacecraft on it, with the transfer's remaining burns as maneuver nodes
+ * that the simulator flies.
+ */
+function patchMissionPlanner() {
+  try {
+    const app = window.solarSystemApp;
+    
+    if (!app || !app.physics || typeof app.physics.setManeuvers !== 'function' ||
+        !app.objectHandlers || !window.MissionPlanner || !window.MissionPlannerPanel ||
+        !window.Spacecraft || !window.EventLogPanel || !window.EpochControls) {
+      console.warn("No mission planner found; missions panel disabled");
+      const toggle = document.getElementById('missions-toggle');
+      if (toggle) {
+        toggle.style.display = 'none';
+      }
+      return;
+    }
+    
+    console.log("Patching mission planner...");
+    app.missionPlanner = new window.MissionPlanner();
+    app.missionPlannerPanel = new window.MissionPlannerPanel(app, app.missionPlanner);
+  } catch (error) {
+    console.error("Error patching mission planner:", error);
+  }
+}
+
+/**
+ * Patch 21: Maneuver nodes and their handles for spacecraft
+ *
+ * Selecting a spacecraft opens the maneuver panel, which places nodes on its
+ * predicted path and edits them with handles in the scene; the simulator
+ * flies them as finite burns. Updated from the animation loop (see Patch 2).
+ */
+function patchManeuverNodes() {
+  try {
+    const app = window.solarSystemApp;
+    
+    if (!app || !app.physics || typeof app.physics.setManeuvers !== 'function' ||
+        !app.scene || !app.renderer || !app.sceneManager || !app.trajectoryPredictor ||
+        !window.Spacecraft || !window.ManeuverHandles || !window.ManeuverPanel ||
+        !window.OrbitalElements || !window.EventLogPanel) {
+      console.warn("No maneuver node support found; maneuver panel disabled");
+      return;
+    }
+    
+    console.log("Patching maneuver nodes...");
+    app.maneuverPanel = new window.ManeuverPanel(app);
+  } catch (error) {
+    console.error("Error patching maneuver nodes:", error);
+  }
+}
+
+/**
+ * Patch 22: Porkchop plots of launch windows between planets
+ *
+ * The Porkchop button opens a plot of Lambert transfers between two planets,
+ * shown as one of the InformationPanelManager's panels; clicking a cell sends
+ * a spacecraft on that transfer.
+ */
+function patchPorkchopPlot() {
+  try {
+    const app = window.solarSystemApp;
+    
+    if (!app || !app.physics || !app.objectHandlers || !window.Porkchop || !window.PorkchopPanel ||
+        !window.SolarSystemData || !window.InformationPanelManager || !window.MissionPlannerPanel ||
+        !window.EventLogPanel || !window.OrbitalElements || !window.TrajectoryPredictor ||
+        !window.EpochControls) {
+      console.warn("No porkchop plot support found; porkchop panel disabled");
+      const toggle = document.getElementById('porkchop-toggle');
+      if (toggle) {
+        toggle.style.display = 'none';
+      }
+      return;
+    }
+    
+    console.log("Patching porkchop plot...");
+    // Share the educational features' panels when they are loaded
+    let infoPanelManager = app.educationalFeatures && app.educationalFeatures.infoPanelManager;
+    if (!infoPanelManager) {
+      infoPanelManager = new window.InformationPanelManager();
+      // Its topic list belongs to the educational menu; the footer button opens the plot
+      infoPanelManager.selector.style.display = 'none';
+    }
+    app.porkchopPanel = new window.PorkchopPanel(app, infoPanelManager);
+  } catch (error) {
+    console.error("Error patching porkchop plot:", error);
+  }
+}
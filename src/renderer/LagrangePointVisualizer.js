@@ -81,10 +81,14 @@ class LagrangePointVisualizer {
       // Calculate mass ratio
       const mu = secondaryBody.mass / (primaryBody.mass + secondaryBody.mass);
       
+      // Work in scene units so the markers line up with the meshes
+      const primaryPosition = this._scenePosition(primaryBody);
+      const secondaryPosition = this._scenePosition(secondaryBody);
+      
       // Calculate distance between bodies
       const bodyVector = new THREE.Vector3().subVectors(
-        secondaryBody.position,
-        primaryBody.position
+        secondaryPosition,
+        primaryPosition
       );
       const r = bodyVector.length();
       
@@ -114,29 +118,29 @@ class LagrangePointVisualizer {
       
       // Calculate L1 (between the two bodies)
       const l1Distance = r * (1 - Math.pow(mu/3, 1/3));
-      const l1Position = primaryBody.position.clone().add(
+      const l1Position = primaryPosition.clone().add(
         unitRadial.clone().multiplyScalar(l1Distance)
       );
       
       // Calculate L2 (beyond the secondary body)
       const l2Distance = r * (1 + Math.pow(mu/3, 1/3));
-      const l2Position = primaryBody.position.clone().add(
+      const l2Position = primaryPosition.clone().add(
         unitRadial.clone().multiplyScalar(l2Distance)
       );
       
       // Calculate L3 (behind the primary body)
       const l3Distance = r * (1 + 5/12 * mu);
-      const l3Position = primaryBody.position.clone().add(
+      const l3Position = primaryPosition.clone().add(
         unitRadial.clone().multiplyScalar(-l3Distance)
       );
       
       // Calculate L4 (60° ahead of secondary body)
-      const l4Position = primaryBody.position.clone()
+      const l4Position = primaryPosition.clone()
         .add(unitRadial.clone().multiplyScalar(r * 0.5))
         .add(unitPerpendicular.clone().multiplyScalar(r * Math.sqrt(3)/2));
       
       // Calculate L5 (60° behind secondary body)
-      const l5Position = primaryBody.position.clone()
+      const l5Position = primaryPosition.clone()
         .add(unitRadial.clone().multiplyScalar(r * 0.5))
         .add(unitPerpendicular.clone().multiplyScalar(-r * Math.sqrt(3)/2));
       
@@ -236,8 +240,8 @@ class LagrangePointVisualizer {
       if (!THREE) return 1;
       
       const distance = new THREE.Vector3().subVectors(
-        this.secondaryBody.position,
-        this.primaryBody.position
+        this._scenePosition(this.secondaryBody),
+        this._scenePosition(this.primaryBody)
       ).length();
       
       // Adjust scale to be proportional to distance
@@ -258,28 +262,26 @@ class LagrangePointVisualizer {
       const THREE = window.THREE;
       if (!THREE) return;
       
-      // Only recalculate if bodies have moved significantly
-      const currentVector = new THREE.Vector3().subVectors(
-        this.secondaryBody.position,
-        this.primaryBody.position
-      );
+      // Only recalculate if bodies have moved significantly (in scene units)
+      const primaryPosition = this._scenePosition(this.primaryBody);
+      const secondaryPosition = this._scenePosition(this.secondaryBody);
       
       // Store previous positions for comparison
       if (!this.prevPrimaryPos) {
-        this.prevPrimaryPos = this.primaryBody.position.clone();
+        this.prevPrimaryPos = primaryPosition.clone();
       }
       
       if (!this.prevSecondaryPos) {
-        this.prevSecondaryPos = this.secondaryBody.position.clone();
+        this.prevSecondaryPos = secondaryPosition.clone();
       }
       
       // Check if positions have changed significantly
       const primaryMoved = new THREE.Vector3()
-        .subVectors(this.primaryBody.position, this.prevPrimaryPos)
+        .subVectors(primaryPosition, this.prevPrimaryPos)
         .lengthSq() > 0.1;
       
       const secondaryMoved = new THREE.Vector3()
-        .subVectors(this.secondaryBody.position, this.prevSecondaryPos)
+        .subVectors(secondaryPosition, this.prevSecondaryPos)
         .lengthSq() > 0.1;
       
       // If either body has moved significantly, recalculate
@@ -287,14 +289,31 @@ class LagrangePointVisualizer {
         this.calculateLagrangePoints(this.primaryBody, this.secondaryBody);
         
         // Update previous positions
-        this.prevPrimaryPos.copy(this.primaryBody.position);
-        this.prevSecondaryPos.copy(this.secondaryBody.position);
+        this.prevPrimaryPos.copy(primaryPosition);
+        this.prevSecondaryPos.copy(secondaryPosition);
       }
     } catch (error) {
       console.error('Error updating Lagrange points:', error);
     }
   }
   
+  /**
+   * Get a body's position in scene units (physics positions are in metres)
+   * @param {CelestialObject} body - Body to locate
+   * @returns {THREE.Vector3} Scene position
+   * @private
+   */
+  _scenePosition(body) {
+    const THREE = window.THREE;
+    
+    if (typeof body.getScenePosition === 'function') {
+      return body.getScenePosition(new THREE.Vector3());
+    }
+    
+    const metersPerUnit = window.CONSTANTS ? window.CONSTANTS.METERS_PER_SCENE_UNIT : 1e9;
+    return new THREE.Vector3().copy(body.position).divideScalar(metersPerUnit);
+  }
+  
   /**
    * Set visibility of Lagrange points
    * @param {Boolean} visible - Whether points should be visible
@@ -0,0 +1,187 @@
+// SphereOfInfluenceVisualizer.js
+// Draws Hill spheres and Laplace spheres of influence, and flags bodies that pass into another body's sphere
+
+/**
+ * SphereOfInfluenceVisualizer class
+ * Draws each body's Hill sphere and Laplace sphere of influence around it as
+ * translucent shells, sized from its orbit around its dominant attractor (see
+ * OrbitalElements.influenceRadii). Inside the Hill sphere a moon can orbit
+ * the body stably; inside the sphere of influence the body's gravity, not its
+ * parent's, best describes the motion.
+ *
+ * Bodies inside another body's sphere of influence without being bound to it
+ * (OrbitalElements.sphereOfInfluenceIntrusions) are flagged: both bodies'
+ * shells turn the intrusion color and the intrusions are kept in
+ * `intrusions` for the info panel. They are worked out even while the shells
+ * are hidden.
+ *
+ * Shells are drawn to the scale of the orbits, so those smaller than a body's
+ * drawn size stay hidden inside it.
+ */
+class SphereOfInfluenceVisualizer {
+  /**
+   * Constructor for SphereOfInfluenceVisualizer
+   * @param {THREE.Scene} scene - Three.js scene to add the shells to
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.shells = new Map(); // Body ID -> { hill, soi } meshes
+    this.radii = new Map(); // Body ID -> { attractor, hill, soi } in m
+    this.intrusions = [];
+    this.visible = false;
+    this.lastRefresh = -Infinity;
+  }
+
+  /**
+   * Show or hide the shells
+   * @param {Boolean} visible - Whether to draw the shells
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    if (!visible) this.removeShells();
+    this.lastRefresh = -Infinity;
+  }
+
+  /**
+   * Recompute the spheres and intrusions and redraw the shells if shown
+   * @param {Array} objects - Celestial objects
+   * @param {Number} G - Gravitational constant
+   * @param {Number} now - Current real time in milliseconds, for rate limiting
+   */
+  update(objects = [], G = undefined, now = Date.now()) {
+    try {
+      const CONSTANTS = window.CONSTANTS || {};
+      const interval = CONSTANTS.SPHERE_OF_INFLUENCE_REFRESH_MS || 100;
+      if (now - this.lastRefresh < interval) return;
+      this.lastRefresh = now;
+
+      const OrbitalElements = window.OrbitalElements || require('../physics/orbitalElements');
+      const radii = new Map();
+      objects.forEach(obj => {
+        const influence = OrbitalElements.influenceRadii(obj, objects, G);
+        if (influence) radii.set(obj, influence);
+      });
+
+      this.intrusions = OrbitalElements.sphereOfInfluenceIntrusions(objects, G, radii);
+      this.radii = new Map([...radii].map(([obj, influence]) => [obj.id, influence]));
+
+      if (!this.visible) return;
+
+      const flagged = new Set();
+      this.intrusions.forEach(({ body, host }) => {
+        flagged.add(body.id);
+        flagged.add(host.id);
+      });
+
+      radii.forEach((influence, obj) => this.updateShells(obj, influence, flagged.has(obj.id)));
+
+      for (const id of [...this.shells.keys()]) {
+        if (!this.radii.has(id)) this.removeShell(id);
+      }
+    } catch (error) {
+      console.error('Error updating spheres of influence:', error);
+    }
+  }
+
+  /**
+   * Move and size one body's shells
+   * @param {Object} object - Celestial object
+   * @param {Object} influence - { hill, soi } in m
+   * @param {Boolean} flagged - Whether the body is part of an intrusion
+   */
+  updateShells(object, { hill, soi }, flagged) {
+    const CONSTANTS = window.CONSTANTS;
+    const colors = CONSTANTS.SPHERE_OF_INFLUENCE_COLORS;
+    const shells = this.shells.get(object.id) || this.createShells(object.id);
+
+    [[shells.hill, hill, colors.hill], [shells.soi, soi, flagged ? colors.intruded : colors.soi]]
+      .forEach(([mesh, radius, color]) => {
+        mesh.position.set(
+          CONSTANTS.metersToSceneUnits(object.position.x),
+          CONSTANTS.metersToSceneUnits(object.position.y),
+          CONSTANTS.metersToSceneUnits(object.position.z)
+        );
+        mesh.scale.setScalar(CONSTANTS.metersToSceneUnits(radius));
+        mesh.material.color.setHex(color);
+      });
+  }
+
+  /**
+   * Create the shells for a body
+   * @param {String} id - Body ID
+   * @returns {Object} { hill, soi } meshes, already in the scene
+   */
+  createShells(id) {
+    const THREE = window.THREE;
+
+    const shell = (name, opacity) => {
+      const material = new THREE.MeshBasicMaterial({
+        transparent: true,
+        opacity,
+        depthWrite: false
+      });
+      const mesh = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 16), material);
+      mesh.name = `${name}-${id}`;
+      this.scene.add(mesh);
+      return mesh;
+    };
+
+    const shells = {
+      hill: shell('hill-sphere', 0.12),
+      soi: shell('sphere-of-influence', 0.08)
+    };
+    this.shells.set(id, shells);
+    return shells;
+  }
+
+  /**
+   * Remove one body's shells from the scene and free their buffers
+   * @param {String} id - Body ID
+   */
+  removeShell(id) {
+    const shells = this.shells.get(id);
+    if (!shells) return;
+    Object.values(shells).forEach(mesh => {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    this.shells.delete(id);
+  }
+
+  /**
+   * Remove every shell from the scene
+   */
+  removeShells() {
+    for (const id of [...this.shells.keys()]) {
+      this.removeShell(id);
+    }
+  }
+
+  /**
+   * Intrusions a body is part of, as the intruder or the host
+   * @param {String} id - Body ID
+   * @returns {Array} [{ body, host, distance, soi }]
+   */
+  getIntrusions(id) {
+    return this.intrusions.filter(({ body, host }) => body.id === id || host.id === id);
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.removeShells();
+    this.radii.clear();
+    this.intrusions = [];
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.SphereOfInfluenceVisualizer = SphereOfInfluenceVisualizer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SphereOfInfluenceVisualizer;
+}
@@ -184,8 +184,10 @@ class CameraController {
         return;
       }
       
-      // Create a copy of the object's position
-      const targetPosition = this.followObject.position.clone();
+      // Follow the object in scene units (physics positions are in metres)
+      const targetPosition = this.followObject.getScenePosition ?
+        this.followObject.getScenePosition() :
+        this.followObject.position.clone();
       
       // Update the controls target to point at the object
       this.controls.target.lerp(targetPosition, this.followLerpFactor);
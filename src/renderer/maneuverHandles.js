@@ -0,0 +1,402 @@
+// maneuverHandles.js - Maneuver node markers and drag handles on predicted paths
+
+// Handle directions: component, sign and the color key in MANEUVER_COLORS
+const MANEUVER_HANDLE_AXES = [
+  { component: 'prograde', sign: 1 },
+  { component: 'prograde', sign: -1 },
+  { component: 'normal', sign: 1 },
+  { component: 'normal', sign: -1 },
+  { component: 'radial', sign: 1 },
+  { component: 'radial', sign: -1 }
+];
+
+// How close (in pixels) a click must be to the predicted path to place a node
+const MANEUVER_PICK_PIXELS = 12;
+
+/**
+ * Draws a spacecraft's maneuver nodes where they fall on its predicted path
+ * (see TrajectoryPredictor.describeNode) and, on the selected node, six
+ * arrows along its prograde, normal and radial directions. Dragging an arrow
+ * changes that delta-v component by MANEUVER_HANDLE_DV_PER_PIXEL for every
+ * pixel moved along it (a tenth of that with Shift held); clicking a node
+ * selects it, and while placing, clicking the path puts a node there. The
+ * handles only draw and report; the owner edits the nodes through the
+ * callbacks.
+ */
+class ManeuverHandles {
+  /**
+   * Create a new ManeuverHandles renderer
+   * @param {THREE.Scene} scene - Three.js scene to add the handles to
+   * @param {THREE.Camera} camera - Camera the scene is drawn with
+   * @param {HTMLElement} domElement - Canvas receiving the pointer events
+   * @param {Object} controls - Orbit controls to hold still while dragging
+   * @param {Object} callbacks - { onSelect(nodeId), onPlace(time),
+   *   onDrag(nodeId, component, value, finished) }
+   */
+  constructor(scene, camera, domElement, controls, { onSelect, onPlace, onDrag } = {}) {
+    const THREE = window.THREE;
+
+    this.scene = scene;
+    this.camera = camera;
+    this.domElement = domElement;
+    this.controls = controls;
+    this.onSelect = onSelect || (() => {});
+    this.onPlace = onPlace || (() => {});
+    this.onDrag = onDrag || (() => {});
+
+    this.group = new THREE.Group();
+    this.group.name = 'maneuver-handles';
+    this.scene.add(this.group);
+
+    this.markers = []; // Node marker meshes, with userData.nodeId
+    this.arrows = MANEUVER_HANDLE_AXES.map(axis => this.createArrow(axis));
+
+    this.path = null;
+    this.maneuvers = [];
+    this.selectedId = null;
+    this.editable = false;
+    this.placing = false;
+    this.drag = null;
+
+    this.raycaster = new THREE.Raycaster();
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    // Capture phase, so a grabbed handle can keep the orbit controls from rotating
+    this.domElement.addEventListener('pointerdown', this.onPointerDown, true);
+    this.domElement.addEventListener('pointermove', this.onPointerMove);
+    this.domElement.addEventListener('pointerup', this.onPointerUp);
+  }
+
+  /**
+   * Create one arrow handle, hidden until a node is selected
+   * @param {Object} axis - Entry of MANEUVER_HANDLE_AXES
+   * @returns {THREE.ArrowHelper} Arrow
+   */
+  createArrow(axis) {
+    const THREE = window.THREE;
+    const color = window.CONSTANTS.MANEUVER_COLORS[axis.component];
+    const arrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, color, 0.3, 0.15);
+    arrow.visible = false;
+    arrow.userData = { ...axis };
+    arrow.cone.userData = arrow.userData;
+    this.group.add(arrow);
+    return arrow;
+  }
+
+  /**
+   * Show a spacecraft's nodes
+   * @param {Object|null} path - The spacecraft's predicted path, or null to hide everything
+   * @param {Array} maneuvers - Its maneuver nodes
+   * @param {String|null} selectedId - Node to put the handles on
+   * @param {Boolean} editable - Whether the selected node can still be changed
+   */
+  update(path, maneuvers = [], selectedId = null, editable = true) {
+    try {
+      this.path = path;
+      this.maneuvers = maneuvers;
+      this.selectedId = selectedId;
+      this.editable = editable;
+
+      const nodes = path ? path.nodes || [] : [];
+      this.updateMarkers(nodes);
+
+      const selected = nodes.find(node => node.id === selectedId);
+      this.updateArrows(selected && selected.frame && editable ? selected : null);
+    } catch (error) {
+      console.error('Error updating maneuver handles:', error);
+    }
+  }
+
+  /**
+   * Put a marker on each node, sized to stay the same on screen
+   * @param {Array} nodes - Nodes from the predicted path
+   */
+  updateMarkers(nodes) {
+    const THREE = window.THREE;
+    const CONSTANTS = window.CONSTANTS;
+
+    while (this.markers.length < nodes.length) {
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(1, 12, 8),
+        new THREE.MeshBasicMaterial({ color: CONSTANTS.MANEUVER_COLORS.node })
+      );
+      this.group.add(marker);
+      this.markers.push(marker);
+    }
+
+    this.markers.forEach((marker, i) => {
+      const node = nodes[i];
+      marker.visible = !!node;
+      if (!node) return;
+
+      marker.userData.nodeId = node.id;
+      marker.position.copy(ManeuverHandles.toScene(node.position));
+      marker.scale.setScalar(this.getHandleLength(marker.position) * 0.15);
+      marker.material.color.setHex(node.id === this.selectedId ?
+        CONSTANTS.MANEUVER_COLORS.selected : CONSTANTS.MANEUVER_COLORS.node);
+    });
+  }
+
+  /**
+   * Point the arrows along the selected node's frame, or hide them
+   * @param {Object|null} node - Selected node from the predicted path
+   */
+  updateArrows(node) {
+    const THREE = window.THREE;
+
+    if (!node) {
+      this.arrows.forEach(arrow => { arrow.visible = false; });
+      return;
+    }
+
+    const origin = ManeuverHandles.toScene(node.position);
+    const length = this.getHandleLength(origin);
+    this.arrows.forEach(arrow => {
+      const { component, sign } = arrow.userData;
+      const direction = new THREE.Vector3(...node.frame[component]).multiplyScalar(sign);
+      arrow.position.copy(origin);
+      arrow.setDirection(direction);
+      arrow.setLength(length, length * 0.3, length * 0.15);
+      arrow.visible = true;
+    });
+  }
+
+  /**
+   * Handle length at a point, a fixed fraction of its distance from the camera
+   * @param {THREE.Vector3} point - Scene position
+   * @returns {Number} Length in scene units
+   */
+  getHandleLength(point) {
+    return this.camera.position.distanceTo(point) * window.CONSTANTS.MANEUVER_HANDLE_SIZE;
+  }
+
+  /**
+   * Wait for the next click on the path to place a node there
+   * @param {Boolean} placing - Whether to place on the next click
+   */
+  setPlacing(placing) {
+    this.placing = placing;
+    this.domElement.style.cursor = placing ? 'crosshair' : '';
+  }
+
+  /**
+   * Grab an arrow, select a node or place one
+   * @param {PointerEvent} event - Pointer event
+   */
+  onPointerDown(event) {
+    if (event.button !== 0 || !this.path) return;
+
+    try {
+      this.raycaster.setFromCamera(this.toDeviceCoordinates(event), this.camera);
+
+      const cones = this.arrows.filter(arrow => arrow.visible).map(arrow => arrow.cone);
+      const arrowHit = this.raycaster.intersectObjects(cones, false)[0];
+      if (arrowHit) {
+        this.startDrag(arrowHit.object.userData, event);
+        this.stopEvent(event);
+        return;
+      }
+
+      const markerHit = this.raycaster.intersectObjects(this.markers.filter(marker => marker.visible), false)[0];
+      if (markerHit) {
+        this.onSelect(markerHit.object.userData.nodeId);
+        this.stopEvent(event);
+        return;
+      }
+
+      if (this.placing) {
+        const time = this.pickPathTime(event);
+        if (time !== null) {
+          this.setPlacing(false);
+          this.onPlace(time);
+          this.stopEvent(event);
+        }
+      }
+    } catch (error) {
+      console.error('Error handling maneuver handle click:', error);
+    }
+  }
+
+  /**
+   * Start dragging an arrow of the selected node
+   * @param {Object} axis - { component, sign } of the arrow
+   * @param {PointerEvent} event - Pointer event
+   */
+  startDrag(axis, event) {
+    const node = this.path.nodes.find(candidate => candidate.id === this.selectedId);
+    const maneuver = this.maneuvers.find(candidate => candidate.id === this.selectedId);
+    if (!node || !maneuver) return;
+
+    // Direction the arrow points on screen, so dragging along it adds delta-v
+    const THREE = window.THREE;
+    const origin = ManeuverHandles.toScene(node.position);
+    const tip = origin.clone().add(
+      new THREE.Vector3(...node.frame[axis.component]).multiplyScalar(axis.sign * this.getHandleLength(origin))
+    );
+    const start = this.toScreen(origin);
+    const end = this.toScreen(tip);
+    const screenAxis = new THREE.Vector2(end.x - start.x, end.y - start.y);
+    if (screenAxis.lengthSq() === 0) {
+      screenAxis.set(1, 0);
+    }
+
+    this.drag = {
+      nodeId: node.id,
+      component: axis.component,
+      sign: axis.sign,
+      startValue: maneuver[axis.component],
+      pointer: { x: event.clientX, y: event.clientY },
+      screenAxis: screenAxis.normalize()
+    };
+
+    if (this.controls) {
+      this.controls.enabled = false;
+    }
+    if (this.domElement.setPointerCapture) {
+      this.domElement.setPointerCapture(event.pointerId);
+    }
+  }
+
+  /**
+   * Change the dragged component by the distance moved along the arrow
+   * @param {PointerEvent} event - Pointer event
+   */
+  onPointerMove(event) {
+    if (this.drag) {
+      this.onDrag(this.drag.nodeId, this.drag.component, this.getDragValue(event), false);
+    }
+  }
+
+  /**
+   * Finish a drag
+   * @param {PointerEvent} event - Pointer event
+   */
+  onPointerUp(event) {
+    if (!this.drag) return;
+
+    const { nodeId, component } = this.drag;
+    const value = this.getDragValue(event);
+    this.drag = null;
+    if (this.controls) {
+      this.controls.enabled = true;
+    }
+    this.onDrag(nodeId, component, value, true);
+  }
+
+  /**
+   * Delta-v component for the pointer's position during a drag
+   * @param {PointerEvent} event - Pointer event
+   * @returns {Number} New value in m/s
+   */
+  getDragValue(event) {
+    const { startValue, sign, pointer, screenAxis } = this.drag;
+    const pixels = (event.clientX - pointer.x) * screenAxis.x + (event.clientY - pointer.y) * screenAxis.y;
+    const rate = window.CONSTANTS.MANEUVER_HANDLE_DV_PER_PIXEL * (event.shiftKey ? 0.1 : 1);
+    return Math.round((startValue + sign * pixels * rate) * 10) / 10;
+  }
+
+  /**
+   * Time of the predicted-path sample nearest a click, if it is close enough
+   * @param {PointerEvent} event - Pointer event
+   * @returns {Number|null} Simulated seconds, or null if the click missed the path
+   */
+  pickPathTime(event) {
+    const path = this.path;
+    const rect = this.domElement.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    let best = null;
+    let bestDistance = MANEUVER_PICK_PIXELS;
+
+    // The first sample is the spacecraft itself; nodes go ahead of it
+    for (let k = 1; k < path.count; k++) {
+      const point = this.toScreen(ManeuverHandles.toScene({
+        x: path.positions[k * 3],
+        y: path.positions[k * 3 + 1],
+        z: path.positions[k * 3 + 2]
+      }));
+      const distance = Math.hypot(point.x - x, point.y - y);
+      if (point.visible && distance < bestDistance) {
+        bestDistance = distance;
+        best = k;
+      }
+    }
+
+    return best === null ? null : path.startTime + best * path.dt;
+  }
+
+  /**
+   * Normalized device coordinates of a pointer event
+   * @param {PointerEvent} event - Pointer event
+   * @returns {THREE.Vector2} Coordinates in [-1, 1]
+   */
+  toDeviceCoordinates(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    return new window.THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+  }
+
+  /**
+   * Pixel position of a scene point on the canvas
+   * @param {THREE.Vector3} point - Scene position
+   * @returns {Object} { x, y, visible } with visible false behind the camera
+   */
+  toScreen(point) {
+    const rect = this.domElement.getBoundingClientRect();
+    const projected = point.clone().project(this.camera);
+    return {
+      x: (projected.x + 1) / 2 * rect.width,
+      y: (1 - projected.y) / 2 * rect.height,
+      visible: projected.z < 1
+    };
+  }
+
+  /**
+   * Keep an event the handles used from reaching the orbit controls
+   * @param {PointerEvent} event - Pointer event
+   */
+  stopEvent(event) {
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  }
+
+  /**
+   * Scene position of a point in metres
+   * @param {Object} position - { x, y, z } in m
+   * @returns {THREE.Vector3} Position in scene units
+   */
+  static toScene(position) {
+    const toScene = window.CONSTANTS.metersToSceneUnits;
+    return new window.THREE.Vector3(toScene(position.x), toScene(position.y), toScene(position.z));
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.domElement.removeEventListener('pointerdown', this.onPointerDown, true);
+    this.domElement.removeEventListener('pointermove', this.onPointerMove);
+    this.domElement.removeEventListener('pointerup', this.onPointerUp);
+    this.setPlacing(false);
+
+    this.markers.forEach(marker => {
+      marker.geometry.dispose();
+      marker.material.dispose();
+    });
+    this.arrows.forEach(arrow => arrow.dispose && arrow.dispose());
+    this.scene.remove(this.group);
+    this.markers = [];
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.ManeuverHandles = ManeuverHandles;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ManeuverHandles;
+}
@@ -0,0 +1,205 @@
+// orbitLines.js - Draws each body's orbit as a trail or as its osculating conic
+
+/**
+ * Draws orbit lines in one of two modes:
+ *
+ * - 'trail': each body's recorded trail of past positions
+ *   (CelestialObject.createOrbitLine), which only shows ground already covered.
+ *   A trail's line is only rebuilt when the trail has changed.
+ * - 'osculating': the full conic of each body's osculating orbit around its
+ *   dominant attractor, computed from the current state vector and drawn
+ *   around the attractor's current position. Bound orbits are closed
+ *   ellipses; open ones are the hyperbola (or parabola) branch the body is on.
+ *
+ * Conic lines are colored from CONSTANTS.ORBIT_COLORS by object type and are
+ * redrawn in place, at most every ORBIT_LINE_REFRESH_MS.
+ */
+class OrbitLines {
+  /**
+   * Create a new OrbitLines renderer
+   * @param {THREE.Scene} scene - Three.js scene to add the lines to
+   * @param {Object} options - Options
+   * @param {String} options.mode - 'trail' or 'osculating'
+   */
+  constructor(scene, { mode = (window.CONSTANTS || {}).DEFAULT_ORBIT_LINE_MODE || 'trail' } = {}) {
+    this.scene = scene;
+    this.lines = new Map(); // Body ID -> THREE.Line of its conic
+    this.lastRefresh = -Infinity;
+    this.setMode(mode);
+  }
+
+  /**
+   * Switch between trails and osculating conics
+   * @param {String} mode - 'trail' or 'osculating'
+   */
+  setMode(mode) {
+    const modes = (window.CONSTANTS || {}).ORBIT_LINE_MODES || ['trail', 'osculating'];
+    if (!modes.includes(mode)) {
+      throw new Error(`Unknown orbit line mode: ${mode}`);
+    }
+    this.mode = mode;
+    this.lastRefresh = -Infinity; // Redraw on the next update
+  }
+
+  /**
+   * Redraw the orbit lines for the current mode
+   * @param {Object} physics - Simulator, for G
+   * @param {Array} objects - Celestial objects
+   * @param {Number} now - Current real time in milliseconds, for rate limiting
+   */
+  update(physics, objects = [], now = Date.now()) {
+    try {
+      const interval = (window.CONSTANTS || {}).ORBIT_LINE_REFRESH_MS || 100;
+      if (now - this.lastRefresh < interval) return;
+      this.lastRefresh = now;
+
+      if (this.mode === 'trail') {
+        this.removeLines();
+        objects.forEach(object => {
+          if (typeof object.createOrbitLine !== 'function') return;
+          if (object.orbitLineVersion !== object.orbitTrailVersion) {
+            object.createOrbitLine(this.scene);
+          }
+          if (object.orbitLine) object.orbitLine.visible = true;
+        });
+        return;
+      }
+
+      // Hide the trails while the conics are shown
+      objects.forEach(object => {
+        if (object.orbitLine) object.orbitLine.visible = false;
+      });
+
+      const G = physics && physics.G;
+      const seen = new Set();
+      objects.forEach(object => {
+        if (this.updateConic(object, objects, G)) seen.add(object.id);
+      });
+
+      for (const id of [...this.lines.keys()]) {
+        if (!seen.has(id)) this.removeLine(id);
+      }
+    } catch (error) {
+      console.error('Error updating orbit lines:', error);
+    }
+  }
+
+  /**
+   * Draw one body's osculating conic around its dominant attractor
+   * @param {Object} object - Body to draw
+   * @param {Array} objects - All bodies
+   * @param {Number} G - Gravitational constant
+   * @returns {Boolean} Whether the body has a conic to draw
+   */
+  updateConic(object, objects, G) {
+    const CONSTANTS = window.CONSTANTS;
+    const OrbitalElements = window.OrbitalElements || require('../physics/orbitalElements');
+
+    const elements = object.velocity ? OrbitalElements.osculatingElements(object, objects, G) : null;
+    if (!elements || !(elements.periapsis > 0) || !isFinite(elements.e)) return false;
+
+    // Open orbits run out past the body's current distance
+    const { attractor } = elements;
+    const distance = Math.sqrt(
+      (object.position.x - attractor.position.x) ** 2 +
+      (object.position.y - attractor.position.y) ** 2 +
+      (object.position.z - attractor.position.z) ** 2
+    );
+    const points = OrbitalElements.conicPoints(elements, {
+      segments: CONSTANTS.ORBIT_SEGMENTS,
+      maxRadius: distance * CONSTANTS.ORBIT_UNBOUND_EXTENT
+    });
+
+    const line = this.lines.get(object.id) || this.createLine(object.id, points.length / 3);
+    const attribute = line.geometry.getAttribute('position');
+    const center = [attractor.position.x, attractor.position.y, attractor.position.z];
+    for (let k = 0; k < points.length; k++) {
+      attribute.array[k] = CONSTANTS.metersToSceneUnits(points[k] + center[k % 3]);
+    }
+    attribute.needsUpdate = true;
+    line.geometry.computeBoundingSphere();
+
+    line.material.color.setHex(CONSTANTS.ORBIT_COLORS[OrbitLines.getOrbitColorKey(object)]);
+    line.visible = true;
+    return true;
+  }
+
+  /**
+   * Create the line for a body's conic
+   * @param {String} id - Body ID
+   * @param {Number} count - Points along the conic
+   * @returns {THREE.Line} The new line, already in the scene
+   */
+  createLine(id, count) {
+    const THREE = window.THREE;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    const material = new THREE.LineBasicMaterial({ opacity: 0.5, transparent: true });
+    const line = new THREE.Line(geometry, material);
+
+    line.name = `osculating-orbit-${id}`;
+    this.scene.add(line);
+    this.lines.set(id, line);
+    return line;
+  }
+
+  /**
+   * Remove one body's conic from the scene and free its buffers
+   * @param {String} id - Body ID
+   */
+  removeLine(id) {
+    const line = this.lines.get(id);
+    if (!line) return;
+    this.scene.remove(line);
+    line.geometry.dispose();
+    line.material.dispose();
+    this.lines.delete(id);
+  }
+
+  /**
+   * Remove every conic from the scene
+   */
+  removeLines() {
+    for (const id of [...this.lines.keys()]) {
+      this.removeLine(id);
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.removeLines();
+  }
+
+  /**
+   * Key into CONSTANTS.ORBIT_COLORS for a body, from the type chosen when it
+   * was added ('planet', 'moon', ...) or the descriptive type in the system data
+   * ('Gas Giant', 'Dwarf Planet', 'Natural Satellite', ...)
+   * @param {Object} object - Celestial object
+   * @returns {String} 'star', 'planet', 'dwarf_planet', 'moon', 'asteroid',
+   *   'comet' or 'spacecraft'
+   */
+  static getOrbitColorKey(object) {
+    if (object.isStar) return 'star';
+    if (object.type === 'spacecraft') return 'spacecraft';
+
+    const type = String(object.type || (object.visualOptions && object.visualOptions.type) || '').toLowerCase();
+    if (type.includes('dwarf')) return 'dwarf_planet';
+    if (type.includes('moon') || type.includes('satellite')) return 'moon';
+    if (type.includes('asteroid')) return 'asteroid';
+    if (type.includes('comet')) return 'comet';
+    if (type.includes('star')) return 'star';
+    return 'planet';
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.OrbitLines = OrbitLines;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OrbitLines;
+}
@@ -0,0 +1,210 @@
+// shadowCones.js - Draws the umbra and penumbra cast by planets and moons
+
+/**
+ * Draws the shadow of every body that can eclipse another (see
+ * EclipsePredictor.findPairs) as translucent cones pointing away from the
+ * star: the umbra narrowing toward its apex (and the antumbra opening past
+ * it) inside the wider penumbra. Cones keep the true opening angles set by
+ * the star's and the occulter's radii but start at the occulter's drawn size,
+ * since bodies are drawn far larger than their orbits' scale. Each cone runs
+ * past the farthest target its shadow is headed for, and is highlighted while
+ * a target is inside it.
+ */
+class ShadowCones {
+  /**
+   * Create a new ShadowCones renderer
+   * @param {THREE.Scene} scene - Three.js scene to add the cones to
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.cones = new Map(); // Occulter ID -> { umbra, antumbra, penumbra } meshes
+    this.visible = true;
+    this.lastRefresh = -Infinity;
+  }
+
+  /**
+   * Show or hide the cones
+   * @param {Boolean} visible - Whether to draw the cones
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    if (!visible) this.removeCones();
+    this.lastRefresh = -Infinity;
+  }
+
+  /**
+   * Redraw the cones for the bodies' current positions
+   * @param {Array} objects - Celestial objects
+   * @param {Number} now - Current real time in milliseconds, for rate limiting
+   */
+  update(objects = [], now = Date.now()) {
+    try {
+      if (!this.visible) return;
+
+      const interval = (window.CONSTANTS || {}).SHADOW_CONE_REFRESH_MS || 100;
+      if (now - this.lastRefresh < interval) return;
+      this.lastRefresh = now;
+
+      const EclipsePredictor = window.EclipsePredictor || require('../physics/eclipsePredictor');
+      const state = { byId: new Map(objects.map(obj => [obj.id, { position: obj.position }])) };
+      const radii = new Map(objects.map(obj => [obj.id, (obj.radius || 0) * 1000]));
+
+      // Longest reach and whether a target is in the shadow, per occulter
+      const shadows = new Map();
+      EclipsePredictor.findPairs(objects).forEach(pair => {
+        const geometry = EclipsePredictor.shadowGeometry(pair, state, radii);
+        if (geometry.behind <= 0) return;
+
+        const shadow = shadows.get(pair.occulterId) || { pair, geometry, reach: 0, active: false };
+        shadow.reach = Math.max(shadow.reach, geometry.behind);
+        shadow.active = shadow.active || geometry.rho < geometry.penumbra + radii.get(pair.targetId);
+        shadows.set(pair.occulterId, shadow);
+      });
+
+      shadows.forEach((shadow, id) => {
+        const occulter = objects.find(obj => obj.id === id);
+        this.updateCone(occulter, shadow, radii);
+      });
+
+      for (const id of [...this.cones.keys()]) {
+        if (!shadows.has(id)) this.removeCone(id);
+      }
+    } catch (error) {
+      console.error('Error updating shadow cones:', error);
+    }
+  }
+
+  /**
+   * Draw one occulter's umbra, antumbra and penumbra
+   * @param {Object} occulter - Celestial object casting the shadow
+   * @param {Object} shadow - { pair, geometry, reach, active }
+   * @param {Map} radii - Body ID -> radius in m
+   */
+  updateCone(occulter, { pair, geometry, reach, active }, radii) {
+    const THREE = window.THREE;
+    const CONSTANTS = window.CONSTANTS;
+
+    const lightRadius = radii.get(pair.lightId);
+    const occulterRadius = radii.get(pair.occulterId);
+    const umbraSlope = (lightRadius - occulterRadius) / geometry.lightDistance;
+    const penumbraSlope = (lightRadius + occulterRadius) / geometry.lightDistance;
+
+    const base = typeof occulter.getDisplayRadius === 'function'
+      ? occulter.getDisplayRadius()
+      : CONSTANTS.metersToSceneUnits(occulterRadius);
+    const length = CONSTANTS.metersToSceneUnits(reach) + 2 * base;
+    const apex = umbraSlope > 0 ? base / umbraSlope : Infinity;
+
+    const cone = this.cones.get(occulter.id) || this.createCone(occulter.id);
+    const axis = new THREE.Vector3(geometry.axis.x, geometry.axis.y, geometry.axis.z);
+    const origin = new THREE.Vector3(
+      CONSTANTS.metersToSceneUnits(occulter.position.x),
+      CONSTANTS.metersToSceneUnits(occulter.position.y),
+      CONSTANTS.metersToSceneUnits(occulter.position.z)
+    );
+
+    const umbraLength = Math.min(length, apex);
+    placeFrustum(cone.umbra, origin, axis, 0, umbraLength, base, base - umbraLength * umbraSlope);
+    placeFrustum(cone.penumbra, origin, axis, 0, length, base, base + length * penumbraSlope);
+    cone.antumbra.visible = apex < length;
+    if (cone.antumbra.visible) {
+      placeFrustum(cone.antumbra, origin, axis, apex, length, 0, (length - apex) * umbraSlope);
+    }
+
+    const colors = CONSTANTS.SHADOW_CONE_COLORS;
+    cone.umbra.material.color.setHex(active ? colors.active : colors.umbra);
+    cone.antumbra.material.color.setHex(active ? colors.active : colors.umbra);
+    cone.penumbra.material.color.setHex(colors.penumbra);
+  }
+
+  /**
+   * Create the meshes for an occulter's shadow
+   * @param {String} id - Occulter ID
+   * @returns {Object} { umbra, antumbra, penumbra }, already in the scene
+   */
+  createCone(id) {
+    const THREE = window.THREE;
+
+    const mesh = (name, opacity) => {
+      const material = new THREE.MeshBasicMaterial({
+        transparent: true,
+        opacity,
+        side: THREE.DoubleSide,
+        depthWrite: false
+      });
+      const cone = new THREE.Mesh(new THREE.BufferGeometry(), material);
+      cone.name = `${name}-${id}`;
+      this.scene.add(cone);
+      return cone;
+    };
+
+    const cone = {
+      umbra: mesh('umbra', 0.35),
+      antumbra: mesh('antumbra', 0.35),
+      penumbra: mesh('penumbra', 0.12)
+    };
+    this.cones.set(id, cone);
+    return cone;
+  }
+
+  /**
+   * Remove one occulter's shadow from the scene and free its buffers
+   * @param {String} id - Occulter ID
+   */
+  removeCone(id) {
+    const cone = this.cones.get(id);
+    if (!cone) return;
+    Object.values(cone).forEach(mesh => {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    this.cones.delete(id);
+  }
+
+  /**
+   * Remove every shadow from the scene
+   */
+  removeCones() {
+    for (const id of [...this.cones.keys()]) {
+      this.removeCone(id);
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.removeCones();
+  }
+}
+
+/**
+ * Reshape a mesh into an open frustum along an axis
+ * @param {THREE.Mesh} mesh - Mesh to reshape
+ * @param {THREE.Vector3} origin - Start of the axis, in scene units
+ * @param {THREE.Vector3} axis - Unit direction
+ * @param {Number} from - Distance along the axis where the frustum starts
+ * @param {Number} to - Distance where it ends
+ * @param {Number} nearRadius - Radius at `from`
+ * @param {Number} farRadius - Radius at `to`
+ */
+function placeFrustum(mesh, origin, axis, from, to, nearRadius, farRadius) {
+  const THREE = window.THREE;
+
+  // CylinderGeometry runs along +y with the top radius first
+  mesh.geometry.dispose();
+  mesh.geometry = new THREE.CylinderGeometry(Math.max(0, farRadius), Math.max(0, nearRadius), to - from, 32, 1, true);
+  mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), axis);
+  mesh.position.copy(origin).addScaledVector(axis, (from + to) / 2);
+  mesh.visible = true;
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.ShadowCones = ShadowCones;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ShadowCones;
+}
@@ -0,0 +1,123 @@
+// testParticleCloud.js - Draws the massless test particles as one point cloud
+
+/**
+ * Renders every test particle as a point of a single THREE.Points object, so
+ * tens of thousands of asteroids cost one draw call instead of a sphere mesh
+ * each. The position buffer grows as needed and only the particles in use
+ * are drawn.
+ */
+class TestParticleCloud {
+  /**
+   * Create a new TestParticleCloud
+   * @param {THREE.Scene} scene - Three.js scene to add the cloud to
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.visible = true;
+    this.points = null;
+    this.capacity = 0;
+  }
+
+  /**
+   * Copy the particle positions into the cloud
+   * @param {TestParticleSet} particles - Particles from the simulator
+   */
+  update(particles) {
+    try {
+      const count = particles ? particles.count : 0;
+      if (count === 0) {
+        if (this.points) this.points.visible = false;
+        return;
+      }
+
+      if (count > this.capacity) {
+        this.createPoints(count);
+      }
+
+      const CONSTANTS = window.CONSTANTS;
+      const attribute = this.points.geometry.getAttribute('position');
+      const array = attribute.array;
+      const source = particles.positions;
+      for (let k = 0; k < count * 3; k++) {
+        array[k] = CONSTANTS.metersToSceneUnits(source[k]);
+      }
+
+      attribute.needsUpdate = true;
+      this.points.geometry.setDrawRange(0, count);
+      this.points.visible = this.visible;
+    } catch (error) {
+      console.error('Error updating test particle cloud:', error);
+    }
+  }
+
+  /**
+   * Replace the points object with one that holds at least `count` particles
+   * @param {Number} count - Particles to make room for
+   */
+  createPoints(count) {
+    const THREE = window.THREE;
+    const CONSTANTS = window.CONSTANTS;
+
+    this.removePoints();
+
+    // Leave headroom so adding a few more particles doesn't reallocate
+    this.capacity = Math.max(count, Math.min(CONSTANTS.MAX_TEST_PARTICLES, this.capacity * 2));
+
+    const geometry = new THREE.BufferGeometry();
+    const attribute = new THREE.BufferAttribute(new Float32Array(this.capacity * 3), 3);
+    attribute.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('position', attribute);
+
+    const material = new THREE.PointsMaterial({
+      color: CONSTANTS.TEST_PARTICLE_COLOR,
+      size: CONSTANTS.TEST_PARTICLE_SIZE,
+      sizeAttenuation: false
+    });
+
+    this.points = new THREE.Points(geometry, material);
+    this.points.name = 'test-particles';
+    // The bounding sphere would go stale as the particles move
+    this.points.frustumCulled = false;
+    this.scene.add(this.points);
+  }
+
+  /**
+   * Show or hide the cloud
+   * @param {Boolean} visible - Whether the particles should be drawn
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    if (this.points) {
+      this.points.visible = visible;
+    }
+  }
+
+  /**
+   * Remove the points object from the scene and free its buffers
+   */
+  removePoints() {
+    if (!this.points) return;
+
+    this.scene.remove(this.points);
+    this.points.geometry.dispose();
+    this.points.material.dispose();
+    this.points = null;
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.removePoints();
+    this.capacity = 0;
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.TestParticleCloud = TestParticleCloud;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TestParticleCloud;
+}
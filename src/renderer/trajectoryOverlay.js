@@ -0,0 +1,116 @@
+// trajectoryOverlay.js - Draws predicted future paths as dashed lines
+
+/**
+ * Draws each path from a TrajectoryPredictor as a dashed line in the body's
+ * color, so the future path reads differently from the solid orbit trail.
+ * Lines are rebuilt only when the predictor recomputes; in between, the part
+ * of each path the clock has already passed is skipped with a draw range.
+ */
+class TrajectoryOverlay {
+  /**
+   * Create a new TrajectoryOverlay
+   * @param {THREE.Scene} scene - Three.js scene to add the lines to
+   * @param {TrajectoryPredictor} predictor - Source of the predicted paths
+   */
+  constructor(scene, predictor) {
+    this.scene = scene;
+    this.predictor = predictor;
+    this.lines = new Map(); // Body ID -> THREE.Line
+    this.revision = -1;
+  }
+
+  /**
+   * Refresh the predictions if needed and move the start of each line to the
+   * current time
+   * @param {Object} physics - Simulator the predictions are made from
+   * @param {Array} objects - Celestial objects, for their colors
+   */
+  update(physics, objects = []) {
+    try {
+      this.predictor.update(physics);
+
+      if (this.predictor.revision !== this.revision) {
+        this.rebuild(objects);
+        this.revision = this.predictor.revision;
+      }
+
+      // Hide the part of each path that is already in the past
+      const simTime = physics.simTime || 0;
+      for (const [id, line] of this.lines) {
+        const path = this.predictor.paths.get(id);
+        const passed = Math.floor((simTime - path.startTime) / path.dt);
+        const start = Math.max(0, Math.min(path.count - 2, passed));
+        line.geometry.setDrawRange(start, path.count - start);
+      }
+    } catch (error) {
+      console.error('Error updating predicted trajectories:', error);
+    }
+  }
+
+  /**
+   * Replace the lines with the predictor's current paths
+   * @param {Array} objects - Celestial objects, for their colors
+   */
+  rebuild(objects) {
+    const THREE = window.THREE;
+    const CONSTANTS = window.CONSTANTS;
+
+    this.removeLines();
+
+    for (const [id, path] of this.predictor.paths) {
+      if (path.count < 2) continue;
+
+      const vertices = new Float32Array(path.count * 3);
+      for (let k = 0; k < path.count * 3; k++) {
+        vertices[k] = CONSTANTS.metersToSceneUnits(path.positions[k]);
+      }
+
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
+
+      const object = objects.find(candidate => candidate.id === id);
+      const color = object ? (object.visualOptions && object.visualOptions.orbitColor) || object.color : 0xffffff;
+      const material = new THREE.LineDashedMaterial({ color, opacity: 0.8, transparent: true });
+      const line = new THREE.Line(geometry, material);
+
+      // Size the dashes to the path so they look alike at any scale
+      line.computeLineDistances();
+      const distances = geometry.getAttribute('lineDistance');
+      const dash = distances.getX(distances.count - 1) / (2 * CONSTANTS.PREDICTION_DASHES) || 1;
+      material.dashSize = dash;
+      material.gapSize = dash;
+
+      line.name = `predicted-trajectory-${id}`;
+      this.scene.add(line);
+      this.lines.set(id, line);
+    }
+  }
+
+  /**
+   * Remove every line from the scene and free its buffers
+   */
+  removeLines() {
+    for (const line of this.lines.values()) {
+      this.scene.remove(line);
+      line.geometry.dispose();
+      line.material.dispose();
+    }
+    this.lines.clear();
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.removeLines();
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.TrajectoryOverlay = TrajectoryOverlay;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TrajectoryOverlay;
+}
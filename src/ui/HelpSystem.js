@@ -100,7 +100,9 @@ class HelpSystem {
         <ul>
           <li><strong>Play/Pause:</strong> Space bar or Play/Pause button</li>
           <li><strong>Increase Speed:</strong> Up arrow or "+" button</li>
-          <li><strong>Decrease Speed:</strong> Down arrow or "-" button</li>
+          <li><strong>Decrease Speed:</strong> Down arrow or "-" button; below zero the simulation runs backward</li>
+          <li><strong>Reverse Time:</strong> B key or "⇆" button</li>
+          <li><strong>Record and Replay:</strong> "●" records body states every recording interval; drag the timeline or press "▶" to replay them, "[" and "]" mark a loop range, "Live" (or Play) returns to the running simulation and "⤓" exports the recording</li>
         </ul>
         
         <h4>Keyboard Shortcuts</h4>
@@ -180,6 +182,16 @@ class HelpSystem {
           <li><strong>N-body Simulation:</strong> All objects exert gravitational forces on each other</li>
           <li><strong>Barnes-Hut Algorithm:</strong> Optimized gravity calculation for many objects</li>
           <li><strong>Adaptive Time Steps:</strong> Maintains stability at high time scales</li>
+          <li><strong>General Relativity (optional):</strong> The GR toggle adds the post-Newtonian term that makes Mercury's perihelion advance an extra 43″ per century; measure it with the Precession panel</li>
+          <li><strong>Predicted Trajectories:</strong> Tick "Show" under Predicted Trajectory in the info panel to draw a body's future path as a dashed line, a number of orbits or days ahead; it updates as the system changes</li>
+          <li><strong>Orbit Lines:</strong> Choose "Osculating orbits" in the orbit line selector to draw each body's full current orbit around its parent (an ellipse, or a hyperbola for escaping bodies) instead of its trail, colored by body type</li>
+          <li><strong>Events:</strong> The Events button lists close approaches, periapsis and apoapsis passages, conjunctions and oppositions, and orbit crossings as they happen; click an entry to go to that moment</li>
+          <li><strong>Eclipses:</strong> The Eclipses button predicts solar and lunar eclipses and planetary transits with their type; the shadow cones show where each body's umbra and penumbra fall</li>
+          <li><strong>Spheres of Influence:</strong> Tick "SOI" to draw each body's Hill sphere and sphere of influence; the info panel lists their radii, and a sphere turns red while an unbound body passes through it</li>
+          <li><strong>Missions:</strong> The Missions button plans a Hohmann or bi-elliptic transfer between two bodies, with the delta-v, flight time and next launch window; Launch goes to the window and sends a spacecraft on its way</li>
+          <li><strong>Maneuver nodes:</strong> Selecting a spacecraft opens its maneuver panel; Place node puts a node on the predicted path, and the arrows on it drag the prograde, normal and radial delta-v of a burn the engine then flies</li>
+          <li><strong>Porkchop:</strong> The Porkchop button plots the launch C3 and arrival v∞ between two planets over a range of departure dates and flight times; clicking a cell goes to that date and sends a spacecraft on the transfer</li>
+          <li><strong>Test Particles:</strong> The Particles panel scatters massless particles (an asteroid belt, a debris ring) that feel gravity but exert none, so tens of thousands stay cheap; particles that hit a body disappear when collisions are on</li>
         </ul>
         
         <h4>The Gravity Equation</h4>
@@ -197,10 +209,11 @@ class HelpSystem {
         <h4>Limitations</h4>
         <p>Be aware of these physical model limitations:</p>
         <ul>
-          <li>Relativistic effects are not modeled</li>
+          <li>Relativity is limited to the optional GR toggle: a first-order correction from the heaviest body only</li>
           <li>Tidal forces are simplified</li>
-          <li>Collision physics are basic</li>
-          <li>Radiation pressure is not included</li>
+          <li>Planets and the Moon are oblate (J2, and J3/J4 where known) about fixed spin axes; the bulges do not precess or respond to tides</li>
+          <li>Colliding bodies either merge or bounce; fragmentation is not modeled</li>
+          <li>Radiation pressure, comet outgassing and atmospheric drag only act on bodies they are enabled for in the Add Object dialog, and ignore shadows and atmospheric rotation</li>
         </ul>
       `,
       ['physics', 'gravity', 'simulation', 'forces', 'newton', 'barnes-hut'],
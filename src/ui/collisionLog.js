@@ -0,0 +1,362 @@
+// collisionLog.js - Scene flash, log panel and body bookkeeping for collisions
+
+const COLLISION_FLASH_MS = 1200; // Duration of the flash in the scene
+const COLLISION_LOG_LIMIT = 50; // Entries kept in the log panel
+
+/**
+ * Reacts to collision events from the physics: removes merged bodies from
+ * the scene, resizes the survivor, flashes the impact site, adds a log entry
+ * and refreshes the body count
+ */
+class CollisionLog {
+  /**
+   * Create a new CollisionLog
+   * @param {Object} app - Reference to the main application
+   */
+  constructor(app) {
+    this.app = app;
+    this.entries = [];
+    this.flashes = [];
+
+    this.createUI();
+    this.app.physics.onCollision((event) => this.handleCollision(event));
+  }
+
+  /**
+   * Create the log panel (hidden until the first collision)
+   */
+  createUI() {
+    this.container = document.createElement('div');
+    this.container.className = 'collision-log hidden';
+
+    const header = document.createElement('div');
+    header.className = 'collision-log-header';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Collisions';
+    header.appendChild(title);
+
+    const clearButton = document.createElement('button');
+    clearButton.textContent = 'Clear';
+    clearButton.title = 'Clear the collision log';
+    clearButton.addEventListener('click', () => this.clear());
+    header.appendChild(clearButton);
+
+    this.container.appendChild(header);
+
+    this.list = document.createElement('ul');
+    this.container.appendChild(this.list);
+
+    document.body.appendChild(this.container);
+    this.addStyles();
+  }
+
+  /**
+   * Add CSS styles for the log panel
+   */
+  addStyles() {
+    let styleEl = document.getElementById('collision-log-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'collision-log-styles';
+      document.head.appendChild(styleEl);
+    }
+
+    styleEl.textContent = `
+      .collision-log {
+        position: fixed;
+        right: 10px;
+        bottom: 60px;
+        width: 300px;
+        max-height: 220px;
+        display: flex;
+        flex-direction: column;
+        padding: 8px 10px;
+        background-color: rgba(20, 20, 30, 0.9);
+        border: 1px solid #444;
+        border-radius: 5px;
+        color: #ccc;
+        font-size: 12px;
+        z-index: 100;
+      }
+
+      .collision-log.hidden {
+        display: none;
+      }
+
+      .collision-log-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 6px;
+      }
+
+      .collision-log-header h3 {
+        margin: 0;
+        font-size: 14px;
+        color: #fff;
+      }
+
+      .collision-log-header button {
+        padding: 2px 8px;
+        font-size: 11px;
+      }
+
+      .collision-log ul {
+        margin: 0;
+        padding: 0;
+        list-style: none;
+        overflow-y: auto;
+      }
+
+      .collision-log li {
+        padding: 3px 0;
+        border-bottom: 1px solid #333;
+      }
+
+      .collision-log li.new {
+        animation: collision-log-highlight 1.5s ease-out;
+      }
+
+      .collision-log time {
+        display: block;
+        font-family: monospace;
+        color: #888;
+      }
+
+      @keyframes collision-log-highlight {
+        from { background-color: rgba(255, 160, 60, 0.35); }
+        to { background-color: transparent; }
+      }
+    `;
+  }
+
+  /**
+   * Handle a collision event from the physics
+   * @param {Object} event - Collision event (see GravitySimulator.onCollision)
+   */
+  handleCollision(event) {
+    try {
+      const [first, second] = event.bodies.map(id => this.findObject(id));
+      const names = [first, second].map((object, i) => (object ? object.name : event.bodies[i]));
+
+      let text;
+      if (event.mode === 'merge') {
+        const survivor = this.findObject(event.survivorId);
+        const removed = this.findObject(event.removedId);
+        text = `${removed ? removed.name : event.removedId} merged into ` +
+          `${survivor ? survivor.name : event.survivorId}`;
+
+        if (survivor) {
+          this.resizeMesh(survivor, event.radiusBefore);
+        }
+        if (removed) {
+          this.removeObject(removed, survivor);
+        }
+      } else {
+        text = `${names[0]} and ${names[1]} bounced`;
+      }
+
+      this.flash(event.position, first || second);
+      this.addEntry(`${text} at ${(event.relativeSpeed / 1000).toFixed(1)} km/s`, event.time);
+      this.updateBodyCount();
+    } catch (error) {
+      console.error('Error handling collision:', error);
+    }
+  }
+
+  /**
+   * Find a scene object by ID
+   * @param {String} id - Object ID
+   * @returns {Object|undefined} The object
+   */
+  findObject(id) {
+    return (this.app.objects || []).find(object => object.id === id);
+  }
+
+  /**
+   * Scale a body's mesh after its radius changed
+   * @param {Object} object - Body whose radius changed
+   * @param {Number} radiusBefore - Previous radius in km
+   */
+  resizeMesh(object, radiusBefore) {
+    if (!object.mesh || typeof object.getDisplayRadius !== 'function' || !(radiusBefore > 0)) return;
+
+    const before = object.getDisplayRadius.call({ ...object, radius: radiusBefore });
+    const after = object.getDisplayRadius();
+    if (before > 0 && after > 0) {
+      object.mesh.scale.multiplyScalar(after / before);
+    }
+  }
+
+  /**
+   * Remove a body absorbed in a merger from the scene and the app
+   * @param {Object} object - Body to remove
+   * @param {Object} survivor - Body it merged into
+   */
+  removeObject(object, survivor) {
+    const app = this.app;
+
+    // Keep following and showing the merged body
+    const controls = app.cameraControls;
+    if (controls && controls.followMode && controls.followObject === object) {
+      if (survivor && typeof controls.followCelestialObject === 'function') {
+        controls.followCelestialObject(survivor);
+      } else if (typeof controls.disableFollowMode === 'function') {
+        controls.disableFollowMode();
+      }
+    }
+    if (app.selectedObjectId === object.id) {
+      app.selectedObjectId = survivor ? survivor.id : null;
+      if (typeof app.updateSelectedObjectInfo === 'function') {
+        app.updateSelectedObjectInfo();
+      }
+    }
+
+    ['mesh', 'orbitLine', 'light'].forEach(key => {
+      if (object[key] && object[key].parent) {
+        object[key].parent.remove(object[key]);
+      }
+    });
+    if (typeof object.dispose === 'function') {
+      object.dispose();
+    }
+
+    // The physics has already dropped the body; keep the app list in step
+    const index = app.objects.indexOf(object);
+    if (index !== -1) {
+      app.objects.splice(index, 1);
+    }
+  }
+
+  /**
+   * Show an expanding, fading flash at the impact site
+   * @param {Object} position - Impact position {x, y, z} in m
+   * @param {Object} object - One of the colliding bodies, for the flash size
+   */
+  flash(position, object) {
+    const THREE = window.THREE;
+    if (!THREE || !this.app.scene) return;
+
+    const toScene = window.CONSTANTS.metersToSceneUnits;
+    const size = object && typeof object.getDisplayRadius === 'function' ?
+      object.getDisplayRadius() * 1.5 : 5;
+
+    const geometry = new THREE.SphereGeometry(size, 24, 24);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xffaa44,
+      transparent: true,
+      opacity: 1,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(toScene(position.x), toScene(position.y), toScene(position.z));
+    this.app.scene.add(mesh);
+
+    const flash = { mesh, start: performance.now(), frame: null };
+    this.flashes.push(flash);
+
+    const animate = () => {
+      const progress = (performance.now() - flash.start) / COLLISION_FLASH_MS;
+      if (progress >= 1) {
+        this.removeFlash(flash);
+        return;
+      }
+      mesh.scale.setScalar(1 + 3 * progress);
+      material.opacity = 1 - progress;
+      flash.frame = requestAnimationFrame(animate);
+    };
+    flash.frame = requestAnimationFrame(animate);
+  }
+
+  /**
+   * Remove a flash from the scene and free its resources
+   * @param {Object} flash - Flash record
+   */
+  removeFlash(flash) {
+    if (flash.frame) {
+      cancelAnimationFrame(flash.frame);
+    }
+    if (flash.mesh.parent) {
+      flash.mesh.parent.remove(flash.mesh);
+    }
+    flash.mesh.geometry.dispose();
+    flash.mesh.material.dispose();
+    this.flashes = this.flashes.filter(other => other !== flash);
+  }
+
+  /**
+   * Add an entry to the top of the log
+   * @param {String} text - Description of the collision
+   * @param {Number} time - Simulation time of the collision in seconds
+   */
+  addEntry(text, time) {
+    const physics = this.app.physics;
+    const julianDate = physics.epoch + time / window.CONSTANTS.SECONDS_PER_DAY;
+    const date = window.EpochControls ?
+      `${window.EpochControls.formatDate(window.CONSTANTS.julianDateToDate(julianDate))} UTC` :
+      `JD ${julianDate.toFixed(2)}`;
+
+    this.entries.unshift({ text, time, julianDate });
+    this.entries.length = Math.min(this.entries.length, COLLISION_LOG_LIMIT);
+
+    const item = document.createElement('li');
+    item.className = 'new';
+    const timeEl = document.createElement('time');
+    timeEl.textContent = date;
+    item.appendChild(timeEl);
+    item.appendChild(document.createTextNode(text));
+    this.list.insertBefore(item, this.list.firstChild);
+
+    while (this.list.children.length > COLLISION_LOG_LIMIT) {
+      this.list.removeChild(this.list.lastChild);
+    }
+
+    this.container.classList.remove('hidden');
+  }
+
+  /**
+   * Clear and hide the log
+   */
+  clear() {
+    this.entries = [];
+    this.list.innerHTML = '';
+    this.container.classList.add('hidden');
+  }
+
+  /**
+   * Refresh the body count in the footer
+   */
+  updateBodyCount() {
+    const bodyCount = document.getElementById('body-count');
+    if (bodyCount) {
+      bodyCount.textContent = `Bodies: ${this.app.objects.length}`;
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    [...this.flashes].forEach(flash => this.removeFlash(flash));
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    const styleEl = document.getElementById('collision-log-styles');
+    if (styleEl && styleEl.parentNode) {
+      styleEl.parentNode.removeChild(styleEl);
+    }
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.CollisionLog = CollisionLog;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CollisionLog;
+}
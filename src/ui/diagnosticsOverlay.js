@@ -0,0 +1,418 @@
+// diagnosticsOverlay.js - Conserved-quantity drift chart with CSV export
+
+// Series drawn in the chart, in DRIFT_FIELDS order
+const DIAGNOSTICS_SERIES = [
+  { field: 'energyDrift', label: 'Energy', color: '#ff9933' },
+  { field: 'momentumDrift', label: 'Momentum', color: '#33ccff' },
+  { field: 'angularMomentumDrift', label: 'Angular momentum', color: '#99ff66' },
+  { field: 'barycenterDrift', label: 'Barycenter', color: '#cc99ff' }
+];
+
+/**
+ * Small overlay that plots the relative drift of energy, momentum, angular
+ * momentum and barycenter motion on a log scale, warns when any of them
+ * exceeds the threshold and exports the samples as CSV
+ */
+class DiagnosticsOverlay {
+  /**
+   * Create a new DiagnosticsOverlay
+   * @param {Object} app - Reference to the main application
+   * @param {Object} monitor - DiagnosticsMonitor attached to app.physics
+   */
+  constructor(app, monitor) {
+    this.app = app;
+    this.monitor = monitor;
+    this.visible = false;
+    this.redrawPending = false;
+
+    this.createUI();
+
+    this.monitor.onSample(() => this.scheduleRedraw());
+    this.monitor.onWarning((warning) => this.showWarning(warning));
+  }
+
+  /**
+   * Create the overlay panel and its footer toggle
+   */
+  createUI() {
+    this.container = document.createElement('div');
+    this.container.className = 'diagnostics-overlay hidden';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Conservation drift';
+    this.container.appendChild(title);
+
+    // Warning banner
+    this.warningEl = document.createElement('div');
+    this.warningEl.className = 'diagnostics-warning hidden';
+    this.container.appendChild(this.warningEl);
+
+    // Chart
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 360;
+    this.canvas.height = 160;
+    this.container.appendChild(this.canvas);
+
+    // Legend
+    const legend = document.createElement('div');
+    legend.className = 'diagnostics-legend';
+    DIAGNOSTICS_SERIES.forEach(({ label, color }) => {
+      const item = document.createElement('span');
+      item.innerHTML = `<i style="background-color: ${color}"></i>${label}`;
+      legend.appendChild(item);
+    });
+    this.container.appendChild(legend);
+
+    // Settings and export
+    const settings = document.createElement('div');
+    settings.className = 'diagnostics-settings';
+
+    this.thresholdInput = this.createInput(settings, 'Threshold', this.monitor.threshold,
+      'Relative drift that triggers a warning');
+    this.intervalInput = this.createInput(settings, 'Every', this.monitor.interval,
+      'Steps between samples');
+
+    const exportButton = document.createElement('button');
+    exportButton.textContent = 'Export CSV';
+    exportButton.addEventListener('click', () => this.exportCSV());
+    settings.appendChild(exportButton);
+
+    this.container.appendChild(settings);
+
+    this.thresholdInput.addEventListener('change', () => this.applySettings());
+    this.intervalInput.addEventListener('change', () => this.applySettings());
+
+    document.body.appendChild(this.container);
+
+    // Footer toggle
+    this.toggleButton = document.getElementById('diagnostics-toggle');
+    if (!this.toggleButton) {
+      this.toggleButton = document.createElement('button');
+      this.toggleButton.id = 'diagnostics-toggle';
+      this.toggleButton.textContent = 'Diagnostics';
+      const footer = document.querySelector('footer');
+      (footer || document.body).appendChild(this.toggleButton);
+    }
+    this.onToggle = () => this.setVisible(!this.visible);
+    this.toggleButton.addEventListener('click', this.onToggle);
+
+    this.addStyles();
+  }
+
+  /**
+   * Create a labelled number input
+   * @param {HTMLElement} parent - Element to add the input to
+   * @param {String} label - Label text
+   * @param {Number} value - Initial value
+   * @param {String} title - Tooltip
+   * @returns {HTMLInputElement} The input
+   */
+  createInput(parent, label, value, title) {
+    const labelEl = document.createElement('label');
+    labelEl.textContent = label;
+    labelEl.title = title;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = String(value);
+    labelEl.appendChild(input);
+
+    parent.appendChild(labelEl);
+    return input;
+  }
+
+  /**
+   * Add CSS styles for the overlay
+   */
+  addStyles() {
+    let styleEl = document.getElementById('diagnostics-overlay-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'diagnostics-overlay-styles';
+      document.head.appendChild(styleEl);
+    }
+
+    styleEl.textContent = `
+      .diagnostics-overlay {
+        position: fixed;
+        left: 10px;
+        bottom: 60px;
+        width: 380px;
+        padding: 10px;
+        background-color: rgba(20, 20, 30, 0.9);
+        border: 1px solid #444;
+        border-radius: 5px;
+        color: #ccc;
+        font-size: 12px;
+        z-index: 100;
+      }
+
+      .diagnostics-overlay.hidden,
+      .diagnostics-warning.hidden {
+        display: none;
+      }
+
+      .diagnostics-overlay h3 {
+        margin: 0 0 6px;
+        font-size: 14px;
+        color: #fff;
+      }
+
+      .diagnostics-overlay canvas {
+        display: block;
+        width: 360px;
+        height: 160px;
+        background-color: #111118;
+      }
+
+      .diagnostics-warning {
+        margin-bottom: 6px;
+        padding: 4px 6px;
+        background-color: rgba(255, 80, 0, 0.2);
+        border: 1px solid #ff5000;
+        border-radius: 4px;
+        color: #ffb080;
+      }
+
+      .diagnostics-legend {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 10px;
+        margin: 6px 0;
+      }
+
+      .diagnostics-legend i {
+        display: inline-block;
+        width: 10px;
+        height: 10px;
+        margin-right: 4px;
+        border-radius: 2px;
+      }
+
+      .diagnostics-settings {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .diagnostics-settings input {
+        width: 60px;
+        margin-left: 4px;
+        background-color: #2a2a3a;
+        color: #fff;
+        border: 1px solid #444;
+        padding: 3px 5px;
+        border-radius: 4px;
+      }
+
+      .diagnostics-settings input:focus {
+        outline: none;
+        border-color: #3366cc;
+      }
+
+      #diagnostics-toggle.warning {
+        border-color: #ff5000;
+        color: #ffb080;
+      }
+    `;
+  }
+
+  /**
+   * Show or hide the overlay
+   * @param {Boolean} visible - Whether to show the overlay
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.container.classList.toggle('hidden', !visible);
+    if (visible) {
+      this.draw();
+    }
+  }
+
+  /**
+   * Read the threshold and interval inputs and pass them to the monitor
+   */
+  applySettings() {
+    try {
+      this.monitor.setThreshold(parseFloat(this.thresholdInput.value));
+      this.monitor.setInterval(parseFloat(this.intervalInput.value));
+
+      // The worker keeps its own copy of the settings
+      this.app.physics.setDiagnostics(this.monitor);
+      this.showWarning(null);
+    } catch (error) {
+      console.error('Error applying diagnostics settings:', error);
+      alert(error.message);
+    }
+
+    this.thresholdInput.value = String(this.monitor.threshold);
+    this.intervalInput.value = String(this.monitor.interval);
+  }
+
+  /**
+   * Show or clear the drift warning
+   * @param {Object|null} warning - Warning from the monitor, or null to clear
+   */
+  showWarning(warning) {
+    if (warning) {
+      const series = DIAGNOSTICS_SERIES.find(({ field }) => field === warning.field);
+      const days = warning.sample.time / (window.CONSTANTS ? window.CONSTANTS.SECONDS_PER_DAY : 86400);
+      this.warningEl.textContent = `${series ? series.label : warning.field} drift ` +
+        `${warning.drift.toExponential(2)} exceeds ${warning.threshold.toExponential(0)} ` +
+        `after ${days.toFixed(1)} days. Try a smaller time step or a higher-order integrator.`;
+    }
+
+    this.warningEl.classList.toggle('hidden', !warning);
+    if (this.toggleButton) {
+      this.toggleButton.classList.toggle('warning', !!warning);
+    }
+  }
+
+  /**
+   * Redraw on the next frame, coalescing bursts of samples
+   */
+  scheduleRedraw() {
+    if (!this.visible || this.redrawPending) return;
+    this.redrawPending = true;
+    requestAnimationFrame(() => {
+      this.redrawPending = false;
+      this.draw();
+    });
+  }
+
+  /**
+   * Draw log10 of each drift series against sample time
+   */
+  draw() {
+    const ctx = this.canvas.getContext('2d');
+    const { width, height } = this.canvas;
+    const samples = this.monitor.getSamples();
+    const threshold = this.monitor.threshold;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Vertical range in decades, always including the threshold
+    let minLog = Math.floor(Math.log10(threshold)) - 2;
+    let maxLog = Math.ceil(Math.log10(threshold)) + 1;
+    samples.forEach(sample => {
+      DIAGNOSTICS_SERIES.forEach(({ field }) => {
+        if (sample[field] > 0) {
+          const log = Math.log10(sample[field]);
+          minLog = Math.min(minLog, Math.floor(log));
+          maxLog = Math.max(maxLog, Math.ceil(log));
+        }
+      });
+    });
+    minLog = Math.max(minLog, -18);
+
+    const padLeft = 34;
+    const plotWidth = width - padLeft - 4;
+    const toY = (log) => 4 + (maxLog - log) / (maxLog - minLog) * (height - 8);
+
+    // Decade grid
+    ctx.font = '10px monospace';
+    ctx.fillStyle = '#888';
+    ctx.strokeStyle = '#222';
+    ctx.lineWidth = 1;
+    const labelStep = Math.ceil((maxLog - minLog) / 6);
+    for (let log = minLog; log <= maxLog; log++) {
+      const y = toY(log);
+      ctx.beginPath();
+      ctx.moveTo(padLeft, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+      if ((log - minLog) % labelStep === 0) {
+        ctx.fillText(`1e${log}`, 2, y + 3);
+      }
+    }
+
+    // Threshold line
+    ctx.strokeStyle = '#ff5000';
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(padLeft, toY(Math.log10(threshold)));
+    ctx.lineTo(width, toY(Math.log10(threshold)));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    if (samples.length < 2) return;
+
+    const startTime = samples[0].time;
+    const span = samples[samples.length - 1].time - startTime || 1;
+    const toX = (time) => padLeft + (time - startTime) / span * plotWidth;
+
+    DIAGNOSTICS_SERIES.forEach(({ field, color }) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      let drawing = false;
+      samples.forEach(sample => {
+        // Zero drift (e.g. the baseline) has no logarithm; break the line
+        if (!(sample[field] > 0)) {
+          drawing = false;
+          return;
+        }
+        const x = toX(sample.time);
+        const y = toY(Math.max(Math.log10(sample[field]), minLog));
+        if (drawing) {
+          ctx.lineTo(x, y);
+        } else {
+          ctx.moveTo(x, y);
+          drawing = true;
+        }
+      });
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * Download the samples as a CSV file
+   */
+  exportCSV() {
+    try {
+      if (this.monitor.getSamples().length === 0) {
+        alert('No diagnostics samples yet. Let the simulation run for a while first.');
+        return;
+      }
+
+      const blob = new Blob([this.monitor.toCSV()], { type: 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'conservation-diagnostics.csv';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting diagnostics:', error);
+      alert(`Could not export diagnostics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.toggleButton) {
+      this.toggleButton.removeEventListener('click', this.onToggle);
+    }
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    const styleEl = document.getElementById('diagnostics-overlay-styles');
+    if (styleEl && styleEl.parentNode) {
+      styleEl.parentNode.removeChild(styleEl);
+    }
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.DiagnosticsOverlay = DiagnosticsOverlay;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiagnosticsOverlay;
+}
@@ -1,5 +1,8 @@
 // dialogs.js - Handles all dialog UI components
 const { Vector3 } = require('three');
+const ForceModels = require('../physics/forceModels');
+const Spacecraft = require('../physics/spacecraft');
+const CONSTANTS = require('../utils/constants');
 
 /**
  * Creates a modal dialog for adding new celestial objects
@@ -45,6 +48,7 @@ function createObjectDialog(onSubmit, onCancel) {
         <option value="moon">Moon</option>
         <option value="asteroid">Asteroid</option>
         <option value="comet">Comet</option>
+        <option value="spacecraft">Spacecraft</option>
       </select>
     </div>
     <div class="form-row">
@@ -68,6 +72,62 @@ function createObjectDialog(onSubmit, onCancel) {
   `;
   form.appendChild(basicProps);
   
+  // Engine and tanks, only shown for spacecraft
+  const spacecraftSection = document.createElement('div');
+  spacecraftSection.className = 'form-section';
+  spacecraftSection.style.display = 'none';
+  spacecraftSection.innerHTML = `
+    <h3>Spacecraft</h3>
+    <div class="form-row">
+      <label for="spacecraft-dry-mass">Dry Mass (kg):</label>
+      <input type="number" id="spacecraft-dry-mass" min="0" value="${CONSTANTS.SPACECRAFT_MASS_KG}" step="any">
+    </div>
+    <div class="form-row">
+      <label for="spacecraft-propellant">Propellant (kg):</label>
+      <input type="number" id="spacecraft-propellant" min="0" value="${CONSTANTS.SPACECRAFT_PROPELLANT_KG}" step="any">
+    </div>
+    <div class="form-row">
+      <label for="spacecraft-isp">Specific Impulse (s):</label>
+      <input type="number" id="spacecraft-isp" min="0" value="${CONSTANTS.SPACECRAFT_ISP_S}" step="any">
+      <span class="input-note">Storable bipropellant ≈ 320 s, hydrogen-oxygen ≈ 450 s</span>
+    </div>
+    <div class="form-row">
+      <label for="spacecraft-thrust">Thrust (N):</label>
+      <input type="number" id="spacecraft-thrust" min="0" value="${CONSTANTS.SPACECRAFT_THRUST_N}" step="any">
+    </div>
+    <div class="form-row">
+      <span class="input-note">The mass is the dry mass plus propellant. Add maneuver nodes from the info panel once the spacecraft is placed.</span>
+    </div>
+  `;
+  form.appendChild(spacecraftSection);
+  
+  // A spacecraft's mass comes from its tanks, and its radius is far below a planet's
+  const typeSelect = basicProps.querySelector('#object-type');
+  const massInput = basicProps.querySelector('#object-mass');
+  const radiusInput = basicProps.querySelector('#object-radius');
+  const planetDefaults = { mass: massInput.value, radius: radiusInput.value };
+  const updateSpacecraftMass = () => {
+    massInput.value = parseFloat(spacecraftSection.querySelector('#spacecraft-dry-mass').value) +
+      parseFloat(spacecraftSection.querySelector('#spacecraft-propellant').value);
+  };
+  typeSelect.addEventListener('change', () => {
+    const isSpacecraft = typeSelect.value === 'spacecraft';
+    spacecraftSection.style.display = isSpacecraft ? '' : 'none';
+    massInput.disabled = isSpacecraft;
+    radiusInput.min = isSpacecraft ? '0' : '1';
+    radiusInput.step = isSpacecraft ? 'any' : '1';
+    if (isSpacecraft) {
+      updateSpacecraftMass();
+      radiusInput.value = CONSTANTS.SPACECRAFT_RADIUS_KM;
+    } else {
+      massInput.value = planetDefaults.mass;
+      radiusInput.value = planetDefaults.radius;
+    }
+  });
+  spacecraftSection.querySelectorAll('#spacecraft-dry-mass, #spacecraft-propellant').forEach(input => {
+    input.addEventListener('input', updateSpacecraftMass);
+  });
+  
   // Position and velocity section
   const positionSection = document.createElement('div');
   positionSection.className = 'form-section';
@@ -104,6 +164,12 @@ function createObjectDialog(onSubmit, onCancel) {
     <div class="form-row">
       <span class="input-note">Earth orbits at 1 AU with approx. 29.8 km/s tangential velocity</span>
     </div>
+    <div class="form-row">
+      <span class="checkbox-container">
+        <input type="checkbox" id="object-predict" checked>
+        <label for="object-predict">Show predicted trajectory</label>
+      </span>
+    </div>
   `;
   form.appendChild(positionSection);
   
@@ -132,10 +198,51 @@ function createObjectDialog(onSubmit, onCancel) {
         <label for="object-atmosphere">Has Atmosphere:</label>
         <input type="checkbox" id="object-atmosphere" checked>
       </div>
+      <div class="form-row">
+        <label for="object-softening">Softening Length (km):</label>
+        <input type="number" id="object-softening" min="0" step="any" placeholder="Global">
+        <span class="input-note">Smooths gravity at close range; leave empty for the global setting</span>
+      </div>
     </div>
   `;
   form.appendChild(advancedSection);
   
+  // Non-gravitational forces section (collapsible), one block per force model
+  const forcesSection = document.createElement('div');
+  forcesSection.className = 'form-section collapsible collapsed';
+  forcesSection.innerHTML = `
+    <h3 class="collapsible-header">Additional Forces <span class="toggle-icon">+</span></h3>
+    <div class="collapsible-content">
+      ${ForceModels.getAvailableForceModels().map(model => `
+        <div class="form-row">
+          <span class="checkbox-container">
+            <input type="checkbox" id="force-${model.name}" data-force="${model.name}">
+            <label for="force-${model.name}">${model.label}</label>
+          </span>
+        </div>
+        ${model.parameters.map(parameter => `
+          <div class="form-row">
+            <label for="force-${model.name}-${parameter.name}">${parameter.label}${parameter.unit ? ` (${parameter.unit})` : ''}:</label>
+            <input type="number" id="force-${model.name}-${parameter.name}" value="${parameter.default}" step="any" disabled>
+          </div>
+        `).join('')}
+      `).join('')}
+      <div class="form-row">
+        <span class="input-note">Radiation pressure and outgassing act away from the heaviest body; drag uses the atmosphere of the body that pulls hardest</span>
+      </div>
+    </div>
+  `;
+  form.appendChild(forcesSection);
+  
+  // Parameter inputs are only editable while their force is enabled
+  forcesSection.querySelectorAll('input[data-force]').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      forcesSection.querySelectorAll(`input[id^="force-${checkbox.dataset.force}-"]`).forEach(input => {
+        input.disabled = !checkbox.checked;
+      });
+    });
+  });
+  
   // Buttons
   const buttons = document.createElement('div');
   buttons.className = 'dialog-buttons';
@@ -152,23 +259,54 @@ function createObjectDialog(onSubmit, onCancel) {
     document.body.removeChild(dialog);
   });
   
-  // Collapsible section
-  const collapsibleHeader = advancedSection.querySelector('.collapsible-header');
-  collapsibleHeader.addEventListener('click', () => {
-    advancedSection.classList.toggle('collapsed');
-    const toggleIcon = collapsibleHeader.querySelector('.toggle-icon');
-    toggleIcon.textContent = advancedSection.classList.contains('collapsed') ? '+' : '-';
+  // Collapsible sections
+  [advancedSection, forcesSection].forEach(section => {
+    const collapsibleHeader = section.querySelector('.collapsible-header');
+    collapsibleHeader.addEventListener('click', () => {
+      section.classList.toggle('collapsed');
+      const toggleIcon = collapsibleHeader.querySelector('.toggle-icon');
+      toggleIcon.textContent = section.classList.contains('collapsed') ? '+' : '-';
+    });
   });
   
   // Form submission
   form.addEventListener('submit', (e) => {
     e.preventDefault();
     
+    // Enabled force models and their parameters
+    const forces = {};
+    ForceModels.getAvailableForceModels().forEach(model => {
+      if (!form.querySelector(`#force-${model.name}`).checked) return;
+      forces[model.name] = {};
+      model.parameters.forEach(parameter => {
+        forces[model.name][parameter.name] =
+          parseFloat(form.querySelector(`#force-${model.name}-${parameter.name}`).value);
+      });
+    });
+    
+    let normalizedForces;
+    let spacecraft;
+    try {
+      normalizedForces = ForceModels.normalizeBodyForces(forces);
+      if (typeSelect.value === 'spacecraft') {
+        spacecraft = Spacecraft.normalizeSpacecraft({
+          dryMass: parseFloat(form.querySelector('#spacecraft-dry-mass').value),
+          propellantMass: parseFloat(form.querySelector('#spacecraft-propellant').value),
+          isp: parseFloat(form.querySelector('#spacecraft-isp').value),
+          thrust: parseFloat(form.querySelector('#spacecraft-thrust').value)
+        });
+      }
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    
     // Get form values
     const data = {
       name: form.querySelector('#object-name').value,
       type: form.querySelector('#object-type').value,
-      mass: parseFloat(form.querySelector('#object-mass').value),
+      mass: spacecraft ? spacecraft.dryMass + spacecraft.propellantMass :
+        parseFloat(form.querySelector('#object-mass').value),
       radius: parseFloat(form.querySelector('#object-radius').value),
       color: form.querySelector('#object-color').value,
       useTexture: form.querySelector('#use-texture').checked,
@@ -185,7 +323,12 @@ function createObjectDialog(onSubmit, onCancel) {
       rotationPeriod: parseFloat(form.querySelector('#object-rotation').value),
       axialTilt: parseFloat(form.querySelector('#object-tilt').value),
       temperature: parseFloat(form.querySelector('#object-temp').value),
-      hasAtmosphere: form.querySelector('#object-atmosphere').checked
+      hasAtmosphere: form.querySelector('#object-atmosphere').checked,
+      softening: form.querySelector('#object-softening').value === '' ?
+        undefined : parseFloat(form.querySelector('#object-softening').value),
+      forces: Object.keys(normalizedForces).length > 0 ? normalizedForces : undefined,
+      spacecraft,
+      predictTrajectory: form.querySelector('#object-predict').checked
     };
     
     onSubmit(data);
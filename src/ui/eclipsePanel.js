@@ -0,0 +1,351 @@
+// eclipsePanel.js - Predicted eclipses and transits, with the shadow cone toggle
+
+/**
+ * Lists the eclipses and transits an EclipsePredictor finds ahead of the
+ * current date, soonest first, with their type and duration. Clicking an
+ * entry pauses the simulation, takes the clock to the greatest eclipse and
+ * points the camera at the body in shadow. The panel also sets how far ahead
+ * to look and shows or hides the shadow cones.
+ */
+class EclipsePanel {
+  /**
+   * Create a new EclipsePanel
+   * @param {Object} app - Reference to the main application
+   * @param {EclipsePredictor} predictor - Predictor whose eclipses are listed
+   * @param {ShadowCones} shadowCones - Shadow cones to toggle, if any
+   */
+  constructor(app, predictor, shadowCones = null) {
+    this.app = app;
+    this.predictor = predictor;
+    this.shadowCones = shadowCones;
+    this.visible = false;
+    this.predicted = false;
+
+    this.createUI();
+  }
+
+  /**
+   * Create the panel and its footer toggle
+   */
+  createUI() {
+    this.container = document.createElement('div');
+    this.container.className = 'eclipse-panel hidden';
+
+    const header = document.createElement('div');
+    header.className = 'eclipse-panel-header';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Eclipses';
+    header.appendChild(title);
+
+    this.predictButton = document.createElement('button');
+    this.predictButton.textContent = 'Predict';
+    this.predictButton.title = 'Search ahead of the current date';
+    this.predictButton.addEventListener('click', () => this.predict());
+    header.appendChild(this.predictButton);
+
+    this.container.appendChild(header);
+
+    const settings = document.createElement('div');
+    settings.className = 'eclipse-panel-controls';
+
+    const daysLabel = document.createElement('label');
+    daysLabel.textContent = 'Next ';
+    this.daysInput = document.createElement('input');
+    this.daysInput.type = 'number';
+    this.daysInput.min = '1';
+    this.daysInput.step = 'any';
+    this.daysInput.title = 'Simulated days to search';
+    this.daysInput.value = String(this.predictor.days);
+    daysLabel.appendChild(this.daysInput);
+    daysLabel.appendChild(document.createTextNode(' days'));
+    settings.appendChild(daysLabel);
+
+    const shadowsLabel = document.createElement('label');
+    this.shadowsCheckbox = document.createElement('input');
+    this.shadowsCheckbox.type = 'checkbox';
+    this.shadowsCheckbox.checked = !!(this.shadowCones && this.shadowCones.visible);
+    this.shadowsCheckbox.disabled = !this.shadowCones;
+    this.shadowsCheckbox.addEventListener('change', () => {
+      this.shadowCones.setVisible(this.shadowsCheckbox.checked);
+    });
+    shadowsLabel.appendChild(this.shadowsCheckbox);
+    shadowsLabel.appendChild(document.createTextNode(' Show shadows'));
+    settings.appendChild(shadowsLabel);
+
+    this.container.appendChild(settings);
+
+    this.status = document.createElement('div');
+    this.status.className = 'eclipse-panel-status';
+    this.container.appendChild(this.status);
+
+    this.list = document.createElement('ul');
+    this.container.appendChild(this.list);
+
+    document.body.appendChild(this.container);
+
+    // Footer toggle
+    this.toggleButton = document.getElementById('eclipses-toggle');
+    if (!this.toggleButton) {
+      this.toggleButton = document.createElement('button');
+      this.toggleButton.id = 'eclipses-toggle';
+      this.toggleButton.textContent = 'Eclipses';
+      const footer = document.querySelector('footer');
+      (footer || document.body).appendChild(this.toggleButton);
+    }
+    this.onToggle = () => this.setVisible(!this.visible);
+    this.toggleButton.addEventListener('click', this.onToggle);
+
+    this.addStyles();
+  }
+
+  /**
+   * Add CSS styles for the panel
+   */
+  addStyles() {
+    let styleEl = document.getElementById('eclipse-panel-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'eclipse-panel-styles';
+      document.head.appendChild(styleEl);
+    }
+
+    styleEl.textContent = `
+      .eclipse-panel {
+        position: fixed;
+        right: 650px;
+        bottom: 60px;
+        width: 300px;
+        max-height: 360px;
+        display: flex;
+        flex-direction: column;
+        padding: 8px 10px;
+        background-color: rgba(20, 20, 30, 0.9);
+        border: 1px solid #444;
+        border-radius: 5px;
+        color: #ccc;
+        font-size: 12px;
+        z-index: 100;
+      }
+
+      .eclipse-panel.hidden {
+        display: none;
+      }
+
+      .eclipse-panel-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 6px;
+      }
+
+      .eclipse-panel-header h3 {
+        margin: 0;
+        font-size: 14px;
+        color: #fff;
+      }
+
+      .eclipse-panel-header button {
+        padding: 2px 8px;
+        font-size: 11px;
+      }
+
+      .eclipse-panel-controls {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 6px;
+        margin-bottom: 4px;
+      }
+
+      .eclipse-panel-controls input[type="number"] {
+        width: 60px;
+        background-color: #2a2a3a;
+        color: #fff;
+        border: 1px solid #444;
+        padding: 2px 4px;
+        border-radius: 4px;
+      }
+
+      .eclipse-panel-status {
+        color: #888;
+        margin-bottom: 4px;
+      }
+
+      .eclipse-panel ul {
+        margin: 0;
+        padding: 0;
+        list-style: none;
+        overflow-y: auto;
+      }
+
+      .eclipse-panel li {
+        padding: 3px 0;
+        border-bottom: 1px solid #333;
+        cursor: pointer;
+      }
+
+      .eclipse-panel li:hover {
+        background-color: rgba(51, 102, 204, 0.25);
+      }
+
+      .eclipse-panel time {
+        display: block;
+        font-family: monospace;
+        color: #888;
+      }
+    `;
+  }
+
+  /**
+   * Show or hide the panel, predicting the first time it opens
+   * @param {Boolean} visible - Whether to show the panel
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.container.classList.toggle('hidden', !visible);
+    if (visible && !this.predicted) {
+      this.predict();
+    }
+  }
+
+  /**
+   * Search ahead of the current date and list what is found. The search runs
+   * after the panel has had a chance to show that it is busy.
+   */
+  predict() {
+    try {
+      this.predictor.setDays(parseFloat(this.daysInput.value));
+    } catch (error) {
+      console.error('Error setting eclipse prediction length:', error);
+      alert(error.message);
+      this.daysInput.value = String(this.predictor.days);
+      return;
+    }
+
+    this.predictButton.disabled = true;
+    this.status.textContent = 'Predicting…';
+
+    setTimeout(() => {
+      try {
+        const eclipses = this.predictor.predict(this.app.physics, this.app.objects || []);
+        this.predicted = true;
+        this.status.textContent = eclipses.length > 0
+          ? `${eclipses.length} found in the next ${this.predictor.days} days`
+          : `None in the next ${this.predictor.days} days`;
+        this.render();
+      } catch (error) {
+        console.error('Error predicting eclipses:', error);
+        this.status.textContent = '';
+        alert(`Could not predict eclipses: ${error.message}`);
+      } finally {
+        this.predictButton.disabled = false;
+      }
+    }, 0);
+  }
+
+  /**
+   * Rebuild the list from the predictor's eclipses
+   */
+  render() {
+    this.list.innerHTML = '';
+    this.predictor.eclipses.forEach(eclipse => {
+      this.list.appendChild(this.createItem(eclipse));
+    });
+  }
+
+  /**
+   * Create the list item for an eclipse
+   * @param {Object} eclipse - Eclipse from the predictor
+   * @returns {HTMLElement} List item that jumps to the greatest eclipse when clicked
+   */
+  createItem(eclipse) {
+    const CONSTANTS = window.CONSTANTS;
+    const julianDate = eclipse.greatest.julianDate;
+    const date = window.EpochControls ?
+      `${window.EpochControls.formatDate(CONSTANTS.julianDateToDate(julianDate))} UTC` :
+      `JD ${julianDate.toFixed(4)}`;
+
+    const item = document.createElement('li');
+    item.title = 'Go to the greatest eclipse';
+    const timeEl = document.createElement('time');
+    timeEl.textContent = date;
+    item.appendChild(timeEl);
+    item.appendChild(document.createTextNode(EclipsePanel.describe(eclipse)));
+    item.addEventListener('click', () => this.jumpTo(eclipse));
+    return item;
+  }
+
+  /**
+   * Pause, take the clock to the greatest eclipse and follow the body in shadow
+   * @param {Object} eclipse - Eclipse from the predictor
+   */
+  async jumpTo(eclipse) {
+    try {
+      await window.EventLogPanel.goTo(this.app, eclipse.greatest.julianDate, eclipse.targetId);
+    } catch (error) {
+      console.error('Error jumping to eclipse:', error);
+      alert(`Could not go to the eclipse: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop the predictions, e.g. when another system is loaded
+   */
+  clear() {
+    this.predictor.clear();
+    this.predicted = false;
+    this.status.textContent = '';
+    this.list.innerHTML = '';
+  }
+
+  /**
+   * Describe an eclipse in words
+   * @param {Object} eclipse - Eclipse from the predictor
+   * @returns {String} Description with the duration when both contacts are known
+   */
+  static describe(eclipse) {
+    const type = eclipse.type.charAt(0).toUpperCase() + eclipse.type.slice(1);
+    let text;
+    switch (eclipse.kind) {
+      case 'solar':
+        text = `${type} solar eclipse (${eclipse.occulterName} on ${eclipse.targetName})`;
+        break;
+      case 'lunar':
+        text = `${type} lunar eclipse (${eclipse.occulterName}'s shadow on ${eclipse.targetName})`;
+        break;
+      case 'transit':
+        text = `${type} transit of ${eclipse.occulterName} across ${eclipse.lightName}, seen from ${eclipse.targetName}`;
+        break;
+      default:
+        text = `${type} ${eclipse.kind}: ${eclipse.occulterName} and ${eclipse.targetName}`;
+    }
+
+    if (eclipse.start && eclipse.end) {
+      const hours = (eclipse.end.julianDate - eclipse.start.julianDate) * 24;
+      text += `, ${hours.toFixed(1)} h`;
+    }
+    return text;
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.toggleButton) {
+      this.toggleButton.removeEventListener('click', this.onToggle);
+    }
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.EclipsePanel = EclipsePanel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EclipsePanel;
+}
@@ -43,6 +43,16 @@ class EducationalFeatures {
         'Science'
       );
     }
+    
+    // Add Spheres of Influence information panel if it doesn't exist yet
+    if (!this.infoPanelManager.hasPanel('spheres-of-influence')) {
+      this.infoPanelManager.addPanel(
+        'spheres-of-influence',
+        'Spheres of Influence',
+        this.createSpheresOfInfluenceContent(),
+        'Science'
+      );
+    }
   }
   
   /**
@@ -137,6 +147,60 @@ class EducationalFeatures {
     `;
   }
   
+  /**
+   * Create content for Spheres of Influence information panel
+   * @returns {String} HTML content for the panel
+   */
+  createSpheresOfInfluenceContent() {
+    return `
+      <div class="info-panel-body">
+        <h4>Whose Gravity Wins?</h4>
+        <p>
+          Every planet orbits the Sun, and every moon feels the Sun's pull far more strongly than you might expect:
+          the Sun pulls on the Moon about twice as hard as Earth does. What keeps the Moon with Earth is that the Sun
+          pulls on Earth and the Moon almost equally, so only the difference, the tide, tries to separate them.
+        </p>
+        
+        <h4>The Hill Sphere</h4>
+        <p>
+          The Hill sphere is the region where a body's gravity beats the Sun's tide, so a moon can orbit it for a long
+          time. For a body of mass m orbiting a much heavier M at distance a (periapsis a(1 − e) for an eccentric orbit):
+        </p>
+        <p><code>r<sub>Hill</sub> ≈ a(1 − e) ∛(m / 3M)</code></p>
+        <p>
+          Earth's Hill sphere reaches about 1.5 million km. The Moon, at 384,400 km, sits well inside it, within the
+          third to half of the radius where orbits stay stable for good.
+        </p>
+        
+        <h4>The Laplace Sphere of Influence</h4>
+        <p>
+          The sphere of influence is where it is more accurate to treat a body's motion as an orbit around the planet,
+          disturbed by the Sun, than as an orbit around the Sun disturbed by the planet:
+        </p>
+        <p><code>r<sub>SOI</sub> ≈ a (m / M)<sup>2/5</sup></code></p>
+        <p>
+          Mission planners switch from one central body to the next at this boundary (patched conics). Earth's is
+          about 925,000 km; Jupiter's is about 48 million km.
+        </p>
+        
+        <h4>Captured Orbits</h4>
+        <p>
+          An object that falls into a sphere of influence from outside arrives with enough energy to leave again.
+          To stay it has to lose some of that energy: a close pass by another moon, drag in an atmosphere or a
+          collision can do it. Neptune's moon Triton, which orbits backward, is thought to have been captured this
+          way, and comets are sometimes held by Jupiter for a few orbits before escaping.
+        </p>
+        
+        <h4>Visualizing Spheres of Influence</h4>
+        <p>
+          Tick "SOI" in the time controls to draw each body's Hill sphere (green) and sphere of influence (blue).
+          A sphere turns red while a body is passing through it without being bound, and the info panel lists the
+          radii of the selected body and any sphere it is passing through.
+        </p>
+      </div>
+    `;
+  }
+  
   /**
    * Clean up resources
    */
@@ -140,6 +140,15 @@ class EducationalMenu {
     });
     infoSection.appendChild(lagrangePointsInfoBtn);
     
+    const spheresOfInfluenceInfoBtn = document.createElement('button');
+    spheresOfInfluenceInfoBtn.className = 'educational-menu-item';
+    spheresOfInfluenceInfoBtn.textContent = 'Spheres of Influence';
+    spheresOfInfluenceInfoBtn.addEventListener('click', () => {
+      this.closeMenu();
+      this.infoPanelManager.showPanel('spheres-of-influence');
+    });
+    infoSection.appendChild(spheresOfInfluenceInfoBtn);
+    
     const spaceExplorationInfoBtn = document.createElement('button');
     spaceExplorationInfoBtn.className = 'educational-menu-item';
     spaceExplorationInfoBtn.textContent = 'Space Exploration History';
@@ -0,0 +1,281 @@
+// epochControls.js - Simulation date display and jump-to-date control
+
+/**
+ * Shows the simulation date (UTC calendar date and Julian Date) in the toolbar
+ * and lets the user propagate the system to any other date
+ */
+class EpochControls {
+  /**
+   * Create a new EpochControls component
+   * @param {Object} app - Reference to the main application
+   */
+  constructor(app) {
+    this.app = app;
+    this.lastText = '';
+    this.task = null; // Long jump or look-ahead in progress: { cancelled }
+    this.createUI();
+  }
+
+  /**
+   * Create the UI elements for the date display and jump control
+   */
+  createUI() {
+    this.container = document.createElement('div');
+    this.container.className = 'epoch-controls';
+
+    // Current simulation date
+    this.dateDisplay = document.createElement('span');
+    this.dateDisplay.className = 'epoch-date';
+    this.container.appendChild(this.dateDisplay);
+
+    // Jump to date form
+    this.form = document.createElement('form');
+    this.form.className = 'epoch-jump';
+
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.placeholder = 'YYYY-MM-DD [HH:MM] or JD …';
+    this.input.title = 'Date (UTC), or JD and a Julian Date, to jump to';
+    this.form.appendChild(this.input);
+
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.textContent = 'Go';
+    this.form.appendChild(button);
+
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.jump(this.input.value);
+    });
+    this.container.appendChild(this.form);
+
+    // Progress of a long jump, with a way out
+    this.progress = document.createElement('span');
+    this.progress.className = 'epoch-progress hidden';
+    this.progressText = document.createElement('span');
+    this.progress.appendChild(this.progressText);
+    this.cancelButton = document.createElement('button');
+    this.cancelButton.type = 'button';
+    this.cancelButton.textContent = 'Cancel';
+    this.cancelButton.title = 'Stop where the simulation has got to';
+    this.cancelButton.addEventListener('click', () => {
+      if (this.task) {
+        this.task.cancelled = true;
+        this.cancelButton.disabled = true;
+      }
+    });
+    this.progress.appendChild(this.cancelButton);
+    this.container.appendChild(this.progress);
+
+    // Add to DOM
+    const timeControls = document.querySelector('.time-controls');
+    if (timeControls) {
+      timeControls.appendChild(this.container);
+    } else {
+      document.body.appendChild(this.container);
+    }
+
+    this.addStyles();
+    this.update();
+  }
+
+  /**
+   * Add CSS styles for the epoch controls
+   */
+  addStyles() {
+    let styleEl = document.getElementById('epoch-controls-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'epoch-controls-styles';
+      document.head.appendChild(styleEl);
+    }
+
+    styleEl.textContent = `
+      .epoch-controls {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-left: 15px;
+      }
+
+      .epoch-date {
+        font-family: monospace;
+        font-size: 13px;
+        color: #ccc;
+        white-space: nowrap;
+      }
+
+      .epoch-jump {
+        display: flex;
+        gap: 4px;
+      }
+
+      .epoch-jump input {
+        width: 170px;
+        background-color: #2a2a3a;
+        color: #fff;
+        border: 1px solid #444;
+        padding: 4px 6px;
+        border-radius: 4px;
+      }
+
+      .epoch-jump input:focus {
+        outline: none;
+        border-color: #3366cc;
+      }
+
+      .epoch-progress {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        font-size: 13px;
+        color: #ccc;
+        white-space: nowrap;
+      }
+
+      .epoch-progress.hidden {
+        display: none;
+      }
+    `;
+  }
+
+  /**
+   * Refresh the date display from the simulation clock
+   */
+  update() {
+    const physics = this.app.physics;
+    if (!physics || typeof physics.getJulianDate !== 'function') return;
+
+    const julianDate = physics.getJulianDate();
+    const text = `${EpochControls.formatDate(physics.getDate())} UTC · JD ${julianDate.toFixed(2)}`;
+
+    // Only touch the DOM when the minute changes
+    if (text !== this.lastText) {
+      this.dateDisplay.textContent = text;
+      this.lastText = text;
+    }
+  }
+
+  /**
+   * Propagate the simulation to the date entered by the user
+   * @param {String} value - Date text (see parseDate)
+   */
+  async jump(value) {
+    try {
+      const julianDate = EpochControls.parseDate(value);
+      const physics = this.app.physics;
+      const arrived = await this.runTask('Jumping', options => physics.jumpToDateInSlices(julianDate, options));
+      if (arrived) {
+        this.input.value = '';
+      }
+      this.update();
+    } catch (error) {
+      console.error('Error jumping to date:', error);
+      alert(error.message);
+    }
+  }
+
+  /**
+   * Run a long propagation, showing its progress and a Cancel button
+   * @param {String} label - What is running, e.g. 'Jumping'
+   * @param {Function} run - Called with { onProgress, isCancelled } (see
+   *   GravitySimulator.jumpToDateInSlices); returns a promise
+   * @returns {Promise} What run resolves to
+   */
+  async runTask(label, run) {
+    if (this.task) {
+      throw new Error('Wait for the current jump to finish, or cancel it');
+    }
+
+    const task = { cancelled: false };
+    this.task = task;
+    const show = (fraction) => {
+      this.progressText.textContent = `${label}… ${Math.round(fraction * 100)}%`;
+    };
+    show(0);
+    this.cancelButton.disabled = false;
+    this.progress.classList.remove('hidden');
+
+    try {
+      return await run({ onProgress: show, isCancelled: () => task.cancelled });
+    } finally {
+      this.task = null;
+      this.progress.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Run a long propagation through the app's date controls when it has them
+   * @param {Object} app - Reference to the main application
+   * @param {String} label - What is running
+   * @param {Function} run - See runTask
+   * @returns {Promise} What run resolves to
+   */
+  static withProgress(app, label, run) {
+    return app.epochControls ? app.epochControls.runTask(label, run) : run({});
+  }
+
+  /**
+   * Parse a UTC date ("2024-03-20", "2024-03-20 14:30") or Julian Date
+   * ("JD 2460390.1") into a Julian Date. Julian Dates need the JD prefix, so
+   * a bare year is not read as one.
+   * @param {String} value - Date text
+   * @returns {Number} Julian Date
+   */
+  static parseDate(value) {
+    const text = String(value || '').trim();
+    const jdMatch = text.match(/^JD\s*(\d+(?:\.\d+)?)$/i);
+    if (jdMatch) {
+      return parseFloat(jdMatch[1]);
+    }
+
+    const dateMatch = text.match(/^(-?\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (!dateMatch) {
+      throw new Error(`Could not read "${text}". Use YYYY-MM-DD, YYYY-MM-DD HH:MM or JD followed by a Julian Date.`);
+    }
+
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = dateMatch;
+    const date = new Date(0);
+    date.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+    date.setUTCHours(Number(hours), Number(minutes), Number(seconds), 0);
+    if (isNaN(date.getTime()) || date.getUTCMonth() !== Number(month) - 1) {
+      throw new Error(`"${text}" is not a valid date`);
+    }
+
+    return window.CONSTANTS.dateToJulianDate(date);
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD HH:MM in UTC
+   * @param {Date} date - Date to format
+   * @returns {String} Formatted date
+   */
+  static formatDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+      `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    const styleEl = document.getElementById('epoch-controls-styles');
+    if (styleEl && styleEl.parentNode) {
+      styleEl.parentNode.removeChild(styleEl);
+    }
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.EpochControls = EpochControls;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EpochControls;
+}
@@ -0,0 +1,455 @@
+// eventLog.js - Event log panel for close approaches, apsides, conjunctions and orbit crossings
+
+/**
+ * Lists the events an EventDetector finds, newest first, dated in simulation
+ * time. Clicking an entry pauses the simulation, takes the clock to the event
+ * and points the camera at the body. The panel also sets what is detected:
+ * the observer for conjunctions, the close approach threshold and which
+ * kinds of event to look for.
+ */
+class EventLogPanel {
+  /**
+   * Create a new EventLogPanel
+   * @param {Object} app - Reference to the main application
+   * @param {EventDetector} detector - Detector whose events are listed
+   */
+  constructor(app, detector) {
+    this.app = app;
+    this.detector = detector;
+    this.visible = false;
+
+    this.createUI();
+    this.detector.onEvent(event => this.addEntry(event));
+  }
+
+  /**
+   * Create the panel and its footer toggle
+   */
+  createUI() {
+    const CONSTANTS = window.CONSTANTS;
+
+    this.container = document.createElement('div');
+    this.container.className = 'event-log-panel hidden';
+
+    const header = document.createElement('div');
+    header.className = 'event-log-header';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Events';
+    header.appendChild(title);
+
+    const clearButton = document.createElement('button');
+    clearButton.textContent = 'Clear';
+    clearButton.title = 'Clear the event log';
+    clearButton.addEventListener('click', () => this.clear());
+    header.appendChild(clearButton);
+
+    this.container.appendChild(header);
+
+    // Observer and close approach threshold
+    const settings = document.createElement('div');
+    settings.className = 'event-log-controls';
+
+    const observerLabel = document.createElement('label');
+    observerLabel.textContent = 'Seen from ';
+    this.observerSelect = document.createElement('select');
+    this.observerSelect.title = 'Body conjunctions and oppositions are seen from';
+    this.observerSelect.addEventListener('change', () => {
+      const option = this.observerSelect.selectedOptions[0];
+      this.detector.setObserver(this.observerSelect.value, option ? option.textContent : null);
+    });
+    observerLabel.appendChild(this.observerSelect);
+    settings.appendChild(observerLabel);
+
+    const thresholdLabel = document.createElement('label');
+    thresholdLabel.textContent = 'Close < ';
+    this.thresholdInput = document.createElement('input');
+    this.thresholdInput.type = 'number';
+    this.thresholdInput.min = '0';
+    this.thresholdInput.step = 'any';
+    this.thresholdInput.title = 'Report close approaches nearer than this many AU';
+    this.thresholdInput.value = String(CONSTANTS.metersToAU(this.detector.closeApproachDistance));
+    this.thresholdInput.addEventListener('change', () => this.applyThreshold());
+    thresholdLabel.appendChild(this.thresholdInput);
+    thresholdLabel.appendChild(document.createTextNode(' AU'));
+    settings.appendChild(thresholdLabel);
+
+    this.container.appendChild(settings);
+
+    // Kinds of event
+    const categories = document.createElement('div');
+    categories.className = 'event-log-categories';
+    window.EventDetector.CATEGORIES.forEach(({ name, label }) => {
+      const categoryLabel = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.detector.categories.has(name);
+      checkbox.addEventListener('change', () => {
+        this.detector.setCategoryEnabled(name, checkbox.checked);
+      });
+      categoryLabel.appendChild(checkbox);
+      categoryLabel.appendChild(document.createTextNode(` ${label}`));
+      categories.appendChild(categoryLabel);
+    });
+    this.container.appendChild(categories);
+
+    this.list = document.createElement('ul');
+    this.container.appendChild(this.list);
+
+    document.body.appendChild(this.container);
+
+    // Footer toggle
+    this.toggleButton = document.getElementById('events-toggle');
+    if (!this.toggleButton) {
+      this.toggleButton = document.createElement('button');
+      this.toggleButton.id = 'events-toggle';
+      this.toggleButton.textContent = 'Events';
+      const footer = document.querySelector('footer');
+      (footer || document.body).appendChild(this.toggleButton);
+    }
+    this.onToggle = () => this.setVisible(!this.visible);
+    this.toggleButton.addEventListener('click', this.onToggle);
+
+    this.addStyles();
+    this.populateObservers();
+  }
+
+  /**
+   * Add CSS styles for the panel
+   */
+  addStyles() {
+    let styleEl = document.getElementById('event-log-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'event-log-styles';
+      document.head.appendChild(styleEl);
+    }
+
+    styleEl.textContent = `
+      .event-log-panel {
+        position: fixed;
+        right: 320px;
+        bottom: 60px;
+        width: 320px;
+        max-height: 360px;
+        display: flex;
+        flex-direction: column;
+        padding: 8px 10px;
+        background-color: rgba(20, 20, 30, 0.9);
+        border: 1px solid #444;
+        border-radius: 5px;
+        color: #ccc;
+        font-size: 12px;
+        z-index: 100;
+      }
+
+      .event-log-panel.hidden {
+        display: none;
+      }
+
+      .event-log-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 6px;
+      }
+
+      .event-log-header h3 {
+        margin: 0;
+        font-size: 14px;
+        color: #fff;
+      }
+
+      .event-log-header button {
+        padding: 2px 8px;
+        font-size: 11px;
+      }
+
+      .event-log-controls {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 6px;
+        margin-bottom: 4px;
+      }
+
+      .event-log-controls select,
+      .event-log-controls input {
+        background-color: #2a2a3a;
+        color: #fff;
+        border: 1px solid #444;
+        padding: 2px 4px;
+        border-radius: 4px;
+      }
+
+      .event-log-controls input {
+        width: 60px;
+      }
+
+      .event-log-categories {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        margin-bottom: 6px;
+      }
+
+      .event-log-panel ul {
+        margin: 0;
+        padding: 0;
+        list-style: none;
+        overflow-y: auto;
+      }
+
+      .event-log-panel li {
+        padding: 3px 0;
+        border-bottom: 1px solid #333;
+        cursor: pointer;
+      }
+
+      .event-log-panel li:hover {
+        background-color: rgba(51, 102, 204, 0.25);
+      }
+
+      .event-log-panel li.new {
+        animation: event-log-highlight 1.5s ease-out;
+      }
+
+      .event-log-panel time {
+        display: block;
+        font-family: monospace;
+        color: #888;
+      }
+
+      @keyframes event-log-highlight {
+        from { background-color: rgba(102, 204, 255, 0.35); }
+        to { background-color: transparent; }
+      }
+    `;
+  }
+
+  /**
+   * Show or hide the panel
+   * @param {Boolean} visible - Whether to show the panel
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.container.classList.toggle('hidden', !visible);
+    if (visible) {
+      this.populateObservers();
+      this.render();
+    }
+  }
+
+  /**
+   * Fill the observer selector with the bodies, keeping the current choice
+   * (Earth by default, see EventDetector)
+   */
+  populateObservers() {
+    const objects = this.app.physics.getObjects();
+    const current = objects.find(obj => obj.id === this.detector.observerId) ||
+      objects.find(obj => this.detector.observerName && obj.name === this.detector.observerName);
+
+    this.observerSelect.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'None';
+    this.observerSelect.appendChild(none);
+
+    objects.forEach(obj => {
+      const option = document.createElement('option');
+      option.value = obj.id;
+      option.textContent = obj.name || obj.id;
+      this.observerSelect.appendChild(option);
+    });
+
+    this.observerSelect.value = current ? current.id : '';
+  }
+
+  /**
+   * Read the close approach threshold from its input
+   */
+  applyThreshold() {
+    const CONSTANTS = window.CONSTANTS;
+    try {
+      this.detector.setCloseApproachDistance(CONSTANTS.auToMeters(parseFloat(this.thresholdInput.value)));
+    } catch (error) {
+      console.error('Error setting close approach distance:', error);
+      alert(error.message);
+      this.thresholdInput.value = String(CONSTANTS.metersToAU(this.detector.closeApproachDistance));
+    }
+  }
+
+  /**
+   * Rebuild the list from the detector's events
+   */
+  render() {
+    this.list.innerHTML = '';
+    this.detector.events.slice().reverse().forEach(event => {
+      this.list.appendChild(this.createItem(event));
+    });
+  }
+
+  /**
+   * Add a new event to the top of the list
+   * @param {Object} event - Event from the detector
+   */
+  addEntry(event) {
+    if (!this.visible) return;
+
+    const item = this.createItem(event);
+    item.classList.add('new');
+    this.list.insertBefore(item, this.list.firstChild);
+
+    const limit = window.CONSTANTS.EVENT_LOG_LIMIT || 500;
+    while (this.list.children.length > limit) {
+      this.list.removeChild(this.list.lastChild);
+    }
+  }
+
+  /**
+   * Create the list item for an event
+   * @param {Object} event - Event from the detector
+   * @returns {HTMLElement} List item that jumps to the event when clicked
+   */
+  createItem(event) {
+    const CONSTANTS = window.CONSTANTS;
+    const date = window.EpochControls ?
+      `${window.EpochControls.formatDate(CONSTANTS.julianDateToDate(event.julianDate))} UTC` :
+      `JD ${event.julianDate.toFixed(4)}`;
+
+    const item = document.createElement('li');
+    item.title = 'Go to this event';
+    const timeEl = document.createElement('time');
+    timeEl.textContent = date;
+    item.appendChild(timeEl);
+    item.appendChild(document.createTextNode(EventLogPanel.describe(event)));
+    item.addEventListener('click', () => this.jumpTo(event));
+    return item;
+  }
+
+  /**
+   * Pause, take the clock to an event and follow the body it happened to
+   * @param {Object} event - Event from the detector
+   */
+  async jumpTo(event) {
+    try {
+      await EventLogPanel.goTo(this.app, event.julianDate, event.bodyId);
+    } catch (error) {
+      console.error('Error jumping to event:', error);
+      alert(`Could not go to the event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear the log
+   */
+  clear() {
+    this.detector.clear();
+    this.list.innerHTML = '';
+  }
+
+  /**
+   * Pause, take the clock to a date and follow a body. Shared by the panels
+   * that list events in simulation time. The jump shows its progress and can
+   * be cancelled, in which case the clock stays where it got to.
+   * @param {Object} app - Reference to the main application
+   * @param {Number} julianDate - Date to go to
+   * @param {String} bodyId - Body to follow, if any
+   * @returns {Promise<Boolean>} Whether the clock reached the date
+   */
+  static async goTo(app, julianDate, bodyId) {
+    // Leave timeline playback first so the jump starts from the live state
+    if (app.timelineControls && app.timelineControls.playback) {
+      app.timelineControls.exitPlayback();
+    }
+
+    if (!app.paused) {
+      app.paused = true;
+      app.physics.setPaused(true);
+      if (app.playPauseButton) {
+        app.playPauseButton.textContent = 'Play';
+      }
+    }
+
+    const jump = (options) => app.physics.jumpToDateInSlices(julianDate, options);
+    const arrived = await (window.EpochControls ? window.EpochControls.withProgress(app, 'Jumping', jump) : jump({}));
+    if (app.eventDetector) {
+      app.eventDetector.reset();
+    }
+    if (app.epochControls) {
+      app.epochControls.update();
+    }
+    if (!arrived) return false;
+
+    const object = (app.objects || []).find(obj => obj.id === bodyId);
+    if (object) {
+      if (app.cameraControls && typeof app.cameraControls.followCelestialObject === 'function') {
+        app.cameraControls.followCelestialObject(object);
+      }
+      app.selectedObjectId = object.id;
+      if (typeof app.updateSelectedObjectInfo === 'function') {
+        app.updateSelectedObjectInfo();
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Describe an event in words
+   * @param {Object} event - Event from the detector
+   * @returns {String} Description with the distance
+   */
+  static describe(event) {
+    const distance = EventLogPanel.formatDistance(event.distance);
+
+    switch (event.type) {
+      case 'close-approach':
+        return `${event.bodyName} passes ${event.otherName} at ${distance}`;
+      case 'periapsis':
+      case 'apoapsis':
+        return `${event.bodyName} at ${event.type} around ${event.otherName}, ${distance}`;
+      case 'conjunction':
+        return `${event.bodyName} in ${event.detail} conjunction with ${event.otherName}, ${distance} away`;
+      case 'opposition':
+        return `${event.bodyName} at opposition, ${distance} away`;
+      case 'orbit-crossing':
+        return `${event.bodyName} crosses the orbit of ${event.otherName} (${event.detail})`;
+      default:
+        return `${event.type}: ${event.bodyName}, ${distance}`;
+    }
+  }
+
+  /**
+   * Format a distance in km below 0.01 AU and in AU above
+   * @param {Number} meters - Distance in m
+   * @returns {String} Formatted distance
+   */
+  static formatDistance(meters) {
+    const CONSTANTS = window.CONSTANTS;
+    const au = CONSTANTS.metersToAU(meters);
+    if (au < 0.01) {
+      return `${Math.round(CONSTANTS.metersToKm(meters)).toLocaleString()} km`;
+    }
+    return `${au.toFixed(3)} AU`;
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.toggleButton) {
+      this.toggleButton.removeEventListener('click', this.onToggle);
+    }
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.EventLogPanel = EventLogPanel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventLogPanel;
+}
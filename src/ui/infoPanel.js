@@ -1,8 +1,10 @@
 // infoPanel.js - Handles the display of information about celestial objects
 const THREE = require('three');
+const CONSTANTS = require('../utils/constants');
+const OrbitalElements = require('../physics/orbitalElements');
 
 // Units conversion constants
-const AU_TO_KM = 149597870.7;
+const AU_TO_KM = CONSTANTS.AU;
 const KELVIN_TO_CELSIUS = (k) => k - 273.15;
 
 /**
@@ -14,17 +16,28 @@ class InfoPanelManager {
    * @param {HTMLElement} panelElement - The info panel DOM element
    * @param {HTMLElement} objectNameElement - The element to display the object's name
    * @param {HTMLElement} objectPropertiesElement - The element to display object properties
+   * @param {Function} getObjects - Returns all bodies in the simulation (for orbital elements)
+   * @param {Function} getPredictor - Returns the TrajectoryPredictor, if there is one
+   * @param {Function} getSpheres - Returns the SphereOfInfluenceVisualizer, if there is one
    */
-  constructor(panelElement, objectNameElement, objectPropertiesElement) {
+  constructor(panelElement, objectNameElement, objectPropertiesElement, getObjects = null, getPredictor = null,
+              getSpheres = null) {
     this.panel = panelElement;
     this.nameElement = objectNameElement;
     this.propertiesElement = objectPropertiesElement;
+    this.getObjects = getObjects ||
+      (() => (window.solarSystemApp && window.solarSystemApp.objects) || []);
+    this.getPredictor = getPredictor ||
+      (() => window.solarSystemApp && window.solarSystemApp.trajectoryPredictor);
+    this.getSpheres = getSpheres ||
+      (() => window.solarSystemApp && window.solarSystemApp.sphereOfInfluenceVisualizer);
     
     this.selectedObject = null;
     this.isVisible = false;
     
     // Initialize panel
     this._initializePanel();
+    this._createPredictionSection();
   }
   
   /**
@@ -38,7 +51,10 @@ class InfoPanelManager {
     }
     
     try {
-      this.selectedObject = celestialObject;
+      if (this.selectedObject !== celestialObject) {
+        this.selectedObject = celestialObject;
+        this._syncPredictionControls();
+      }
       
       // Update object name
       this.nameElement.textContent = celestialObject.name;
@@ -119,6 +135,8 @@ class InfoPanelManager {
     // Create sections
     const basicSection = this._createSection('Basic Properties');
     const positionSection = this._createSection('Position & Velocity');
+    const orbitSection = this._createSection('Osculating Orbit');
+    const influenceSection = this._createSection('Sphere of Influence');
     const advancedSection = this._createSection('Advanced Properties');
     
     // Basic properties
@@ -130,12 +148,19 @@ class InfoPanelManager {
     const distanceFromSun = this._calculateDistanceFromSun(celestialObject);
     this._addProperty(positionSection, 'Distance from Sun', this._formatDistance(distanceFromSun));
     
+    // Physics state is in m/s; display km/s
     const velocity = celestialObject.velocity ? new THREE.Vector3().copy(celestialObject.velocity) : null;
     if (velocity) {
-      const speed = velocity.length();
+      const speed = CONSTANTS.metersPerSecToKmPerSec(velocity.length());
       this._addProperty(positionSection, 'Speed', this._formatVelocity(speed));
     }
     
+    // Osculating elements around the dominant attractor
+    this._addOrbitalElements(orbitSection, celestialObject);
+    
+    // Hill sphere and sphere of influence around the same attractor
+    this._addInfluenceRadii(influenceSection, celestialObject);
+    
     // Advanced properties
     if (celestialObject.rotationPeriod) {
       this._addProperty(advancedSection, 'Rotation Period', this._formatTime(celestialObject.rotationPeriod));
@@ -165,10 +190,163 @@ class InfoPanelManager {
     this.propertiesElement.appendChild(basicSection);
     this.propertiesElement.appendChild(positionSection);
     
+    if (orbitSection.childElementCount > 1) {
+      this.propertiesElement.appendChild(orbitSection);
+    }
+    
+    if (influenceSection.childElementCount > 1) {
+      this.propertiesElement.appendChild(influenceSection);
+    }
+    
     // Only add advanced section if it has children beyond the header
     if (advancedSection.childElementCount > 1) {
       this.propertiesElement.appendChild(advancedSection);
     }
+    
+    // The prediction controls are kept between refreshes so clicks and typing aren't lost
+    if (this.getPredictor()) {
+      this.propertiesElement.appendChild(this.predictionSection);
+    }
+  }
+  
+  /**
+   * Creates the section with the predicted-trajectory toggle and its length
+   * @private
+   */
+  _createPredictionSection() {
+    this.predictionSection = this._createSection('Predicted Trajectory');
+    
+    const row = document.createElement('div');
+    row.className = 'info-row prediction-row';
+    
+    const label = document.createElement('label');
+    label.className = 'property-name';
+    this.predictionToggle = document.createElement('input');
+    this.predictionToggle.type = 'checkbox';
+    label.appendChild(this.predictionToggle);
+    label.appendChild(document.createTextNode(' Show'));
+    row.appendChild(label);
+    
+    this.predictionAmount = document.createElement('input');
+    this.predictionAmount.type = 'number';
+    this.predictionAmount.min = '0';
+    this.predictionAmount.step = 'any';
+    this.predictionAmount.value = CONSTANTS.PREDICTION_DEFAULT_ORBITS;
+    this.predictionAmount.title = 'How far ahead to predict';
+    row.appendChild(this.predictionAmount);
+    
+    this.predictionUnit = document.createElement('select');
+    [['orbits', 'orbits'], ['days', 'days']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      this.predictionUnit.appendChild(option);
+    });
+    row.appendChild(this.predictionUnit);
+    
+    this.predictionSection.appendChild(row);
+    
+    const apply = () => this._applyPredictionControls();
+    this.predictionToggle.addEventListener('change', apply);
+    this.predictionAmount.addEventListener('change', apply);
+    this.predictionUnit.addEventListener('change', apply);
+  }
+  
+  /**
+   * Shows the selected object's prediction settings in the controls
+   * @private
+   */
+  _syncPredictionControls() {
+    const predictor = this.getPredictor();
+    if (!predictor || !this.selectedObject) return;
+    
+    const { enabled, amount, unit } = predictor.getPrediction(this.selectedObject.id);
+    this.predictionToggle.checked = enabled;
+    this.predictionAmount.value = amount;
+    this.predictionUnit.value = unit;
+  }
+  
+  /**
+   * Passes the prediction controls to the predictor for the selected object
+   * @private
+   */
+  _applyPredictionControls() {
+    const predictor = this.getPredictor();
+    if (!predictor || !this.selectedObject) return;
+    
+    try {
+      predictor.setPrediction(this.selectedObject.id, {
+        enabled: this.predictionToggle.checked,
+        amount: parseFloat(this.predictionAmount.value),
+        unit: this.predictionUnit.value
+      });
+    } catch (error) {
+      console.error('Error changing predicted trajectory:', error);
+      alert(error.message);
+      this._syncPredictionControls();
+    }
+  }
+  
+  /**
+   * Adds the osculating Keplerian elements of an object to a section
+   * @param {HTMLElement} section - The section to add to
+   * @param {Object} celestialObject - The object to describe
+   * @private
+   */
+  _addOrbitalElements(section, celestialObject) {
+    if (!celestialObject.position || !celestialObject.velocity) return;
+    
+    const elements = OrbitalElements.osculatingElements(celestialObject, this.getObjects());
+    if (!elements) return;
+    
+    const bound = elements.e < 1;
+    const degrees = (value) => `${value.toFixed(3)}°`;
+    
+    this._addProperty(section, 'Orbiting', elements.attractor.name || 'Unknown');
+    this._addProperty(section, 'Semi-major Axis (a)', bound ?
+      this._formatDistance(CONSTANTS.metersToKm(elements.a)) : 'Unbound');
+    this._addProperty(section, 'Eccentricity (e)', elements.e.toFixed(5));
+    this._addProperty(section, 'Inclination (i)', degrees(elements.i));
+    this._addProperty(section, 'Ascending Node (Ω)', degrees(elements.node));
+    this._addProperty(section, 'Arg. of Periapsis (ω)', degrees(elements.argPeri));
+    this._addProperty(section, 'Long. of Periapsis (ϖ)', degrees(elements.longitudeOfPeriapsis));
+    this._addProperty(section, 'True Anomaly (ν)', degrees(elements.trueAnomaly));
+    this._addProperty(section, 'Period', bound ? this._formatPeriod(elements.period) : '—');
+    this._addProperty(section, 'Periapsis', this._formatDistance(CONSTANTS.metersToKm(elements.periapsis)));
+    this._addProperty(section, 'Apoapsis', bound ?
+      this._formatDistance(CONSTANTS.metersToKm(elements.apoapsis)) : '—');
+    this._addProperty(section, 'Specific Energy', `${(elements.energy / 1e6).toFixed(3)} MJ/kg`);
+  }
+  
+  /**
+   * Adds the Hill sphere and Laplace sphere of influence radii of an object,
+   * and any sphere of influence it is passing through or that is being passed
+   * through, to a section
+   * @param {HTMLElement} section - The section to add to
+   * @param {Object} celestialObject - The object to describe
+   * @private
+   */
+  _addInfluenceRadii(section, celestialObject) {
+    if (!celestialObject.position || !celestialObject.velocity) return;
+    
+    const influence = OrbitalElements.influenceRadii(celestialObject, this.getObjects());
+    if (!influence) return;
+    
+    this._addProperty(section, 'Hill Radius', this._formatDistance(Math.round(CONSTANTS.metersToKm(influence.hill))));
+    this._addProperty(section, 'Laplace SOI', this._formatDistance(Math.round(CONSTANTS.metersToKm(influence.soi))));
+    
+    // Intrusions are found for all bodies at once by the visualizer
+    const spheres = this.getSpheres();
+    if (!spheres) return;
+    
+    spheres.getIntrusions(celestialObject.id).forEach(({ body, host, distance }) => {
+      const km = this._formatDistance(Math.round(CONSTANTS.metersToKm(distance)));
+      if (body.id === celestialObject.id) {
+        this._addProperty(section, '⚠ Inside SOI of', `${host.name || host.id} (unbound, ${km})`);
+      } else {
+        this._addProperty(section, '⚠ SOI entered by', `${body.name || body.id} (unbound, ${km})`);
+      }
+    });
   }
   
   /**
@@ -272,8 +450,8 @@ class InfoPanelManager {
     if (!celestialObject.position) return 0;
     
     // Calculate distance from origin (assumed to be the Sun's position)
-    const distance = celestialObject.position.length();
-    return distance;
+    const distance = new THREE.Vector3().copy(celestialObject.position).length();
+    return CONSTANTS.metersToKm(distance);
   }
   
   /**
@@ -338,6 +516,23 @@ class InfoPanelManager {
     }
   }
   
+  /**
+   * Formats an orbital period with appropriate units
+   * @param {number} seconds - Period in seconds
+   * @returns {string} Formatted period string
+   * @private
+   */
+  _formatPeriod(seconds) {
+    const days = CONSTANTS.secondsToDays(seconds);
+    if (days < 1) {
+      return this._formatTime(days * 24);
+    } else if (days < 730) {
+      return `${days.toFixed(2)} days`;
+    } else {
+      return `${(days / 365.25).toFixed(2)} years`;
+    }
+  }
+  
   /**
    * Formats an object type for display
    * @param {string} type - The object type
@@ -46,7 +46,7 @@ class InformationPanelManager {
    * Add a new information panel
    * @param {String} id - Unique identifier for the panel
    * @param {String} title - Title of the panel
-   * @param {String} content - HTML content of the panel
+   * @param {String|HTMLElement} content - HTML content of the panel, or an element to show in it
    * @param {String} category - Category of the panel
    * @returns {Object} - The created panel
    */
@@ -89,7 +89,7 @@ class InformationPanelManager {
    * Create a panel element
    * @param {String} id - Unique identifier for the panel
    * @param {String} title - Title of the panel
-   * @param {String} content - HTML content of the panel
+   * @param {String|HTMLElement} content - HTML content of the panel, or an element to show in it
    * @returns {HTMLElement} - The created panel element
    */
   createPanelElement(id, title, content) {
@@ -114,7 +114,12 @@ class InformationPanelManager {
       
       const contentElement = document.createElement('div');
       contentElement.className = 'info-panel-content';
-      contentElement.innerHTML = content;
+      // Interactive panels pass their own element rather than markup
+      if (typeof content === 'string') {
+        contentElement.innerHTML = content;
+      } else {
+        contentElement.appendChild(content);
+      }
       
       panel.appendChild(header);
       panel.appendChild(contentElement);
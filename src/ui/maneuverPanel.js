@@ -0,0 +1,622 @@
+// maneuverPanel.js - Plans a spacecraft's maneuver nodes and burns
+
+/**
+ * Panel for the maneuver nodes of the selected spacecraft. It opens while a
+ * spacecraft is selected and shows its mass, propellant and remaining
+ * delta-v, then lists its nodes. A node is placed by clicking the predicted
+ * path; its prograde, normal and radial delta-v are typed in here or dragged
+ * with the handles in the scene (ManeuverHandles), and the readout gives when
+ * the finite burn starts and how long it runs. Nodes whose burn has started
+ * are kept as they are, since the simulator is already flying them.
+ */
+class ManeuverPanel {
+  /**
+   * Create a new ManeuverPanel
+   * @param {Object} app - Reference to the main application
+   */
+  constructor(app) {
+    this.app = app;
+    this.spacecraftId = null;
+    this.selectedNodeId = null;
+    this.maneuvers = [];
+    this.lastApplied = 0;
+    this.pendingApply = false;
+    this.lastRefresh = 0;
+
+    this.createUI();
+
+    this.handles = new window.ManeuverHandles(
+      app.scene,
+      app.sceneManager.camera,
+      app.renderer.domElement,
+      app.cameraControls ? app.cameraControls.controls : null,
+      {
+        onSelect: (nodeId) => this.selectNode(nodeId),
+        onPlace: (time) => this.placeNode(time),
+        onDrag: (nodeId, component, value, finished) => this.setComponent(nodeId, component, value, finished)
+      }
+    );
+  }
+
+  /**
+   * Create the panel
+   */
+  createUI() {
+    this.container = document.createElement('div');
+    this.container.className = 'maneuver-panel hidden';
+
+    this.title = document.createElement('h3');
+    this.container.appendChild(this.title);
+
+    this.status = document.createElement('div');
+    this.status.className = 'maneuver-readout';
+    this.container.appendChild(this.status);
+
+    this.nodeSelect = document.createElement('select');
+    this.nodeSelect.title = 'Maneuver node to edit';
+    this.nodeSelect.addEventListener('change', () => this.selectNode(this.nodeSelect.value || null));
+    this.container.appendChild(this.createRow('Node', this.nodeSelect));
+
+    this.timeInput = this.createNumberInput('Days from now until the node');
+    this.timeInput.step = '0.1';
+    this.timeInput.addEventListener('change', () => this.setNodeTime(parseFloat(this.timeInput.value)));
+    this.container.appendChild(this.createRow('In (days)', this.timeInput));
+
+    this.componentInputs = {};
+    const labels = { prograde: 'Prograde', normal: 'Normal', radial: 'Radial' };
+    window.Spacecraft.MANEUVER_COMPONENTS.forEach(component => {
+      const input = this.createNumberInput(`${labels[component]} delta-v in m/s`);
+      input.step = '1';
+      input.addEventListener('change', () => {
+        this.setComponent(this.selectedNodeId, component, parseFloat(input.value), true);
+      });
+      this.componentInputs[component] = input;
+      this.container.appendChild(this.createRow(`${labels[component]} (m/s)`, input));
+    });
+
+    // Actions
+    const actions = document.createElement('div');
+    actions.className = 'maneuver-row';
+
+    this.placeButton = document.createElement('button');
+    this.placeButton.textContent = 'Place node';
+    this.placeButton.title = 'Click the predicted path to put a node there';
+    this.placeButton.addEventListener('click', () => this.startPlacing());
+    actions.appendChild(this.placeButton);
+
+    this.deleteButton = document.createElement('button');
+    this.deleteButton.textContent = 'Delete';
+    this.deleteButton.title = 'Remove the selected node';
+    this.deleteButton.addEventListener('click', () => this.deleteNode());
+    actions.appendChild(this.deleteButton);
+
+    this.warpButton = document.createElement('button');
+    this.warpButton.textContent = 'Go to burn';
+    this.warpButton.title = 'Take the clock to just before the selected burn starts';
+    this.warpButton.addEventListener('click', () => this.goToBurn());
+    actions.appendChild(this.warpButton);
+
+    this.container.appendChild(actions);
+
+    this.burnReadout = document.createElement('div');
+    this.burnReadout.className = 'maneuver-readout';
+    this.container.appendChild(this.burnReadout);
+
+    document.body.appendChild(this.container);
+    this.addStyles();
+  }
+
+  /**
+   * Create a labelled row of controls
+   * @param {String} label - Row label
+   * @param {...HTMLElement} controls - Controls to put in the row
+   * @returns {HTMLElement} Row element
+   */
+  createRow(label, ...controls) {
+    const row = document.createElement('div');
+    row.className = 'maneuver-row';
+
+    const labelEl = document.createElement('span');
+    labelEl.className = 'maneuver-label';
+    labelEl.textContent = label;
+    row.appendChild(labelEl);
+
+    controls.forEach(control => row.appendChild(control));
+    return row;
+  }
+
+  /**
+   * Create a number input
+   * @param {String} title - Tooltip
+   * @returns {HTMLInputElement} Input element
+   */
+  createNumberInput(title) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.title = title;
+    return input;
+  }
+
+  /**
+   * Add CSS styles for the panel
+   */
+  addStyles() {
+    let styleEl = document.getElementById('maneuver-panel-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'maneuver-panel-styles';
+      document.head.appendChild(styleEl);
+    }
+
+    styleEl.textContent = `
+      .maneuver-panel {
+        position: fixed;
+        right: 340px;
+        bottom: 60px;
+        width: 280px;
+        padding: 10px;
+        background-color: rgba(20, 20, 30, 0.9);
+        border: 1px solid #444;
+        border-radius: 5px;
+        color: #ccc;
+        font-size: 12px;
+        z-index: 100;
+      }
+
+      .maneuver-panel.hidden {
+        display: none;
+      }
+
+      .maneuver-panel h3 {
+        margin: 0 0 6px;
+        font-size: 14px;
+        color: #fff;
+      }
+
+      .maneuver-row {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin: 6px 0;
+      }
+
+      .maneuver-label {
+        width: 90px;
+      }
+
+      .maneuver-row select,
+      .maneuver-row input[type="number"] {
+        flex: 1;
+        min-width: 0;
+        background-color: #2a2a3a;
+        color: #fff;
+        border: 1px solid #444;
+        padding: 3px 5px;
+        border-radius: 4px;
+      }
+
+      .maneuver-row select:focus,
+      .maneuver-row input[type="number"]:focus {
+        outline: none;
+        border-color: #3366cc;
+      }
+
+      .maneuver-readout {
+        font-family: monospace;
+        white-space: pre;
+      }
+    `;
+  }
+
+  /**
+   * Follow the selection and keep the readouts and handles current; called
+   * once per frame
+   */
+  update() {
+    try {
+      const craft = this.getSpacecraft();
+      if (!craft) {
+        if (this.spacecraftId !== null) {
+          this.setSpacecraft(null);
+        }
+        return;
+      }
+
+      if (craft.id !== this.spacecraftId) {
+        this.setSpacecraft(craft);
+      }
+
+      // Catch up on a throttled drag once the refresh interval has passed
+      if (this.pendingApply && Date.now() - this.lastApplied >= window.CONSTANTS.PREDICTION_MIN_REFRESH_MS) {
+        this.applyManeuvers();
+      }
+
+      const predictor = this.app.trajectoryPredictor;
+      const path = predictor ? predictor.paths.get(craft.id) || null : null;
+      this.handles.update(path, this.maneuvers, this.selectedNodeId, this.isEditable(this.selectedNodeId));
+
+      // The text only needs refreshing a few times a second
+      const now = Date.now();
+      if (now - this.lastRefresh >= window.CONSTANTS.PREDICTION_MIN_REFRESH_MS) {
+        this.lastRefresh = now;
+        this.refresh();
+      }
+    } catch (error) {
+      console.error('Error updating maneuver panel:', error);
+    }
+  }
+
+  /**
+   * The selected body, if it is a spacecraft with an engine
+   * @returns {Object|null} Physics object
+   */
+  getSpacecraft() {
+    const id = this.app.selectedObjectId;
+    if (!id) return null;
+    const craft = this.app.physics.getObjects().find(obj => obj.id === id);
+    return craft && craft.spacecraft ? craft : null;
+  }
+
+  /**
+   * Start editing another spacecraft's nodes, or close the panel
+   * @param {Object|null} craft - Physics object
+   */
+  setSpacecraft(craft) {
+    if (this.pendingApply) {
+      this.applyManeuvers();
+    }
+    this.handles.setPlacing(false);
+
+    this.spacecraftId = craft ? craft.id : null;
+    this.maneuvers = craft ? (craft.maneuvers || []).map(maneuver => ({ ...maneuver })) : [];
+    this.selectedNodeId = null;
+    this.container.classList.toggle('hidden', !craft);
+
+    if (!craft) {
+      this.handles.update(null);
+      return;
+    }
+
+    this.title.textContent = `Maneuvers: ${craft.name || craft.id}`;
+    const upcoming = this.maneuvers.find(maneuver => this.isEditable(maneuver.id));
+    this.selectedNodeId = upcoming ? upcoming.id : null;
+    this.populateNodes();
+    this.refresh();
+  }
+
+  /**
+   * Whether a node can still be changed, i.e. its burn has not started
+   * @param {String|null} nodeId - Node ID
+   * @returns {Boolean} Whether the node is editable
+   */
+  isEditable(nodeId) {
+    const maneuver = this.maneuvers.find(candidate => candidate.id === nodeId);
+    if (!maneuver) return false;
+
+    const craft = this.getSpacecraft();
+    const simTime = this.app.physics.simTime;
+    if (!craft || !(maneuver.time > simTime)) return false;
+
+    const schedule = window.Spacecraft.getBurnSchedule(craft.spacecraft, this.maneuvers);
+    const burn = schedule.find(entry => entry.id === nodeId);
+    return !burn || burn.start > simTime;
+  }
+
+  /**
+   * Fill the node selector
+   */
+  populateNodes() {
+    const simTime = this.app.physics.simTime;
+    this.nodeSelect.innerHTML = '';
+
+    this.maneuvers.forEach((maneuver, index) => {
+      const option = document.createElement('option');
+      option.value = maneuver.id;
+      const when = maneuver.time > simTime ?
+        `in ${ManeuverPanel.formatDuration(maneuver.time - simTime)}` : 'done';
+      option.textContent = `Node ${index + 1} (${when})`;
+      this.nodeSelect.appendChild(option);
+    });
+
+    if (this.maneuvers.length === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'No nodes';
+      this.nodeSelect.appendChild(option);
+    }
+
+    this.nodeSelect.value = this.selectedNodeId || '';
+  }
+
+  /**
+   * Update the spacecraft and node readouts
+   */
+  refresh() {
+    const craft = this.getSpacecraft();
+    if (!craft) return;
+
+    const Spacecraft = window.Spacecraft;
+    const simTime = this.app.physics.simTime;
+    const status = Spacecraft.getSpacecraftStatus({ ...craft, maneuvers: this.maneuvers }, simTime);
+    const planned = status.schedule
+      .filter(burn => burn.end > simTime)
+      .reduce((sum, burn) => sum + burn.deltaV * (burn.start >= simTime ? 1 : (burn.end - simTime) / (burn.end - burn.start)), 0);
+
+    this.status.textContent = [
+      `${'Mass'.padEnd(11)}${status.mass.toFixed(1)} kg`,
+      `${'Propellant'.padEnd(11)}${status.propellant.toFixed(1)} kg`,
+      `${'Delta-v'.padEnd(11)}${status.deltaVBudget.toFixed(1)} m/s left, ${planned.toFixed(1)} planned`
+    ].join('\n');
+
+    // Keep the option labels' countdowns current without disturbing a focused select
+    if (document.activeElement !== this.nodeSelect) {
+      this.populateNodes();
+    }
+
+    const maneuver = this.maneuvers.find(candidate => candidate.id === this.selectedNodeId);
+    const editable = this.isEditable(this.selectedNodeId);
+    [this.timeInput, ...Object.values(this.componentInputs)].forEach(input => {
+      input.disabled = !editable;
+    });
+    this.deleteButton.disabled = !editable;
+
+    const burn = maneuver ? status.schedule.find(entry => entry.id === maneuver.id) : null;
+    this.warpButton.disabled = !burn || !(burn.start > simTime);
+
+    if (!maneuver) {
+      this.timeInput.value = '';
+      Object.values(this.componentInputs).forEach(input => { input.value = ''; });
+      this.burnReadout.textContent = this.maneuvers.length ? '' : 'Place a node on the predicted path';
+      return;
+    }
+
+    if (document.activeElement !== this.timeInput) {
+      this.timeInput.value = ((maneuver.time - simTime) / 86400).toFixed(3);
+    }
+    Object.entries(this.componentInputs).forEach(([component, input]) => {
+      if (document.activeElement !== input) {
+        input.value = maneuver[component];
+      }
+    });
+
+    this.burnReadout.textContent = this.describeBurn(maneuver, burn, simTime);
+  }
+
+  /**
+   * Lay out a node's burn for the readout
+   * @param {Object} maneuver - Maneuver node
+   * @param {Object|null} burn - Its schedule entry, or null if it does not fire
+   * @param {Number} simTime - Current simulated seconds
+   * @returns {String} One line per figure
+   */
+  describeBurn(maneuver, burn, simTime) {
+    const reference = this.app.physics.getObjects().find(obj => obj.id === maneuver.referenceId);
+    const lines = [
+      `${'Delta-v'.padEnd(11)}${window.Spacecraft.getManeuverDeltaV(maneuver).toFixed(1)} m/s`,
+      `${'Frame'.padEnd(11)}${reference ? reference.name || reference.id : 'heaviest body'}`
+    ];
+
+    if (!burn) {
+      lines.push(`${'Burn'.padEnd(11)}none`);
+      return lines.join('\n');
+    }
+
+    const duration = burn.end - burn.start;
+    lines.push(`${'Burn'.padEnd(11)}${ManeuverPanel.formatDuration(duration)}`);
+    if (burn.start > simTime) {
+      lines.push(`${'Starts'.padEnd(11)}in ${ManeuverPanel.formatDuration(burn.start - simTime)}`);
+    } else if (burn.end > simTime) {
+      lines.push(`${'Burning'.padEnd(11)}${ManeuverPanel.formatDuration(burn.end - simTime)} left`);
+    } else {
+      lines.push(`${'Done'.padEnd(11)}${burn.deltaV.toFixed(1)} m/s`);
+    }
+    if (burn.shortfall > 0) {
+      lines.push(`${'Short by'.padEnd(11)}${burn.shortfall.toFixed(1)} m/s (out of propellant)`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Put the handles on a node
+   * @param {String|null} nodeId - Node ID
+   */
+  selectNode(nodeId) {
+    this.selectedNodeId = nodeId;
+    this.refresh();
+  }
+
+  /**
+   * Wait for a click on the predicted path, drawing it first if needed
+   */
+  startPlacing() {
+    const predictor = this.app.trajectoryPredictor;
+    if (!predictor || !this.spacecraftId) return;
+
+    if (!predictor.getPrediction(this.spacecraftId).enabled) {
+      predictor.setPrediction(this.spacecraftId, { enabled: true });
+    }
+    this.handles.setPlacing(true);
+  }
+
+  /**
+   * Add a node at a moment on the predicted path, framed around the body the
+   * spacecraft is orbiting now
+   * @param {Number} time - Simulated seconds
+   */
+  placeNode(time) {
+    try {
+      if (!(time > this.app.physics.simTime)) {
+        alert('Maneuver nodes go ahead of the clock; predict the path forward in time to place one.');
+        return;
+      }
+
+      const craft = this.getSpacecraft();
+      // Without orbital elements the node is framed around the heaviest body
+      const attractor = window.OrbitalElements ?
+        window.OrbitalElements.findDominantAttractor(craft, this.app.physics.getObjects()) : null;
+      const maneuver = {
+        id: crypto.randomUUID(),
+        time,
+        prograde: 0,
+        normal: 0,
+        radial: 0,
+        referenceId: attractor ? attractor.id : null
+      };
+
+      this.maneuvers = [...this.maneuvers, maneuver].sort((a, b) => a.time - b.time);
+      this.selectedNodeId = maneuver.id;
+      this.applyManeuvers();
+      this.refresh();
+    } catch (error) {
+      console.error('Error placing maneuver node:', error);
+      alert(`Could not place the node: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change one delta-v component of a node. While dragging, the simulator
+   * (and so the predicted path) is only updated every
+   * PREDICTION_MIN_REFRESH_MS, and once more when the drag ends.
+   * @param {String} nodeId - Node ID
+   * @param {String} component - 'prograde', 'normal' or 'radial'
+   * @param {Number} value - Delta-v in m/s
+   * @param {Boolean} finished - Whether the edit is complete
+   */
+  setComponent(nodeId, component, value, finished) {
+    const maneuver = this.maneuvers.find(candidate => candidate.id === nodeId);
+    if (!maneuver || !Number.isFinite(value) || !this.isEditable(nodeId)) {
+      this.refresh();
+      return;
+    }
+
+    maneuver[component] = value;
+    this.pendingApply = true;
+    if (finished || Date.now() - this.lastApplied >= window.CONSTANTS.PREDICTION_MIN_REFRESH_MS) {
+      this.applyManeuvers();
+    }
+    this.refresh();
+  }
+
+  /**
+   * Move the selected node
+   * @param {Number} days - Days from now
+   */
+  setNodeTime(days) {
+    const maneuver = this.maneuvers.find(candidate => candidate.id === this.selectedNodeId);
+    if (!maneuver || !this.isEditable(maneuver.id)) return;
+
+    if (!(days > 0)) {
+      alert('Maneuver nodes go ahead of the clock.');
+      this.refresh();
+      return;
+    }
+
+    maneuver.time = this.app.physics.simTime + days * 86400;
+    this.maneuvers.sort((a, b) => a.time - b.time);
+    this.applyManeuvers();
+    this.refresh();
+  }
+
+  /**
+   * Remove the selected node
+   */
+  deleteNode() {
+    if (!this.isEditable(this.selectedNodeId)) return;
+
+    this.maneuvers = this.maneuvers.filter(maneuver => maneuver.id !== this.selectedNodeId);
+    const upcoming = this.maneuvers.find(maneuver => this.isEditable(maneuver.id));
+    this.selectedNodeId = upcoming ? upcoming.id : null;
+    this.applyManeuvers();
+    this.refresh();
+  }
+
+  /**
+   * Take the clock to shortly before the selected burn starts
+   */
+  async goToBurn() {
+    const craft = this.getSpacecraft();
+    const maneuver = this.maneuvers.find(candidate => candidate.id === this.selectedNodeId);
+    if (!craft || !maneuver) return;
+
+    try {
+      this.applyManeuvers();
+      const physics = this.app.physics;
+      const schedule = window.Spacecraft.getBurnSchedule(craft.spacecraft, this.maneuvers);
+      const burn = schedule.find(entry => entry.id === maneuver.id);
+      if (!burn || !(burn.start > physics.simTime)) return;
+
+      const lead = Math.min(window.CONSTANTS.MANEUVER_WARP_LEAD_S, burn.start - physics.simTime);
+      await window.EventLogPanel.goTo(this.app, physics.getJulianDate() +
+        (burn.start - lead - physics.simTime) / physics.secondsPerDay, craft.id);
+    } catch (error) {
+      console.error('Error going to burn:', error);
+    }
+  }
+
+  /**
+   * Hand the edited nodes to the simulator
+   */
+  applyManeuvers() {
+    this.pendingApply = false;
+    this.lastApplied = Date.now();
+    if (this.spacecraftId === null) return;
+
+    try {
+      this.app.physics.setManeuvers(this.spacecraftId, this.maneuvers.map(maneuver => ({ ...maneuver })));
+    } catch (error) {
+      console.error('Error applying maneuvers:', error);
+      alert(`Could not update the maneuvers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forget the current spacecraft, e.g. when another system is loaded
+   */
+  clear() {
+    this.pendingApply = false;
+    this.spacecraftId = null;
+    this.maneuvers = [];
+    this.selectedNodeId = null;
+    this.handles.setPlacing(false);
+    this.handles.update(null);
+    this.container.classList.add('hidden');
+  }
+
+  /**
+   * Format a duration in seconds, minutes, hours or days
+   * @param {Number} seconds - Duration in s
+   * @returns {String} Formatted duration
+   */
+  static formatDuration(seconds) {
+    if (seconds < 120) return `${seconds.toFixed(1)} s`;
+    if (seconds < 7200) return `${(seconds / 60).toFixed(1)} min`;
+    if (seconds < 172800) return `${(seconds / 3600).toFixed(1)} h`;
+    return `${(seconds / 86400).toFixed(1)} days`;
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.handles.dispose();
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    const styleEl = document.getElementById('maneuver-panel-styles');
+    if (styleEl && styleEl.parentNode) {
+      styleEl.parentNode.removeChild(styleEl);
+    }
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.ManeuverPanel = ManeuverPanel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ManeuverPanel;
+}
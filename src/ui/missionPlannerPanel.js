@@ -0,0 +1,521 @@
+// missionPlannerPanel.js - Plans transfers between bodies and launches spacecraft on them
+
+/**
+ * Panel for planning a Hohmann or bi-elliptic transfer between two of the
+ * loaded bodies with a MissionPlanner. It shows the delta-v of each burn, the
+ * time of flight, the phase angle now and at launch, and when the next launch
+ * window opens. Launching pauses the simulation, takes the clock to the
+ * window and adds a spacecraft already on its way, with its predicted path
+ * drawn and the camera following it.
+ */
+class MissionPlannerPanel {
+  /**
+   * Create a new MissionPlannerPanel
+   * @param {Object} app - Reference to the main application
+   * @param {MissionPlanner} planner - Planner that makes the launched missions' burns
+   */
+  constructor(app, planner) {
+    this.app = app;
+    this.planner = planner;
+    this.visible = false;
+    this.launches = 0;
+
+    this.createUI();
+  }
+
+  /**
+   * Create the panel and its footer toggle
+   */
+  createUI() {
+    const CONSTANTS = window.CONSTANTS;
+
+    this.container = document.createElement('div');
+    this.container.className = 'mission-panel hidden';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Mission planner';
+    this.container.appendChild(title);
+
+    this.originSelect = document.createElement('select');
+    this.originSelect.title = 'Body to leave';
+    this.container.appendChild(this.createRow('From', this.originSelect));
+
+    this.destinationSelect = document.createElement('select');
+    this.destinationSelect.title = 'Body to reach';
+    this.container.appendChild(this.createRow('To', this.destinationSelect));
+
+    this.kindSelect = document.createElement('select');
+    const labels = { hohmann: 'Hohmann', 'bi-elliptic': 'Bi-elliptic' };
+    window.MissionPlanner.TRANSFER_KINDS.forEach(kind => {
+      const option = document.createElement('option');
+      option.value = kind;
+      option.textContent = labels[kind] || kind;
+      this.kindSelect.appendChild(option);
+    });
+    this.container.appendChild(this.createRow('Transfer', this.kindSelect));
+
+    this.ratioInput = this.createNumberInput(CONSTANTS.MISSION_BI_ELLIPTIC_RATIO, 1,
+      'Bi-elliptic apoapsis as a multiple of the larger orbit');
+    this.ratioInput.step = '0.5';
+    this.container.appendChild(this.createRow('Apoapsis ×', this.ratioInput));
+
+    this.altitudeInput = this.createNumberInput(CONSTANTS.MISSION_PARKING_ALTITUDE_KM, 0,
+      'Altitude of the circular parking orbits the spacecraft leaves and arrives in');
+    this.container.appendChild(this.createRow('Parking (km)', this.altitudeInput));
+
+    [this.originSelect, this.destinationSelect, this.kindSelect, this.ratioInput, this.altitudeInput]
+      .forEach(control => control.addEventListener('change', () => this.plan()));
+
+    // Actions
+    const actions = document.createElement('div');
+    actions.className = 'mission-row';
+
+    const planButton = document.createElement('button');
+    planButton.textContent = 'Plan';
+    planButton.title = 'Plan from the bodies\' current positions';
+    planButton.addEventListener('click', () => this.plan());
+    actions.appendChild(planButton);
+
+    this.launchButton = document.createElement('button');
+    this.launchButton.textContent = 'Launch';
+    this.launchButton.title = 'Go to the launch window and add a spacecraft on the transfer';
+    this.launchButton.disabled = true;
+    this.launchButton.addEventListener('click', () => this.launch());
+    actions.appendChild(this.launchButton);
+
+    this.container.appendChild(actions);
+
+    this.readout = document.createElement('div');
+    this.readout.className = 'mission-readout';
+    this.container.appendChild(this.readout);
+
+    document.body.appendChild(this.container);
+
+    // Footer toggle
+    this.toggleButton = document.getElementById('missions-toggle');
+    if (!this.toggleButton) {
+      this.toggleButton = document.createElement('button');
+      this.toggleButton.id = 'missions-toggle';
+      this.toggleButton.textContent = 'Missions';
+      const footer = document.querySelector('footer');
+      (footer || document.body).appendChild(this.toggleButton);
+    }
+    this.onToggle = () => this.setVisible(!this.visible);
+    this.toggleButton.addEventListener('click', this.onToggle);
+
+    this.addStyles();
+  }
+
+  /**
+   * Create a labelled row of controls
+   * @param {String} label - Row label
+   * @param {...HTMLElement} controls - Controls to put in the row
+   * @returns {HTMLElement} Row element
+   */
+  createRow(label, ...controls) {
+    const row = document.createElement('div');
+    row.className = 'mission-row';
+
+    const labelEl = document.createElement('span');
+    labelEl.className = 'mission-label';
+    labelEl.textContent = label;
+    row.appendChild(labelEl);
+
+    controls.forEach(control => row.appendChild(control));
+    return row;
+  }
+
+  /**
+   * Create a number input
+   * @param {Number} value - Initial value
+   * @param {Number} min - Smallest allowed value
+   * @param {String} title - Tooltip
+   * @returns {HTMLInputElement} Input element
+   */
+  createNumberInput(value, min, title) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.value = value;
+    input.min = min;
+    input.title = title;
+    return input;
+  }
+
+  /**
+   * Add CSS styles for the panel
+   */
+  addStyles() {
+    let styleEl = document.getElementById('mission-panel-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'mission-panel-styles';
+      document.head.appendChild(styleEl);
+    }
+
+    styleEl.textContent = `
+      .mission-panel {
+        position: fixed;
+        left: 710px;
+        bottom: 60px;
+        width: 300px;
+        padding: 10px;
+        background-color: rgba(20, 20, 30, 0.9);
+        border: 1px solid #444;
+        border-radius: 5px;
+        color: #ccc;
+        font-size: 12px;
+        z-index: 100;
+      }
+
+      .mission-panel.hidden {
+        display: none;
+      }
+
+      .mission-panel h3 {
+        margin: 0 0 6px;
+        font-size: 14px;
+        color: #fff;
+      }
+
+      .mission-row {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin: 6px 0;
+      }
+
+      .mission-label {
+        width: 80px;
+      }
+
+      .mission-row select,
+      .mission-row input[type="number"] {
+        flex: 1;
+        min-width: 0;
+        background-color: #2a2a3a;
+        color: #fff;
+        border: 1px solid #444;
+        padding: 3px 5px;
+        border-radius: 4px;
+      }
+
+      .mission-row select:focus,
+      .mission-row input[type="number"]:focus {
+        outline: none;
+        border-color: #3366cc;
+      }
+
+      .mission-readout {
+        font-family: monospace;
+        white-space: pre;
+      }
+    `;
+  }
+
+  /**
+   * Show or hide the panel, planning with the current bodies when it opens
+   * @param {Boolean} visible - Whether to show the panel
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.container.classList.toggle('hidden', !visible);
+
+    if (visible) {
+      this.populateBodies();
+      this.plan();
+    }
+  }
+
+  /**
+   * Fill the origin and destination selectors, keeping the current choices
+   * (Earth and Mars by default, when they are loaded). Spacecraft are left
+   * out, since they have no orbit of their own to plan from.
+   */
+  populateBodies() {
+    const objects = this.app.physics.getObjects().filter(obj => obj.type !== 'spacecraft');
+    const byName = (name) => objects.find(obj => obj.name === name);
+
+    [[this.originSelect, byName('Earth') || objects[1]], [this.destinationSelect, byName('Mars') || objects[2]]]
+      .forEach(([select, fallback]) => {
+        const previous = select.value;
+        select.innerHTML = '';
+        objects.forEach(obj => {
+          const option = document.createElement('option');
+          option.value = obj.id;
+          option.textContent = obj.name || obj.id;
+          select.appendChild(option);
+        });
+
+        if (objects.some(obj => obj.id === previous)) {
+          select.value = previous;
+        } else if (fallback) {
+          select.value = fallback.id;
+        }
+      });
+  }
+
+  /**
+   * Options for MissionPlanner.plan from the panel's inputs
+   * @returns {Object} { kind, apoapsisRatio, parkingAltitude (m) }
+   */
+  getOptions() {
+    return {
+      kind: this.kindSelect.value,
+      apoapsisRatio: parseFloat(this.ratioInput.value),
+      parkingAltitude: window.CONSTANTS.kmToMeters(parseFloat(this.altitudeInput.value))
+    };
+  }
+
+  /**
+   * Plan the selected transfer from the bodies' current positions and show it
+   */
+  plan() {
+    this.launchButton.disabled = true;
+
+    try {
+      const physics = this.app.physics;
+      const objects = physics.getObjects();
+      const origin = objects.find(obj => obj.id === this.originSelect.value);
+      const destination = objects.find(obj => obj.id === this.destinationSelect.value);
+
+      const plan = window.MissionPlanner.plan(origin, destination, objects, { ...this.getOptions(), G: physics.G });
+      this.readout.textContent = this.describe(plan);
+      this.launchButton.disabled = false;
+    } catch (error) {
+      console.warn('Could not plan mission:', error.message);
+      this.readout.textContent = error.message;
+    }
+  }
+
+  /**
+   * Lay out a plan for the readout
+   * @param {Object} plan - Plan from MissionPlanner.plan
+   * @returns {String} One line per figure
+   */
+  describe(plan) {
+    const kmPerSecond = (mps) => `${(mps / 1000).toFixed(3)} km/s`;
+    const degrees = (radians) => `${(radians * 180 / Math.PI).toFixed(1)}°`;
+    const days = (seconds) => MissionPlannerPanel.formatDays(seconds);
+    const lines = [];
+
+    const burn = (label, end) => {
+      const vInfinity = end.vInfinity !== null ? ` (v∞ ${kmPerSecond(end.vInfinity)})` : '';
+      lines.push(`${label.padEnd(10)}${kmPerSecond(end.deltaV)}${vInfinity}`);
+    };
+    burn('Departure', plan.departure);
+    if (plan.transfer.deltaVMid !== undefined) {
+      lines.push(`${'Apoapsis'.padEnd(10)}${kmPerSecond(plan.transfer.deltaVMid)}`);
+    }
+    burn('Arrival', plan.arrival);
+    lines.push(`${'Total'.padEnd(10)}${kmPerSecond(plan.totalDeltaV)}`);
+    lines.push(`${'Flight'.padEnd(10)}${days(plan.time)}`);
+
+    if (plan.requiredPhase === null) {
+      lines.push('Window    any time');
+    } else {
+      lines.push(`${'Phase'.padEnd(10)}${degrees(plan.currentPhase)} now, ${degrees(plan.requiredPhase)} at launch`);
+      lines.push(`${'Synodic'.padEnd(10)}${days(plan.synodicPeriod)}`);
+
+      const julianDate = this.app.physics.getJulianDate() + plan.wait / this.app.physics.secondsPerDay;
+      lines.push(`${'Window'.padEnd(10)}${MissionPlannerPanel.formatJulianDate(julianDate)}`);
+      lines.push(`${''.padEnd(10)}in ${days(plan.wait)}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Take the simulation to the launch window and add a spacecraft on the
+   * transfer, just clear of the departure point
+   */
+  async launch() {
+    const app = this.app;
+
+    try {
+      const origin = app.physics.getObjects().find(obj => obj.id === this.originSelect.value);
+      const destination = app.physics.getObjects().find(obj => obj.id === this.destinationSelect.value);
+      const launch = await window.EpochControls.withProgress(app, 'Planning launch',
+        progress => window.MissionPlanner.prepareLaunch(app.physics, this.originSelect.value,
+          this.destinationSelect.value, this.getOptions(), progress));
+      if (!launch) return;
+
+      // Paused at the moment the spacecraft is clear of the departure point,
+      // with the path drawn to the arrival and a little past it
+      const name = `Mission ${this.launches + 1}: ${origin.name || origin.id} → ${destination.name || destination.id}`;
+      const spacecraft = await MissionPlannerPanel.launchSpacecraft(app, {
+        name,
+        julianDate: launch.julianDate,
+        position: launch.position,
+        velocity: launch.velocity,
+        maneuvers: launch.maneuvers,
+        predictionDays: (launch.arrivalJulianDate - launch.julianDate) * 1.05
+      });
+      if (!spacecraft) return;
+      this.launches++;
+
+      this.planner.addMission({
+        spacecraftId: spacecraft.id,
+        centralId: launch.centralId,
+        name,
+        arrivalJulianDate: launch.arrivalJulianDate
+      });
+
+      this.populateBodies();
+      this.readout.textContent = `${name}\nLaunched ${MissionPlannerPanel.formatJulianDate(launch.launchJulianDate)}\n` +
+        `Arrives  ${MissionPlannerPanel.formatJulianDate(launch.arrivalJulianDate)}`;
+      console.log(`${name} launched, arriving JD ${launch.arrivalJulianDate.toFixed(2)}`);
+    } catch (error) {
+      console.error('Error launching mission:', error);
+      alert(`Could not launch the mission: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pause and take the clock to a date, then add a spacecraft there with its
+   * predicted path drawn, and follow it. The spacecraft is only added once
+   * the jump has landed, so it starts from the state at that date.
+   * @param {Object} app - Reference to the main application
+   * @param {Object} launch - Launch
+   * @param {String} launch.name - Spacecraft name
+   * @param {Number} launch.julianDate - Date to add it at
+   * @param {Object} launch.position - Absolute position {x, y, z} in m at that date
+   * @param {Object} launch.velocity - Absolute velocity {x, y, z} in m/s at that date
+   * @param {Array} launch.maneuvers - Planned burns as maneuver nodes without IDs, if any
+   * @param {Number} launch.predictionDays - How far ahead to draw its path
+   * @returns {Promise<Object|null>} The new celestial object, or null if the
+   *   jump was cancelled
+   */
+  static async launchSpacecraft(app, { name, julianDate, position, velocity, maneuvers = [], predictionDays }) {
+    if (!(await window.EventLogPanel.goTo(app, julianDate))) return null;
+
+    const spacecraft = MissionPlannerPanel.addSpacecraft(app, name, position, velocity, maneuvers);
+    if (app.trajectoryPredictor) {
+      app.trajectoryPredictor.setPrediction(spacecraft.id, {
+        enabled: true,
+        amount: Math.min(predictionDays, window.CONSTANTS.PREDICTION_MAX_DAYS),
+        unit: 'days'
+      });
+    }
+
+    // Already there, so this just follows and selects the spacecraft
+    await window.EventLogPanel.goTo(app, julianDate, spacecraft.id);
+    return spacecraft;
+  }
+
+  /**
+   * Add a spacecraft to the simulation with its planned burns as maneuver
+   * nodes. It carries the propellant for those burns on top of the default
+   * load, which is left for course corrections.
+   * @param {Object} app - Reference to the main application
+   * @param {String} name - Spacecraft name
+   * @param {Object} position - Absolute position {x, y, z} in m
+   * @param {Object} velocity - Absolute velocity {x, y, z} in m/s
+   * @param {Array} maneuvers - Planned burns as maneuver nodes without IDs
+   * @returns {Object} The new celestial object
+   */
+  static addSpacecraft(app, name, position, velocity, maneuvers = []) {
+    const CONSTANTS = window.CONSTANTS;
+    const engine = {
+      dryMass: CONSTANTS.SPACECRAFT_MASS_KG,
+      propellantMass: CONSTANTS.SPACECRAFT_PROPELLANT_KG,
+      isp: CONSTANTS.SPACECRAFT_ISP_S,
+      thrust: CONSTANTS.SPACECRAFT_THRUST_N
+    };
+    const nodes = maneuvers.map(maneuver => ({ ...maneuver, id: crypto.randomUUID() }));
+
+    // Tsiolkovsky: the planned burns leave the default load in the tanks
+    if (nodes.length > 0) {
+      const plannedDeltaV = nodes.reduce((sum, node) => sum + window.Spacecraft.getManeuverDeltaV(node), 0);
+      const exhaustVelocity = window.Spacecraft.getExhaustVelocity(engine);
+      engine.propellantMass = (engine.dryMass + engine.propellantMass) * Math.exp(plannedDeltaV / exhaustVelocity) -
+        engine.dryMass;
+    }
+
+    const spacecraft = app.objectHandlers.createCelestialObject({
+      id: crypto.randomUUID(),
+      name,
+      type: 'spacecraft',
+      mass: engine.dryMass + engine.propellantMass,
+      radius: CONSTANTS.SPACECRAFT_RADIUS_KM,
+      position: [position.x, position.y, position.z],
+      velocity: [velocity.x, velocity.y, velocity.z],
+      positionUnit: 'm',
+      velocityUnit: 'm/s',
+      color: CONSTANTS.ORBIT_COLORS.spacecraft,
+      spacecraft: engine
+    });
+    spacecraft.type = 'spacecraft';
+    spacecraft.spacecraft = engine;
+    if (nodes.length > 0) {
+      spacecraft.maneuvers = nodes;
+    }
+
+    app.objects.push(spacecraft);
+    app.physics.addObject(spacecraft);
+
+    const bodyCount = document.getElementById('body-count');
+    if (bodyCount) {
+      bodyCount.textContent = `Bodies: ${app.objects.length}`;
+    }
+
+    return spacecraft;
+  }
+
+  /**
+   * Forget the launched missions, e.g. when another system is loaded
+   */
+  clear() {
+    this.planner.clear();
+    this.launches = 0;
+    this.readout.textContent = '';
+    this.launchButton.disabled = true;
+  }
+
+  /**
+   * Format a duration in days, or years when long
+   * @param {Number} seconds - Duration in s
+   * @returns {String} Formatted duration
+   */
+  static formatDays(seconds) {
+    const days = seconds / 86400;
+    return days >= 1000 ? `${(days / 365.25).toFixed(2)} years` : `${days.toFixed(1)} days`;
+  }
+
+  /**
+   * Format a Julian Date as a calendar date when the epoch controls are loaded
+   * @param {Number} julianDate - Julian Date
+   * @returns {String} Formatted date
+   */
+  static formatJulianDate(julianDate) {
+    return window.EpochControls ?
+      `${window.EpochControls.formatDate(window.CONSTANTS.julianDateToDate(julianDate))} UTC` :
+      `JD ${julianDate.toFixed(2)}`;
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.toggleButton) {
+      this.toggleButton.removeEventListener('click', this.onToggle);
+    }
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    const styleEl = document.getElementById('mission-panel-styles');
+    if (styleEl && styleEl.parentNode) {
+      styleEl.parentNode.removeChild(styleEl);
+    }
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.MissionPlannerPanel = MissionPlannerPanel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MissionPlannerPanel;
+}
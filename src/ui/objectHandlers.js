@@ -1,10 +1,7 @@
 // objectHandlers.js - Handlers for celestial object creation/modification
 const { createObjectDialog } = require('./dialogs');
-const { CelestialObject } = require('../data/celestialObject');
-const THREE = require('three');
-
-// AU to km conversion
-const AU_TO_KM = 149597870.7;
+const CelestialObject = require('../data/celestialObject');
+const CONSTANTS = require('../utils/constants');
 
 /**
  * Handles the creation of a new celestial object through the UI
@@ -17,14 +14,6 @@ function handleAddObject(sceneManager, gravitySimulator) {
       createObjectDialog(
         // onSubmit
         (data) => {
-          // Convert data values to appropriate units for the simulation
-          // Position from AU to km
-          const position = new THREE.Vector3(
-            data.position.x * AU_TO_KM,
-            data.position.y * AU_TO_KM,
-            data.position.z * AU_TO_KM
-          );
-          
           // Create a new celestial object from the form data
           const newObject = new CelestialObject({
             id: crypto.randomUUID(),
@@ -32,18 +21,31 @@ function handleAddObject(sceneManager, gravitySimulator) {
             type: data.type,
             mass: data.mass,
             radius: data.radius,
-            position,
-            velocity: data.velocity,
+            // The dialog works in AU and km/s; CelestialObject converts to SI
+            position: data.position.toArray(),
+            velocity: data.velocity.toArray(),
+            positionUnit: 'AU',
+            velocityUnit: 'km/s',
             color: data.color,
             rotationPeriod: data.rotationPeriod,
             axialTilt: data.axialTilt,
             temperature: data.temperature,
-            hasAtmosphere: data.hasAtmosphere
+            hasAtmosphere: data.hasAtmosphere,
+            // The dialog takes the softening length in km
+            softening: data.softening >= 0 ? CONSTANTS.kmToMeters(data.softening) : undefined,
+            forces: data.forces,
+            spacecraft: data.spacecraft
           });
           
           // Add to the scene and physics simulation
           sceneManager.addObject(newObject);
-          gravitySimulator.addBody(newObject);
+          gravitySimulator.addObject(newObject);
+          
+          // Show where the new body is headed, so its orbit can be checked right away
+          const app = window.solarSystemApp;
+          if (data.predictTrajectory && app && app.trajectoryPredictor) {
+            app.trajectoryPredictor.setPrediction(newObject.id, { enabled: true });
+          }
           
           // Update counters
           updateObjectCounter(document.getElementById('body-count'), sceneManager.getObjectCount());
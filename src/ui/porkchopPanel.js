@@ -0,0 +1,678 @@
+// porkchopPanel.js - Porkchop plots of launch windows between two planets
+
+// Plot margins in canvas pixels, leaving room for the axis labels
+const PORKCHOP_MARGINS = { left: 48, right: 10, top: 10, bottom: 34 };
+
+/**
+ * Panel that draws a porkchop plot (see Porkchop) for two planets over a
+ * range of departure dates and flight times: contours of C3 and arrival v∞
+ * over a background shaded by C3, with the cheapest transfer marked. Hovering
+ * a cell reads out its numbers, and clicking it takes the simulation to that
+ * departure date and adds a spacecraft on the transfer, with its predicted
+ * path drawn. The panel is one of the InformationPanelManager's panels, opened
+ * from its footer button.
+ */
+class PorkchopPanel {
+  /**
+   * Create a new PorkchopPanel
+   * @param {Object} app - Reference to the main application
+   * @param {InformationPanelManager} infoPanelManager - Manager to add the panel to
+   */
+  constructor(app, infoPanelManager) {
+    this.app = app;
+    this.infoPanelManager = infoPanelManager;
+    this.plot = null;
+    this.baseImage = null;
+    this.transfers = 0;
+
+    this.createUI();
+  }
+
+  /**
+   * Create the panel's contents, register it and wire up its footer toggle
+   */
+  createUI() {
+    const CONSTANTS = window.CONSTANTS;
+
+    this.content = document.createElement('div');
+    this.content.className = 'info-panel-body porkchop-body';
+
+    this.originSelect = this.createPlanetSelect('Planet to leave');
+    this.destinationSelect = this.createPlanetSelect('Planet to reach');
+    this.content.appendChild(this.createRow('From', this.originSelect, 'To', this.destinationSelect));
+
+    this.departureStartInput = this.createInput('date', 'First departure date (UTC)');
+    this.departureEndInput = this.createInput('date', 'Last departure date (UTC)');
+    this.content.appendChild(this.createRow('Depart', this.departureStartInput, 'to', this.departureEndInput));
+
+    this.minFlightInput = this.createInput('number', 'Shortest time of flight in days');
+    this.maxFlightInput = this.createInput('number', 'Longest time of flight in days');
+    [this.minFlightInput, this.maxFlightInput].forEach(input => { input.min = 1; });
+    this.content.appendChild(this.createRow('Flight (days)', this.minFlightInput, 'to', this.maxFlightInput));
+
+    [this.originSelect, this.destinationSelect].forEach(select => {
+      select.addEventListener('change', () => this.setDefaultFlightTimes());
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'porkchop-row';
+    const plotButton = document.createElement('button');
+    plotButton.textContent = 'Plot';
+    plotButton.title = 'Compute the plot for these planets and ranges';
+    plotButton.addEventListener('click', () => this.compute());
+    actions.appendChild(plotButton);
+
+    const legend = document.createElement('span');
+    legend.className = 'porkchop-legend';
+    legend.innerHTML = `<span style="color: ${CONSTANTS.PORKCHOP_COLORS.c3}">C3 (km²/s²)</span> ` +
+      `<span style="color: ${CONSTANTS.PORKCHOP_COLORS.arrivalVInfinity}">arrival v∞ (km/s)</span>`;
+    actions.appendChild(legend);
+    this.content.appendChild(actions);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'porkchop-canvas';
+    this.canvas.width = 460;
+    this.canvas.height = 340;
+    this.canvas.title = 'Click a cell to set up that transfer';
+    this.canvas.addEventListener('mousemove', (event) => this.onHover(event));
+    this.canvas.addEventListener('mouseleave', () => this.onHover(null));
+    this.canvas.addEventListener('click', (event) => this.onClick(event));
+    this.content.appendChild(this.canvas);
+
+    this.readout = document.createElement('div');
+    this.readout.className = 'porkchop-readout';
+    this.content.appendChild(this.readout);
+
+    this.infoPanelManager.addPanel('porkchop', 'Porkchop Plot', this.content, 'Mission Planning');
+
+    // Footer toggle
+    this.toggleButton = document.getElementById('porkchop-toggle');
+    if (!this.toggleButton) {
+      this.toggleButton = document.createElement('button');
+      this.toggleButton.id = 'porkchop-toggle';
+      this.toggleButton.textContent = 'Porkchop';
+      const footer = document.querySelector('footer');
+      (footer || document.body).appendChild(this.toggleButton);
+    }
+    this.onToggle = () => this.toggle();
+    this.toggleButton.addEventListener('click', this.onToggle);
+
+    this.populatePlanets();
+    this.addStyles();
+  }
+
+  /**
+   * Create a planet selector
+   * @param {String} title - Tooltip
+   * @returns {HTMLSelectElement} Select element
+   */
+  createPlanetSelect(title) {
+    const select = document.createElement('select');
+    select.title = title;
+    return select;
+  }
+
+  /**
+   * Create an input
+   * @param {String} type - Input type
+   * @param {String} title - Tooltip
+   * @returns {HTMLInputElement} Input element
+   */
+  createInput(type, title) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.title = title;
+    return input;
+  }
+
+  /**
+   * Create a row of labelled controls
+   * @param {...(String|HTMLElement)} items - Labels and controls in order
+   * @returns {HTMLElement} Row element
+   */
+  createRow(...items) {
+    const row = document.createElement('div');
+    row.className = 'porkchop-row';
+
+    items.forEach(item => {
+      if (typeof item === 'string') {
+        const label = document.createElement('span');
+        label.className = 'porkchop-label';
+        label.textContent = item;
+        row.appendChild(label);
+      } else {
+        row.appendChild(item);
+      }
+    });
+    return row;
+  }
+
+  /**
+   * Add CSS styles for the panel
+   */
+  addStyles() {
+    let styleEl = document.getElementById('porkchop-panel-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'porkchop-panel-styles';
+      document.head.appendChild(styleEl);
+    }
+
+    styleEl.textContent = `
+      .porkchop-row {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin: 6px 0;
+      }
+
+      .porkchop-label {
+        white-space: nowrap;
+      }
+
+      .porkchop-row select,
+      .porkchop-row input {
+        flex: 1;
+        min-width: 0;
+        background-color: #2a2a3a;
+        color: #fff;
+        border: 1px solid #444;
+        padding: 3px 5px;
+        border-radius: 4px;
+      }
+
+      .porkchop-legend {
+        margin-left: auto;
+        font-size: 12px;
+      }
+
+      .porkchop-canvas {
+        display: block;
+        margin: 8px 0;
+        background-color: #10101a;
+        cursor: crosshair;
+      }
+
+      .porkchop-readout {
+        font-family: monospace;
+        font-size: 12px;
+        white-space: pre;
+        min-height: 3em;
+      }
+    `;
+  }
+
+  /**
+   * Open the panel, or close it if it is open
+   */
+  toggle() {
+    if (this.infoPanelManager.activePanel === 'porkchop') {
+      this.infoPanelManager.hidePanel('porkchop');
+      return;
+    }
+
+    this.infoPanelManager.showPanel('porkchop');
+    if (!this.departureStartInput.value) {
+      this.setDefaultDates();
+    }
+    if (!this.plot) {
+      this.compute();
+    }
+  }
+
+  /**
+   * Fill the planet selectors from solarSystemData, Earth to Mars by default
+   */
+  populatePlanets() {
+    const planets = window.Porkchop.getPlanets();
+
+    [[this.originSelect, 'earth'], [this.destinationSelect, 'mars']].forEach(([select, fallback]) => {
+      select.innerHTML = '';
+      planets.forEach(planet => {
+        const option = document.createElement('option');
+        option.value = planet.key;
+        option.textContent = planet.name;
+        select.appendChild(option);
+      });
+      select.value = fallback;
+    });
+
+    this.setDefaultFlightTimes();
+  }
+
+  /**
+   * Departures from the simulation's date over PORKCHOP_DEFAULT_RANGE_DAYS
+   */
+  setDefaultDates() {
+    const start = Math.floor(this.app.physics.getJulianDate() - 0.5) + 0.5; // Midnight UTC
+    this.departureStartInput.value = PorkchopPanel.toDateValue(start);
+    this.departureEndInput.value = PorkchopPanel.toDateValue(start + window.CONSTANTS.PORKCHOP_DEFAULT_RANGE_DAYS);
+  }
+
+  /**
+   * Flight times around the Hohmann transfer time of the selected planets
+   */
+  setDefaultFlightTimes() {
+    const origin = this.originSelect.value;
+    const destination = this.destinationSelect.value;
+    if (!origin || !destination || origin === destination) return;
+
+    const hohmann = window.Porkchop.hohmannDays(origin, destination);
+    this.minFlightInput.value = Math.max(1, Math.round(hohmann * 0.4));
+    this.maxFlightInput.value = Math.round(hohmann * 1.6);
+  }
+
+  /**
+   * Compute and draw the plot for the panel's inputs
+   */
+  compute() {
+    try {
+      this.plot = window.Porkchop.compute({
+        originKey: this.originSelect.value,
+        destinationKey: this.destinationSelect.value,
+        departureStart: PorkchopPanel.fromDateValue(this.departureStartInput.value),
+        departureEnd: PorkchopPanel.fromDateValue(this.departureEndInput.value),
+        minFlightDays: parseFloat(this.minFlightInput.value),
+        maxFlightDays: parseFloat(this.maxFlightInput.value)
+      });
+      this.draw();
+      this.onHover(null);
+    } catch (error) {
+      console.warn('Could not compute porkchop plot:', error.message);
+      this.plot = null;
+      this.baseImage = null;
+      this.canvas.getContext('2d').clearRect(0, 0, this.canvas.width, this.canvas.height);
+      this.readout.textContent = error.message;
+    }
+  }
+
+  /**
+   * Draw the plot: shading, contours, axes and the cheapest transfer
+   */
+  draw() {
+    const CONSTANTS = window.CONSTANTS;
+    const plot = this.plot;
+    const ctx = this.canvas.getContext('2d');
+    const { width, height } = this.canvas;
+    const area = this.getPlotArea();
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Shade cells from dark (cheap) to light, on a log scale of C3
+    const c3Levels = PorkchopPanel.getContourLevels(plot.c3, CONSTANTS.PORKCHOP_CONTOURS);
+    const minimum = c3Levels.minimum;
+    const cellWidth = area.width / plot.columns;
+    const cellHeight = area.height / plot.rows;
+    for (let row = 0; row < plot.rows; row++) {
+      for (let column = 0; column < plot.columns; column++) {
+        const value = plot.c3[row * plot.columns + column];
+        if (!Number.isFinite(value)) continue;
+        const shade = Math.min(1, Math.log(Math.max(value, minimum) / minimum) / Math.log(10));
+        const level = Math.round(30 + shade * 60);
+        ctx.fillStyle = `rgb(${level}, ${level}, ${level + 20})`;
+        const { x, y } = this.cellToCanvas(column, row);
+        ctx.fillRect(x - cellWidth / 2, y - cellHeight / 2, cellWidth + 1, cellHeight + 1);
+      }
+    }
+
+    this.drawContours(ctx, plot.c3, c3Levels.levels, CONSTANTS.PORKCHOP_COLORS.c3);
+    const vInfinityLevels = PorkchopPanel.getContourLevels(plot.arrivalVInfinity, CONSTANTS.PORKCHOP_CONTOURS);
+    this.drawContours(ctx, plot.arrivalVInfinity, vInfinityLevels.levels, CONSTANTS.PORKCHOP_COLORS.arrivalVInfinity);
+    this.drawAxes(ctx);
+
+    if (plot.best) {
+      const { x, y } = this.cellToCanvas(plot.best.column, plot.best.row);
+      ctx.strokeStyle = CONSTANTS.PORKCHOP_COLORS.best;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(x - 5, y - 5);
+      ctx.lineTo(x + 5, y + 5);
+      ctx.moveTo(x - 5, y + 5);
+      ctx.lineTo(x + 5, y - 5);
+      ctx.stroke();
+    }
+
+    this.baseImage = ctx.getImageData(0, 0, width, height);
+  }
+
+  /**
+   * Draw the contour lines of one quantity with marching squares, labelling
+   * each level once
+   * @param {CanvasRenderingContext2D} ctx - Drawing context
+   * @param {Float64Array} values - Grid values, NaN where there is no transfer
+   * @param {Array} levels - Contour levels
+   * @param {String} color - Line color
+   */
+  drawContours(ctx, values, levels, color) {
+    const { columns, rows } = this.plot;
+    const value = (column, row) => values[row * columns + column];
+
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 1;
+    ctx.font = '10px sans-serif';
+
+    levels.forEach(level => {
+      const segments = [];
+
+      for (let row = 0; row < rows - 1; row++) {
+        for (let column = 0; column < columns - 1; column++) {
+          // Corners counterclockwise from the bottom left of the square
+          const corners = [
+            [column, row, value(column, row)],
+            [column + 1, row, value(column + 1, row)],
+            [column + 1, row + 1, value(column + 1, row + 1)],
+            [column, row + 1, value(column, row + 1)]
+          ];
+          if (corners.some(corner => !Number.isFinite(corner[2]))) continue;
+
+          // Where the level crosses each edge of the square
+          const crossings = [];
+          for (let k = 0; k < 4; k++) {
+            const [c1, r1, v1] = corners[k];
+            const [c2, r2, v2] = corners[(k + 1) % 4];
+            if ((v1 < level) !== (v2 < level)) {
+              const t = (level - v1) / (v2 - v1);
+              crossings.push(this.cellToCanvas(c1 + (c2 - c1) * t, r1 + (r2 - r1) * t));
+            }
+          }
+          // Two crossings make one segment; a saddle's four make two
+          for (let k = 0; k + 1 < crossings.length; k += 2) {
+            segments.push([crossings[k], crossings[k + 1]]);
+          }
+        }
+      }
+
+      if (segments.length === 0) return;
+
+      ctx.beginPath();
+      segments.forEach(([from, to]) => {
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+      });
+      ctx.stroke();
+
+      const [labelAt] = segments[Math.floor(segments.length / 2)];
+      ctx.fillText(PorkchopPanel.formatLevel(level), labelAt.x + 2, labelAt.y - 2);
+    });
+  }
+
+  /**
+   * Draw the departure-date and flight-time axes
+   * @param {CanvasRenderingContext2D} ctx - Drawing context
+   */
+  drawAxes(ctx) {
+    const plot = this.plot;
+    const area = this.getPlotArea();
+
+    ctx.strokeStyle = '#888';
+    ctx.fillStyle = '#ccc';
+    ctx.lineWidth = 1;
+    ctx.font = '10px sans-serif';
+    ctx.strokeRect(area.x, area.y, area.width, area.height);
+
+    // Departure dates along the bottom
+    ctx.textAlign = 'center';
+    const ticks = 4;
+    for (let k = 0; k <= ticks; k++) {
+      const column = (plot.columns - 1) * k / ticks;
+      const { x } = this.cellToCanvas(column, 0);
+      const julianDate = plot.departures[0] + (plot.departures[plot.departures.length - 1] - plot.departures[0]) * k / ticks;
+      ctx.fillText(PorkchopPanel.toDateValue(julianDate), x, area.y + area.height + 12);
+    }
+    ctx.fillText('Departure date', area.x + area.width / 2, area.y + area.height + 26);
+
+    // Flight times up the side
+    ctx.textAlign = 'right';
+    for (let k = 0; k <= ticks; k++) {
+      const row = (plot.rows - 1) * k / ticks;
+      const { y } = this.cellToCanvas(0, row);
+      const days = plot.flightDays[0] + (plot.flightDays[plot.flightDays.length - 1] - plot.flightDays[0]) * k / ticks;
+      ctx.fillText(Math.round(days).toString(), area.x - 4, y + 3);
+    }
+
+    ctx.save();
+    ctx.translate(10, area.y + area.height / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText('Flight time (days)', 0, 0);
+    ctx.restore();
+    ctx.textAlign = 'left';
+  }
+
+  /**
+   * Canvas area the grid is drawn in
+   * @returns {Object} { x, y, width, height } in pixels
+   */
+  getPlotArea() {
+    return {
+      x: PORKCHOP_MARGINS.left,
+      y: PORKCHOP_MARGINS.top,
+      width: this.canvas.width - PORKCHOP_MARGINS.left - PORKCHOP_MARGINS.right,
+      height: this.canvas.height - PORKCHOP_MARGINS.top - PORKCHOP_MARGINS.bottom
+    };
+  }
+
+  /**
+   * Canvas position of a (fractional) grid cell's center; flight time grows upward
+   * @param {Number} column - Departure index
+   * @param {Number} row - Flight time index
+   * @returns {Object} { x, y } in pixels
+   */
+  cellToCanvas(column, row) {
+    const area = this.getPlotArea();
+    return {
+      x: area.x + (column + 0.5) * area.width / this.plot.columns,
+      y: area.y + area.height - (row + 0.5) * area.height / this.plot.rows
+    };
+  }
+
+  /**
+   * Grid cell under a mouse event
+   * @param {MouseEvent} event - Mouse event
+   * @returns {Object|null} { column, row }, or null outside the grid
+   */
+  getCell(event) {
+    if (!this.plot) return null;
+
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * this.canvas.width / rect.width;
+    const y = (event.clientY - rect.top) * this.canvas.height / rect.height;
+    const area = this.getPlotArea();
+    const column = Math.floor((x - area.x) / area.width * this.plot.columns);
+    const row = Math.floor((area.y + area.height - y) / area.height * this.plot.rows);
+
+    if (column < 0 || column >= this.plot.columns || row < 0 || row >= this.plot.rows) return null;
+    return { column, row };
+  }
+
+  /**
+   * Read out the cell under the mouse, or the cheapest transfer when the
+   * mouse is off the grid, and outline it
+   * @param {MouseEvent|null} event - Mouse event, or null when the mouse leaves
+   */
+  onHover(event) {
+    if (!this.plot) return;
+
+    const hovered = event ? this.getCell(event) : null;
+    const cell = hovered || this.plot.best;
+    const ctx = this.canvas.getContext('2d');
+    if (this.baseImage) {
+      ctx.putImageData(this.baseImage, 0, 0);
+    }
+
+    if (!cell) {
+      this.readout.textContent = 'No transfers in this range';
+      return;
+    }
+
+    if (hovered) {
+      const area = this.getPlotArea();
+      const { x, y } = this.cellToCanvas(cell.column, cell.row);
+      const cellWidth = area.width / this.plot.columns;
+      const cellHeight = area.height / this.plot.rows;
+      ctx.strokeStyle = window.CONSTANTS.PORKCHOP_COLORS.best;
+      ctx.strokeRect(x - cellWidth / 2, y - cellHeight / 2, cellWidth, cellHeight);
+    }
+
+    this.readout.textContent = this.describe(cell, hovered ? '' : 'Cheapest  ');
+  }
+
+  /**
+   * Lay out a cell's transfer for the readout
+   * @param {Object} cell - { column, row }
+   * @param {String} prefix - Text to put before the first line
+   * @returns {String} One line per figure
+   */
+  describe({ column, row }, prefix = '') {
+    const plot = this.plot;
+    const index = row * plot.columns + column;
+    const departure = plot.departures[column];
+    const days = plot.flightDays[row];
+    const c3 = plot.c3[index];
+    const vInfinity = plot.arrivalVInfinity[index];
+
+    const lines = [
+      `${prefix}Depart ${PorkchopPanel.toDateValue(departure)}, arrive ${PorkchopPanel.toDateValue(departure + days)} (${days.toFixed(0)} days)`
+    ];
+    if (Number.isFinite(c3)) {
+      lines.push(`C3 ${c3.toFixed(2)} km²/s² (v∞ ${Math.sqrt(c3).toFixed(2)} km/s), arrival v∞ ${vInfinity.toFixed(2)} km/s`);
+    } else {
+      lines.push('No transfer');
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Set up the transfer of the clicked cell
+   * @param {MouseEvent} event - Mouse event
+   */
+  onClick(event) {
+    const cell = this.getCell(event);
+    if (cell && Number.isFinite(this.plot.c3[cell.row * this.plot.columns + cell.column])) {
+      this.setUpTransfer(cell);
+    }
+  }
+
+  /**
+   * Take the simulation to a cell's departure date and add a spacecraft on
+   * its transfer, with its predicted path drawn to the arrival
+   * @param {Object} cell - { column, row }
+   */
+  async setUpTransfer({ column, row }) {
+    const app = this.app;
+
+    try {
+      const plot = this.plot;
+      const departure = plot.departures[column];
+      const days = plot.flightDays[row];
+      const transfer = await window.EpochControls.withProgress(app, 'Planning transfer',
+        progress => window.Porkchop.prepareTransfer(app.physics, plot.originKey, plot.destinationKey,
+          departure, days, progress));
+      if (!transfer) return;
+
+      const { solarSystemData } = window.SolarSystemData;
+      const name = `Transfer ${this.transfers + 1}: ${solarSystemData[plot.originKey].name} → ${solarSystemData[plot.destinationKey].name}`;
+      const spacecraft = await window.MissionPlannerPanel.launchSpacecraft(app, {
+        name,
+        julianDate: transfer.julianDate,
+        position: transfer.position,
+        velocity: transfer.velocity,
+        predictionDays: days * 1.05
+      });
+      if (!spacecraft) return;
+      this.transfers++;
+
+      this.infoPanelManager.hidePanel('porkchop');
+
+      console.log(`${name} set up: C3 ${transfer.c3.toFixed(2)} km²/s², arrival v∞ ` +
+        `${transfer.arrivalVInfinity.toFixed(2)} km/s from the simulation's bodies`);
+    } catch (error) {
+      console.error('Error setting up transfer:', error);
+      alert(`Could not set up the transfer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Contour levels for a quantity: evenly spaced round numbers from its
+   * minimum up to three times the minimum (or its maximum, if lower)
+   * @param {Float64Array} values - Grid values, NaN where there is no transfer
+   * @param {Number} count - Roughly how many levels to make
+   * @returns {Object} { minimum, levels }
+   */
+  static getContourLevels(values, count) {
+    let minimum = Infinity;
+    let maximum = -Infinity;
+    values.forEach(value => {
+      if (!Number.isFinite(value)) return;
+      minimum = Math.min(minimum, value);
+      maximum = Math.max(maximum, value);
+    });
+    if (!(maximum > minimum)) return { minimum, levels: [] };
+
+    const top = Math.min(maximum, minimum * 3);
+    const rough = (top - minimum) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const fraction = rough / magnitude;
+    const step = (fraction < 1.5 ? 1 : fraction < 3 ? 2 : fraction < 7 ? 5 : 10) * magnitude;
+
+    const levels = [];
+    for (let level = Math.ceil(minimum / step) * step; level <= top; level += step) {
+      levels.push(level);
+    }
+    return { minimum, levels };
+  }
+
+  /**
+   * Format a contour level without trailing float noise
+   * @param {Number} level - Contour level
+   * @returns {String} Label text
+   */
+  static formatLevel(level) {
+    return parseFloat(level.toPrecision(4)).toString();
+  }
+
+  /**
+   * Date input value for a Julian Date
+   * @param {Number} julianDate - Julian Date
+   * @returns {String} YYYY-MM-DD (UTC)
+   */
+  static toDateValue(julianDate) {
+    return window.CONSTANTS.julianDateToDate(julianDate).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Julian Date of a date input value
+   * @param {String} value - YYYY-MM-DD (UTC)
+   * @returns {Number} Julian Date at midnight UTC, or NaN if the value is not a date
+   */
+  static fromDateValue(value) {
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? NaN : window.CONSTANTS.dateToJulianDate(date);
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.toggleButton) {
+      this.toggleButton.removeEventListener('click', this.onToggle);
+    }
+
+    this.infoPanelManager.hidePanel('porkchop');
+
+    const styleEl = document.getElementById('porkchop-panel-styles');
+    if (styleEl && styleEl.parentNode) {
+      styleEl.parentNode.removeChild(styleEl);
+    }
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.PorkchopPanel = PorkchopPanel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PorkchopPanel;
+}
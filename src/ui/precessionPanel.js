@@ -0,0 +1,492 @@
+// precessionPanel.js - Perihelion precession measurement with Newtonian/GR comparison
+
+const PRECESSION_POLL_MS = 100; // Real milliseconds between samples of the running simulation
+
+/**
+ * Panel for measuring how fast a body's perihelion turns. A run follows one
+ * body with the GR setting it started with; finished runs stay in the list
+ * and the latest Newtonian and GR runs of the same body are compared.
+ * "Repeat" reloads the state the last run started from with GR flipped, so
+ * both runs cover exactly the same stretch of time.
+ *
+ * Only the GR − Newtonian difference is shown as a rate. A single run's rate
+ * is mostly planetary perturbations and the integrator's own error, which
+ * the two runs share and the difference cancels.
+ */
+class PrecessionPanel {
+  /**
+   * Create a new PrecessionPanel
+   * @param {Object} app - Reference to the main application
+   * @param {Object} tracker - PerihelionTracker used for the measurements
+   */
+  constructor(app, tracker) {
+    this.app = app;
+    this.tracker = tracker;
+    this.visible = false;
+    this.timer = null;
+    this.startScene = null;
+    this.lastRun = null;
+
+    this.createUI();
+  }
+
+  /**
+   * Create the panel and its footer toggle
+   */
+  createUI() {
+    this.container = document.createElement('div');
+    this.container.className = 'precession-panel hidden';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Perihelion precession';
+    this.container.appendChild(title);
+
+    // Body and start/stop
+    const controls = document.createElement('div');
+    controls.className = 'precession-controls';
+
+    this.bodySelect = document.createElement('select');
+    this.bodySelect.title = 'Body to measure';
+    controls.appendChild(this.bodySelect);
+
+    this.startButton = document.createElement('button');
+    this.startButton.textContent = 'Start';
+    this.startButton.addEventListener('click', () => {
+      if (this.tracker.activeRun) {
+        this.stop();
+      } else {
+        this.start();
+      }
+    });
+    controls.appendChild(this.startButton);
+
+    this.repeatButton = document.createElement('button');
+    this.repeatButton.textContent = 'Repeat';
+    this.repeatButton.title = 'Reload the state the last run started from and measure again with GR switched';
+    this.repeatButton.disabled = true;
+    this.repeatButton.addEventListener('click', () => this.repeat());
+    controls.appendChild(this.repeatButton);
+
+    this.container.appendChild(controls);
+
+    // Live readout of the active run
+    this.readout = document.createElement('div');
+    this.readout.className = 'precession-readout';
+    this.container.appendChild(this.readout);
+
+    // Finished and active runs
+    this.table = document.createElement('table');
+    this.container.appendChild(this.table);
+
+    // Newtonian vs GR
+    this.comparison = document.createElement('div');
+    this.comparison.className = 'precession-comparison';
+    this.container.appendChild(this.comparison);
+
+    const note = document.createElement('div');
+    note.className = 'precession-note';
+    note.textContent = 'A single run\'s rate is mostly planetary perturbations and integrator error ' +
+      '(over 1000″/century for Mercury with Velocity Verlet at a one-hour step), so only the difference ' +
+      'between a Newtonian and a GR run over the same stretch is shown. Use Repeat for the second run.';
+    this.container.appendChild(note);
+
+    const actions = document.createElement('div');
+    actions.className = 'precession-controls';
+
+    const exportButton = document.createElement('button');
+    exportButton.textContent = 'Export CSV';
+    exportButton.addEventListener('click', () => this.exportCSV());
+    actions.appendChild(exportButton);
+
+    const clearButton = document.createElement('button');
+    clearButton.textContent = 'Clear';
+    clearButton.addEventListener('click', () => this.clear());
+    actions.appendChild(clearButton);
+
+    this.container.appendChild(actions);
+
+    document.body.appendChild(this.container);
+
+    // Footer toggle
+    this.toggleButton = document.getElementById('precession-toggle');
+    if (!this.toggleButton) {
+      this.toggleButton = document.createElement('button');
+      this.toggleButton.id = 'precession-toggle';
+      this.toggleButton.textContent = 'Precession';
+      const footer = document.querySelector('footer');
+      (footer || document.body).appendChild(this.toggleButton);
+    }
+    this.onToggle = () => this.setVisible(!this.visible);
+    this.toggleButton.addEventListener('click', this.onToggle);
+
+    this.addStyles();
+    this.render();
+  }
+
+  /**
+   * Add CSS styles for the panel
+   */
+  addStyles() {
+    let styleEl = document.getElementById('precession-panel-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'precession-panel-styles';
+      document.head.appendChild(styleEl);
+    }
+
+    styleEl.textContent = `
+      .precession-panel {
+        position: fixed;
+        left: 400px;
+        bottom: 60px;
+        width: 340px;
+        padding: 10px;
+        background-color: rgba(20, 20, 30, 0.9);
+        border: 1px solid #444;
+        border-radius: 5px;
+        color: #ccc;
+        font-size: 12px;
+        z-index: 100;
+      }
+
+      .precession-panel.hidden {
+        display: none;
+      }
+
+      .precession-panel h3 {
+        margin: 0 0 6px;
+        font-size: 14px;
+        color: #fff;
+      }
+
+      .precession-controls {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin: 6px 0;
+      }
+
+      .precession-controls select {
+        flex: 1;
+        background-color: #2a2a3a;
+        color: #fff;
+        border: 1px solid #444;
+        padding: 3px 5px;
+        border-radius: 4px;
+      }
+
+      .precession-controls select:focus {
+        outline: none;
+        border-color: #3366cc;
+      }
+
+      .precession-readout {
+        min-height: 30px;
+        font-family: monospace;
+      }
+
+      .precession-panel table {
+        width: 100%;
+        margin-top: 6px;
+        border-collapse: collapse;
+      }
+
+      .precession-panel th,
+      .precession-panel td {
+        padding: 2px 4px;
+        border-bottom: 1px solid #333;
+        text-align: left;
+      }
+
+      .precession-panel td.number {
+        font-family: monospace;
+        text-align: right;
+      }
+
+      .precession-comparison {
+        margin-top: 6px;
+        color: #99ff66;
+      }
+
+      .precession-note {
+        margin-top: 6px;
+        color: #888;
+        font-size: 11px;
+      }
+    `;
+  }
+
+  /**
+   * Show or hide the panel
+   * @param {Boolean} visible - Whether to show the panel
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.container.classList.toggle('hidden', !visible);
+    if (visible) {
+      this.populateBodies();
+      this.render();
+    }
+  }
+
+  /**
+   * Fill the body selector with everything that orbits something,
+   * keeping the current choice (Mercury by default)
+   */
+  populateBodies() {
+    const objects = this.app.physics.getObjects();
+    const heaviest = objects.reduce((best, obj) => (!best || obj.mass > best.mass ? obj : best), null);
+    const previous = this.bodySelect.value;
+
+    this.bodySelect.innerHTML = '';
+    objects.filter(obj => obj !== heaviest).forEach(obj => {
+      const option = document.createElement('option');
+      option.value = obj.id;
+      option.textContent = obj.name || obj.id;
+      this.bodySelect.appendChild(option);
+    });
+
+    const mercury = objects.find(obj => obj.name === 'Mercury');
+    if (objects.some(obj => obj.id === previous)) {
+      this.bodySelect.value = previous;
+    } else if (mercury) {
+      this.bodySelect.value = mercury.id;
+    }
+  }
+
+  /**
+   * Start a run for the selected body
+   */
+  start() {
+    try {
+      const physics = this.app.physics;
+      const body = physics.getObjects().find(obj => obj.id === this.bodySelect.value);
+      if (!body) {
+        alert('Select a body to measure.');
+        return;
+      }
+
+      // Remember where the run started so it can be repeated with GR switched
+      this.startScene = this.app.sceneFileManager ? this.app.sceneFileManager.serialize() : null;
+
+      this.lastRun = this.tracker.start(body, {
+        relativity: physics.getRelativitySettings().enabled,
+        julianDate: physics.getJulianDate()
+      });
+      this.tracker.sample(physics.getObjects(), physics.getJulianDate());
+
+      if (!this.timer) {
+        this.timer = setInterval(() => this.update(), PRECESSION_POLL_MS);
+      }
+      this.render();
+    } catch (error) {
+      console.error('Error starting precession measurement:', error);
+      alert(`Could not start the measurement: ${error.message}`);
+    }
+  }
+
+  /**
+   * End the active run
+   */
+  stop() {
+    this.tracker.stop();
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.render();
+  }
+
+  /**
+   * Reload the state the last run started from, switch GR and measure the
+   * same body again
+   */
+  repeat() {
+    if (!this.startScene || !this.lastRun) return;
+
+    try {
+      const relativity = !this.lastRun.relativity;
+      const bodyId = this.lastRun.bodyId;
+
+      this.stop();
+      this.app.sceneFileManager.applyScene(this.startScene);
+      this.app.physics.setRelativitySettings({ enabled: relativity });
+
+      const toggle = document.getElementById('relativity-toggle');
+      if (toggle) {
+        toggle.checked = relativity;
+      }
+
+      this.populateBodies();
+      this.bodySelect.value = bodyId;
+      this.start();
+    } catch (error) {
+      console.error('Error repeating precession measurement:', error);
+      alert(`Could not repeat the measurement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take a sample of the running simulation and refresh the display
+   */
+  update() {
+    const run = this.tracker.activeRun;
+    if (!run) {
+      this.stop();
+      return;
+    }
+
+    const physics = this.app.physics;
+
+    // A run measures one force model; switching GR mid-run ends it
+    if (physics.getRelativitySettings().enabled !== run.relativity) {
+      this.stop();
+      return;
+    }
+
+    if (this.tracker.sample(physics.getObjects(), physics.getJulianDate()) && this.visible) {
+      this.render();
+    }
+  }
+
+  /**
+   * Redraw the readout, run table and comparison
+   */
+  render() {
+    const tracker = this.tracker;
+    const run = tracker.activeRun;
+
+    this.startButton.textContent = run ? 'Stop' : 'Start';
+    this.bodySelect.disabled = !!run;
+    this.repeatButton.disabled = !!run || !this.startScene || !this.lastRun;
+    if (this.lastRun) {
+      this.repeatButton.textContent = `Repeat ${this.lastRun.relativity ? 'without' : 'with'} GR`;
+    }
+
+    // Readout
+    if (run && run.samples.length > 0) {
+      const last = run.samples[run.samples.length - 1];
+      const longitude = ((last.longitude % 360) + 360) % 360;
+      const rate = tracker.getRate(run);
+      this.readout.textContent =
+        `${run.bodyName}, ${run.relativity ? 'GR' : 'Newtonian'}: ϖ = ${longitude.toFixed(4)}°`;
+      this.readout.appendChild(document.createElement('br'));
+      this.readout.appendChild(document.createTextNode(rate ?
+        `${formatPrecessionSpan(rate.span)} measured` : 'Collecting samples...'));
+    } else {
+      this.readout.textContent = run ? 'Waiting for the simulation to run...' :
+        'Pick a body and press Start, then let the simulation run for decades.';
+    }
+
+    // Runs
+    this.table.innerHTML = '';
+    if (tracker.runs.length > 0) {
+      const header = this.table.insertRow();
+      ['#', 'Body', 'Model', 'Span'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        header.appendChild(th);
+      });
+
+      tracker.runs.forEach(entry => {
+        const rate = tracker.getRate(entry);
+        const row = this.table.insertRow();
+        [
+          entry.id + (entry === run ? '*' : ''),
+          entry.bodyName,
+          entry.relativity ? 'GR' : 'Newtonian',
+          rate ? formatPrecessionSpan(rate.span) : '-'
+        ].forEach((text, i) => {
+          const cell = row.insertCell();
+          cell.textContent = text;
+          if (i >= 3) cell.className = 'number';
+        });
+      });
+    }
+
+    // Comparison of the latest Newtonian and GR runs
+    const bodyId = run ? run.bodyId : (this.lastRun && this.lastRun.bodyId);
+    const comparison = bodyId ? tracker.compare(bodyId) : null;
+    this.comparison.textContent = comparison ?
+      `GR − Newtonian: ${comparison.difference.toFixed(2)} ± ${comparison.error.toFixed(2)}″/century` +
+        (Number.isFinite(comparison.predicted) ? ` (theory ${comparison.predicted.toFixed(2)}″)` : '') :
+      '';
+  }
+
+  /**
+   * Forget all runs
+   */
+  clear() {
+    this.stop();
+    this.tracker.clear();
+    this.startScene = null;
+    this.lastRun = null;
+    this.render();
+  }
+
+  /**
+   * Download every run's samples as a CSV file
+   */
+  exportCSV() {
+    try {
+      if (!this.tracker.runs.some(run => run.samples.length > 0)) {
+        alert('No precession samples yet. Start a run and let the simulation run for a while first.');
+        return;
+      }
+
+      const blob = new Blob([this.tracker.toCSV()], { type: 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'perihelion-precession.csv';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting precession samples:', error);
+      alert(`Could not export precession samples: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.toggleButton) {
+      this.toggleButton.removeEventListener('click', this.onToggle);
+    }
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    const styleEl = document.getElementById('precession-panel-styles');
+    if (styleEl && styleEl.parentNode) {
+      styleEl.parentNode.removeChild(styleEl);
+    }
+  }
+}
+
+/**
+ * Format a time span
+ * @param {Number} days - Span in days
+ * @returns {String} Span in days or years
+ */
+function formatPrecessionSpan(days) {
+  return days < 730 ? `${days.toFixed(0)} d` : `${(days / 365.25).toFixed(1)} yr`;
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.PrecessionPanel = PrecessionPanel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PrecessionPanel;
+}
@@ -0,0 +1,376 @@
+// sceneFileManager.js - Save and load simulations through the main process
+//
+// Loaded as a classic script after sceneFormat.js, so window.SceneFormat is
+// used directly instead of redeclaring it in the shared global scope.
+
+/**
+ * Serializes the running simulation to the scene format and restores it.
+ * File dialogs and disk access happen in the main process; this class talks
+ * to it over the save-system/load-system IPC channels exposed by preload.js.
+ */
+class SceneFileManager {
+  /**
+   * Create a new SceneFileManager
+   * @param {Object} app - Reference to the main application
+   */
+  constructor(app) {
+    this.app = app;
+    this.api = window.api || null;
+    this.currentFilePath = null;
+
+    if (!this.api) {
+      console.warn('IPC bridge not available; saving and loading are disabled');
+      return;
+    }
+
+    this.api.receive('system-saved', (result) => this._handleSaved(result));
+    this.api.receive('system-loaded', (result) => this._handleLoaded(result));
+    this.api.receive('menu-save-system', (options) => this.save(options && options.saveAs));
+    this.api.receive('error', (error) => this._handleError(error));
+  }
+
+  /**
+   * Ask the main process to save the current simulation. It writes to the
+   * file last chosen in its own dialogs, so a scene without one asks.
+   * @param {Boolean} saveAs - Always ask for a path, even if the scene has one
+   */
+  save(saveAs = false) {
+    if (!this.api) return;
+
+    try {
+      this.api.send('save-system', {
+        scene: this.serialize(),
+        saveAs: saveAs || !this.currentFilePath
+      });
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Ask the main process to show an open dialog and load the chosen file
+   */
+  open() {
+    if (!this.api) return;
+    this.api.send('load-system');
+  }
+
+  /**
+   * Build a scene object from the running simulation
+   * @returns {Object} Scene in the current format
+   */
+  serialize() {
+    const app = this.app;
+    const physics = app.physics;
+    const camera = app.sceneManager && app.sceneManager.camera;
+    const controls = app.cameraControls && app.cameraControls.controls;
+    const followed = app.cameraControls && app.cameraControls.followMode ?
+      app.cameraControls.followObject : null;
+    const particles = typeof physics.getTestParticles === 'function' ? physics.getTestParticles() : null;
+
+    const scene = {
+      format: 'solar-system-simulator',
+      version: window.SceneFormat.SCENE_FORMAT_VERSION,
+      savedAt: new Date().toISOString(),
+      simulation: {
+        epoch: physics.epoch,
+        time: physics.simTime || 0,
+        timeScale: app.timeScale !== undefined ? app.timeScale : physics.timeScale,
+        paused: !!app.paused,
+        integrator: physics.getIntegratorSettings(),
+        forceSolver: physics.getForceSolverSettings(),
+        collisions: physics.getCollisionSettings(),
+        closeEncounters: physics.getCloseEncounterSettings(),
+        relativity: physics.getRelativitySettings()
+      },
+      camera: {
+        position: camera ? camera.position.toArray() : [0, 400, 1000],
+        target: controls && controls.target ? controls.target.toArray() : [0, 0, 0],
+        fov: camera && camera.fov ? camera.fov : 75,
+        follow: followed ? followed.id : null
+      },
+      bodies: physics.getObjects().map(obj => ({
+        id: obj.id,
+        name: obj.name,
+        type: obj.type || null,
+        mass: obj.mass,
+        radius: obj.radius,
+        position: [obj.position.x, obj.position.y, obj.position.z],
+        velocity: [obj.velocity.x, obj.velocity.y, obj.velocity.z],
+        color: obj.color,
+        texture: obj.texturePath || null,
+        isStar: !!obj.isStar,
+        fixed: !!obj.fixed,
+        softening: obj.softening,
+        forces: obj.forces,
+        zonalHarmonics: obj.zonalHarmonics,
+        spacecraft: obj.spacecraft,
+        maneuvers: obj.maneuvers,
+        // Round-trip through JSON to drop anything that isn't plain data
+        visualOptions: JSON.parse(JSON.stringify(obj.visualOptions || {}))
+      }))
+    };
+
+    if (particles && particles.count > 0) {
+      scene.testParticles = {
+        positions: Array.from(particles.positions.subarray(0, particles.count * 3)),
+        velocities: Array.from(particles.velocities.subarray(0, particles.count * 3))
+      };
+    }
+
+    return scene;
+  }
+
+  /**
+   * Replace the running simulation with a loaded scene
+   * @param {Object} scene - Scene in the current format
+   */
+  applyScene(scene) {
+    const app = this.app;
+    const { simulation, camera } = scene;
+
+    this._clearObjects();
+
+    // Settings first so the physics resyncs once with everything in place
+    app.physics.setEpoch(simulation.epoch);
+    app.physics.simTime = simulation.time;
+    app.timeScale = simulation.timeScale;
+    app.physics.setTimeScale(simulation.timeScale);
+    app.paused = simulation.paused;
+    app.physics.setPaused(simulation.paused);
+    this._applySetting('setIntegrator', simulation.integrator);
+    this._applySetting('setForceSolver', simulation.forceSolver);
+    this._applySetting('setCollisionMode', simulation.collisions ||
+      { name: window.CONSTANTS.DEFAULT_COLLISION_MODE });
+    try {
+      app.physics.setCloseEncounterSettings(simulation.closeEncounters || {
+        softening: window.CONSTANTS.DEFAULT_SOFTENING,
+        substepping: true
+      });
+    } catch (error) {
+      console.warn('Ignoring saved close-encounter settings:', error.message);
+    }
+    try {
+      app.physics.setRelativitySettings(simulation.relativity || { enabled: false });
+    } catch (error) {
+      console.warn('Ignoring saved relativity settings:', error.message);
+    }
+
+    for (const body of scene.bodies) {
+      const object = app.objectHandlers.createCelestialObject({
+        ...body,
+        positionUnit: 'm',
+        velocityUnit: 'm/s'
+      });
+      object.type = body.type;
+      object.fixed = !!body.fixed;
+      if (body.spacecraft) {
+        object.spacecraft = { ...body.spacecraft };
+        if (body.maneuvers) {
+          object.maneuvers = body.maneuvers.map(maneuver => ({ ...maneuver }));
+        }
+      }
+
+      app.objects.push(object);
+      app.physics.addObject(object);
+
+      // Add light to scene if this is a star
+      if (object.light) {
+        app.scene.add(object.light);
+      }
+    }
+
+    if (scene.testParticles && typeof app.physics.addTestParticles === 'function') {
+      app.physics.addTestParticles(scene.testParticles.positions, scene.testParticles.velocities);
+    }
+
+    this._applyCamera(camera);
+    this._refreshControls();
+  }
+
+  /**
+   * Remove every object from the scene and the simulation
+   * @private
+   */
+  _clearObjects() {
+    const app = this.app;
+
+    if (app.cameraControls && typeof app.cameraControls.disableFollowMode === 'function') {
+      app.cameraControls.disableFollowMode();
+    }
+
+    // Recordings, predictions, events, eclipses and missions belong to the old system
+    if (app.timelineControls) {
+      app.timelineControls.reset();
+    }
+    if (app.trajectoryPredictor) {
+      app.trajectoryPredictor.clear();
+    }
+    if (app.eventDetector) {
+      app.eventDetector.reset();
+    }
+    if (app.eventLogPanel) {
+      app.eventLogPanel.clear();
+    }
+    if (app.eclipsePanel) {
+      app.eclipsePanel.clear();
+    }
+    if (app.missionPlannerPanel) {
+      app.missionPlannerPanel.clear();
+    }
+    if (app.maneuverPanel) {
+      app.maneuverPanel.clear();
+    }
+
+    for (const object of app.objects) {
+      if (object.mesh && object.mesh.parent) {
+        object.mesh.parent.remove(object.mesh);
+      }
+      if (object.orbitLine && object.orbitLine.parent) {
+        object.orbitLine.parent.remove(object.orbitLine);
+      }
+      if (object.light && object.light.parent) {
+        object.light.parent.remove(object.light);
+      }
+
+      app.physics.removeObject(object.id);
+      object.dispose();
+    }
+
+    if (typeof app.physics.clearTestParticles === 'function') {
+      app.physics.clearTestParticles();
+    }
+
+    app.objects = [];
+  }
+
+  /**
+   * Apply an integrator or force solver setting, keeping the current one if
+   * the saved name isn't available in this build
+   * @param {String} method - Simulator setter name
+   * @param {Object} settings - Saved settings with name and options
+   * @private
+   */
+  _applySetting(method, settings) {
+    try {
+      this.app.physics[method](settings.name, settings.options || {});
+    } catch (error) {
+      console.warn(`Ignoring saved ${method} "${settings.name}":`, error.message);
+    }
+  }
+
+  /**
+   * Restore the camera pose
+   * @param {Object} pose - Saved camera pose
+   * @private
+   */
+  _applyCamera(pose) {
+    const app = this.app;
+    const camera = app.sceneManager && app.sceneManager.camera;
+    const controls = app.cameraControls && app.cameraControls.controls;
+
+    if (camera) {
+      camera.position.set(...pose.position);
+      if (camera.fov !== undefined) {
+        camera.fov = pose.fov;
+        camera.updateProjectionMatrix();
+      }
+    }
+
+    if (controls && controls.target) {
+      controls.target.set(...pose.target);
+      if (typeof controls.update === 'function') {
+        controls.update();
+      }
+    }
+
+    if (pose.follow && app.cameraControls) {
+      const object = app.objects.find(obj => obj.id === pose.follow);
+      if (object) {
+        app.cameraControls.followCelestialObject(object);
+      }
+    }
+  }
+
+  /**
+   * Bring the toolbar in line with the loaded state
+   * @private
+   */
+  _refreshControls() {
+    const app = this.app;
+
+    if (app.playPauseButton) {
+      app.playPauseButton.textContent = app.paused ? 'Play' : 'Pause';
+    }
+    if (typeof app.updateTimeDisplay === 'function') {
+      app.updateTimeDisplay();
+    }
+
+    const integratorSelect = document.getElementById('integrator-select');
+    if (integratorSelect) {
+      integratorSelect.value = app.physics.integratorName;
+    }
+
+    const collisionSelect = document.getElementById('collision-select');
+    if (collisionSelect) {
+      collisionSelect.value = app.physics.getCollisionSettings().name;
+    }
+
+    const relativityToggle = document.getElementById('relativity-toggle');
+    if (relativityToggle) {
+      relativityToggle.checked = app.physics.getRelativitySettings().enabled;
+    }
+
+    const bodyCount = document.getElementById('body-count');
+    if (bodyCount) {
+      bodyCount.textContent = `Bodies: ${app.objects.length}`;
+    }
+  }
+
+  /**
+   * Handle the main process confirming a save
+   * @param {Object} result - { filePath } or { canceled: true }
+   * @private
+   */
+  _handleSaved(result) {
+    if (!result || result.canceled) return;
+    this.currentFilePath = result.filePath;
+    console.log(`Simulation saved to ${result.filePath}`);
+  }
+
+  /**
+   * Handle a scene loaded by the main process
+   * @param {Object} result - { scene, filePath } or { canceled: true }
+   * @private
+   */
+  _handleLoaded(result) {
+    if (!result || result.canceled) return;
+
+    try {
+      this.applyScene(result.scene);
+      this.currentFilePath = result.filePath;
+      console.log(`Simulation loaded from ${result.filePath}`);
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Report a save or load failure to the user
+   * @param {Object} error - Error or { message } from the main process
+   * @private
+   */
+  _handleError(error) {
+    console.error('Scene file error:', error);
+    alert(error && error.message ? error.message : String(error));
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.SceneFileManager = SceneFileManager;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SceneFileManager;
+}
@@ -147,21 +147,25 @@ class SystemSelector {
       getEarthMoonSystem
     } = require('../data/solarSystem');
     
+    // Place the bodies where they are on the current simulation date
+    const julianDate = typeof this.app.physics.getJulianDate === 'function' ?
+      this.app.physics.getJulianDate() : undefined;
+    
     // Get the system data based on type
     let systemData;
     switch (type) {
       case 'simplified':
-        systemData = getSimplifiedSystem();
+        systemData = getSimplifiedSystem(julianDate);
         break;
       case 'inner':
-        systemData = getInnerSolarSystem();
+        systemData = getInnerSolarSystem(julianDate);
         break;
       case 'earth-moon':
-        systemData = getEarthMoonSystem();
+        systemData = getEarthMoonSystem(julianDate);
         break;
       case 'default':
       default:
-        systemData = getDefaultSystem();
+        systemData = getDefaultSystem(julianDate);
         break;
     }
     
@@ -185,6 +189,29 @@ class SystemSelector {
    * Clear the current solar system
    */
   clearCurrentSystem() {
+    // Recordings, predictions, events, eclipses and missions belong to the old system
+    if (this.app.timelineControls) {
+      this.app.timelineControls.reset();
+    }
+    if (this.app.trajectoryPredictor) {
+      this.app.trajectoryPredictor.clear();
+    }
+    if (this.app.eventDetector) {
+      this.app.eventDetector.reset();
+    }
+    if (this.app.eventLogPanel) {
+      this.app.eventLogPanel.clear();
+    }
+    if (this.app.eclipsePanel) {
+      this.app.eclipsePanel.clear();
+    }
+    if (this.app.missionPlannerPanel) {
+      this.app.missionPlannerPanel.clear();
+    }
+    if (this.app.maneuverPanel) {
+      this.app.maneuverPanel.clear();
+    }
+    
     // Remove each object
     for (const object of [...this.app.objects]) {
       if (object.mesh && object.mesh.parent) {
@@ -204,6 +231,11 @@ class SystemSelector {
       object.dispose();
     }
     
+    // Test particles orbit the old system's bodies
+    if (typeof this.app.physics.clearTestParticles === 'function') {
+      this.app.physics.clearTestParticles();
+    }
+    
     // Clear the objects array
     this.app.objects = [];
   }
@@ -0,0 +1,351 @@
+// testParticlePanel.js - Seeds belts of massless test particles around a body
+
+const TEST_PARTICLE_POLL_MS = 500; // Real milliseconds between readout refreshes
+
+/**
+ * Panel for scattering test particles on random orbits around a body, e.g.
+ * the main asteroid belt around the Sun (2.1-3.3 AU) or a ring around a
+ * planet. Particles feel the massive bodies but don't pull on them, so
+ * thousands can be added without slowing the bodies' integration.
+ */
+class TestParticlePanel {
+  /**
+   * Create a new TestParticlePanel
+   * @param {Object} app - Reference to the main application
+   */
+  constructor(app) {
+    this.app = app;
+    this.visible = false;
+    this.timer = null;
+
+    this.createUI();
+  }
+
+  /**
+   * Create the panel and its footer toggle
+   */
+  createUI() {
+    this.container = document.createElement('div');
+    this.container.className = 'test-particle-panel hidden';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Test particles';
+    this.container.appendChild(title);
+
+    // Central body
+    this.centerSelect = document.createElement('select');
+    this.centerSelect.title = 'Body the particles orbit';
+    this.container.appendChild(this.createRow('Orbit', this.centerSelect));
+
+    this.countInput = this.createNumberInput(5000, 1, 'Number of particles to add');
+    this.container.appendChild(this.createRow('Count', this.countInput));
+
+    // Semi-major axis range
+    this.innerInput = this.createNumberInput(2.1, 0, 'Inner edge of the belt');
+    this.outerInput = this.createNumberInput(3.3, 0, 'Outer edge of the belt');
+    this.unitSelect = document.createElement('select');
+    ['AU', 'km'].forEach(unit => {
+      const option = document.createElement('option');
+      option.value = unit;
+      option.textContent = unit;
+      this.unitSelect.appendChild(option);
+    });
+    this.container.appendChild(this.createRow('a', this.innerInput, this.outerInput, this.unitSelect));
+
+    this.eccentricityInput = this.createNumberInput(0.2, 0, 'Largest eccentricity (below 1)');
+    this.eccentricityInput.step = '0.05';
+    this.container.appendChild(this.createRow('Max e', this.eccentricityInput));
+
+    this.inclinationInput = this.createNumberInput(15, 0, 'Largest inclination in degrees');
+    this.container.appendChild(this.createRow('Max i (°)', this.inclinationInput));
+
+    // Actions
+    const actions = document.createElement('div');
+    actions.className = 'test-particle-row';
+
+    const addButton = document.createElement('button');
+    addButton.textContent = 'Add';
+    addButton.addEventListener('click', () => this.addParticles());
+    actions.appendChild(addButton);
+
+    const clearButton = document.createElement('button');
+    clearButton.textContent = 'Clear';
+    clearButton.addEventListener('click', () => this.clearParticles());
+    actions.appendChild(clearButton);
+
+    const showLabel = document.createElement('label');
+    this.showCheckbox = document.createElement('input');
+    this.showCheckbox.type = 'checkbox';
+    this.showCheckbox.checked = true;
+    this.showCheckbox.addEventListener('change', () => {
+      if (this.app.testParticleCloud) {
+        this.app.testParticleCloud.setVisible(this.showCheckbox.checked);
+      }
+    });
+    showLabel.appendChild(this.showCheckbox);
+    showLabel.appendChild(document.createTextNode(' Show'));
+    actions.appendChild(showLabel);
+
+    this.container.appendChild(actions);
+
+    this.readout = document.createElement('div');
+    this.readout.className = 'test-particle-readout';
+    this.container.appendChild(this.readout);
+
+    document.body.appendChild(this.container);
+
+    // Footer toggle
+    this.toggleButton = document.getElementById('particles-toggle');
+    if (!this.toggleButton) {
+      this.toggleButton = document.createElement('button');
+      this.toggleButton.id = 'particles-toggle';
+      this.toggleButton.textContent = 'Particles';
+      const footer = document.querySelector('footer');
+      (footer || document.body).appendChild(this.toggleButton);
+    }
+    this.onToggle = () => this.setVisible(!this.visible);
+    this.toggleButton.addEventListener('click', this.onToggle);
+
+    this.addStyles();
+    this.render();
+  }
+
+  /**
+   * Create a labelled row of controls
+   * @param {String} label - Row label
+   * @param {...HTMLElement} controls - Controls to put in the row
+   * @returns {HTMLElement} Row element
+   */
+  createRow(label, ...controls) {
+    const row = document.createElement('div');
+    row.className = 'test-particle-row';
+
+    const labelEl = document.createElement('span');
+    labelEl.className = 'test-particle-label';
+    labelEl.textContent = label;
+    row.appendChild(labelEl);
+
+    controls.forEach(control => row.appendChild(control));
+    return row;
+  }
+
+  /**
+   * Create a number input
+   * @param {Number} value - Initial value
+   * @param {Number} min - Smallest allowed value
+   * @param {String} title - Tooltip
+   * @returns {HTMLInputElement} Input element
+   */
+  createNumberInput(value, min, title) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.value = value;
+    input.min = min;
+    input.title = title;
+    return input;
+  }
+
+  /**
+   * Add CSS styles for the panel
+   */
+  addStyles() {
+    let styleEl = document.getElementById('test-particle-panel-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'test-particle-panel-styles';
+      document.head.appendChild(styleEl);
+    }
+
+    styleEl.textContent = `
+      .test-particle-panel {
+        position: fixed;
+        left: 400px;
+        bottom: 60px;
+        width: 300px;
+        padding: 10px;
+        background-color: rgba(20, 20, 30, 0.9);
+        border: 1px solid #444;
+        border-radius: 5px;
+        color: #ccc;
+        font-size: 12px;
+        z-index: 100;
+      }
+
+      .test-particle-panel.hidden {
+        display: none;
+      }
+
+      .test-particle-panel h3 {
+        margin: 0 0 6px;
+        font-size: 14px;
+        color: #fff;
+      }
+
+      .test-particle-row {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin: 6px 0;
+      }
+
+      .test-particle-label {
+        width: 60px;
+      }
+
+      .test-particle-row select,
+      .test-particle-row input[type="number"] {
+        flex: 1;
+        min-width: 0;
+        background-color: #2a2a3a;
+        color: #fff;
+        border: 1px solid #444;
+        padding: 3px 5px;
+        border-radius: 4px;
+      }
+
+      .test-particle-row select:focus,
+      .test-particle-row input[type="number"]:focus {
+        outline: none;
+        border-color: #3366cc;
+      }
+
+      .test-particle-readout {
+        font-family: monospace;
+      }
+    `;
+  }
+
+  /**
+   * Show or hide the panel
+   * @param {Boolean} visible - Whether to show the panel
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.container.classList.toggle('hidden', !visible);
+
+    if (visible) {
+      this.populateBodies();
+      this.render();
+      if (!this.timer) {
+        this.timer = setInterval(() => this.render(), TEST_PARTICLE_POLL_MS);
+      }
+    } else if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Fill the central body selector, keeping the current choice (the
+   * heaviest body by default)
+   */
+  populateBodies() {
+    const objects = this.app.physics.getObjects();
+    const heaviest = objects.reduce((best, obj) => (!best || obj.mass > best.mass ? obj : best), null);
+    const previous = this.centerSelect.value;
+
+    this.centerSelect.innerHTML = '';
+    objects.forEach(obj => {
+      const option = document.createElement('option');
+      option.value = obj.id;
+      option.textContent = obj.name || obj.id;
+      this.centerSelect.appendChild(option);
+    });
+
+    if (objects.some(obj => obj.id === previous)) {
+      this.centerSelect.value = previous;
+    } else if (heaviest) {
+      this.centerSelect.value = heaviest.id;
+    }
+  }
+
+  /**
+   * Scatter particles around the selected body with the panel's settings
+   */
+  addParticles() {
+    try {
+      const physics = this.app.physics;
+      const center = physics.getObjects().find(obj => obj.id === this.centerSelect.value);
+      if (!center) {
+        alert('Select a body for the particles to orbit.');
+        return;
+      }
+
+      const CONSTANTS = window.CONSTANTS;
+      const toAU = this.unitSelect.value === 'km' ?
+        (km) => CONSTANTS.metersToAU(CONSTANTS.kmToMeters(km)) :
+        (au) => au;
+
+      const { positions, velocities } = window.TestParticles.createKeplerianParticles(center, {
+        count: parseInt(this.countInput.value, 10),
+        minSemiMajorAxis: toAU(parseFloat(this.innerInput.value)),
+        maxSemiMajorAxis: toAU(parseFloat(this.outerInput.value)),
+        maxEccentricity: parseFloat(this.eccentricityInput.value),
+        maxInclination: parseFloat(this.inclinationInput.value),
+        G: physics.G
+      });
+
+      physics.addTestParticles(positions, velocities);
+      this.render();
+    } catch (error) {
+      console.error('Error adding test particles:', error);
+      alert(`Could not add test particles: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove every test particle
+   */
+  clearParticles() {
+    try {
+      this.app.physics.clearTestParticles();
+      this.render();
+    } catch (error) {
+      console.error('Error clearing test particles:', error);
+    }
+  }
+
+  /**
+   * Refresh the particle count
+   */
+  render() {
+    const particles = this.app.physics && typeof this.app.physics.getTestParticles === 'function' ?
+      this.app.physics.getTestParticles() : null;
+    const count = particles ? particles.count : 0;
+    const absorbed = particles ? particles.absorbed : 0;
+
+    this.readout.textContent = `${count.toLocaleString()} particles (${absorbed.toLocaleString()} absorbed)`;
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.toggleButton) {
+      this.toggleButton.removeEventListener('click', this.onToggle);
+    }
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    const styleEl = document.getElementById('test-particle-panel-styles');
+    if (styleEl && styleEl.parentNode) {
+      styleEl.parentNode.removeChild(styleEl);
+    }
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.TestParticlePanel = TestParticlePanel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TestParticlePanel;
+}
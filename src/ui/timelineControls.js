@@ -0,0 +1,715 @@
+// timelineControls.js - Record, scrub and replay the simulation from the toolbar
+
+const TIMELINE_INTERVALS = [0.1, 0.5, 1, 5, 10, 30]; // Recording cadences offered, in days
+
+/**
+ * Toolbar controls for a SimulationRecorder. While live, the recorder samples
+ * the simulation every frame. Moving the scrubber or pressing replay pauses
+ * the physics and shows recorded frames instead, blending between them, so
+ * nothing is re-integrated. Resuming the simulation (or pressing Live) puts
+ * the live state back exactly as it was.
+ *
+ * Replay speed follows the time scale: at 10 days/sec with a 1-day cadence,
+ * ten frames play per second, and a negative scale plays backward. The loop
+ * markers restrict replay (and export) to part of the recording.
+ */
+class TimelineControls {
+  /**
+   * Create a new TimelineControls component
+   * @param {Object} app - Reference to the main application
+   * @param {SimulationRecorder} recorder - Recorder to control
+   */
+  constructor(app, recorder) {
+    this.app = app;
+    this.recorder = recorder;
+
+    // Playback state; position is a fractional buffer index
+    this.playback = null;
+    this.position = 0;
+    this.playing = false;
+    this.lastTime = null;
+
+    // Loop range as frame numbers, so it survives old frames being dropped
+    this.looping = false;
+    this.loopStart = null;
+    this.loopEnd = null;
+
+    // Streaming to disk
+    this.stream = { state: 'off', lines: [] };
+    this.flushTimer = null;
+
+    this.recorder.onFrame((frame, newBodies) => this.queueStreamLines(frame, newBodies));
+
+    this.createUI();
+    this.listenForStreamStatus();
+  }
+
+  /**
+   * Create the timeline controls next to the play/pause button
+   */
+  createUI() {
+    this.container = document.createElement('div');
+    this.container.className = 'timeline-controls';
+
+    this.recordButton = this.createButton('●', 'Record body states', () => this.toggleRecording());
+    this.recordButton.classList.add('timeline-record');
+
+    this.intervalSelect = document.createElement('select');
+    this.intervalSelect.title = 'Simulated time between recorded frames';
+    TIMELINE_INTERVALS.forEach(days => {
+      const option = document.createElement('option');
+      option.value = days;
+      option.textContent = days < 1 ? `${days * 24} h` : `${days} d`;
+      this.intervalSelect.appendChild(option);
+    });
+    this.intervalSelect.value = this.recorder.interval;
+    this.intervalSelect.addEventListener('change', () => this.changeInterval());
+    this.container.appendChild(this.intervalSelect);
+
+    this.scrubber = document.createElement('input');
+    this.scrubber.type = 'range';
+    this.scrubber.className = 'timeline-scrubber';
+    this.scrubber.min = 0;
+    this.scrubber.max = 0;
+    this.scrubber.step = 'any';
+    this.scrubber.value = 0;
+    this.scrubber.title = 'Recorded frames';
+    this.scrubber.addEventListener('input', () => this.scrub(parseFloat(this.scrubber.value)));
+    this.container.appendChild(this.scrubber);
+
+    this.replayButton = this.createButton('▶', 'Replay the recording', () => this.togglePlaying());
+    this.loopStartButton = this.createButton('[', 'Start the loop range at this frame', () => this.setLoopMarker('start'));
+    this.loopEndButton = this.createButton(']', 'End the loop range at this frame', () => this.setLoopMarker('end'));
+    this.loopButton = this.createButton('⟲', 'Loop replay (turning it off clears the range)', () => this.toggleLooping());
+    this.liveButton = this.createButton('Live', 'Return to the live simulation', () => this.exitPlayback());
+    this.exportButton = this.createButton('⤓', 'Export the recording (or the loop range)', () => this.exportRecording());
+
+    // Streaming needs the main process to write the file
+    const streamLabel = document.createElement('label');
+    streamLabel.title = 'Write frames to a file as they are recorded';
+    this.streamCheckbox = document.createElement('input');
+    this.streamCheckbox.type = 'checkbox';
+    this.streamCheckbox.addEventListener('change', () => this.setStreaming(this.streamCheckbox.checked));
+    streamLabel.appendChild(this.streamCheckbox);
+    streamLabel.appendChild(document.createTextNode(' Stream'));
+    if (!window.api) {
+      streamLabel.style.display = 'none';
+    }
+    this.container.appendChild(streamLabel);
+
+    this.label = document.createElement('span');
+    this.label.className = 'timeline-label';
+    this.container.appendChild(this.label);
+
+    // Add to DOM after the play/pause button
+    const playPause = document.getElementById('play-pause');
+    if (playPause && playPause.parentNode) {
+      playPause.parentNode.insertBefore(this.container, playPause.nextSibling);
+    } else {
+      document.body.appendChild(this.container);
+    }
+
+    this.addStyles();
+    this.render();
+  }
+
+  /**
+   * Create a button and add it to the container
+   * @param {String} text - Button text
+   * @param {String} title - Tooltip
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} Button element
+   */
+  createButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', () => {
+      try {
+        onClick();
+      } catch (error) {
+        console.error(`Error in timeline control "${title}":`, error);
+      }
+    });
+    this.container.appendChild(button);
+    return button;
+  }
+
+  /**
+   * Add CSS styles for the timeline controls
+   */
+  addStyles() {
+    let styleEl = document.getElementById('timeline-controls-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'timeline-controls-styles';
+      document.head.appendChild(styleEl);
+    }
+
+    styleEl.textContent = `
+      .timeline-controls {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        margin: 0 15px 0 8px;
+      }
+
+      .timeline-controls button {
+        min-width: 24px;
+        padding: 4px 6px;
+      }
+
+      .timeline-controls button.active {
+        background-color: #3366cc;
+      }
+
+      .timeline-controls .timeline-record.active {
+        background-color: #cc3333;
+      }
+
+      .timeline-controls select {
+        background-color: #2a2a3a;
+        color: #fff;
+        border: 1px solid #444;
+        padding: 3px 4px;
+        border-radius: 4px;
+      }
+
+      .timeline-controls label {
+        font-size: 12px;
+        color: #ccc;
+        white-space: nowrap;
+      }
+
+      .timeline-scrubber {
+        width: 180px;
+        height: 6px;
+        border-radius: 3px;
+        -webkit-appearance: none;
+        appearance: none;
+        background: #2a2a3a;
+      }
+
+      .timeline-label {
+        min-width: 90px;
+        font-family: monospace;
+        font-size: 12px;
+        color: #ccc;
+        white-space: nowrap;
+      }
+
+      .timeline-label.playback {
+        color: #66ccff;
+      }
+    `;
+  }
+
+  /**
+   * Advance the timeline once per animation frame. Called before the
+   * physics update, so resuming puts the live state back before the next step.
+   * @param {Number} time - Current time in milliseconds
+   */
+  update(time) {
+    const realDelta = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+    this.lastTime = time;
+
+    try {
+      if (!this.playback) {
+        if (!this.app.paused && this.recorder.sample(this.app.physics)) {
+          this.render();
+        }
+        return;
+      }
+
+      // Resuming the simulation leaves playback
+      if (!this.app.paused) {
+        this.exitPlayback();
+        return;
+      }
+
+      // Bodies added or removed since playback began; the saved state no longer fits
+      const objects = this.app.physics.getObjects();
+      if (objects !== this.playback.objects || objects.length !== this.playback.ids.length ||
+          objects.some((obj, i) => obj.id !== this.playback.ids[i])) {
+        this.discardPlayback();
+        return;
+      }
+
+      if (this.playing) {
+        this.advance(realDelta);
+      }
+    } catch (error) {
+      console.error('Error updating timeline:', error);
+    }
+  }
+
+  /**
+   * Move the replay position by the frames that fit in a real time interval
+   * @param {Number} realDelta - Real seconds since the last frame
+   */
+  advance(realDelta) {
+    const timeScale = this.app.timeScale || 0;
+    const step = realDelta * timeScale / this.recorder.interval;
+    if (step === 0) return;
+
+    const [first, last] = this.getPlaybackRange();
+    let position = this.position + step;
+
+    if (this.looping && last > first) {
+      const span = last - first;
+      position = first + ((((position - first) % span) + span) % span);
+    } else if (position >= last || position <= first) {
+      position = Math.max(first, Math.min(last, position));
+      this.playing = false;
+    }
+
+    this.showPosition(position);
+  }
+
+  /**
+   * Buffer indices replay is confined to: the loop range, or everything
+   * @returns {Array} [first, last]
+   */
+  getPlaybackRange() {
+    const firstNumber = this.recorder.getFirstFrameNumber();
+    const lastIndex = Math.max(0, this.recorder.length - 1);
+    const toIndex = (number, fallback) => (number === null ?
+      fallback : Math.max(0, Math.min(lastIndex, number - firstNumber)));
+
+    const first = toIndex(this.loopStart, 0);
+    const last = toIndex(this.loopEnd, lastIndex);
+    return first <= last ? [first, last] : [last, first];
+  }
+
+  /**
+   * Jump to a position on the scrubber
+   * @param {Number} position - Fractional buffer index
+   */
+  scrub(position) {
+    if (this.recorder.length === 0) return;
+    if (!this.playback) {
+      this.enterPlayback();
+    }
+    this.playing = false;
+    this.showPosition(position);
+  }
+
+  /**
+   * Start or pause replay, from the start of the range if at its end
+   */
+  togglePlaying() {
+    if (this.recorder.length === 0) return;
+
+    if (!this.playback) {
+      this.enterPlayback();
+      const [first] = this.getPlaybackRange();
+      this.showPosition(first);
+    } else if (!this.playing) {
+      const [first, last] = this.getPlaybackRange();
+      const backward = (this.app.timeScale || 0) < 0;
+      if (!this.looping && (backward ? this.position <= first : this.position >= last)) {
+        this.showPosition(backward ? last : first);
+      }
+    }
+
+    this.playing = this.playback ? !this.playing : false;
+    this.render();
+  }
+
+  /**
+   * Pause the physics and keep the live state aside so it can be restored
+   */
+  enterPlayback() {
+    const app = this.app;
+    const physics = app.physics;
+    const objects = physics.getObjects();
+
+    this.playback = {
+      objects,
+      ids: objects.map(obj => obj.id),
+      positions: objects.map(obj => ({ ...obj.position })),
+      velocities: objects.map(obj => (obj.velocity ? { ...obj.velocity } : null)),
+      simTime: physics.simTime,
+      paused: !!app.paused,
+      hiddenMeshes: [],
+      particlesVisible: app.testParticleCloud ? app.testParticleCloud.visible : null
+    };
+
+    if (!app.paused) {
+      app.paused = true;
+      physics.setPaused(true);
+    }
+
+    // Particles aren't recorded, so they would sit still during replay
+    if (app.testParticleCloud) {
+      app.testParticleCloud.setVisible(false);
+    }
+
+    this.render();
+  }
+
+  /**
+   * Show the recorded state at a position on the timeline
+   * @param {Number} position - Fractional buffer index
+   */
+  showPosition(position) {
+    const state = this.recorder.getState(position);
+    if (!state) return;
+
+    this.position = Math.max(0, Math.min(this.recorder.length - 1, position));
+
+    const physics = this.app.physics;
+    const indexById = new Map();
+    state.ids.forEach((id, i) => indexById.set(id, i));
+
+    // Bodies that weren't in the frame are hidden
+    this.restoreMeshes();
+    this.playback.objects.forEach(obj => {
+      const i = indexById.get(obj.id);
+      if (i === undefined) {
+        const mesh = this.getMesh(obj);
+        if (mesh && mesh.visible) {
+          mesh.visible = false;
+          this.playback.hiddenMeshes.push(mesh);
+        }
+        return;
+      }
+
+      const i3 = i * 3;
+      obj.position.x = state.positions[i3];
+      obj.position.y = state.positions[i3 + 1];
+      obj.position.z = state.positions[i3 + 2];
+      if (obj.velocity) {
+        obj.velocity.x = state.velocities[i3];
+        obj.velocity.y = state.velocities[i3 + 1];
+        obj.velocity.z = state.velocities[i3 + 2];
+      }
+    });
+
+    physics.simTime = state.simTime;
+    this.render();
+  }
+
+  /**
+   * Put the live state back and return to the running simulation
+   */
+  exitPlayback() {
+    const saved = this.playback;
+    if (!saved) return;
+
+    saved.objects.forEach((obj, i) => {
+      Object.assign(obj.position, saved.positions[i]);
+      if (obj.velocity && saved.velocities[i]) {
+        Object.assign(obj.velocity, saved.velocities[i]);
+      }
+    });
+    this.app.physics.simTime = saved.simTime;
+
+    // Pressing Live resumes only if the simulation was running before
+    if (this.app.paused && !saved.paused) {
+      this.app.paused = false;
+      this.app.physics.setPaused(false);
+      if (this.app.playPauseButton) {
+        this.app.playPauseButton.textContent = 'Pause';
+      }
+    }
+
+    this.discardPlayback();
+  }
+
+  /**
+   * Leave playback without restoring positions, e.g. when the bodies were
+   * replaced
+   */
+  discardPlayback() {
+    const saved = this.playback;
+    if (!saved) return;
+
+    this.restoreMeshes();
+    if (this.app.testParticleCloud && saved.particlesVisible !== null) {
+      this.app.testParticleCloud.setVisible(saved.particlesVisible);
+    }
+
+    this.playback = null;
+    this.playing = false;
+    this.render();
+  }
+
+  /**
+   * Show the meshes hidden for the current frame again
+   */
+  restoreMeshes() {
+    this.playback.hiddenMeshes.forEach(mesh => {
+      mesh.visible = true;
+    });
+    this.playback.hiddenMeshes = [];
+  }
+
+  /**
+   * Find the mesh drawn for a simulated object
+   * @param {Object} obj - Object from the simulator
+   * @returns {THREE.Object3D} Mesh, or undefined
+   */
+  getMesh(obj) {
+    if (obj.mesh) return obj.mesh;
+    const object = (this.app.objects || []).find(candidate => candidate.id === obj.id);
+    return object ? object.mesh : undefined;
+  }
+
+  /**
+   * Start or stop recording
+   */
+  toggleRecording() {
+    if (this.recorder.recording) {
+      this.recorder.stopRecording();
+    } else {
+      this.recorder.startRecording();
+    }
+    this.render();
+  }
+
+  /**
+   * Apply the cadence chosen in the interval selector
+   */
+  changeInterval() {
+    try {
+      this.recorder.setInterval(parseFloat(this.intervalSelect.value));
+    } catch (error) {
+      console.error('Error changing recording interval:', error);
+      this.intervalSelect.value = this.recorder.interval;
+    }
+  }
+
+  /**
+   * Set a loop marker at the current frame, or the newest frame while live
+   * @param {String} which - 'start' or 'end'
+   */
+  setLoopMarker(which) {
+    if (this.recorder.length === 0) return;
+
+    const index = this.playback ? Math.round(this.position) : this.recorder.length - 1;
+    const number = this.recorder.getFirstFrameNumber() + index;
+    if (which === 'start') {
+      this.loopStart = number;
+    } else {
+      this.loopEnd = number;
+    }
+    this.looping = true;
+    this.render();
+  }
+
+  /**
+   * Turn looping on, or off and clear the loop range
+   */
+  toggleLooping() {
+    this.looping = !this.looping;
+    if (!this.looping) {
+      this.loopStart = null;
+      this.loopEnd = null;
+    }
+    this.render();
+  }
+
+  /**
+   * Download the recording, limited to the loop range when one is set
+   */
+  exportRecording() {
+    try {
+      if (this.recorder.length === 0) {
+        alert('Nothing recorded yet. Press ● to start recording.');
+        return;
+      }
+
+      const [from, to] = this.loopStart !== null || this.loopEnd !== null ?
+        this.getPlaybackRange() : [0, this.recorder.length - 1];
+      const text = this.recorder.toText({ epoch: this.app.physics.epoch, from, to });
+
+      const blob = new Blob([text], { type: 'application/x-ndjson' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `recording.${window.RecordingFormat.RECORDING_FILE_EXTENSION}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting recording:', error);
+      alert(`Could not export recording: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start or stop streaming new frames to a file chosen by the user
+   * @param {Boolean} enabled - Whether to stream
+   */
+  setStreaming(enabled) {
+    if (!window.api) return;
+
+    if (!enabled) {
+      this.flushStream();
+      window.api.send('recording-stream-stop');
+      this.stopStreamTimer();
+      this.stream = { state: 'off', lines: [] };
+      this.render();
+      return;
+    }
+
+    // Frames recorded while the save dialog is open are queued
+    const RecordingFormat = window.RecordingFormat;
+    this.stream = { state: 'pending', lines: [] };
+    window.api.send('recording-stream-start', {
+      header: RecordingFormat.createRecordingHeader({
+        epoch: this.app.physics.epoch,
+        interval: this.recorder.interval,
+        bodies: [...this.recorder.bodies.values()]
+      })
+    });
+    this.render();
+  }
+
+  /**
+   * Follow the main process as it opens, fails or cancels the stream
+   */
+  listenForStreamStatus() {
+    if (!window.api || typeof window.api.receive !== 'function') return;
+
+    window.api.receive('recording-stream-status', ({ active, canceled, error, filePath } = {}) => {
+      if (active) {
+        console.log(`Recording streaming to ${filePath}`);
+        this.stream.state = 'active';
+        this.flushStream();
+        if (!this.flushTimer) {
+          const interval = (window.CONSTANTS || {}).RECORDER_STREAM_FLUSH_MS || 1000;
+          this.flushTimer = setInterval(() => this.flushStream(), interval);
+        }
+      } else {
+        if (error) {
+          console.error('Recording stream stopped:', error);
+          alert(`Could not stream recording: ${error}`);
+        }
+        this.stopStreamTimer();
+        this.stream = { state: 'off', lines: [] };
+        this.streamCheckbox.checked = false;
+        if (canceled) {
+          console.log('Recording stream canceled');
+        }
+      }
+      this.render();
+    });
+  }
+
+  /**
+   * Queue the lines for a new frame while streaming
+   * @param {Object} frame - Recorded frame
+   * @param {Array} newBodies - Bodies first seen in this frame
+   */
+  queueStreamLines(frame, newBodies) {
+    if (this.stream.state === 'off') return;
+
+    const RecordingFormat = window.RecordingFormat;
+    if (newBodies.length > 0) {
+      this.stream.lines.push(RecordingFormat.formatRecordingLine({ bodies: newBodies }));
+    }
+    this.stream.lines.push(RecordingFormat.formatRecordingLine(RecordingFormat.frameToRecord(frame)));
+  }
+
+  /**
+   * Send queued lines to the main process
+   */
+  flushStream() {
+    if (this.stream.state !== 'active' || this.stream.lines.length === 0) return;
+
+    window.api.send('recording-stream-append', { text: this.stream.lines.join('') });
+    this.stream.lines = [];
+  }
+
+  /**
+   * Stop the periodic flush
+   */
+  stopStreamTimer() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Forget the recording, e.g. when a different system is loaded
+   */
+  reset() {
+    this.discardPlayback();
+    this.recorder.clear();
+    this.position = 0;
+    this.loopStart = null;
+    this.loopEnd = null;
+    this.looping = false;
+    this.render();
+  }
+
+  /**
+   * Refresh the buttons, scrubber and label
+   */
+  render() {
+    const recorder = this.recorder;
+    const count = recorder.length;
+
+    this.recordButton.classList.toggle('active', recorder.recording);
+    this.replayButton.textContent = this.playing ? '❚❚' : '▶';
+    this.loopButton.classList.toggle('active', this.looping);
+    this.liveButton.classList.toggle('active', !this.playback);
+    this.streamCheckbox.checked = this.stream.state !== 'off';
+
+    this.scrubber.max = Math.max(0, count - 1);
+    this.scrubber.disabled = count === 0;
+    this.scrubber.value = this.playback ? this.position : Math.max(0, count - 1);
+
+    // Shade the loop range on the track
+    if (this.loopStart !== null || this.loopEnd !== null) {
+      const [first, last] = this.getPlaybackRange();
+      const span = Math.max(1, count - 1);
+      const from = (first / span) * 100;
+      const to = (last / span) * 100;
+      this.scrubber.style.background = `linear-gradient(to right, #2a2a3a ${from}%, #3366cc ${from}%, ` +
+        `#3366cc ${to}%, #2a2a3a ${to}%)`;
+    } else {
+      this.scrubber.style.background = '';
+    }
+
+    this.label.classList.toggle('playback', !!this.playback);
+    if (this.playback) {
+      this.label.textContent = `${Math.round(this.position) + 1} / ${count}`;
+    } else {
+      this.label.textContent = count > 0 ? `Live · ${count}` : 'Live';
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.exitPlayback();
+    if (this.stream.state !== 'off') {
+      this.setStreaming(false);
+    }
+    this.stopStreamTimer();
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    const styleEl = document.getElementById('timeline-controls-styles');
+    if (styleEl && styleEl.parentNode) {
+      styleEl.parentNode.removeChild(styleEl);
+    }
+  }
+}
+
+// Make available to the window context
+if (typeof window !== 'undefined') {
+  window.TimelineControls = TimelineControls;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TimelineControls;
+}
@@ -127,7 +127,9 @@ class TourManager {
         32
       );
       this.highlightMesh = new THREE.Mesh(highlightGeometry, highlightMaterial);
-      this.highlightMesh.position.copy(object.position);
+      this.highlightMesh.position.copy(
+        object.getScenePosition ? object.getScenePosition() : object.position
+      );
       
       // Add to scene
       this.app.scene.add(this.highlightMesh);
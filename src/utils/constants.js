@@ -1,4 +1,10 @@
 // Physical constants and conversion factors for the solar system simulation
+//
+// Unit conventions:
+// - Physics state (CelestialObject.position/velocity, GravitySimulator) is SI:
+//   metres, metres per second, kilograms, seconds
+// - Data files and dialogs use AU and km/s; convert with the helpers below
+// - Scene (THREE.js) coordinates use METERS_PER_SCENE_UNIT
 
 // Gravitational constant (G) in m^3 kg^-1 s^-2
 const G = 6.67430e-11;
@@ -6,17 +12,149 @@ const G = 6.67430e-11;
 // Astronomical Unit (AU) in km
 const AU = 149597870.7;
 
+// Astronomical Unit (AU) in m
+const AU_IN_METERS = AU * 1000;
+
+// Speed of light in m/s (post-Newtonian correction)
+const SPEED_OF_LIGHT = 299792458;
+
+// Solar irradiance at 1 AU in W/m² (radiation pressure)
+const SOLAR_CONSTANT = 1361;
+
 // Seconds in a day
 const SECONDS_PER_DAY = 86400;
 
+// Julian Dates (UTC time scale; leap seconds are ignored)
+const J2000_JD = 2451545.0; // 2000-01-01 12:00 UTC
+const UNIX_EPOCH_JD = 2440587.5; // 1970-01-01 00:00 UTC
+const DEFAULT_EPOCH_JD = J2000_JD; // Simulation date at time zero
+
+// Metres represented by one THREE.js scene unit (1 unit = 1 million km)
+const METERS_PER_SCENE_UNIT = 1e9;
+
 // Scale factors for visualization
 const DISTANCE_SCALE = 1 / 1000; // Scale down distances for visualization
 const SIZE_SCALE = 1 / 100; // Scale for celestial body sizes (not to actual scale)
 const ORBIT_SEGMENTS = 360; // Number of segments to use for orbit lines
 
+// Orbit lines: recorded trails, or the osculating conic around the parent body
+const ORBIT_LINE_MODES = ['trail', 'osculating'];
+const DEFAULT_ORBIT_LINE_MODE = 'trail';
+const ORBIT_LINE_REFRESH_MS = 100; // Real milliseconds between orbit line redraws
+const ORBIT_UNBOUND_EXTENT = 3; // Open orbits are drawn out to this many times the current distance
+
 // Time scale default (1 = 1 day per second)
 const DEFAULT_TIME_SCALE = 1;
 
+// Default numerical integrator (see physics/integrators.js)
+const DEFAULT_INTEGRATOR = 'verlet';
+
+// Integrator for backward steps when the selected one isn't time-symmetric
+const BACKWARD_INTEGRATOR = 'verlet';
+
+// Default collision handling: 'none', 'merge' or 'elastic' (see physics/collisions.js)
+const DEFAULT_COLLISION_MODE = 'none';
+
+// Close encounters (see GravitySimulator.setCloseEncounterSettings)
+const DEFAULT_SOFTENING = 0; // Global Plummer softening length in m
+const ENCOUNTER_ACCURACY = 0.02; // Substep as a fraction of the shortest encounter timescale
+const MAX_ENCOUNTER_SUBSTEPS = 1000; // Upper limit on substeps per physics step
+
+// Physics worker settings (see physics/physicsWorker.js)
+const PHYSICS_WORKER_ENABLED = true; // Run physics off the render thread when Workers exist
+const FIXED_TIME_STEP = 3600; // Simulated seconds per physics step
+const WORKER_TICK_MS = 16; // Real milliseconds between worker ticks
+const MAX_STEPS_PER_TICK = 1000; // Drop simulated time beyond this to keep up
+const JUMP_MAX_DAYS = 36525; // Longest jump to a date (100 years)
+const JUMP_SLICE_MS = 50; // Real milliseconds of stepping between progress updates in a jump
+
+// Conservation diagnostics (see physics/diagnostics.js)
+const DIAGNOSTICS_INTERVAL = 100; // Steps between samples
+const DIAGNOSTICS_DRIFT_THRESHOLD = 1e-6; // Relative drift that triggers a warning
+const DIAGNOSTICS_MAX_SAMPLES = 2000; // Samples kept for the chart and CSV export
+
+// Perihelion precession measurement
+const PRECESSION_SAMPLE_DAYS = 1; // Simulated days between longitude of perihelion samples
+
+// Massless test particles (see physics/testParticles.js)
+const MAX_TEST_PARTICLES = 100000; // Upper limit on particles in one simulation
+const TEST_PARTICLE_SIZE = 2; // Point size in pixels
+const TEST_PARTICLE_COLOR = 0xaaaaaa; // Color of the particle cloud
+
+// Recording and timeline playback (see physics/recorder.js)
+const RECORDER_CAPACITY = 10000; // Frames kept in memory before the oldest are dropped
+const RECORDER_INTERVAL = 1; // Simulated days between frames
+const RECORDER_STREAM_FLUSH_MS = 1000; // Real milliseconds between writes when streaming to disk
+
+// Predicted trajectories (see physics/trajectoryPredictor.js)
+const PREDICTION_STEPS = 2000; // Integration steps (and line points) per predicted path
+const PREDICTION_DEFAULT_ORBITS = 1; // Default prediction length in orbits
+const PREDICTION_UNBOUND_DAYS = 365; // Days predicted for an unbound body asked for orbits
+const PREDICTION_MAX_DAYS = 36525; // Longest prediction (100 years)
+const PREDICTION_MAX_SUBSTEPS = 50; // Close-encounter substeps per step in the copy
+const PREDICTION_REFRESH_FRACTION = 0.05; // Re-predict after the clock moves this fraction of the horizon
+const PREDICTION_MIN_REFRESH_MS = 250; // Real milliseconds between refreshes while time runs
+const PREDICTION_DASHES = 150; // Dashes along each predicted path
+
+// Event detection (see physics/eventDetector.js)
+const EVENT_CLOSE_APPROACH_AU = 0.1; // Default close approach threshold
+const EVENT_MIN_ECCENTRICITY = 1e-3; // Apsides of rounder orbits are not reported
+const EVENT_MAX_INTERVAL_DAYS = 10; // Longer gaps between samples are treated as jumps
+const EVENT_DEDUPE_DAYS = 0.5; // The same event found again within this time is ignored
+const EVENT_LOG_LIMIT = 500; // Events kept in the log
+
+// Eclipse and transit prediction (see physics/eclipsePredictor.js)
+const ECLIPSE_PREDICTION_DAYS = 365; // Default time searched ahead
+const ECLIPSE_STEP_HOURS = 1; // Integration step of the search
+const SHADOW_CONE_REFRESH_MS = 100; // Real milliseconds between shadow cone redraws
+const SHADOW_CONE_COLORS = {
+  umbra: 0x222244,
+  penumbra: 0x6666AA,
+  active: 0xFF8800 // Umbra while a target is in the shadow
+};
+
+// Hill spheres and spheres of influence (see renderer/SphereOfInfluenceVisualizer.js)
+const SPHERE_OF_INFLUENCE_REFRESH_MS = 100; // Real milliseconds between recomputations
+const SPHERE_OF_INFLUENCE_COLORS = {
+  hill: 0x66CC66,
+  soi: 0x6699FF,
+  intruded: 0xFF4444 // Sphere of influence with an unbound body inside
+};
+
+// Mission planning (see physics/missionPlanner.js)
+const MISSION_PARKING_ALTITUDE_KM = 300; // Default circular parking orbit altitude
+const MISSION_BI_ELLIPTIC_RATIO = 3; // Default bi-elliptic apoapsis, times the larger orbit
+const MISSION_SPAWN_RADII = 10; // Spacecraft leaving a parking orbit appear this many body radii out
+const SPACECRAFT_MASS_KG = 1000; // Default dry mass; too light to pull on anything
+const SPACECRAFT_RADIUS_KM = 0.01;
+const SPACECRAFT_DISPLAY_RADIUS = 2; // Scene units, since log-scaled radii vanish below 1 km
+
+// Spacecraft engines and maneuver nodes (see physics/spacecraft.js)
+const STANDARD_GRAVITY = 9.80665; // m/s², converts specific impulse to exhaust velocity
+const SPACECRAFT_PROPELLANT_KG = 2000; // Default propellant load
+const SPACECRAFT_ISP_S = 320; // Default specific impulse (storable bipropellant)
+const SPACECRAFT_THRUST_N = 5000; // Default engine thrust
+const MANEUVER_HANDLE_DV_PER_PIXEL = 1; // m/s of delta-v per pixel a handle is dragged
+const MANEUVER_HANDLE_SIZE = 0.08; // Handle length as a fraction of the camera distance
+const MANEUVER_WARP_LEAD_S = 600; // "Go to burn" stops this long before the burn starts
+const MANEUVER_COLORS = {
+  prograde: 0xCCCC33,
+  normal: 0xCC66FF,
+  radial: 0x33CCCC,
+  node: 0x3399FF,
+  selected: 0xFFFFFF
+};
+
+// Porkchop plots (see physics/porkchop.js)
+const PORKCHOP_GRID_SIZE = 60; // Departure dates and flight times per side of the grid
+const PORKCHOP_DEFAULT_RANGE_DAYS = 730; // Default span of departure dates
+const PORKCHOP_CONTOURS = 8; // Contour lines drawn for each quantity
+const PORKCHOP_COLORS = {
+  c3: '#ff9933',
+  arrivalVInfinity: '#33ccff',
+  best: '#ffffff'
+};
+
 // Planet colors for orbit lines
 const ORBIT_COLORS = {
   star: 0xFFFF00,
@@ -24,7 +162,8 @@ const ORBIT_COLORS = {
   dwarf_planet: 0x99CCFF,
   moon: 0xCCCCCC,
   asteroid: 0x666666,
-  comet: 0x00FFFF
+  comet: 0x00FFFF,
+  spacecraft: 0xFF66CC
 };
 
 // Mass of the Sun in kg
@@ -42,20 +181,116 @@ const EARTH = {
 // Texture paths
 const TEXTURE_PATH = '../assets/textures/';
 
+// Unit conversion helpers
+const auToMeters = (au) => au * AU_IN_METERS;
+const metersToAU = (meters) => meters / AU_IN_METERS;
+const kmToMeters = (km) => km * 1000;
+const metersToKm = (meters) => meters / 1000;
+const kmPerSecToMetersPerSec = (kmPerSec) => kmPerSec * 1000;
+const metersPerSecToKmPerSec = (metersPerSec) => metersPerSec / 1000;
+const daysToSeconds = (days) => days * SECONDS_PER_DAY;
+const secondsToDays = (seconds) => seconds / SECONDS_PER_DAY;
+const metersToSceneUnits = (meters) => meters / METERS_PER_SCENE_UNIT;
+const sceneUnitsToMeters = (units) => units * METERS_PER_SCENE_UNIT;
+const dateToJulianDate = (date) => UNIX_EPOCH_JD + date.getTime() / (SECONDS_PER_DAY * 1000);
+const julianDateToDate = (jd) => new Date((jd - UNIX_EPOCH_JD) * SECONDS_PER_DAY * 1000);
+
 // Export all constants for both browser and Node.js environments
 if (typeof window !== 'undefined') {
   window.CONSTANTS = {
     G,
     AU,
+    AU_IN_METERS,
+    SPEED_OF_LIGHT,
+    SOLAR_CONSTANT,
     SECONDS_PER_DAY,
+    J2000_JD,
+    UNIX_EPOCH_JD,
+    DEFAULT_EPOCH_JD,
+    METERS_PER_SCENE_UNIT,
     DISTANCE_SCALE,
     SIZE_SCALE,
     ORBIT_SEGMENTS,
+    ORBIT_LINE_MODES,
+    DEFAULT_ORBIT_LINE_MODE,
+    ORBIT_LINE_REFRESH_MS,
+    ORBIT_UNBOUND_EXTENT,
     DEFAULT_TIME_SCALE,
+    DEFAULT_INTEGRATOR,
+    BACKWARD_INTEGRATOR,
+    DEFAULT_COLLISION_MODE,
+    DEFAULT_SOFTENING,
+    ENCOUNTER_ACCURACY,
+    MAX_ENCOUNTER_SUBSTEPS,
+    PHYSICS_WORKER_ENABLED,
+    FIXED_TIME_STEP,
+    WORKER_TICK_MS,
+    MAX_STEPS_PER_TICK,
+    JUMP_MAX_DAYS,
+    JUMP_SLICE_MS,
+    DIAGNOSTICS_INTERVAL,
+    DIAGNOSTICS_DRIFT_THRESHOLD,
+    DIAGNOSTICS_MAX_SAMPLES,
+    PRECESSION_SAMPLE_DAYS,
+    MAX_TEST_PARTICLES,
+    TEST_PARTICLE_SIZE,
+    TEST_PARTICLE_COLOR,
+    RECORDER_CAPACITY,
+    RECORDER_INTERVAL,
+    RECORDER_STREAM_FLUSH_MS,
+    PREDICTION_STEPS,
+    PREDICTION_DEFAULT_ORBITS,
+    PREDICTION_UNBOUND_DAYS,
+    PREDICTION_MAX_DAYS,
+    PREDICTION_MAX_SUBSTEPS,
+    PREDICTION_REFRESH_FRACTION,
+    PREDICTION_MIN_REFRESH_MS,
+    PREDICTION_DASHES,
+    EVENT_CLOSE_APPROACH_AU,
+    EVENT_MIN_ECCENTRICITY,
+    EVENT_MAX_INTERVAL_DAYS,
+    EVENT_DEDUPE_DAYS,
+    EVENT_LOG_LIMIT,
+    ECLIPSE_PREDICTION_DAYS,
+    ECLIPSE_STEP_HOURS,
+    SHADOW_CONE_REFRESH_MS,
+    SHADOW_CONE_COLORS,
+    SPHERE_OF_INFLUENCE_REFRESH_MS,
+    SPHERE_OF_INFLUENCE_COLORS,
+    MISSION_PARKING_ALTITUDE_KM,
+    MISSION_BI_ELLIPTIC_RATIO,
+    MISSION_SPAWN_RADII,
+    SPACECRAFT_MASS_KG,
+    SPACECRAFT_RADIUS_KM,
+    SPACECRAFT_DISPLAY_RADIUS,
+    STANDARD_GRAVITY,
+    SPACECRAFT_PROPELLANT_KG,
+    SPACECRAFT_ISP_S,
+    SPACECRAFT_THRUST_N,
+    MANEUVER_HANDLE_DV_PER_PIXEL,
+    MANEUVER_HANDLE_SIZE,
+    MANEUVER_WARP_LEAD_S,
+    MANEUVER_COLORS,
+    PORKCHOP_GRID_SIZE,
+    PORKCHOP_DEFAULT_RANGE_DAYS,
+    PORKCHOP_CONTOURS,
+    PORKCHOP_COLORS,
     ORBIT_COLORS,
     SUN_MASS,
     EARTH,
-    TEXTURE_PATH
+    TEXTURE_PATH,
+    auToMeters,
+    metersToAU,
+    kmToMeters,
+    metersToKm,
+    kmPerSecToMetersPerSec,
+    metersPerSecToKmPerSec,
+    daysToSeconds,
+    secondsToDays,
+    metersToSceneUnits,
+    sceneUnitsToMeters,
+    dateToJulianDate,
+    julianDateToDate
   };
 }
 
@@ -63,14 +298,96 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     G,
     AU,
+    AU_IN_METERS,
+    SPEED_OF_LIGHT,
+    SOLAR_CONSTANT,
     SECONDS_PER_DAY,
+    J2000_JD,
+    UNIX_EPOCH_JD,
+    DEFAULT_EPOCH_JD,
+    METERS_PER_SCENE_UNIT,
     DISTANCE_SCALE,
     SIZE_SCALE,
     ORBIT_SEGMENTS,
+    ORBIT_LINE_MODES,
+    DEFAULT_ORBIT_LINE_MODE,
+    ORBIT_LINE_REFRESH_MS,
+    ORBIT_UNBOUND_EXTENT,
     DEFAULT_TIME_SCALE,
+    DEFAULT_INTEGRATOR,
+    BACKWARD_INTEGRATOR,
+    DEFAULT_COLLISION_MODE,
+    DEFAULT_SOFTENING,
+    ENCOUNTER_ACCURACY,
+    MAX_ENCOUNTER_SUBSTEPS,
+    PHYSICS_WORKER_ENABLED,
+    FIXED_TIME_STEP,
+    WORKER_TICK_MS,
+    MAX_STEPS_PER_TICK,
+    JUMP_MAX_DAYS,
+    JUMP_SLICE_MS,
+    DIAGNOSTICS_INTERVAL,
+    DIAGNOSTICS_DRIFT_THRESHOLD,
+    DIAGNOSTICS_MAX_SAMPLES,
+    PRECESSION_SAMPLE_DAYS,
+    MAX_TEST_PARTICLES,
+    TEST_PARTICLE_SIZE,
+    TEST_PARTICLE_COLOR,
+    RECORDER_CAPACITY,
+    RECORDER_INTERVAL,
+    RECORDER_STREAM_FLUSH_MS,
+    PREDICTION_STEPS,
+    PREDICTION_DEFAULT_ORBITS,
+    PREDICTION_UNBOUND_DAYS,
+    PREDICTION_MAX_DAYS,
+    PREDICTION_MAX_SUBSTEPS,
+    PREDICTION_REFRESH_FRACTION,
+    PREDICTION_MIN_REFRESH_MS,
+    PREDICTION_DASHES,
+    EVENT_CLOSE_APPROACH_AU,
+    EVENT_MIN_ECCENTRICITY,
+    EVENT_MAX_INTERVAL_DAYS,
+    EVENT_DEDUPE_DAYS,
+    EVENT_LOG_LIMIT,
+    ECLIPSE_PREDICTION_DAYS,
+    ECLIPSE_STEP_HOURS,
+    SHADOW_CONE_REFRESH_MS,
+    SHADOW_CONE_COLORS,
+    SPHERE_OF_INFLUENCE_REFRESH_MS,
+    SPHERE_OF_INFLUENCE_COLORS,
+    MISSION_PARKING_ALTITUDE_KM,
+    MISSION_BI_ELLIPTIC_RATIO,
+    MISSION_SPAWN_RADII,
+    SPACECRAFT_MASS_KG,
+    SPACECRAFT_RADIUS_KM,
+    SPACECRAFT_DISPLAY_RADIUS,
+    STANDARD_GRAVITY,
+    SPACECRAFT_PROPELLANT_KG,
+    SPACECRAFT_ISP_S,
+    SPACECRAFT_THRUST_N,
+    MANEUVER_HANDLE_DV_PER_PIXEL,
+    MANEUVER_HANDLE_SIZE,
+    MANEUVER_WARP_LEAD_S,
+    MANEUVER_COLORS,
+    PORKCHOP_GRID_SIZE,
+    PORKCHOP_DEFAULT_RANGE_DAYS,
+    PORKCHOP_CONTOURS,
+    PORKCHOP_COLORS,
     ORBIT_COLORS,
     SUN_MASS,
     EARTH,
-    TEXTURE_PATH
+    TEXTURE_PATH,
+    auToMeters,
+    metersToAU,
+    kmToMeters,
+    metersToKm,
+    kmPerSecToMetersPerSec,
+    metersPerSecToKmPerSec,
+    daysToSeconds,
+    secondsToDays,
+    metersToSceneUnits,
+    sceneUnitsToMeters,
+    dateToJulianDate,
+    julianDateToDate
   };
 }
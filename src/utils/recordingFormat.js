@@ -0,0 +1,98 @@
+// Recording Format - Line-delimited JSON for recorded simulation sessions
+//
+// Shared by the main process (streaming recordings to disk) and the
+// renderer (recording and export), like sceneFormat.js. A recording is
+// written one line at a time, so a stream cut short still holds every frame
+// written before it stopped.
+
+const RECORDING_FORMAT = 'solar-system-recording';
+const RECORDING_FORMAT_VERSION = 1;
+const RECORDING_FILE_EXTENSION = 'ssrec';
+
+/**
+ * Layout (version 1). One JSON object per line; physical values are SI.
+ *
+ *   { format: 'solar-system-recording', version: 1,   // Header, first line
+ *     savedAt: String, epoch: Number,                 // ISO timestamp, Julian Date at time zero
+ *     interval: Number,                               // Days between frames
+ *     bodies: [{ id, name, radius, color }] }         // Radius in km
+ *
+ *   { bodies: [{ id, name, radius, color }] }         // Bodies first seen after the header
+ *
+ *   { time: Number, julianDate: Number,               // One line per frame; time in s since the epoch
+ *     ids: [String],                                  // Bodies in the order of the packed arrays
+ *     positions: [x0, y0, z0, ...],                   // m
+ *     velocities: [vx0, vy0, vz0, ...] }              // m/s
+ */
+
+/**
+ * Build the header line of a recording
+ * @param {Object} options - Options
+ * @param {Number} options.epoch - Julian Date at simulation time zero
+ * @param {Number} options.interval - Days between frames
+ * @param {Array} options.bodies - Body descriptions ({ id, name, radius, color })
+ * @returns {Object} Header record
+ */
+function createRecordingHeader({ epoch, interval, bodies = [] }) {
+  return {
+    format: RECORDING_FORMAT,
+    version: RECORDING_FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    epoch,
+    interval,
+    bodies
+  };
+}
+
+/**
+ * Check that a value is a recording header this version can write
+ * @param {*} value - Value to check
+ * @returns {Boolean} Whether the value is a header
+ */
+function isRecordingHeader(value) {
+  return value !== null && typeof value === 'object' &&
+    value.format === RECORDING_FORMAT && value.version === RECORDING_FORMAT_VERSION;
+}
+
+/**
+ * Build the record for one frame
+ * @param {Object} frame - Frame with simTime, julianDate, ids, positions and velocities
+ * @returns {Object} Frame record with plain arrays
+ */
+function frameToRecord(frame) {
+  return {
+    time: frame.simTime,
+    julianDate: frame.julianDate,
+    ids: frame.ids,
+    positions: Array.from(frame.positions),
+    velocities: Array.from(frame.velocities)
+  };
+}
+
+/**
+ * Serialize one record as a line of the file
+ * @param {Object} record - Header, bodies or frame record
+ * @returns {String} JSON text ending in a newline
+ */
+function formatRecordingLine(record) {
+  return `${JSON.stringify(record)}\n`;
+}
+
+const RecordingFormat = {
+  RECORDING_FORMAT,
+  RECORDING_FORMAT_VERSION,
+  RECORDING_FILE_EXTENSION,
+  createRecordingHeader,
+  isRecordingHeader,
+  frameToRecord,
+  formatRecordingLine
+};
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.RecordingFormat = RecordingFormat;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecordingFormat;
+}
@@ -0,0 +1,371 @@
+// Scene Format - Versioned JSON format for saved simulations
+//
+// Shared by the main process (validation when opening files) and the
+// renderer (serialization). Files are migrated forward to the current
+// version before they are validated.
+//
+// Loaded as a classic script in the renderer, where other scripts share the
+// global scope, so constants are looked up when needed instead of declaring
+// a global CONSTANTS.
+
+/**
+ * Constants from the page, or from the module in the main process
+ * @returns {Object} CONSTANTS
+ */
+function getSceneConstants() {
+  return typeof window !== 'undefined' && window.CONSTANTS ? window.CONSTANTS : require('./constants');
+}
+
+const SCENE_FORMAT_VERSION = 3;
+const SCENE_FILE_EXTENSION = 'ssim';
+
+/**
+ * Current layout (version 3). All physical values are SI.
+ *
+ * {
+ *   format: 'solar-system-simulator',
+ *   version: 3,
+ *   savedAt: String,                 // ISO timestamp
+ *   simulation: {
+ *     epoch: Number,                 // Julian Date at time zero
+ *     time: Number,                  // Simulated seconds since the epoch
+ *     timeScale: Number,             // Days per real second
+ *     paused: Boolean,
+ *     integrator: { name, options },
+ *     forceSolver: { name, options },
+ *     collisions: { name, options }, // Optional; 'none', 'merge' or 'elastic'
+ *     closeEncounters: {             // Optional
+ *       softening, substepping,      // Global softening length (m), on/off
+ *       accuracy, maxSubsteps
+ *     },
+ *     relativity: { enabled }        // Optional; 1PN correction from the dominant mass
+ *   },
+ *   camera: {
+ *     position: [x, y, z],           // Scene units
+ *     target: [x, y, z],             // Scene units
+ *     fov: Number,
+ *     follow: String | null          // ID of the followed body
+ *   },
+ *   bodies: [{
+ *     id, name, type, mass, radius,  // kg, km
+ *     position: [x, y, z],           // m
+ *     velocity: [vx, vy, vz],        // m/s
+ *     color, texture, isStar, fixed,
+ *     softening: Number,             // Optional softening length in m
+ *     forces: Object,                // Optional; force model name -> parameters
+ *     zonalHarmonics: Object,        // Optional; { J2, J3, J4, referenceRadius (km) }
+ *     spacecraft: Object,            // Optional; { dryMass, propellantMass (kg), isp (s), thrust (N) }
+ *     maneuvers: Array,              // Optional, spacecraft only; [{ id, time (s), prograde,
+ *                                    //   normal, radial (m/s), referenceId }]
+ *     visualOptions: Object
+ *   }],
+ *   testParticles: {                 // Optional massless particles
+ *     positions: [x0, y0, z0, ...],  // m
+ *     velocities: [vx0, vy0, ...]    // m/s
+ *   }
+ * }
+ *
+ * Version 1 is the SimulationState layout from docs/DATA_MODELS.md: bodies
+ * under `objects` in AU and km/s, `elapsedTime` in days and the camera target
+ * given as a body ID. Version 2 had no epoch; its clock started at J2000.
+ */
+const MIGRATIONS = {
+  1: (data) => {
+    const CONSTANTS = getSceneConstants();
+    const camera = data.camera || {};
+    const toArray = (vector) => (vector ? [vector.x, vector.y, vector.z] : undefined);
+
+    return {
+      format: 'solar-system-simulator',
+      version: 2,
+      savedAt: data.savedAt || null,
+      simulation: {
+        time: (data.elapsedTime || 0) * CONSTANTS.SECONDS_PER_DAY,
+        timeScale: data.timeScale,
+        paused: !!data.paused,
+        integrator: { name: CONSTANTS.DEFAULT_INTEGRATOR, options: {} },
+        forceSolver: { name: 'direct', options: {} }
+      },
+      camera: {
+        position: toArray(camera.position) || [0, 400, 1000],
+        target: [0, 0, 0],
+        fov: 75,
+        follow: typeof camera.target === 'string' ? camera.target : null
+      },
+      bodies: (data.objects || []).map(body => ({
+        ...body,
+        position: toArray(body.position).map(CONSTANTS.auToMeters),
+        velocity: toArray(body.velocity).map(CONSTANTS.kmPerSecToMetersPerSec)
+      }))
+    };
+  },
+
+  2: (data) => ({
+    ...data,
+    version: 3,
+    simulation: { ...data.simulation, epoch: getSceneConstants().J2000_JD }
+  })
+};
+
+/**
+ * Check that a value is an array of three finite numbers
+ * @param {*} value - Value to check
+ * @returns {Boolean} Whether the value is a 3-vector
+ */
+function isVector3(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {Boolean} Whether the value is a non-array object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a scene in the current format
+ * @param {Object} scene - Scene to validate
+ * @returns {Array} List of problems, empty if the scene is valid
+ */
+function validateScene(scene) {
+  const errors = [];
+  const check = (condition, message) => {
+    if (!condition) errors.push(message);
+  };
+
+  if (!isPlainObject(scene)) {
+    return ['Scene must be a JSON object'];
+  }
+
+  check(scene.version === SCENE_FORMAT_VERSION, `version must be ${SCENE_FORMAT_VERSION}`);
+
+  const simulation = scene.simulation;
+  if (isPlainObject(simulation)) {
+    check(Number.isFinite(simulation.epoch), 'simulation.epoch must be a Julian Date');
+    check(Number.isFinite(simulation.time), 'simulation.time must be a number of seconds');
+    check(Number.isFinite(simulation.timeScale), 'simulation.timeScale must be a number');
+    check(typeof simulation.paused === 'boolean', 'simulation.paused must be true or false');
+    if (simulation.collisions !== undefined) {
+      check(isPlainObject(simulation.collisions) && typeof simulation.collisions.name === 'string',
+        'simulation.collisions.name must be a string');
+    }
+    if (simulation.closeEncounters !== undefined) {
+      const encounters = simulation.closeEncounters;
+      check(isPlainObject(encounters), 'simulation.closeEncounters must be an object');
+      check(!isPlainObject(encounters) || encounters.softening === undefined ||
+        (Number.isFinite(encounters.softening) && encounters.softening >= 0),
+        'simulation.closeEncounters.softening must be a non-negative number (m)');
+    }
+    if (simulation.relativity !== undefined) {
+      check(isPlainObject(simulation.relativity) && typeof simulation.relativity.enabled === 'boolean',
+        'simulation.relativity.enabled must be a boolean');
+    }
+    ['integrator', 'forceSolver'].forEach(key => {
+      const settings = simulation[key];
+      check(isPlainObject(settings) && typeof settings.name === 'string',
+        `simulation.${key}.name must be a string`);
+      check(!settings || settings.options === undefined || isPlainObject(settings.options),
+        `simulation.${key}.options must be an object`);
+    });
+  } else {
+    errors.push('simulation must be an object');
+  }
+
+  const camera = scene.camera;
+  if (isPlainObject(camera)) {
+    check(isVector3(camera.position), 'camera.position must be [x, y, z]');
+    check(isVector3(camera.target), 'camera.target must be [x, y, z]');
+    check(Number.isFinite(camera.fov) && camera.fov > 0, 'camera.fov must be a positive number');
+    check(camera.follow === null || camera.follow === undefined || typeof camera.follow === 'string',
+      'camera.follow must be a body ID or null');
+  } else {
+    errors.push('camera must be an object');
+  }
+
+  if (scene.testParticles !== undefined) {
+    const particles = scene.testParticles;
+    const isPacked = (value) => Array.isArray(value) && value.length % 3 === 0 && value.every(Number.isFinite);
+    if (!isPlainObject(particles)) {
+      errors.push('testParticles must be an object with positions and velocities');
+    } else {
+      check(isPacked(particles.positions), 'testParticles.positions must be a flat [x0, y0, z0, ...] array in metres');
+      check(isPacked(particles.velocities), 'testParticles.velocities must be a flat [vx0, vy0, vz0, ...] array in m/s');
+      check(!Array.isArray(particles.positions) || !Array.isArray(particles.velocities) ||
+        particles.positions.length === particles.velocities.length,
+        'testParticles.positions and testParticles.velocities must be the same length');
+    }
+  }
+
+  if (!Array.isArray(scene.bodies)) {
+    errors.push('bodies must be an array');
+    return errors;
+  }
+
+  const ids = new Set();
+  scene.bodies.forEach((body, i) => {
+    const at = `bodies[${i}]`;
+    if (!isPlainObject(body)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+
+    check(typeof body.id === 'string' && body.id.length > 0, `${at}.id must be a non-empty string`);
+    check(!ids.has(body.id), `${at}.id "${body.id}" is used by more than one body`);
+    ids.add(body.id);
+
+    check(typeof body.name === 'string', `${at}.name must be a string`);
+    check(Number.isFinite(body.mass) && body.mass >= 0, `${at}.mass must be a non-negative number (kg)`);
+    check(Number.isFinite(body.radius) && body.radius > 0, `${at}.radius must be a positive number (km)`);
+    check(isVector3(body.position), `${at}.position must be [x, y, z] in metres`);
+    check(isVector3(body.velocity), `${at}.velocity must be [vx, vy, vz] in m/s`);
+    check(body.softening === undefined || (Number.isFinite(body.softening) && body.softening >= 0),
+      `${at}.softening must be a non-negative number (m)`);
+    if (body.forces !== undefined) {
+      const wellFormed = isPlainObject(body.forces) && Object.values(body.forces).every(isPlainObject);
+      check(wellFormed, `${at}.forces must map force model names to parameter objects`);
+
+      // Check names and parameters too when the force models are loaded
+      const ForceModels = typeof window !== 'undefined' && window.ForceModels;
+      if (wellFormed && ForceModels) {
+        try {
+          ForceModels.normalizeBodyForces(body.forces);
+        } catch (error) {
+          errors.push(`${at}.forces: ${error.message}`);
+        }
+      }
+    }
+    if (body.zonalHarmonics !== undefined) {
+      check(isPlainObject(body.zonalHarmonics), `${at}.zonalHarmonics must be an object with J2, J3, J4`);
+
+      const ZonalHarmonics = typeof window !== 'undefined' && window.ZonalHarmonics;
+      if (isPlainObject(body.zonalHarmonics) && ZonalHarmonics) {
+        try {
+          ZonalHarmonics.normalizeZonalHarmonics(body.zonalHarmonics);
+        } catch (error) {
+          errors.push(`${at}.zonalHarmonics: ${error.message}`);
+        }
+      }
+    }
+    if (body.spacecraft !== undefined) {
+      check(isPlainObject(body.spacecraft), `${at}.spacecraft must be an object with dryMass, propellantMass, isp and thrust`);
+
+      const Spacecraft = typeof window !== 'undefined' && window.Spacecraft;
+      if (isPlainObject(body.spacecraft) && Spacecraft) {
+        try {
+          Spacecraft.normalizeSpacecraft(body.spacecraft);
+        } catch (error) {
+          errors.push(`${at}.spacecraft: ${error.message}`);
+        }
+      }
+    }
+    if (body.maneuvers !== undefined) {
+      check(Array.isArray(body.maneuvers) && body.maneuvers.every(isPlainObject),
+        `${at}.maneuvers must be an array of maneuver nodes`);
+      check(body.spacecraft !== undefined, `${at}.maneuvers needs ${at}.spacecraft`);
+
+      const Spacecraft = typeof window !== 'undefined' && window.Spacecraft;
+      if (Array.isArray(body.maneuvers) && Spacecraft) {
+        try {
+          Spacecraft.normalizeManeuvers(body.maneuvers);
+        } catch (error) {
+          errors.push(`${at}.maneuvers: ${error.message}`);
+        }
+      }
+    }
+    check(body.visualOptions === undefined || isPlainObject(body.visualOptions),
+      `${at}.visualOptions must be an object`);
+  });
+
+  return errors;
+}
+
+/**
+ * Bring a scene from any supported version up to the current one
+ * @param {Object} data - Parsed scene file
+ * @returns {Object} Scene in the current format
+ */
+function migrateScene(data) {
+  if (!isPlainObject(data)) {
+    throw new Error('Scene file must contain a JSON object');
+  }
+
+  let version = data.version;
+  if (!Number.isInteger(version)) {
+    throw new Error('Scene file has no format version; it was not saved by this simulator');
+  }
+  if (version > SCENE_FORMAT_VERSION) {
+    throw new Error(`Scene file version ${version} is newer than this simulator supports (${SCENE_FORMAT_VERSION})`);
+  }
+
+  let scene = data;
+  while (version < SCENE_FORMAT_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration from scene format version ${version}`);
+    }
+    try {
+      scene = migrate(scene);
+    } catch (error) {
+      throw new Error(`Could not migrate scene from version ${version}: ${error.message}`);
+    }
+    version = scene.version;
+  }
+
+  return scene;
+}
+
+/**
+ * Parse, migrate and validate the text of a scene file
+ * @param {String} text - File contents
+ * @returns {Object} Scene in the current format
+ */
+function parseScene(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Scene file is not valid JSON: ${error.message}`);
+  }
+
+  const scene = migrateScene(data);
+  const errors = validateScene(scene);
+  if (errors.length > 0) {
+    throw new Error(`Scene file is invalid:\n- ${errors.join('\n- ')}`);
+  }
+
+  return scene;
+}
+
+/**
+ * Serialize a scene to the text written to disk
+ * @param {Object} scene - Scene in the current format
+ * @returns {String} JSON text
+ */
+function stringifyScene(scene) {
+  const errors = validateScene(scene);
+  if (errors.length > 0) {
+    throw new Error(`Refusing to save an invalid scene:\n- ${errors.join('\n- ')}`);
+  }
+  return JSON.stringify(scene, null, 2);
+}
+
+const SceneFormat = {
+  SCENE_FORMAT_VERSION,
+  SCENE_FILE_EXTENSION,
+  validateScene,
+  migrateScene,
+  parseScene,
+  stringifyScene
+};
+
+// Export for both CommonJS and browser environments
+if (typeof window !== 'undefined') {
+  window.SceneFormat = SceneFormat;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SceneFormat;
+}